@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+"use strict";
+
+const _ = require('lodash');
+const fs = require('fs');
+const resolve = require('path').resolve;
+const minimist = require('minimist');
+const winston = require('winston');
+
+const Ips = require('..');
+
+const usage = `Usage: ipslib <command> [options]
+
+Commands:
+  categories                         List download categories
+  files <category>                   List files of a category
+  search <query> [--category <cat>]  Search files, in all categories if none given
+  download <category> <query>        Download all files matching the query
+  login                              Log in and store the session
+  logout                             Log out and clear the stored session
+
+Options:
+  --url <url>             Board URL                     [env: IPSLIB_URL]
+  --name <name>           Board name, used for caching  [env: IPSLIB_NAME]
+  --username <username>   Username                      [env: IPSLIB_USERNAME]
+  --password <password>   Password                      [env: IPSLIB_PASSWORD]
+  --totp-secret <secret>  Authenticator secret for 2FA  [env: IPSLIB_TOTP_SECRET]
+  --version <3|4|auto>    IPS version, defaults to auto [env: IPSLIB_VERSION]
+  --proxy <url>           Proxy URL for all requests    [env: IPSLIB_PROXY]
+  --user-agent <string>   User agent sent to the board  [env: IPSLIB_USER_AGENT]
+  --record <folder>       Save all responses to a cassette folder
+  --replay <folder>       Play back responses of a cassette folder instead of requesting the board
+  --config <path>         Config file, defaults to ~/.ipslib/config.json
+  --dest <folder>         Destination folder for downloads, defaults to current folder
+  --force-refresh         Rebuild the index instead of using the cache
+  --json                  Print results as JSON
+  --verbose               Print requests and other details
+  --help                  Show this help
+`;
+
+const argv = minimist(process.argv.slice(2), {
+	string: [ 'url', 'name', 'username', 'password', 'totp-secret', 'version', 'proxy', 'user-agent', 'record', 'replay', 'config', 'dest', 'category' ],
+	boolean: [ 'force-refresh', 'json', 'verbose', 'help' ]
+});
+const command = argv._[0];
+
+if (argv.help || !command) {
+	console.log(usage);
+	process.exit(command || argv.help ? 0 : 1);
+}
+
+const config = readConfig(argv);
+if (!config.url) {
+	fail(new Error('Board URL is missing. Use --url, IPSLIB_URL or the config file.'));
+}
+
+winston.level = argv.verbose ? 'info' : 'warn';
+
+const opts = { forceRefresh: argv['force-refresh'] };
+
+let ips;
+
+const commands = {
+
+	categories: () => ips.downloads.getCategories(opts).then(categories => {
+		print(categories, c => c.id + '\t' + c.path);
+	}),
+
+	files: query => findCategory(query).then(cat => ips.downloads.getFiles(cat, opts)).then(files => {
+		print(files, formatFile);
+	}),
+
+	search: query => {
+		required(query, 'query');
+		return Promise.try(() => {
+			if (argv.category) {
+				return findCategory(argv.category).then(cat => ips.downloads.findFiles(query, cat, opts));
+			}
+			return ips.downloads.getCategories(opts).then(categories => Promise.mapSeries(categories, cat => ips.downloads.findFiles(query, cat, opts)).then(_.flatten));
+
+		}).then(files => print(files, formatFile));
+	},
+
+	download: (category, query) => {
+		required(query, 'query');
+		return findCategory(category)
+			.then(cat => ips.downloads.findFiles(query, cat, opts))
+			.then(files => ips.downloads.download(files, resolve(argv.dest || '.')))
+			.then(results => print(results.map(r => _.assign(_.pick(r, [ 'status', 'paths' ]), {
+				id: r.file.id,
+				title: r.file.title,
+				error: r.error ? r.error.message : undefined
+			})), r => r.status + '\t' + r.title + (r.error ? '\t' + r.error : '')));
+	},
+
+	login: () => ips.auth.login().then(loggedIn => {
+		print({ loggedIn: true }, () => loggedIn ? 'Logged in.' : 'Already logged in.');
+	}),
+
+	logout: () => ips.logout().then(() => print({ loggedIn: false }, () => 'Logged out.'))
+};
+
+if (!commands[command]) {
+	fail(new Error('Unknown command "' + command + '", see --help.'));
+}
+
+Ips.connect(config.name || config.url.replace(/^https?:\/\//i, ''), config.url, config.username, config.password, {
+	version: config.version && config.version !== 'auto' ? parseInt(config.version, 10) : 'auto',
+	totpSecret: config.totpSecret,
+	proxy: config.proxy,
+	userAgent: config.userAgent,
+	cassette: argv.record ? { mode: 'record', path: resolve(argv.record) } : argv.replay ? { mode: 'replay', path: resolve(argv.replay) } : undefined,
+	forceRefresh: opts.forceRefresh
+
+}).then(instance => {
+	ips = instance;
+	return commands[command].apply(null, argv._.slice(1).map(String));
+
+}).catch(fail);
+
+/**
+ * Merges the config file, environment variables and flags, in that order.
+ *
+ * @param {{}} argv Parsed arguments
+ * @returns {{ url: string, name: string, username: string, password: string, totpSecret: string, version: string, proxy: string, userAgent: string }} Config
+ */
+function readConfig(argv) {
+	const home = process.env[(process.platform === 'win32') ? 'USERPROFILE' : 'HOME'];
+	const path = argv.config || resolve(home, '.ipslib', 'config.json');
+	let file = {};
+	if (fs.existsSync(path)) {
+		file = JSON.parse(fs.readFileSync(path));
+	} else if (argv.config) {
+		fail(new Error('Config file "' + path + '" not found.'));
+	}
+	const env = {
+		url: process.env.IPSLIB_URL,
+		name: process.env.IPSLIB_NAME,
+		username: process.env.IPSLIB_USERNAME,
+		password: process.env.IPSLIB_PASSWORD,
+		totpSecret: process.env.IPSLIB_TOTP_SECRET,
+		version: process.env.IPSLIB_VERSION,
+		proxy: process.env.IPSLIB_PROXY,
+		userAgent: process.env.IPSLIB_USER_AGENT
+	};
+	const flags = _.assign(_.pick(argv, [ 'url', 'name', 'username', 'password', 'version', 'proxy' ]), { totpSecret: argv['totp-secret'], userAgent: argv['user-agent'] });
+	return _.assign({}, file, _.omitBy(env, _.isUndefined), _.omitBy(flags, _.isUndefined));
+}
+
+/**
+ * Returns the first category matching the query or fails.
+ *
+ * @param {string} query Category query
+ * @returns {Promise.<{id: number, label: string, url: string}>} Category
+ */
+function findCategory(query) {
+	required(query, 'category');
+	return ips.downloads.findCategory(query, opts).then(cat => {
+		if (!cat) {
+			throw new Error('No category matching "' + query + '".');
+		}
+		return cat;
+	});
+}
+
+function formatFile(file) {
+	return file.id + '\t' + file.title + '\t' + file.author + '\t' + file.downloads;
+}
+
+function required(value, name) {
+	if (!value) {
+		fail(new Error('Missing <' + name + '>, see --help.'));
+	}
+}
+
+/**
+ * Prints the result as JSON or as lines formatted with the given function.
+ *
+ * @param {{}|{}[]} result Result
+ * @param {Function} format Formats one item to a line
+ */
+function print(result, format) {
+	if (argv.json) {
+		console.log(JSON.stringify(result, null, '\t'));
+	} else {
+		_.castArray(result).forEach(item => console.log(format(item)));
+	}
+}
+
+function fail(err) {
+	console.error('Error: %s', err.message);
+	process.exit(1);
+}
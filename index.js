@@ -3,31 +3,55 @@
 Promise = require('bluebird');
 const _ = require('lodash');
 const fs = require('fs');
-const rp = require('request-promise');
 const request = require('request');
 const winston = require('winston');
 const resolve = require('path').resolve;
 const cheerio = require('cheerio');
+const EventEmitter = require('events').EventEmitter;
+const MemoryCookieStore = require('tough-cookie').MemoryCookieStore;
 
-const CookieJar = require("tough-cookie").CookieJar;
-const FileCookieStore = require("tough-cookie-filestore");
+const Cassette = require('./lib/cassette');
+const FileCookieStore = require('./lib/cookie-store');
+const Http = require('./lib/http');
+const RateLimiter = require('./lib/rate-limiter');
+const VersionDetector = require('./lib/version-detector');
+const errors = require('./lib/errors');
 
-const tough = require('tough-cookie');
-
-module.exports = class {
+module.exports = class extends EventEmitter {
 
 	/**
 	 * Initializes the library.
 	 *
+	 * Progress is emitted as events:
+	 *
+	 *   - `page:fetched`: { category, page, totalPages } when indexing a category
+	 *   - `download:start`: { filename, path, offset, total }
+	 *   - `download:progress`: { filename, received, total, speed } with speed in bytes per second
+	 *   - `download:done`: { filename, path, size, duration }
+	 *   - `download:error`: { filename, path, error }
+	 *   - `files:changed`: { category, since, until, added, removed, changed } when a refresh changed the index
+	 *
 	 * @param {string} name Name of the board
 	 * @param {string} url URL of the board, without /index.php
 	 * @param {string} [username] Username
 	 * @param {string} [password] Password
-	 * @param {{}} [opts] Options
+	 * @param {{ [version]: number|string, [session]: string|Store, [apiKey]: string, [requestsPerMinute]: number, [totpSecret]: string, [mfa]: function, [retries]: number, [retryDelay]: number, [timeout]: number, [userAgent]: string, [proxy]: string, [headers]: {}, [cassette]: {} }} [opts]
+	 *        Options. `version` is the major version of IPS, 3 or 4 (default). With "auto", the version detected by
+	 *        {@link Ips.connect()} before is used. `session` is where cookies are kept, either "file" (default, persisted under ~/.ipslib), "memory" or a
+	 *        synchronous tough-cookie store. With `apiKey`, IPS4 modules use the REST API instead of scraping where supported.
+	 *        `requestsPerMinute` limits the requests sent to the board, defaults to 60. For accounts with two-factor
+	 *        authentication, `totpSecret` is the base32 secret of the authenticator app, and `mfa` receives the challenge
+	 *        (`{ type: "totp" }` or `{ type: "questions", questions: string[] }`) and returns the code or the answers,
+	 *        or a promise of them. GET requests failing temporarily are retried `retries` times (default 3), starting after
+	 *        `retryDelay` milliseconds (default 1000). `timeout` is in milliseconds and defaults to 60000. `userAgent`,
+	 *        `proxy` (e.g. "http://localhost:8080") and extra `headers` apply to all requests sent to the board. With
+	 *        `cassette` set to `{ mode: "record", path: <folder> }`, all responses are saved to the folder, and with
+	 *        `{ mode: "replay", path: <folder> }`, they are played back from there without any network access.
 	 * @constructor
 	 */
 	constructor(name, url, username, password, opts) {
 
+		super();
 		this.id = _.kebabCase(name);
 		this._name = name;
 		this._url = url.replace(/\/$/, '');
@@ -35,33 +59,117 @@ module.exports = class {
 		this._password = password;
 
 		// create cache folder
-		this._cache = resolve(process.env[(process.platform === 'win32') ? 'USERPROFILE' : 'HOME'], '.ipslib');
-
-		// create cookie jar
-		if (!fs.existsSync(this._cache)) {
-			fs.mkdirSync(this._cache)
-		}
-		this._cookieJar = request.jar();
-		//this._cookieJar = request.jar(new FileCookieStore(resolve(this._cache, this.id + '-cookies.json')));
-		//this._cookieJar = new CookieJar(new FileCookieStore(resolve(this._cache, this.id + '-cookies.json')));
-		//this._cookieJar = new tough.CookieJar(null, {});
-		this._cookieJar._jar.rejectPublicSuffixes = false;
+		this._cache = getCacheFolder();
 
 		this._opts = opts || {};
 		this._opts.version = this._opts.version || 4;
+		if (this._opts.version === 'auto') {
+			this._opts.version = new VersionDetector(resolve(this._cache, this.id + '-version.json'), winston).getCached(this._url);
+			if (!this._opts.version) {
+				throw new errors.UnsupportedVersionError('Version of ' + this._url + ' was not detected yet, use Ips.connect() to create the instance.', 'auto');
+			}
+		}
+		if (!VersionDetector.isSupported(parseInt(this._opts.version, 10))) {
+			throw new errors.UnsupportedVersionError('IPS version "' + this._opts.version + '" is not supported, must be 3 or 4.', this._opts.version);
+		}
+		this._opts.version = parseInt(this._opts.version, 10);
+		this._opts.session = this._opts.session || 'file';
+		this._opts.requestsPerMinute = this._opts.requestsPerMinute || 60;
+
+		// create cookie jar
+		this._cookieJar = request.jar(this._createSessionStore(this._opts.session));
+		this._cookieJar._jar.rejectPublicSuffixes = false;
 
 		// utils
 		this.logger = winston;
+		this._limiter = new RateLimiter(this._opts.requestsPerMinute);
+		this._http = new Http(_.assign({}, this._opts, { limiter: this._limiter, logger: this.logger }));
 
 		// sub-module classes
 		const DownloadModule = require('./lib/v' + this._opts.version + '/downloads-ips' + this._opts.version);
 		const AuthModule = require('./lib/v' + this._opts.version + '/auth-ips' + this._opts.version);
+		const ForumModule = require('./lib/v' + this._opts.version + '/forums-ips' + this._opts.version);
+		const SearchModule = require('./lib/v' + this._opts.version + '/search-ips' + this._opts.version);
+		const MemberModule = require('./lib/v' + this._opts.version + '/members-ips' + this._opts.version);
+		const MessengerModule = require('./lib/v' + this._opts.version + '/messenger-ips' + this._opts.version);
+		const NotificationModule = require('./lib/v' + this._opts.version + '/notifications-ips' + this._opts.version);
+		const GalleryModule = require('./lib/v' + this._opts.version + '/gallery-ips' + this._opts.version);
 
 		// sub-modules
 		this.downloads = new DownloadModule(this, this._opts);
+		this.forums = new ForumModule(this, this._opts);
+		this._search = new SearchModule(this, this._opts);
+		this.members = new MemberModule(this, this._opts);
+		this.messenger = new MessengerModule(this, this._opts);
+		this.notifications = new NotificationModule(this, this._opts);
+		this.gallery = new GalleryModule(this, this._opts);
 		this.auth = new AuthModule(this, username, password, this._url, this._cookieJar);
 	}
 
+	/**
+	 * Creates an instance for a board, detecting its version of IPS first.
+	 *
+	 * The board's front page is fingerprinted by its generator tag and
+	 * markup. The result is cached under ~/.ipslib, so this only costs a
+	 * request the first time.
+	 *
+	 * @param {string} name Name of the board
+	 * @param {string} url URL of the board, without /index.php
+	 * @param {string} [username] Username
+	 * @param {string} [password] Password
+	 * @param {{ [version]: number|string, [forceRefresh]: boolean }} [opts] Options of the constructor, `version` defaults to "auto".
+	 *        Timeout, user agent, proxy and headers also apply when detecting the version.
+	 *        Set `forceRefresh` to detect the version again, e.g. after the board was upgraded.
+	 * @returns {Promise.<Ips>} Instance using the modules of the detected version
+	 */
+	static connect(name, url, username, password, opts) {
+		opts = _.assign({ version: 'auto' }, opts);
+		return Promise.try(() => {
+			if (opts.cassette) {
+				// share the cassette with the instance, so detection is recorded and replayed in order
+				opts.cassette = Cassette.create(opts.cassette, winston);
+			}
+			if (opts.version !== 'auto') {
+				return opts.version;
+			}
+			const http = new Http(_.assign({}, opts, { logger: winston }));
+			const detector = new VersionDetector(resolve(getCacheFolder(), _.kebabCase(name) + '-version.json'), winston, http);
+			return detector.detect(url.replace(/\/$/, ''), { forceRefresh: opts.forceRefresh });
+
+		}).then(version => new this(name, url, username, password, _.assign(_.omit(opts, 'forceRefresh'), { version: version })));
+	}
+
+	/**
+	 * Returns the cookie store for the given session option.
+	 *
+	 * @param {string|Store} session "file", "memory" or a custom store
+	 * @returns {Store} Cookie store
+	 * @private
+	 */
+	_createSessionStore(session) {
+		if (_.isObject(session)) {
+			return session;
+		}
+		switch (session) {
+			case 'file':
+				return new FileCookieStore(resolve(this._cache, this.id + '-cookies.json'));
+			case 'memory':
+				return new MemoryCookieStore();
+			default:
+				throw new Error('Unknown session store "' + session + '", must be "file", "memory" or a cookie store.');
+		}
+	}
+
+	/**
+	 * Removes all cookies of the current session from the store.
+	 *
+	 * @returns {Promise}
+	 * @private
+	 */
+	_clearSession() {
+		return Promise.fromCallback(cb => this._cookieJar._jar.removeAllCookies(cb));
+	}
+
 	/**
 	 * Performs a GET request to the provided URL path, as anonymous.
 	 * @param url Complete URL or path
@@ -69,15 +177,11 @@ module.exports = class {
 	 * @private
 	 */
 	_get(url) {
-		const config = {
-			uri: url[0] === '/' ? this._url + url : url,
-			transform: function(body) {
-				return cheerio.load(body);
-			},
+		return this._http.request({
+			url: url[0] === '/' ? this._url + url : url,
 			jar: false
-		};
-		this.logger.info('--> GET %s', config.uri);
-		return rp(config);
+
+		}).then(response => cheerio.load(response.body));
 	}
 
 	/**
@@ -87,19 +191,105 @@ module.exports = class {
 	 * @private
 	 */
 	_getAuthenticated(url) {
-		const config = {
-			uri: url[0] === '/' ? this._url + url : url,
-			transform: function(body) {
-				return cheerio.load(body);
-			},
-			jar: this._cookieJar
-		};
-		this.logger.info('--> GET %s (authenticated)', config.uri);
-		return rp(config);
+		return this._http.request({
+			url: url[0] === '/' ? this._url + url : url,
+			jar: this._cookieJar,
+			label: 'authenticated'
+
+		}).then(response => cheerio.load(response.body));
+	}
+
+	/**
+	 * Performs a GET request with the current session and logs in if the
+	 * page is restricted to members.
+	 *
+	 * @param url Complete URL or path
+	 * @param {{ [member]: boolean }} [opts] Options. With `member`, also logs in if the page is public but was served to a guest,
+	 *        e.g. because what it links to needs an account.
+	 * @returns Promise<Cheerio> Parsed HTML body
+	 * @private
+	 */
+	_getWithLogin(url, opts) {
+		return this._getAuthenticated(url).then($ => {
+			if (this.auth.needsLogin($) || (opts && opts.member && this.auth.isGuest($))) {
+				this.logger.info('Page is restricted to members, logging in.');
+				return this._login().then(() => this._getAuthenticated(url));
+			}
+			return $;
+		});
 	}
 
 	/**
-	 * Closes a session.
+	 * Posts multipart form data with the current session.
+	 *
+	 * Redirects are not followed, so the response tells where the board
+	 * wanted to go next.
+	 *
+	 * @param url Complete URL or path
+	 * @param {{}} formData Fields, values can be streams for file uploads
+	 * @returns Promise<IncomingMessage> Full response
+	 * @private
+	 */
+	_post(url, formData) {
+		return this._http.request({
+			method: 'POST',
+			url: url[0] === '/' ? this._url + url : url,
+			formData: formData,
+			jar: this._cookieJar,
+			simple: false
+		});
+	}
+
+	/**
+	 * Performs a GET request to the IPS4 REST API.
+	 *
+	 * @param {string} path Endpoint, e.g. "downloads/files"
+	 * @param {{}} [query] Query parameters
+	 * @returns Promise<{}> Parsed JSON response
+	 * @private
+	 */
+	_getApi(path, query) {
+		if (!this._opts.apiKey) {
+			return Promise.reject(new Error('Need an API key for this action. Instantiate Ips with the `apiKey` option.'));
+		}
+		const url = this._url + '/api/index.php?/' + path.replace(/^\//, '');
+		return this._http.request({
+			url: url,
+			qs: query,
+			auth: { user: this._opts.apiKey, pass: '' },
+			json: true,
+			jar: false,
+			simple: false,
+			label: 'api'
+
+		}).then(response => {
+			if (response.statusCode === 401) {
+				throw new errors.AuthenticationError('API key was rejected by the board.');
+			}
+			if (!/^2/.test(String(response.statusCode))) {
+				throw errors.IpsError.fromStatusCode(response.statusCode, url);
+			}
+			return response.body;
+		});
+	}
+
+	/**
+	 * Searches the whole board through its own search engine.
+	 *
+	 * Results of type "file" come with their category and can be passed to
+	 * the downloads module, e.g. to `download()`.
+	 *
+	 * @param {string} query Search query
+	 * @param {{ [type]: string, [author]: string, [dateFrom]: Date, [dateTo]: Date, [tags]: string[], [page]: number }} [opts] Options.
+	 *        `type` is one of "file", "topic" or "post", everything if not set.
+	 * @returns {Promise.<{ type: string, id: number, title: string, url: string, author: string, date: Date, snippet: string, [category]: number, [topic]: number }[]>} Results
+	 */
+	search(query, opts) {
+		return this._search.search(query, opts);
+	}
+
+	/**
+	 * Closes a session and clears the stored cookies.
 	 *
 	 * Note that this must be called explictly, otherwise the session stays open
 	 * even across restarts.
@@ -115,10 +305,34 @@ module.exports = class {
 	 * Run this before accessing protected URLs and make sure you use
 	 * {@link _getAuthenticated()} after that.
 	 *
+	 * While a login is running, further calls return the same promise, so
+	 * parallel downloads hitting restricted pages post the credentials only
+	 * once.
+	 *
 	 * @returns {Promise}
 	 * @private
 	 */
 	_login() {
-		return this.auth.login();
+		if (!this._loginPromise) {
+			this._loginPromise = this.auth.login().finally(() => this._loginPromise = null);
+		}
+		return this._loginPromise;
+	}
+};
+
+/**
+ * Returns the folder where sessions and indexes are cached, creates it if
+ * necessary.
+ *
+ * @returns {string} Path to ~/.ipslib
+ */
+function getCacheFolder() {
+	const folder = resolve(process.env[(process.platform === 'win32') ? 'USERPROFILE' : 'HOME'], '.ipslib');
+	if (!fs.existsSync(folder)) {
+		fs.mkdirSync(folder);
 	}
-};
\ No newline at end of file
+	return folder;
+}
+
+// error classes, e.g. `require('ipslib').NotFoundError`
+Object.assign(module.exports, errors);
\ No newline at end of file
@@ -0,0 +1,198 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const fs = require('fs');
+const resolve = require('path').resolve;
+const parseUrl = require('url').parse;
+const querystring = require('querystring');
+
+const ReplayError = require('./errors').ReplayError;
+
+const MODES = [ 'record', 'replay' ];
+
+/**
+ * Records responses of the board to a folder and plays them back, so code
+ * built on ipslib can be tested against fixtures instead of a live board.
+ *
+ * The folder contains `cassette.json`, which lists the requests in the
+ * order they were sent, and the body of every response in its own file,
+ * so binary downloads are kept as they are.
+ *
+ * Responses are matched by method and URL. If the same URL was requested
+ * more than once, the responses are played back in the recorded order, and
+ * the last one is repeated when they run out. Request bodies aren't
+ * compared, since they contain passwords and one-time codes.
+ */
+class Cassette {
+
+	/**
+	 * @param {string} path Folder of the cassette
+	 * @param {string} mode "record" or "replay". Recording starts with an empty cassette.
+	 * @param {Logger} logger Logger
+	 */
+	constructor(path, mode, logger) {
+		if (!_.includes(MODES, mode)) {
+			throw new Error('Unknown cassette mode "' + mode + '", must be "record" or "replay".');
+		}
+		this.path = path;
+		this.mode = mode;
+		this.logger = logger;
+		this._indexPath = resolve(path, 'cassette.json');
+		this._positions = {};
+
+		if (mode === 'replay') {
+			if (!fs.existsSync(this._indexPath)) {
+				throw new Error('No cassette found at ' + path + ', record one first.');
+			}
+			this._entries = JSON.parse(fs.readFileSync(this._indexPath));
+
+		} else {
+			if (!fs.existsSync(path)) {
+				fs.mkdirSync(path, { recursive: true });
+			}
+			if (fs.existsSync(this._indexPath)) {
+				JSON.parse(fs.readFileSync(this._indexPath))
+					.filter(entry => fs.existsSync(resolve(path, entry.body)))
+					.forEach(entry => fs.unlinkSync(resolve(path, entry.body)));
+			}
+			this._entries = [];
+			this._save();
+		}
+	}
+
+	/**
+	 * Returns a cassette for the given option, which is either a cassette
+	 * already or its settings.
+	 *
+	 * @param {Cassette|{ path: string, mode: string }} cassette Cassette or settings
+	 * @param {Logger} logger Logger
+	 * @returns {Cassette}
+	 */
+	static create(cassette, logger) {
+		return cassette instanceof Cassette ? cassette : new Cassette(cassette.path, cassette.mode, logger);
+	}
+
+	/**
+	 * Streams the body of a response to the cassette and adds the response
+	 * once it's complete, so large downloads don't end up in memory.
+	 *
+	 * @param {{ method: string, uri: string, [qs]: {} }} config Options passed to "request()"
+	 * @param {IncomingMessage} response Paused response
+	 * @returns {Promise.<IncomingMessage>} Paused response played back from the cassette
+	 */
+	record(config, response) {
+		const entry = {
+			method: config.method,
+			url: this._getUrl(config),
+			finalUrl: response.request.uri.href,
+			statusCode: response.statusCode,
+			headers: response.headers,
+			redirects: response.redirects || [],
+			body: _.padStart(String(this._entries.length + 1), 4, '0') + this._getExtension(response.headers['content-type'])
+		};
+		// reserve the position, parallel requests are recorded at the same time
+		this._entries.push(null);
+		const index = this._entries.length - 1;
+		const path = resolve(this.path, entry.body);
+
+		return new Promise((resolve, reject) => {
+			const writeStream = fs.createWriteStream(path);
+			writeStream.on('finish', () => resolve(writeStream.bytesWritten)).on('error', err => {
+				response.destroy();
+				reject(err);
+			});
+			response.on('error', err => {
+				response.unpipe(writeStream);
+				writeStream.destroy();
+				reject(err);
+			});
+			response.pipe(writeStream);
+			response.resume();
+
+		}).then(size => {
+			this._entries[index] = entry;
+			this._save();
+			this.logger.info('Recorded %s %s (%s, %d bytes).', entry.method, entry.url, entry.statusCode, size);
+			return this._createResponse(entry);
+
+		}).catch(err => {
+			if (fs.existsSync(path)) {
+				fs.unlinkSync(path);
+			}
+			throw err;
+		});
+	}
+
+	/**
+	 * Returns the recorded response of a request.
+	 *
+	 * Cookies set by the response and by the redirects that led to it are
+	 * added to the request's cookie jar.
+	 *
+	 * @param {{ method: string, uri: string, [qs]: {}, [jar]: * }} config Options passed to "request()"
+	 * @returns {IncomingMessage} Paused response
+	 */
+	replay(config) {
+		const url = this._getUrl(config);
+		const key = config.method + ' ' + url;
+		const entries = this._entries.filter(entry => entry.method === config.method && entry.url === url);
+		if (!entries.length) {
+			throw new ReplayError('No response recorded for ' + key + ' in ' + this.path + '.', config.method, url);
+		}
+		const position = this._positions[key] || 0;
+		const entry = entries[Math.min(position, entries.length - 1)];
+		this._positions[key] = position + 1;
+
+		if (config.jar && config.jar.setCookie) {
+			(entry.redirects || []).forEach(redirect => redirect.cookies.forEach(cookie => config.jar.setCookie(cookie, redirect.url, { ignoreError: true })));
+			_.castArray(entry.headers['set-cookie'] || []).forEach(cookie => config.jar.setCookie(cookie, entry.finalUrl, { ignoreError: true }));
+		}
+		return this._createResponse(entry);
+	}
+
+	/**
+	 * Returns a paused stream of the recorded body looking like a response
+	 * of "request()".
+	 *
+	 * @param {{ statusCode: number, headers: {}, finalUrl: string, body: string }} entry Recorded request
+	 * @returns {IncomingMessage} Paused response
+	 * @private
+	 */
+	_createResponse(entry) {
+		const response = fs.createReadStream(resolve(this.path, entry.body));
+		response.statusCode = entry.statusCode;
+		response.headers = _.clone(entry.headers);
+		response.request = { uri: parseUrl(entry.finalUrl) };
+		response.pause();
+		return response;
+	}
+
+	/**
+	 * Returns the requested URL including the query.
+	 *
+	 * @param {{ uri: string, [qs]: {} }} config Options passed to "request()"
+	 * @returns {string} URL
+	 * @private
+	 */
+	_getUrl(config) {
+		const qs = querystring.stringify(_.omitBy(config.qs, _.isUndefined));
+		return qs ? config.uri + (config.uri.indexOf('?') < 0 ? '?' : '&') + qs : config.uri;
+	}
+
+	_getExtension(contentType) {
+		if (/html/i.test(contentType)) {
+			return '.html';
+		}
+		if (/json/i.test(contentType)) {
+			return '.json';
+		}
+		return '.bin';
+	}
+
+	_save() {
+		fs.writeFileSync(this._indexPath, JSON.stringify(this._entries.filter(entry => entry), null, '\t'));
+	}
+}
+
+module.exports = Cassette;
\ No newline at end of file
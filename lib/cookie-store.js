@@ -0,0 +1,92 @@
+"use strict";
+
+const fs = require('fs');
+const Cookie = require('tough-cookie').Cookie;
+const MemoryCookieStore = require('tough-cookie').MemoryCookieStore;
+
+/**
+ * A cookie store that keeps cookies in memory like tough-cookie's
+ * MemoryCookieStore, but writes them to a JSON file on every change so a
+ * session can be restored after a restart.
+ *
+ * Custom stores can be provided instead through the `session` option of
+ * Ips. They must implement tough-cookie's `Store` interface and be
+ * synchronous, since request accesses the jar synchronously.
+ */
+module.exports = class extends MemoryCookieStore {
+
+	/**
+	 * @param {string} path Path to the JSON file
+	 */
+	constructor(path) {
+		super();
+		this._path = path;
+		this._load();
+	}
+
+	putCookie(cookie, cb) {
+		super.putCookie(cookie, this._saveAfter(cb));
+	}
+
+	removeCookie(domain, path, key, cb) {
+		super.removeCookie(domain, path, key, this._saveAfter(cb));
+	}
+
+	removeCookies(domain, path, cb) {
+		super.removeCookies(domain, path, this._saveAfter(cb));
+	}
+
+	removeAllCookies(cb) {
+		super.removeAllCookies(this._saveAfter(cb));
+	}
+
+	/**
+	 * Reads cookies from disk into the memory index.
+	 * @private
+	 */
+	_load() {
+		if (!fs.existsSync(this._path)) {
+			return;
+		}
+		let cookies;
+		try {
+			cookies = JSON.parse(fs.readFileSync(this._path));
+		} catch (err) {
+			// a corrupt file just means we need to login again.
+			return;
+		}
+		cookies.map(c => Cookie.fromJSON(c)).filter(c => c).forEach(cookie => {
+			super.putCookie(cookie, () => {});
+		});
+	}
+
+	/**
+	 * Writes all cookies of the memory index to disk.
+	 *
+	 * The file holds the session, so only the owner may read it. The mode
+	 * only applies to new files, existing ones are fixed as well.
+	 * @private
+	 */
+	_save() {
+		this.getAllCookies((err, cookies) => {
+			fs.writeFileSync(this._path, JSON.stringify(cookies.map(c => c.toJSON()), null, '\t'), { mode: 0o600 });
+			fs.chmodSync(this._path, 0o600);
+		});
+	}
+
+	/**
+	 * Wraps a callback so the store is saved before it's called.
+	 *
+	 * @param {Function} cb Callback
+	 * @returns {Function} Wrapped callback
+	 * @private
+	 */
+	_saveAfter(cb) {
+		return err => {
+			if (!err) {
+				this._save();
+			}
+			cb(err);
+		};
+	}
+};
\ No newline at end of file
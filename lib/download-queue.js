@@ -0,0 +1,136 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+
+/**
+ * Downloads a list of files with a given number of parallel downloads.
+ *
+ * A failing download doesn't abort the queue. Instead, every item ends up
+ * with a result telling whether it was downloaded, skipped, failed or
+ * cancelled.
+ */
+module.exports = class {
+
+	/**
+	 * @param {Downloads} downloads Downloads module
+	 * @param {string} destFolder Destination folder
+	 * @param {{ [concurrency]: number, [minDelay]: number, [maxDelay]: number }} [opts] Options, also passed to the download of
+	 *        every item. Every download waits between `minDelay` and `maxDelay` milliseconds before starting, no delay by default.
+	 */
+	constructor(downloads, destFolder, opts) {
+		this._downloads = downloads;
+		this._destFolder = destFolder;
+		this._opts = opts || {};
+		this._opts.minDelay = this._opts.minDelay || 0;
+		this._opts.maxDelay = this._opts.maxDelay || this._opts.minDelay;
+		this._concurrency = this._opts.concurrency || 2;
+		this._items = [];
+		this._paused = false;
+		this._cancelled = false;
+		this._waiting = [];
+		this.logger = downloads.logger;
+	}
+
+	/**
+	 * Adds files to the queue.
+	 *
+	 * @param {{url: string, id: number, category: string}|{url: string, id: number, category: string}[]} files Files to add
+	 * @returns {this}
+	 */
+	add(files) {
+		_.castArray(files).forEach(file => this._items.push({ file: file }));
+		return this;
+	}
+
+	/**
+	 * Starts downloading.
+	 *
+	 * @returns {Promise.<{ file: {}, status: string, paths: {path: string}[], [error]: Error }[]>} Result of every item, where `status` is one of
+	 *          "success", "skipped", "failed" or "cancelled".
+	 */
+	start() {
+		if (this._started) {
+			return this._started;
+		}
+		let next = 0;
+		const work = () => {
+			return this._waitIfPaused().then(() => {
+				if (this._cancelled || next >= this._items.length) {
+					return;
+				}
+				const item = this._items[next++];
+				return this._downloadItem(item).then(work);
+			});
+		};
+		const workers = _.times(Math.min(this._concurrency, this._items.length), work);
+		return this._started = Promise.all(workers).then(() => {
+			this._items.filter(item => !item.status).forEach(item => {
+				item.status = 'cancelled';
+				item.paths = [];
+			});
+			return this._items.map(item => _.pick(item, [ 'file', 'status', 'paths', 'error' ]));
+		});
+	}
+
+	/**
+	 * Pauses the queue. Running downloads complete but no new download is started.
+	 */
+	pause() {
+		this._paused = true;
+	}
+
+	/**
+	 * Resumes a paused queue.
+	 */
+	resume() {
+		this._paused = false;
+		this._waiting.forEach(resolve => resolve());
+		this._waiting = [];
+	}
+
+	/**
+	 * Cancels the queue. Remaining items are reported as cancelled.
+	 *
+	 * Downloads already running are not aborted. They complete and keep
+	 * their result, and {@link #start()} resolves once they're done.
+	 */
+	cancel() {
+		this._cancelled = true;
+		this.resume();
+	}
+
+	/**
+	 * Downloads an item and records its result.
+	 *
+	 * @param {{ file: {} }} item Queue item
+	 * @returns {Promise}
+	 * @private
+	 */
+	_downloadItem(item) {
+		return this._downloads._downloadItem(item.file, this._destFolder, this._opts).then(paths => {
+			item.paths = paths;
+			item.status = _.isEmpty(paths) || _.every(paths, 'skipped') ? 'skipped' : 'success';
+			item.file.localFiles = paths;
+
+		}).catch(err => {
+			this.logger.error('Error downloading "%s": %s', item.file.title, err.message);
+			item.paths = [];
+			item.status = 'failed';
+			item.error = err;
+		});
+	}
+
+	/**
+	 * Returns a promise that resolves as soon as the queue isn't paused.
+	 *
+	 * @returns {Promise}
+	 * @private
+	 */
+	_waitIfPaused() {
+		if (!this._paused) {
+			return Promise.resolve();
+		}
+		return new Promise(resolve => this._waiting.push(resolve));
+	}
+};
\ No newline at end of file
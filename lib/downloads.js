@@ -5,8 +5,34 @@ const _ = require('lodash');
 const fs = require('fs');
 const ent = require('ent');
 const cheerio = require('cheerio');
-const request = require('request');
+const marked = require('marked').marked;
 const resolve = require('path').resolve;
+const basename = require('path').basename;
+
+const DownloadQueue = require('./download-queue');
+const Mirror = require('./mirror');
+const Snapshots = require('./snapshots');
+const Paging = require('./paging');
+const Query = require('./query');
+const HttpError = require('./errors').HttpError;
+const NotFoundError = require('./errors').NotFoundError;
+const ParseError = require('./errors').ParseError;
+const UnsupportedVersionError = require('./errors').UnsupportedVersionError;
+
+/**
+ * Properties retrieved by {@link #getFileDetails()} and {@link #getVersions()}.
+ */
+const DETAILS = [ 'version', 'submitted', 'updated', 'size', 'tags', 'rating', 'reviews', 'screenshots', 'detailsUpdated', 'versions' ];
+
+/**
+ * Units of file sizes as displayed by IPS.
+ */
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Units of waiting times as displayed by IPS, in milliseconds.
+ */
+const TIME_UNITS = { second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
 
 module.exports = class {
 
@@ -14,55 +40,125 @@ module.exports = class {
 		this._ips = ips;
 		this._categoryCachePath = resolve(ips._cache, ips.id + '-categories.json');
 		this._fileCachePath = resolve(ips._cache, ips.id + '-files.json');
+		this._snapshots = new Snapshots(resolve(ips._cache, ips.id + '-snapshots.json'));
 		this._opts = opts;
 		this.logger = ips.logger;
 	}
 
+	/**
+	 * Returns all download categories.
+	 *
+	 * Every category has its `parentId` and its `path`, the labels from the
+	 * root, separated by slashes. IPS3 boards don't list descriptions, so
+	 * `description` is always null there.
+	 *
+	 * @param {{ [forceRefresh]: boolean, [tree]: boolean }} [opts] Options. If `tree` is set, only root categories are returned,
+	 *        with their sub-categories in `children`.
+	 * @returns {Promise.<{id: number, label: string, url: string, parentId: number, path: string, fileCount: number, description: string, [children]: {}[]}[]>} Downloaded or cached categories
+	 */
+	getCategories(opts) {
+
+		opts = opts || {};
+
+		return Promise.try(() => {
+
+			if (!opts.forceRefresh && fs.existsSync(this._categoryCachePath)) {
+				return this._getCategoryCache();
+			}
+			return this._fetchCategories().then(categories => {
+				categories = this._computePaths(categories);
+				fs.writeFileSync(this._categoryCachePath, JSON.stringify(categories, null, '\t'));
+				return this._categoryCache = categories;
+			});
+
+		}).then(categories => opts.tree ? this._buildTree(categories) : categories);
+	}
+
 	/**
 	 * Returns the first category that matches the provided query.
 	 * Fuzzy search is applied, i.e. "fun pics" will match "Funny Pics".
 	 *
+	 * If the query contains a slash, it's matched against the category's
+	 * path, i.e. "vpx/tables" will match "Tables" under "VPX". Exact
+	 * matches are preferred.
+	 *
 	 * @param {string} query Search query
 	 * @param [opts] Options to pass to {@link #getCategories()}
-	 * @returns {Promise.<{id: number, label: string, url: string}>} Matched category or null if nothing found.
+	 * @returns {Promise.<{id: number, label: string, url: string, path: string}>} Matched category or null if nothing found.
 	 */
 	findCategory(query, opts) {
-		let regex = new RegExp(query.replace(/[^a-z0-9\s]+/gi, '').replace(/\s+/, '.*?'), 'i');
-		return this.getCategories(opts).then(categories => _.find(categories, c => regex.test(c.label)));
+		let field = query.indexOf('/') > -1 ? 'path' : 'label';
+		let regex = new RegExp(query.replace(/[^a-z0-9\s\/]+/gi, '').trim().replace(/\s*\/\s*/g, '[^/]*?/.*?').replace(/\s+/g, '.*?'), 'i');
+		return this.getCategories(_.assign({}, opts, { tree: false })).then(categories => {
+			let label = c => (c[field] || c.label).toLowerCase();
+			return _.find(categories, c => label(c) === query.toLowerCase().trim()) || _.find(categories, c => regex.test(c[field] || c.label));
+		});
 	}
 
 	/**
-	 * Returns the first file that matches the provided query for a given category.
+	 * Returns the file that best matches the provided query for a given category.
 	 * Fuzzy search is applied.
 	 *
 	 * @param {string} query Search query
 	 * @param {Number|{id: number, label: string, url: string}} cat Category
 	 * @param [opts] Options to pass to {@link #getFiles()}
-	 * @returns {Promise.<{ url: string, id: number, title: string, description: string downloads: number, views: number, author: string, category: number, [filename]: string, [broken]: boolean }>}
+	 * @returns {Promise.<{ url: string, id: number, title: string, description: string downloads: number, views: number, author: string, authorId: number, authorUrl: string, category: number, [filename]: string, [broken]: boolean }>}
 	 */
 	findFile(query, cat, opts) {
-		return this.getFiles(cat, opts).then(files => _.find(files, this.matchFile(query)));
+		return this.findFiles(query, cat, opts).then(files => _.first(files));
 	}
 
 	/**
-	 * Returns the all files that match the provided query for a given category.
-	 * Fuzzy search is applied.
+	 * Returns the all files that match the provided query for a given category,
+	 * ordered by relevance. Fuzzy search is applied.
 	 *
 	 * @param {String} query Search query
 	 * @param {number|{id: Number, label: string, url: string}} cat Category
 	 * @param [opts] Options to pass to {@link #getFiles()}
-	 * @returns {Promise.<{ url: string, id: number, title: string, description: string downloads: number, views: number, author: string, category: number, [filename]: string, [broken]: boolean }[]>}
+	 * @returns {Promise.<{ url: string, id: number, title: string, description: string downloads: number, views: number, author: string, authorId: number, authorUrl: string, category: number, [filename]: string, [broken]: boolean }[]>}
 	 */
 	findFiles(query, cat, opts) {
-		return this.getFiles(cat, opts).then(files => _.filter(files, this.matchFile(query)));
+		return this.getFiles(cat, opts).then(files => new Query(query).run(files).map(result => result.file));
+	}
+
+	/**
+	 * Searches files of all cached categories.
+	 *
+	 * Files are ranked by relevance across title, author, file listing and
+	 * description, and can be filtered and sorted by any field. Nothing is
+	 * fetched, so categories must have been indexed with {@link #getFiles()}
+	 * before.
+	 *
+	 * @param {string} [query] Search query, all files if empty
+	 * @param {{ [author]: string, [dateFrom]: Date, [dateTo]: Date, [minDownloads]: number, [broken]: boolean, [categories]: number[], [sortBy]: string, [order]: string, [limit]: number, [includeRemoved]: boolean }} [opts] Options.
+	 *        `sortBy` is "score" or any file field, defaults to "score" when there is a query. `order` is "asc" or "desc".
+	 *        Files removed from the board are left out unless `includeRemoved` is set.
+	 * @returns {Promise.<{ url: string, id: number, title: string, description: string downloads: number, author: string, category: number, score: number }[]>} Matched files, including their relevance as `score`.
+	 */
+	query(query, opts) {
+		opts = opts || {};
+		return Promise.try(() => {
+			let files = this._getAllCachedFiles().filter(file => opts.includeRemoved || !file.removed);
+			if (!_.isEmpty(opts.categories)) {
+				const categories = _.castArray(opts.categories).map(cat => String(_.isObject(cat) ? cat.id : cat));
+				files = files.filter(file => _.includes(categories, String(file.category)));
+			}
+			let results = new Query(query, opts).run(files).map(result => _.assign({}, result.file, { score: result.score }));
+			return opts.limit ? _.take(results, opts.limit) : results;
+		});
 	}
 
 	/**
 	 * Returns all files of a given category.
 	 *
+	 * Files that disappeared from the board since they were indexed stay in
+	 * the cache, flagged as `removed`, but are only returned with
+	 * `includeRemoved`.
+	 *
 	 * @param {number|{id: number, label: string, url: string}} cat Category
-	 * @param {{ [forceRefresh]: boolean, [minDelay]: number, [maxDelay]: number, author:string }} [opts] Options
-	 * @returns {Promise.<{ url: string, id: number, title: string, description: string downloads: number, views: number, author: string, category: number, [filename]: string, [broken]: boolean }[]>} All items of a given category
+	 * @param {{ [forceRefresh]: boolean, [minDelay]: number, [maxDelay]: number, author:string, [includeRemoved]: boolean }} [opts] Options.
+	 *        If `author` is set, only files of that author are returned.
+	 * @returns {Promise.<{ url: string, id: number, title: string, description: string downloads: number, views: number, author: string, authorId: number, authorUrl: string, category: number, [filename]: string, [broken]: boolean, [removed]: boolean }[]>} All items of a given category
 	 */
 	getFiles(cat, opts) {
 
@@ -90,91 +186,231 @@ module.exports = class {
 			}
 
 			return this._fetchPage(cat, 1, opts).then(fetchedItems => {
-				if (!_.isEmpty(files)) {
-
-					// merge results:
-					fetchedItems.forEach(file => {
-
-						// 1. copy info and file names before removing old file
-						let cachedFile = _.find(files, f => f.id === file.id);
-						if (cachedFile) {
-							file.info = cachedFile.info ? cachedFile.info : file.info;
-							file.listing = cachedFile.listing ? cachedFile.listing : file.listing;
-							file.description = cachedFile.description ? cachedFile.description : file.description;
-						}
-						file.category = catId;
-
-						// 2. remove existing files from cache
-						files = _.filter(files, f => f.id !== file.id);
-					});
-					// 3. append new files to cache
-					files = files.concat(fetchedItems);
-				} else {
-					files = fetchedItems;
-				}
+				this._detectChanges(catId, fetchedItems, opts);
+				files = _.isEmpty(files) ? fetchedItems : this._mergeFiles(catId, files, fetchedItems, opts);
 				this._saveFileCache(catId, files);
 				return this._getFileCache(catId);
 			});
+
+		}).then(files => {
+			files = files.filter(file => opts.includeRemoved || !file.removed);
+			return opts.author ? new Query(null, { author: opts.author }).run(files).map(result => result.file) : files;
 		});
 	}
 
 	/**
-	 * Retrieves file details, inclusively file name.
+	 * Returns what changed in a category between the last two index refreshes.
 	 *
-	 * @param file
-	 * @returns {Promise.<{ url: string, id: number, title: string, description: string downloads: number, views: number, author: string, category: number, [filename]: string, [broken]: boolean }>}
+	 * Files are compared by title, date, number of downloads and description.
+	 * After the first refresh, all files are reported as added.
+	 *
+	 * @param {number|{id: number, label: string, url: string}} cat Category
+	 * @param {{ [forceRefresh]: boolean }} [opts] Options passed to {@link #getFiles()}, refresh first if `forceRefresh` is set.
+	 * @returns {Promise.<{ category: number, since: Date, until: Date, added: {}[], removed: {}[], changed: { file: {}, fields: {} }[] }|null>} Changes or null if the category was never fetched
 	 */
-	getFileDetails(file) {
+	getChanges(cat, opts) {
+		opts = opts || {};
+		return Promise.try(() => {
+			if (opts.forceRefresh) {
+				return this.getFiles(cat, opts);
+			}
+		}).then(() => this._snapshots.getChanges(_.isObject(cat) ? cat.id : cat));
+	}
 
-		throw new Error('Refactor before usage.');
-		let cachedFile = _.find(this._getFileCache(file.category), { id: file.id });
-		if (!cachedFile) {
-			return Promise.reject(new Error('Must provide a file retrieved from #getFiles(), #findFiles() or #findFile().'));
+	/**
+	 * Updates the snapshot of a category and emits `files:changed` on the
+	 * Ips instance if anything changed.
+	 *
+	 * @param {number} catId Category ID
+	 * @param {{}[]} fetchedItems Fetched files
+	 * @param {{ firstPageOnly: boolean }} opts Options
+	 * @private
+	 */
+	_detectChanges(catId, fetchedItems, opts) {
+		const changes = this._snapshots.update(catId, fetchedItems, opts.firstPageOnly);
+		if (changes.added.length || changes.removed.length || changes.changed.length) {
+			this.logger.info('Category %s: %d added, %d removed, %d changed.', catId, changes.added.length, changes.removed.length, changes.changed.length);
+			this._ips.emit('files:changed', changes);
 		}
+	}
 
-		return this._getDownloadUrl(cachedFile).then(downloadUrl => {
-
-			this._saveFileCache();
-			return this._prepareDownload({ url: downloadUrl, jar: this._ips._cookieJar });
+	/**
+	 * Merges freshly fetched files into the cached files of a category.
+	 *
+	 * Details only retrieved from the file page are kept unless the file
+	 * was updated since. If all pages were fetched, cached files that
+	 * aren't listed anymore are flagged as `removed`.
+	 *
+	 * @param {number} catId Category ID
+	 * @param {{}[]} files Cached files
+	 * @param {{}[]} fetchedItems Fetched files
+	 * @param {{ firstPageOnly: boolean }} opts Options
+	 * @returns {{}[]} Merged files
+	 * @private
+	 */
+	_mergeFiles(catId, files, fetchedItems, opts) {
 
-		}).spread((readStream, body) => {
+		fetchedItems.forEach(file => {
 
-			if (!body) {
-				throw new Error('Got a stream, aborting.');
+			// 1. copy info and file names before removing old file
+			let cachedFile = _.find(files, f => f.id === file.id);
+			if (cachedFile) {
+				let updated = cachedFile.date && file.date && new Date(cachedFile.date).getTime() !== new Date(file.date).getTime();
+				file.info = cachedFile.info && !updated ? cachedFile.info : file.info;
+				file.listing = cachedFile.listing && !updated ? cachedFile.listing : file.listing;
+				file.description = cachedFile.description ? cachedFile.description : file.description;
+				file.filename = !updated ? cachedFile.filename : file.filename;
+				if (!updated) {
+					_.defaults(file, _.pick(cachedFile, DETAILS));
+				}
 			}
+			file.category = catId;
 
-			if (body) {
-				let $ = cheerio.load(body);
-				cachedFile.listing = $('#files > ul > li').map(function() {
-					return $(this).find('strong.name').html();
-				}).get();
-			}
+			// 2. remove existing files from cache
+			files = _.filter(files, f => f.id !== file.id);
+		});
+
+		// 3. flag files that disappeared
+		if (!opts.firstPageOnly) {
+			files.forEach(file => file.removed = true);
+		}
+
+		// 4. append new files to cache
+		return files.concat(fetchedItems);
+	}
+
+	/**
+	 * Retrieves file details from the file page.
+	 *
+	 * Details are saved to the cached file and served from there until
+	 * the file is updated or `forceRefresh` is set.
+	 *
+	 * Without an API key, the file listing is only on the download page.
+	 * That page is fetched if `listing` is set, but if the file has only
+	 * one file, it's sent right away and the board may count it as a
+	 * download.
+	 *
+	 * @param {{url: string, id: number, category: string}} file File
+	 * @param {{ [forceRefresh]: boolean, [listing]: boolean }} [opts] Options
+	 * @returns {Promise.<{ url: string, id: number, title: string, description: string, downloads: number, author: string, category: number, version: string, submitted: Date, updated: Date, size: number, tags: string[], rating: number, reviews: number, screenshots: string[], listing: {filename: string, url: string}[], info: {name: string, value: string}[] }>}
+	 */
+	getFileDetails(file, opts) {
+
+		opts = opts || {};
+		let cachedFile = this._getCachedFile(file);
+		if (!cachedFile) {
+			return Promise.reject(new Error('Must provide a file retrieved from #getFiles(), #findFiles(), #findFile() or Ips#search().'));
+		}
+		if (cachedFile.detailsUpdated && !opts.forceRefresh && (!opts.listing || cachedFile.listing)) {
+			return Promise.resolve(cachedFile);
+		}
+
+		return this._fetchFileDetails(cachedFile, opts).then(details => {
+			_.assign(cachedFile, _.omitBy(details, _.isUndefined), { detailsUpdated: new Date() });
 			this._saveFileCache();
 			return cachedFile;
 		});
 	}
 
+	/**
+	 * Returns the version history of a file, latest version first.
+	 *
+	 * Versions are saved to the cached file and served from there until
+	 * the file is updated or `forceRefresh` is set. Only versions that the
+	 * board kept a backup of have a `downloadUrl`.
+	 *
+	 * @param {{url: string, id: number, category: string}} file File
+	 * @param {{ [forceRefresh]: boolean }} [opts] Options
+	 * @returns {Promise.<{ version: string, date: Date, changelog: string, [downloadUrl]: string }[]>} Versions
+	 */
+	getVersions(file, opts) {
+
+		opts = opts || {};
+		let cachedFile = this._getCachedFile(file);
+		if (!cachedFile) {
+			return Promise.reject(new Error('Must provide a file retrieved from #getFiles(), #findFiles(), #findFile() or Ips#search().'));
+		}
+		if (cachedFile.versions && !opts.forceRefresh) {
+			return Promise.resolve(cachedFile.versions);
+		}
+
+		return this._fetchVersions(cachedFile).then(versions => {
+			cachedFile.versions = versions;
+			this._saveFileCache();
+			return versions;
+		});
+	}
+
+	/**
+	 * Returns the comments of a file, walking through all pages.
+	 *
+	 * @param {{url: string, id: number, category: string}} file File
+	 * @param {{ [firstPageOnly]: boolean, [minDelay]: number, [maxDelay]: number }} [opts] Options
+	 * @returns {Promise.<{ id: number, author: string, date: Date, body: string, url: string, file: number }[]>} Comments, body as Markdown.
+	 */
+	getComments(file, opts) {
+		return this._getFeedback(file, 'comments', opts);
+	}
+
+	/**
+	 * Returns the reviews of a file, walking through all pages.
+	 *
+	 * @param {{url: string, id: number, category: string}} file File
+	 * @param {{ [firstPageOnly]: boolean, [minDelay]: number, [maxDelay]: number }} [opts] Options
+	 * @returns {Promise.<{ id: number, author: string, date: Date, rating: number, body: string, url: string, file: number }[]>} Reviews, body as Markdown.
+	 */
+	getReviews(file, opts) {
+		return this._getFeedback(file, 'reviews', opts);
+	}
+
+	/**
+	 * Posts a comment on a file with the logged account.
+	 *
+	 * @param {{url: string, id: number, category: string}} file File
+	 * @param {string} markdown Comment as Markdown
+	 * @returns {Promise.<{ id: number, url: string }>} Posted comment
+	 */
+	addComment(file, markdown) {
+		return this._addFeedback(file, 'comment', markdown);
+	}
+
+	/**
+	 * Posts a review on a file with the logged account.
+	 *
+	 * @param {{url: string, id: number, category: string}} file File
+	 * @param {number} rating Rating between 1 and 5
+	 * @param {string} markdown Review as Markdown
+	 * @returns {Promise.<{ id: number, url: string }>} Posted review
+	 */
+	addReview(file, rating, markdown) {
+		if (!_.isInteger(rating) || rating < 1 || rating > 5) {
+			return Promise.reject(new Error('Rating must be a number between 1 and 5.'));
+		}
+		return this._addFeedback(file, 'review', markdown, rating);
+	}
+
 	/**
 	 * Downloads one or more files to the given destination.
 	 *
-	 * If an array of files is given, all files will be downloaded.
+	 * If an array of files is given, all files are downloaded through a
+	 * {@link #queue()} and the result of every file is returned.
 	 *
 	 * @param {{url: string, id: number, category: string}|{url: string, id: number, category: string}[]} file
 	 * @param {string} destFolder Destination folder
-	 * @param {{allFiles: boolean, filename: string}} [opts] Options.
-	 * @returns {Promise.<{string}>|Promise.<{String[]}>} Path(s) to downloaded file(s)
+	 * @param {{allFiles: boolean, filename: string, version: string, concurrency: number}} [opts] Options. Set `version`
+	 *        to download a previous version listed by {@link #getVersions()}. It's saved to a sub-folder named after
+	 *        the version, so it doesn't clash with the current version.
+	 * @returns {Promise.<{path: string}[]>|Promise.<{ file: {}, status: string, paths: {path: string}[], [error]: Error }[]>} Paths to downloaded files or results when downloading multiple files
 	 */
 	download(file, destFolder, opts) {
 
 		opts = opts || {};
-		opts.minDelay = opts.minDelay || 500;
-		opts.maxDelay = opts.maxDelay || 2000;
+		opts.minDelay = opts.minDelay || 0;
+		opts.maxDelay = opts.maxDelay || opts.minDelay;
 
 		return Promise.try(() => {
 			if (_.isArray(file)) {
-				return Promise.each(file, f => {
-					return this._downloadItem(f, destFolder, opts).then(path => f.localFiles = path);
-				});
+				return this.queue(file, destFolder, opts).start();
 			}
 			return this._downloadItem(file, destFolder, opts);
 
@@ -184,86 +420,428 @@ module.exports = class {
 		});
 	}
 
+	/**
+	 * Returns a queue that downloads the given files in parallel.
+	 *
+	 * The number of requests to the board is limited by the `requestsPerMinute`
+	 * option of Ips, shared with all other requests.
+	 *
+	 * @param {{url: string, id: number, category: string}[]} files Files to download
+	 * @param {string} destFolder Destination folder
+	 * @param {{concurrency: number, allFiles: boolean, filename: string}} [opts] Options.
+	 * @returns {DownloadQueue} Queue, call `start()` to run it.
+	 */
+	queue(files, destFolder, opts) {
+		return new DownloadQueue(this, destFolder, opts).add(files);
+	}
+
+	/**
+	 * Keeps a local folder in sync with a category.
+	 *
+	 * Refreshes the index and downloads files that are new or were updated
+	 * since the last sync, according to a manifest saved in the destination
+	 * folder. Files removed upstream are kept, archived or deleted locally.
+	 *
+	 * @param {number|{id: number, label: string, url: string}} cat Category
+	 * @param {string} destFolder Destination folder
+	 * @param {{removed: string, archiveFolder: string, concurrency: number, allFiles: boolean}} [opts] Options. `removed` is one
+	 *        of "keep" (default), "archive" or "delete". Archived files are moved to `archiveFolder`, which defaults to
+	 *        "_archive" in the destination folder.
+	 * @returns {Promise.<{ added: {}[], updated: {}[], removed: {}[], unchanged: {}[], failed: {}[] }>} Report of what changed
+	 */
+	sync(cat, destFolder, opts) {
+		return Promise.try(() => new Mirror(this, destFolder, opts).run(cat)).then(report => {
+			this._saveFileCache();
+			return report;
+		});
+	}
+
+	/**
+	 * Submits a new file to a category through the board's submission form.
+	 *
+	 * Needs an account that is allowed to submit to the category.
+	 *
+	 * @param {number|{id: number}} cat Category
+	 * @param {{ title: string, description: string, files: string[], [screenshots]: string[], [tags]: string[], [version]: string }} data
+	 *        File to submit. `files` and `screenshots` are local paths, the description is HTML.
+	 * @returns {Promise.<{ id: number, url: string }>} Submitted file
+	 */
+	submit(cat, data) {
+		return Promise.try(() => {
+			this._validateUploads(data, [ 'title', 'description' ]);
+			return this._submitFile(_.isObject(cat) ? cat.id : cat, data);
+
+		}).then(url => {
+			this.logger.info('Submitted "%s" at %s.', data.title, url);
+			return { id: this._parseIdFromUrl(url, 'showfile'), url: url };
+		});
+	}
+
+	/**
+	 * Uploads a new version of an existing file.
+	 *
+	 * @param {{url: string, id: number, category: string}} file File
+	 * @param {{ version: string, [changelog]: string, files: string[], [screenshots]: string[] }} data New version. `files` and
+	 *        `screenshots` are local paths, the changelog is HTML.
+	 * @returns {Promise.<{ id: number, url: string }>} Updated file
+	 */
+	submitVersion(file, data) {
+		let cachedFile = this._getCachedFile(file);
+		if (!cachedFile) {
+			return Promise.reject(new Error('Must provide a file retrieved from #getFiles(), #findFiles(), #findFile() or Ips#search().'));
+		}
+		return Promise.try(() => {
+			this._validateUploads(data, [ 'version' ]);
+			return this._submitVersion(cachedFile, data);
+
+		}).then(url => {
+			this.logger.info('Submitted version %s of "%s".', data.version, cachedFile.title);
+			// cached details describe the previous version now
+			delete cachedFile.detailsUpdated;
+			delete cachedFile.versions;
+			this._saveFileCache();
+			return { id: cachedFile.id, url: url };
+		});
+	}
+
+	/**
+	 * Returns all comments or reviews of a file.
+	 *
+	 * @param {{url: string, id: number}} file File
+	 * @param {string} type Either "comments" or "reviews"
+	 * @param {{ [firstPageOnly]: boolean, [minDelay]: number, [maxDelay]: number }} [opts] Options
+	 * @returns {Promise.<{}[]>} Comments or reviews
+	 * @private
+	 */
+	_getFeedback(file, type, opts) {
+
+		opts = opts || {};
+		opts.minDelay = opts.minDelay || 500;
+		opts.maxDelay = opts.maxDelay || 2000;
+
+		let cachedFile = this._getCachedFile(file);
+		if (!cachedFile) {
+			return Promise.reject(new Error('Must provide a file retrieved from #getFiles(), #findFiles(), #findFile() or Ips#search().'));
+		}
+		return this._fetchFeedbackPage(cachedFile, type, 1, opts);
+	}
+
+	/**
+	 * Converts a comment or review to HTML and posts it.
+	 *
+	 * @param {{url: string, id: number}} file File
+	 * @param {string} type Either "comment" or "review"
+	 * @param {string} markdown Content as Markdown
+	 * @param {number} [rating] Rating of a review
+	 * @returns {Promise.<{ id: number, url: string }>} Posted comment or review
+	 * @private
+	 */
+	_addFeedback(file, type, markdown, rating) {
+
+		let cachedFile = this._getCachedFile(file);
+		if (!cachedFile) {
+			return Promise.reject(new Error('Must provide a file retrieved from #getFiles(), #findFiles(), #findFile() or Ips#search().'));
+		}
+		if (!markdown || !markdown.trim()) {
+			return Promise.reject(new Error('Cannot post an empty ' + type + '.'));
+		}
+		return this._postFeedback(cachedFile, type, marked(markdown), rating).then(result => {
+			this.logger.info('Posted %s on "%s".', type, cachedFile.title);
+			return result;
+		});
+	}
+
+	/**
+	 * Recursively fetches all comments or reviews of a file.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @param {string} type Either "comments" or "reviews"
+	 * @param {number} page Page to start
+	 * @param {{ firstPageOnly: boolean, minDelay: number, maxDelay: number }} opts Options
+	 * @param [items] Internal callback parameter
+	 * @returns {Promise.<{}[]>} Comments or reviews
+	 * @private
+	 */
+	_fetchFeedbackPage(cachedFile, type, page, opts, items) {
+		return Promise.reject(new UnsupportedVersionError('Reading ' + type + ' is not supported by this version of IPS.', this._opts.version));
+	}
+
+	/**
+	 * Posts a comment or review.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @param {string} type Either "comment" or "review"
+	 * @param {string} html Content as HTML
+	 * @param {number} [rating] Rating of a review
+	 * @returns {Promise.<{ id: number, url: string }>} Posted comment or review
+	 * @private
+	 */
+	_postFeedback(cachedFile, type, html, rating) {
+		return Promise.reject(new UnsupportedVersionError('Posting ' + type + 's is not supported by this version of IPS.', this._opts.version));
+	}
+
+	/**
+	 * Makes sure required properties are set and uploaded files exist.
+	 *
+	 * @param {{ files: string[], [screenshots]: string[] }} data Submitted data
+	 * @param {string[]} required Required properties besides files
+	 * @private
+	 */
+	_validateUploads(data, required) {
+		data = data || {};
+		required.forEach(prop => {
+			if (!data[prop]) {
+				throw new Error('Property `' + prop + '` is required.');
+			}
+		});
+		if (_.isEmpty(data.files)) {
+			throw new Error('Need at least one file to upload.');
+		}
+		_.castArray(data.files).concat(_.castArray(data.screenshots || [])).forEach(path => {
+			if (!fs.existsSync(path)) {
+				throw new Error('File "' + path + '" does not exist.');
+			}
+		});
+	}
+
+	/**
+	 * Submits a new file.
+	 *
+	 * @param {number} catId Category ID
+	 * @param {{}} data File to submit
+	 * @returns {Promise.<string>} URL of the new file
+	 * @private
+	 */
+	_submitFile(catId, data) {
+		return Promise.reject(new UnsupportedVersionError('Submitting files is not supported by this version of IPS.', this._opts.version));
+	}
+
+	/**
+	 * Submits a new version of a file.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @param {{}} data New version
+	 * @returns {Promise.<string>} URL of the file
+	 * @private
+	 */
+	_submitVersion(cachedFile, data) {
+		return Promise.reject(new UnsupportedVersionError('Submitting versions is not supported by this version of IPS.', this._opts.version));
+	}
+
 	/**
 	 * Downloads an IPS item to the given destination.
 	 *
 	 * @param {{url: string, id: number, category: string}} file
 	 * @param {string} destFolder Destination folder
-	 * @param {{allFiles: boolean, filename: string}} [opts] Options.
+	 * @param {{allFiles: boolean, filename: string, version: string}} [opts] Options.
 	 * @returns {Promise.<{string}[]>} Paths to downloaded files
 	 * @private
 	 */
 	_downloadItem(file, destFolder, opts) {
 
 		opts = opts || {};
-		let cachedFile = _.find(this._getFileCache(file.category), { id: file.id });
+		let cachedFile = this._getCachedFile(file);
 		if (!cachedFile) {
-			return Promise.reject(new Error('Must provide a file retrieved from #getFiles(), #findFiles() or #findFile().'));
+			return Promise.reject(new Error('Must provide a file retrieved from #getFiles(), #findFiles(), #findFile() or Ips#search().'));
+		}
+		if (cachedFile.removed) {
+			return Promise.reject(new NotFoundError('File "' + cachedFile.title + '" was removed from the board.', cachedFile.url));
 		}
-		if (cachedFile.filename && fs.existsSync(resolve(destFolder, cachedFile.filename))) {
+		if (opts.version) {
+			// old versions usually have the same file name as the current one
+			destFolder = resolve(destFolder, String(opts.version).replace(/[^\w\d\.\-]/gi, '_'));
+			if (!fs.existsSync(destFolder)) {
+				fs.mkdirSync(destFolder, { recursive: true });
+			}
+		} else if (cachedFile.filename && fs.existsSync(resolve(destFolder, cachedFile.filename))) {
 			this.logger.info('Skipping existing file "%s"...', cachedFile.filename);
-			return Promise.resolve([{ path: resolve(destFolder, cachedFile.filename) }]);
+			return Promise.resolve([{ path: resolve(destFolder, cachedFile.filename), skipped: true }]);
 		}
 
-		let delay = Math.floor(Math.random() * ( opts.maxDelay - opts.minDelay + 1)) + opts.minDelay;
-		return Promise.delay(delay).then(() => {
+		let downloadOpts;
+		return Promise.delay(Paging.randomDelay(opts)).then(() => {
+			if (opts.version) {
+				// file name and listing of an old version must not end up in the cache
+				cachedFile = _.clone(cachedFile);
+				return this._getVersionDownloadUrl(cachedFile, opts.version);
+			}
 			return this._getDownloadUrl(cachedFile);
 
 		}).then(downloadUrl => {
 			this._saveFileCache();
 
 			// fetch "file list" page
-			return this._prepareDownload({ url: downloadUrl, jar: this._ips._cookieJar });
+			downloadOpts = { url: downloadUrl, jar: this._ips._cookieJar };
+			return this._prepareDownload(downloadOpts);
 
 		}).spread((readStream, body, filename) => {
 
 			// no body means a stream, so download file.
 			if (!body) {
 				cachedFile.filename = filename;
-				return this._streamFile(readStream, filename, destFolder).then(path => [ { path: path } ]);
+				return this._streamFile(readStream, filename, destFolder, downloadOpts).then(path => [ { path: path } ]);
 			}
 
 			// check status code
 			let response = readStream;
 			if (response.statusCode === 404) {
 				this.logger.warn('Looks like this file is not available anymore, skipping.');
-				return Promise.resolve([cachedFile.filename]);
+				return Promise.resolve([]);
 			}
 			if (response.statusCode !== 200) {
-				throw new Error('Status code is ' + response.statusCode + ' instead of 200 when downloading confirmation page.');
+				throw new HttpError('Status code is ' + response.statusCode + ' instead of 200 when downloading confirmation page.', response.statusCode, downloadOpts.url);
 			}
 
 			// can be multiple, they are sorted by date ascending, so latest is last item.
 			let availableFiles = this._parseFileList(cheerio.load(body));
 			if (_.isEmpty(availableFiles)) {
-				throw new Error('Could not parse file names from download page.');
+				throw new ParseError('Could not parse file names from download page.', downloadOpts.url);
 			}
 			cachedFile.listing = availableFiles;
 			this._saveFileCache();
 
-			let filesToDownload = [];
-			if (opts.allFiles) {
-				filesToDownload = availableFiles;
+			return this._downloadSelected(cachedFile, availableFiles, destFolder, opts);
+		});
+	}
 
-			} else if (opts.filename) {
-				let file = _.find(availableFiles, file => file.filename === opts.filename);
-				if (!file) {
-					throw new Error('File "' + opts.filename + '" is not available. Available files: [ ' + availableFiles.map(f => f.filename).join(', ') + ' ].');
-				}
-				filesToDownload.push(file);
+	/**
+	 * Returns the download URL of a previous version of a file.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @param {string} version Version number
+	 * @returns {Promise.<string>}
+	 * @private
+	 */
+	_getVersionDownloadUrl(cachedFile, version) {
+		return this.getVersions(cachedFile).then(versions => {
+			let match = _.find(versions, v => v.version === String(version));
+			if (!match) {
+				throw new NotFoundError('Version "' + version + '" not found. Available versions: [ ' + versions.map(v => v.version).join(', ') + ' ].', cachedFile.url);
+			}
+			if (!match.downloadUrl) {
+				throw new NotFoundError('Version "' + version + '" is not available for download anymore.', cachedFile.url);
+			}
+			return match.downloadUrl;
+		});
+	}
 
-			} else {
-				filesToDownload.push(availableFiles[0]);
+	/**
+	 * Fetches the version history of a file.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @returns {Promise.<{ version: string, date: Date, changelog: string, [downloadUrl]: string }[]>} Versions
+	 * @private
+	 */
+	_fetchVersions(cachedFile) {
+		return Promise.reject(new UnsupportedVersionError('Version history is not supported by this version of IPS.', this._opts.version));
+	}
+
+	/**
+	 * Picks the files to download from the files available for an item
+	 * and downloads them.
+	 *
+	 * @param {{url: string, id: number, category: string}} cachedFile File from cache
+	 * @param {{ filename:string, url:string }[]} availableFiles Files available for download
+	 * @param {string} destFolder Destination folder
+	 * @param {{allFiles: boolean, filename: string}} opts Options.
+	 * @returns {Promise.<{path: string}[]>} Paths to downloaded files
+	 * @private
+	 */
+	_downloadSelected(cachedFile, availableFiles, destFolder, opts) {
+
+		let filesToDownload = [];
+		if (opts.allFiles) {
+			filesToDownload = availableFiles;
+
+		} else if (opts.filename) {
+			let file = _.find(availableFiles, file => file.filename === opts.filename);
+			if (!file) {
+				return Promise.reject(new NotFoundError('File "' + opts.filename + '" is not available. Available files: [ ' + availableFiles.map(f => f.filename).join(', ') + ' ].', cachedFile.url));
 			}
+			filesToDownload.push(file);
 
-			let localPaths = [];
-			return Promise.each(filesToDownload,
-				fileToDownload => this._downloadFile(cachedFile, fileToDownload, destFolder)
-					.then(path => localPaths.push({ path: path }))
-			);
+		} else {
+			filesToDownload.push(availableFiles[0]);
+		}
+
+		let localPaths = [];
+		return Promise.each(filesToDownload,
+			fileToDownload => this._downloadFile(cachedFile, fileToDownload, destFolder)
+				.then(path => localPaths.push({ path: path }))
+		).then(() => localPaths);
+	}
+
+	/**
+	 * Fetches the list of downloadable files behind a download URL.
+	 *
+	 * If the URL directly returns a file, the transfer is aborted and the
+	 * listing contains that file only.
+	 *
+	 * @param {string} downloadUrl Download URL of the item
+	 * @returns {Promise.<{filename: string, url: string}[]>} Available files or undefined if unknown
+	 * @private
+	 */
+	_fetchListing(downloadUrl) {
+		return this._prepareDownload({ url: downloadUrl, jar: this._ips._cookieJar }).spread((response, body, filename) => {
+			if (!body) {
+				response.destroy();
+				return [ { filename: filename, url: downloadUrl } ];
+			}
+			if (response.statusCode !== 200) {
+				this.logger.warn('Status code is %s when fetching file list, ignoring.', response.statusCode);
+				return undefined;
+			}
+			let listing = this._parseFileList(cheerio.load(body));
+			return _.isEmpty(listing) ? undefined : listing;
 		});
 	}
 
+	/**
+	 * Returns the value of a "File Information" entry.
+	 *
+	 * @param {{name: string, value: string}[]} info Parsed entries
+	 * @param {RegExp} name Name of the entry
+	 * @returns {string} Value or undefined if not available
+	 * @private
+	 */
+	_findInfo(info, name) {
+		let entry = _.find(info, i => name.test(i.name));
+		return entry ? entry.value : undefined;
+	}
+
+	/**
+	 * Converts a displayed file size such as "1.2 MB" to bytes.
+	 *
+	 * @param {string} text Displayed size
+	 * @returns {number} Size in bytes or undefined if not parsable
+	 * @private
+	 */
+	_parseSize(text) {
+		let match = /([\d.,]+)\s*([kmg]?b)/i.exec(text || '');
+		if (!match) {
+			return undefined;
+		}
+		return Math.round(parseFloat(match[1].replace(/,/g, '')) * SIZE_UNITS[match[2].toLowerCase()]);
+	}
+
+	/**
+	 * Parses when downloading is possible again from the page the board
+	 * returns once the daily limit is reached.
+	 *
+	 * @param {string} body Returned page
+	 * @returns {Date|null} Time of the reset or null if not mentioned
+	 * @private
+	 */
+	_parseQuotaReset(body) {
+		const $ = cheerio.load(body);
+		const time = $('#elError time, .ipsMessage time, time').first().attr('datetime');
+		if (time) {
+			return new Date(time);
+		}
+		const wait = $.root().text().match(/(?:again|reset)\s+in\s+(\d+)\s*(second|minute|hour|day)s?/i);
+		return wait ? new Date(Date.now() + parseInt(wait[1], 10) * TIME_UNITS[wait[2].toLowerCase()]) : null;
+	}
+
 	/**
 	 * Tries to download a binary file. However, download URLs at IPS might
 	 * randomly return a confirmation page instead of the binary stream. So this
@@ -279,88 +857,242 @@ module.exports = class {
 	 */
 	_prepareDownload(options) {
 
-		return new Promise((resolve, reject) => {
-
-			this.logger.info('--> GET %s', options.url);
-			let req = request(options);
-			req.on('response', response => {
-
-				// return stream
-				if (response.statusCode === 200 && response.headers['content-disposition']) {
-					req.pause(); // https://github.com/request/request/issues/1402
-					let match = response.headers['content-disposition'].match(/filename="([^"]+)"/i);
-					let filename;
-					if (match) {
-						filename = match[1];
-					} else {
-						filename = response.headers['content-disposition'].substr(response.headers['content-disposition'].toLowerCase().indexOf('filename'));
-						filename = filename.trim().replace(/\s/g, '.').replace(/[^\w\d\.\-]/gi, '');
-						this.logger.warn('Messed up Content-Disposition "%s", taking whole string "%s".', response.headers['content-disposition'], filename);
-					}
-					resolve([response, null, filename]);
+		return this._ips._http.stream(options).then(response => new Promise((resolve, reject) => {
 
-					// stream to memory
+			// return stream
+			if ((response.statusCode === 200 || response.statusCode === 206) && response.headers['content-disposition']) {
+				let match = response.headers['content-disposition'].match(/filename="([^"]+)"/i);
+				let filename;
+				if (match) {
+					filename = match[1];
 				} else {
-					let chunks = [];
-					response.on('data', function(chunk) {
-						chunks.push(chunk);
+					filename = response.headers['content-disposition'].substr(response.headers['content-disposition'].toLowerCase().indexOf('filename'));
+					filename = filename.trim().replace(/\s/g, '.').replace(/[^\w\d\.\-]/gi, '');
+					this.logger.warn('Messed up Content-Disposition "%s", taking whole string "%s".', response.headers['content-disposition'], filename);
+				}
+				resolve([response, null, filename]);
 
-					}).on('end', function() {
-						let buffer = Buffer.concat(chunks);
-						resolve([response, buffer.toString(), null]);
+			// images and other media linked directly are named after the URL
+			} else if (response.statusCode === 200 && /^(image|video|audio)\//i.test(response.headers['content-type'])) {
+				resolve([response, null, decodeURIComponent(basename(response.request.uri.pathname))]);
 
-					}).on('error', reject);
-				}
-			});
-		});
+				// stream to memory
+			} else {
+				let chunks = [];
+				response.on('data', function(chunk) {
+					chunks.push(chunk);
+
+				}).on('end', function() {
+					let buffer = Buffer.concat(chunks);
+					resolve([response, buffer.toString(), null]);
+
+				}).on('error', err => reject(this._ips._http._wrapError(err, options.url)));
+				response.resume();
+			}
+		}));
 	}
 
 	/**
 	 * Streams a request object's data to a file.
 	 *
+	 * Data is written to a `.part` file next to the destination, which is
+	 * renamed once the transfer is complete. If a `.part` file from an
+	 * interrupted download exists and the server accepts ranges, the download
+	 * is resumed, otherwise it restarts from scratch.
+	 *
+	 * Emits `download:start`, `download:progress`, `download:done` and
+	 * `download:error` on the Ips instance.
+	 *
 	 * Note that we assume that the stream is paused due to a general
 	 * streams issue.
 	 *
 	 * @param {Stream} readStream Request stream
 	 * @param {string} filename File name as in HTTP header
 	 * @param {string} destFolder Local destination folder
+	 * @param {object} [options] Options passed to "request()" for resuming
 	 * @returns {Promise.<string>} Local path to saved file
 	 * @private
 	 */
-	_streamFile(readStream, filename, destFolder) {
+	_streamFile(readStream, filename, destFolder, options) {
 
 		const started = new Date().getTime();
 		const dest = resolve(destFolder, filename);
+		const partial = dest + '.part';
 		if (fs.existsSync(dest)) {
 			readStream.destroy();
 			this.logger.info('File already exists in destination, skipping.');
 			return Promise.resolve(dest);
 		}
 
-		return new Promise((resolve, reject) => {
+		let offset = fs.existsSync(partial) ? fs.statSync(partial).size : 0;
+		return Promise.try(() => {
+
+			if (offset === 0) {
+				return readStream;
+			}
+			if (!options || !/bytes/i.test(readStream.headers['accept-ranges'])) {
+				this.logger.info('Server does not support resuming, restarting download of %s.', filename);
+				offset = 0;
+				return readStream;
+			}
+
+			// re-request the rest of the file
+			readStream.destroy();
+			this.logger.info('Resuming download of %s at %d bytes...', filename, offset);
+			const rangeOpts = Object.assign({}, options, { headers: Object.assign({}, options.headers, { Range: 'bytes=' + offset + '-' }) });
+			return this._prepareDownload(rangeOpts).spread((response, body) => {
+				if (body) {
+					throw new HttpError('Expected binary stream when resuming download but got a page.', response.statusCode, options.url);
+				}
+				let range = (response.headers['content-range'] || '').match(/bytes\s+(\d+)-/i);
+				if (response.statusCode === 206 && range && parseInt(range[1], 10) === offset) {
+					return response;
+				}
+				offset = 0;
+				if (response.statusCode !== 206) {
+					this.logger.info('Server ignored range, restarting download of %s.', filename);
+					return response;
+				}
+
+				// a partial body at another offset can't be appended, fetch the whole file again
+				response.destroy();
+				this.logger.info('Server returned the wrong range, restarting download of %s.', filename);
+				return this._prepareDownload(options).spread((response, body) => {
+					if (body) {
+						throw new HttpError('Expected binary stream when restarting download but got a page.', response.statusCode, options.url);
+					}
+					return response;
+				});
+			});
+
+		}).then(response => {
+
+			const expectedSize = this._parseExpectedSize(response);
+			return new Promise((resolve, reject) => {
+
+				let received = offset;
+				let lastProgress = 0;
+				let failed = false;
+				const progress = () => {
+					const seconds = (new Date().getTime() - started) / 1000;
+					this._ips.emit('download:progress', {
+						filename: filename,
+						received: received,
+						total: expectedSize,
+						speed: seconds > 0 ? Math.round((received - offset) / seconds) : 0
+					});
+				};
+
+				this.logger.info('Streaming to %s...', partial);
+				this._ips.emit('download:start', { filename: filename, path: dest, offset: offset, total: expectedSize });
+				var writeStream = fs.createWriteStream(partial, { flags: offset > 0 ? 'a' : 'w' });
+				writeStream.on('close', () => {
+
+					// keep the .part file of a failed transfer for resuming
+					if (failed) {
+						return;
+					}
+					var size = fs.statSync(partial).size;
+					if (expectedSize !== null && size !== expectedSize) {
+						return reject(new HttpError('Download of ' + filename + ' incomplete, got ' + size + ' of ' + expectedSize + ' bytes.', response.statusCode, options && options.url));
+					}
+					fs.renameSync(partial, dest);
+					progress();
+
+					this.logger.info('Downloaded %d bytes to %s in %d seconds.', size - offset, dest, (new Date().getTime() - started) / 1000);
+					this._ips.emit('download:done', { filename: filename, path: dest, size: size, duration: new Date().getTime() - started });
+					resolve(dest);
 
-			this.logger.info('Streaming to %s...', dest);
-			var writeStream = fs.createWriteStream(dest);
-			writeStream.on('close', () => {
+				}).on('error', err => {
+					failed = true;
+					response.destroy();
+					reject(err);
+				});
+				response.on('data', chunk => {
+					received += chunk.length;
+					// don't flood listeners, once every 250ms is enough.
+					if (new Date().getTime() - lastProgress >= 250) {
+						lastProgress = new Date().getTime();
+						progress();
+					}
+				});
+				response.on('error', err => {
+					// close the .part file, otherwise its descriptor leaks and the file stays locked
+					failed = true;
+					response.unpipe(writeStream);
+					writeStream.destroy();
+					reject(this._ips._http._wrapError(err, options && options.url));
+				});
+				response.resume();
+				response.pipe(writeStream);
+			});
 
-				var fd = fs.openSync(dest, 'r');
-				var size = fs.fstatSync(fd).size;
-				fs.closeSync(fd);
+		}).catch(err => {
+			this._ips.emit('download:error', { filename: filename, path: dest, error: err });
+			throw err;
+		});
+	}
 
-				this.logger.info('Downloaded %d bytes to %s in %d seconds.', size, dest, (new Date().getTime() - started) / 1000);
-				resolve(dest);
+	/**
+	 * Returns the total size of a file from the response headers.
+	 *
+	 * @param {IncomingMessage} response Response of a full or partial download
+	 * @returns {number|null} Size in bytes or null if unknown
+	 * @private
+	 */
+	_parseExpectedSize(response) {
+		if (response.statusCode === 206) {
+			let range = (response.headers['content-range'] || '').match(/\/(\d+)$/);
+			return range ? parseInt(range[1], 10) : null;
+		}
+		return response.headers['content-length'] ? parseInt(response.headers['content-length'], 10) : null;
+	}
 
-			}).on('error', reject);
-			readStream.on('error', reject);
-			readStream.resume();
-			readStream.pipe(writeStream);
+	/**
+	 * Sets the path of every category of a flat list.
+	 *
+	 * @param {{id: number, label: string, parentId: number}[]} categories Categories
+	 * @returns {{id: number, label: string, parentId: number, path: string}[]} Same categories
+	 * @private
+	 */
+	_computePaths(categories) {
+		const byId = _.keyBy(categories, 'id');
+		categories.forEach(cat => {
+			let labels = [ cat.label ];
+			let parent = byId[cat.parentId];
+			while (parent && labels.length <= categories.length) {
+				labels.unshift(parent.label);
+				parent = byId[parent.parentId];
+			}
+			cat.path = labels.join('/');
+		});
+		return categories;
+	}
+
+	/**
+	 * Builds a tree from a flat list of categories.
+	 *
+	 * @param {{id: number, parentId: number}[]} categories Categories
+	 * @returns {{id: number, parentId: number, children: {}[]}[]} Root categories
+	 * @private
+	 */
+	_buildTree(categories) {
+		const nodes = categories.map(cat => _.assign({}, cat, { children: [] }));
+		const byId = _.keyBy(nodes, 'id');
+		return nodes.filter(node => {
+			let parent = byId[node.parentId];
+			if (parent && parent !== node) {
+				parent.children.push(node);
+				return false;
+			}
+			return true;
 		});
 	}
 
 	/**
 	 * Returns all cached categories or an empty array if nothing cached.
 	 *
-	 * @returns {{label: string, url: string, id: number}[]} Cached categories
+	 * @returns {{label: string, url: string, id: number, parentId: number, path: string}[]} Cached categories
 	 * @private
 	 */
 	_getCategoryCache() {
@@ -371,7 +1103,8 @@ module.exports = class {
 		if (!fs.existsSync(this._categoryCachePath)) {
 			return [];
 		}
-		return this._categoryCache = JSON.parse(fs.readFileSync(this._categoryCachePath));
+		// caches written before sub-categories were supported have no paths
+		return this._categoryCache = this._computePaths(JSON.parse(fs.readFileSync(this._categoryCachePath)));
 	}
 
 	/**
@@ -396,6 +1129,43 @@ module.exports = class {
 		return this._fileCache[categoryId].map(file => Object.assign(file, { category: categoryId }));
 	}
 
+	/**
+	 * Returns the cached files of all categories.
+	 *
+	 * @returns {{url: string, id: number, title: string, category: number}[]} Cached files
+	 * @private
+	 */
+	_getAllCachedFiles() {
+		if (!this._fileCache) {
+			if (!fs.existsSync(this._fileCachePath)) {
+				return [];
+			}
+			this._fileCache = JSON.parse(fs.readFileSync(this._fileCachePath));
+		}
+		return _.flatMap(_.keys(this._fileCache), categoryId => this._getFileCache(categoryId));
+	}
+
+	/**
+	 * Returns the cached entry of a file.
+	 *
+	 * Files that aren't cached yet but come with an URL and category, like
+	 * results of Ips#search(), are added to the cache.
+	 *
+	 * @param {{id: number, url: string, category: number}} file File
+	 * @returns {{url: string, id: number, title: string, category: number}|undefined} Cached file
+	 * @private
+	 */
+	_getCachedFile(file) {
+		let files = this._getFileCache(file.category);
+		let cachedFile = _.find(files, { id: file.id });
+		if (!cachedFile && file.id && file.url && file.category) {
+			cachedFile = _.pick(file, [ 'url', 'id', 'title', 'description', 'author', 'date', 'category' ]);
+			this._fileCache = this._fileCache || {};
+			this._fileCache[file.category] = files.concat(cachedFile);
+		}
+		return cachedFile;
+	}
+
 	/**
 	 * Saves updated files back to cache.
 	 *
@@ -420,7 +1190,7 @@ module.exports = class {
 	 * @returns {RegExp}
 	 */
 	static getSearchRegex(query) {
-		return new RegExp(query.replace(/[^a-z0-9\s_-]+/gi, '').replace(/\s+/, '.*?'), 'i');
+		return new RegExp(query.replace(/[^a-z0-9\s_-]+/gi, '').trim().replace(/\s+/g, '.*?'), 'i');
 	}
 
 	/**
@@ -0,0 +1,195 @@
+"use strict";
+
+/**
+ * Errors thrown by ipslib, so callers can tell failures apart without
+ * parsing messages. All of them extend {@link IpsError}.
+ */
+class IpsError extends Error {
+
+	/**
+	 * @param {string} message Message
+	 */
+	constructor(message) {
+		super(message);
+		this.name = this.constructor.name;
+	}
+
+	/**
+	 * Returns the error matching an unexpected status code of the board.
+	 *
+	 * @param {number} statusCode Status code
+	 * @param {string} url Requested URL
+	 * @returns {NotFoundError|PermissionDeniedError|HttpError}
+	 */
+	static fromStatusCode(statusCode, url) {
+		switch (statusCode) {
+			case 404:
+				return new NotFoundError('Page ' + url + ' not found.', url);
+			case 401:
+			case 403:
+				return new PermissionDeniedError('Access to ' + url + ' denied (' + statusCode + ').', url);
+			default:
+				return new HttpError('Status code is ' + statusCode + ' when requesting ' + url + '.', statusCode, url);
+		}
+	}
+}
+
+/**
+ * Missing or wrong credentials, or a failed login.
+ */
+class AuthenticationError extends IpsError {
+}
+
+/**
+ * The account isn't allowed to access a page or to download a file.
+ */
+class PermissionDeniedError extends IpsError {
+
+	/**
+	 * @param {string} message Message
+	 * @param {string} [url] URL that was denied
+	 */
+	constructor(message, url) {
+		super(message);
+		this.url = url;
+	}
+}
+
+/**
+ * A page, file, version or other item doesn't exist (anymore).
+ */
+class NotFoundError extends IpsError {
+
+	/**
+	 * @param {string} message Message
+	 * @param {string} [url] URL of the missing item
+	 */
+	constructor(message, url) {
+		super(message);
+		this.url = url;
+	}
+}
+
+/**
+ * The daily download limit of the account is reached.
+ */
+class DownloadQuotaError extends IpsError {
+
+	/**
+	 * @param {string} message Message
+	 * @param {Date} [resetsAt] When downloads are possible again, null if the board doesn't tell.
+	 */
+	constructor(message, resetsAt) {
+		super(message);
+		this.resetsAt = resetsAt || null;
+	}
+}
+
+/**
+ * The board doesn't allow another download until the running ones are
+ * complete.
+ */
+class ConcurrentDownloadError extends IpsError {
+}
+
+/**
+ * A page didn't look as expected, e.g. because the theme differs.
+ */
+class ParseError extends IpsError {
+
+	/**
+	 * @param {string} message Message
+	 * @param {string} [url] URL of the page
+	 * @param {string} [selector] Selector that didn't match
+	 */
+	constructor(message, url, selector) {
+		super(message);
+		this.url = url;
+		this.selector = selector;
+	}
+}
+
+/**
+ * The board answered with an unexpected status code, or couldn't be
+ * reached at all.
+ */
+class HttpError extends IpsError {
+
+	/**
+	 * @param {string} message Message
+	 * @param {number} statusCode Status code, null for network errors
+	 * @param {string} [url] Requested URL
+	 * @param {string} [code] Error code of a network error, e.g. "ECONNRESET"
+	 */
+	constructor(message, statusCode, url, code) {
+		super(message);
+		this.statusCode = statusCode;
+		this.url = url;
+		if (code) {
+			this.code = code;
+		}
+	}
+}
+
+/**
+ * The board rejected a submitted form, e.g. because a field is invalid.
+ */
+class FormError extends IpsError {
+
+	/**
+	 * @param {string} message Message
+	 * @param {string} url URL the form was posted to
+	 * @param {string[]} [errors] Errors shown by the board
+	 */
+	constructor(message, url, errors) {
+		super(message);
+		this.url = url;
+		this.errors = errors || [];
+	}
+}
+
+/**
+ * The board runs a version of IPS ipslib doesn't support.
+ */
+class UnsupportedVersionError extends IpsError {
+
+	/**
+	 * @param {string} message Message
+	 * @param {number|string} version Version of the board
+	 */
+	constructor(message, version) {
+		super(message);
+		this.version = version;
+	}
+}
+
+/**
+ * A cassette being replayed has no response for a request.
+ */
+class ReplayError extends IpsError {
+
+	/**
+	 * @param {string} message Message
+	 * @param {string} method Method of the request
+	 * @param {string} url Requested URL
+	 */
+	constructor(message, method, url) {
+		super(message);
+		this.method = method;
+		this.url = url;
+	}
+}
+
+module.exports = {
+	IpsError: IpsError,
+	AuthenticationError: AuthenticationError,
+	PermissionDeniedError: PermissionDeniedError,
+	NotFoundError: NotFoundError,
+	DownloadQuotaError: DownloadQuotaError,
+	ConcurrentDownloadError: ConcurrentDownloadError,
+	ParseError: ParseError,
+	HttpError: HttpError,
+	FormError: FormError,
+	UnsupportedVersionError: UnsupportedVersionError,
+	ReplayError: ReplayError
+};
\ No newline at end of file
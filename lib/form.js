@@ -0,0 +1,243 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const fs = require('fs');
+const cheerio = require('cheerio');
+const basename = require('path').basename;
+const resolveUrl = require('url').resolve;
+
+const FormError = require('./errors').FormError;
+const HttpError = require('./errors').HttpError;
+const ParseError = require('./errors').ParseError;
+
+/**
+ * Fills out and posts forms of the board, following multi-step wizards
+ * until they're done.
+ *
+ * Values are matched to fields by name, so the same values can be used
+ * for every step and only fields present in a step are posted. Hidden
+ * fields such as the CSRF key are posted as found.
+ *
+ * IPS4 upload fields don't take files with the form. Their files are sent
+ * through plupload first, in chunks, and the form only refers to them by
+ * the key of the field.
+ */
+module.exports = class {
+
+	/**
+	 * @param {Ips} ips Ips instance
+	 */
+	constructor(ips) {
+		this._ips = ips;
+		this.logger = ips.logger;
+	}
+
+	/**
+	 * Posts the form found at the given URL and all following steps.
+	 *
+	 * @param {string} url URL of the page with the form
+	 * @param {{ pattern: RegExp, value: *, [file]: boolean }[]} values Values, the first matching pattern wins. File values are paths.
+	 * @param {{ done: function, [selector]: string, [field]: RegExp, [maxSteps]: number }} opts Options. `done` receives the URL
+	 *        after every step and returns true when the wizard is finished. If `field` is set, only forms with a matching
+	 *        field are considered.
+	 * @returns {Promise.<string>} URL where the wizard ended
+	 */
+	submit(url, values, opts) {
+		url = url[0] === '/' ? this._ips._url + url : url;
+		return this._ips._getWithLogin(url).then($ => this._step(url, $, values, opts, 1));
+	}
+
+	_step(url, $, values, opts, step) {
+
+		const maxSteps = opts.maxSteps || 10;
+		const form = this._findForm($, opts.selector, opts.field);
+		if (!form) {
+			throw new ParseError('Could not find form at ' + url + '.', url, opts.selector || 'form');
+		}
+		if (step > maxSteps) {
+			throw new FormError('Form at ' + url + ' did not finish after ' + maxSteps + ' steps.', url);
+		}
+
+		const action = resolveUrl(url, form.attr('action') || url);
+		return this._upload($, form, action, values).then(uploaded => {
+			this.logger.info('Posting step %d of form at %s.', step, action);
+			return this._ips._post(action, this._fill($, form, values, uploaded));
+
+		}).then(response => {
+
+			if (response.statusCode >= 300 && response.statusCode < 400) {
+				const location = resolveUrl(action, response.headers.location);
+				if (opts.done(location)) {
+					return location;
+				}
+				return this._ips._getWithLogin(location).then($ => this._step(location, $, values, opts, step + 1));
+			}
+			if (response.statusCode !== 200) {
+				throw new HttpError('Status code is ' + response.statusCode + ' when posting form at ' + action + '.', response.statusCode, action);
+			}
+			const next = cheerio.load(response.body);
+			const errors = this._findErrors(next);
+			if (errors.length) {
+				throw new FormError('Form at ' + action + ' returned errors: ' + errors.join(' '), action, errors);
+			}
+			if (opts.done(action, next)) {
+				return action;
+			}
+			return this._step(action, next, values, opts, step + 1);
+		});
+	}
+
+	/**
+	 * Returns the form to post, which is the last posting form that isn't
+	 * the login form of the header.
+	 *
+	 * @param $ Document body
+	 * @param {string} [selector] Selector of the form, if known
+	 * @param {RegExp} [field] Name of a field the form must contain
+	 * @returns {Cheerio} Form or null if none found
+	 * @private
+	 */
+	_findForm($, selector, field) {
+		const forms = (selector ? $(selector) : $('form').filter((index, el) => {
+			const form = $(el);
+			return /post/i.test(form.attr('method')) && !/login|sign_in/i.test(form.attr('action') || '');
+		})).filter((index, el) => {
+			return !field || $(el).find('input, select, textarea').filter((index, input) => field.test($(input).attr('name'))).length > 0;
+		});
+		return forms.length ? forms.last() : null;
+	}
+
+	/**
+	 * Sends the files of all plupload fields of the form to the board.
+	 *
+	 * @param $ Document body
+	 * @param {Cheerio} form Form
+	 * @param {string} action URL the form is posted to
+	 * @param {{ pattern: RegExp, value: *, [file]: boolean }[]} values Values
+	 * @returns {Promise.<string[]>} Names of the fields whose files were sent
+	 * @private
+	 */
+	_upload($, form, action, values) {
+		const csrfKey = form.find('input[name="csrfKey"]').attr('value');
+		const uploaders = form.find('[data-ipsuploader]').map((index, el) => $(el)).get();
+		return Promise.mapSeries(uploaders, uploader => {
+			const name = uploader.attr('data-ipsuploader-name');
+			const match = name && _.find(values, v => v.pattern.test(name));
+			if (!match || !match.file || _.isEmpty(match.value)) {
+				return null;
+			}
+			const key = form.find('input[type="hidden"][name="' + name + '"]').attr('value') || uploader.attr('data-ipsuploader-key');
+			if (!key) {
+				throw new ParseError('Could not find the upload key of field "' + name + '".', action, 'input[name="' + name + '"]');
+			}
+			// chunk size is given in megabytes
+			const chunkSize = Math.floor((parseFloat(uploader.attr('data-ipsuploader-maxchunksize')) || 1) * 1024 * 1024);
+			return Promise.each(_.castArray(match.value), path => this._uploadChunks(action, name, key, csrfKey, path, chunkSize)).then(() => name);
+
+		}).then(names => names.filter(name => name));
+	}
+
+	/**
+	 * Sends a file in chunks like plupload does.
+	 *
+	 * @param {string} action URL the form is posted to
+	 * @param {string} name Name of the upload field
+	 * @param {string} key Upload key of the field
+	 * @param {string} csrfKey CSRF key of the form
+	 * @param {string} path Local path of the file
+	 * @param {number} chunkSize Maximal size of a chunk in bytes
+	 * @returns {Promise}
+	 * @private
+	 */
+	_uploadChunks(action, name, key, csrfKey, path, chunkSize) {
+		const filename = basename(path);
+		const size = fs.statSync(path).size;
+		const chunks = Math.max(1, Math.ceil(size / chunkSize));
+		this.logger.info('Uploading "%s" in %d chunk(s).', filename, chunks);
+		return Promise.each(_.range(chunks), chunk => {
+			return this._ips._post(action, {
+				plupload: key,
+				csrfKey: csrfKey || '',
+				name: filename,
+				chunk: String(chunk),
+				chunks: String(chunks),
+				[name]: {
+					value: size ? fs.createReadStream(path, { start: chunk * chunkSize, end: Math.min(size, (chunk + 1) * chunkSize) - 1 }) : Buffer.alloc(0),
+					options: { filename: filename, contentType: 'application/octet-stream' }
+				}
+
+			}).then(response => {
+				if (response.statusCode !== 200) {
+					throw new HttpError('Status code is ' + response.statusCode + ' when uploading "' + filename + '".', response.statusCode, action);
+				}
+				const result = _.attempt(JSON.parse, response.body);
+				if (_.isPlainObject(result) && result.error) {
+					throw new FormError('Upload of "' + filename + '" failed: ' + result.error, action, [ String(result.error) ]);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Reads the current values of a form and applies the given values.
+	 *
+	 * @param $ Document body
+	 * @param {Cheerio} form Form
+	 * @param {{ pattern: RegExp, value: *, [file]: boolean }[]} values Values
+	 * @param {string[]} [uploaded] Fields whose files were sent through plupload, they keep their key
+	 * @returns {{}} Multipart form data
+	 * @private
+	 */
+	_fill($, form, values, uploaded) {
+
+		const data = {};
+		const add = (name, value) => {
+			data[name] = _.has(data, name) ? _.castArray(data[name]).concat(value) : value;
+		};
+		form.find('input, select, textarea').each((index, el) => {
+			const field = $(el);
+			const name = field.attr('name');
+			const type = (field.attr('type') || '').toLowerCase();
+			if (!name || field.attr('disabled') !== undefined || _.includes([ 'file', 'submit', 'button', 'reset' ], type)) {
+				return;
+			}
+			if (_.includes([ 'checkbox', 'radio' ], type) && field.attr('checked') === undefined) {
+				return;
+			}
+			if (el.name === 'select') {
+				const selected = field.find('option[selected]').first();
+				add(name, (selected.length ? selected : field.find('option').first()).attr('value') || '');
+				return;
+			}
+			add(name, el.name === 'textarea' ? field.text() : field.attr('value') || '');
+		});
+
+		// apply given values to all fields of the form, including file fields
+		const names = _.uniq(form.find('input, select, textarea').map((index, el) => $(el).attr('name')).get().filter(name => name));
+		names.forEach(name => {
+			const match = _.find(values, v => v.pattern.test(name));
+			if (!match || _.isUndefined(match.value) || match.value === null || _.includes(uploaded, name)) {
+				return;
+			}
+			if (match.file) {
+				data[name] = _.castArray(match.value).map(path => fs.createReadStream(path));
+			} else {
+				data[name] = _.isArray(match.value) ? match.value.join(',') : String(match.value);
+			}
+		});
+		return data;
+	}
+
+	/**
+	 * Returns the validation errors displayed in a form.
+	 *
+	 * @param $ Document body
+	 * @returns {string[]} Error messages
+	 * @private
+	 */
+	_findErrors($) {
+		return $('.ipsFieldRow_error .ipsType_warning, .ipsMessage_error, .message.error, #board_error')
+			.map((index, el) => $(el).text().trim()).get().filter(text => text);
+	}
+};
\ No newline at end of file
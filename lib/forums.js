@@ -0,0 +1,96 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const fs = require('fs');
+const resolve = require('path').resolve;
+
+module.exports = class {
+
+	constructor(ips, opts) {
+		this._ips = ips;
+		this._forumCachePath = resolve(ips._cache, ips.id + '-forums.json');
+		this._opts = opts;
+		this.logger = ips.logger;
+	}
+
+	/**
+	 * Returns the first forum that matches the provided query.
+	 * Fuzzy search is applied, i.e. "gen disc" will match "General Discussion".
+	 *
+	 * @param {string} query Search query
+	 * @param [opts] Options to pass to {@link #getForums()}
+	 * @returns {Promise.<{id: number, label: string, url: string, [parentId]: number}>} Matched forum or null if nothing found.
+	 */
+	findForum(query, opts) {
+		let regex = new RegExp(query.replace(/[^a-z0-9\s]+/gi, '').replace(/\s+/g, '.*?'), 'i');
+		return this.getForums(opts).then(forums => _.find(forums, f => regex.test(f.label)));
+	}
+
+	/**
+	 * Returns all forums of the board.
+	 *
+	 * Sub-forums are listed after their parent and reference it through
+	 * `parentId`.
+	 *
+	 * @param {{ [forceRefresh]: boolean }} [opts] Options
+	 * @returns {Promise.<{id: number, label: string, url: string, [parentId]: number}[]>} Fetched or cached forums
+	 */
+	getForums(opts) {
+
+		opts = opts || {};
+
+		return Promise.try(() => {
+
+			if (!opts.forceRefresh && fs.existsSync(this._forumCachePath)) {
+				return JSON.parse(fs.readFileSync(this._forumCachePath));
+			}
+			return this._fetchForums().then(forums => {
+				fs.writeFileSync(this._forumCachePath, JSON.stringify(forums, null, '\t'));
+				return forums;
+			});
+		});
+	}
+
+	/**
+	 * Returns the topics of a given forum, walking through all pages.
+	 *
+	 * @param {{id: number, label: string, url: string}} forum Forum
+	 * @param {{ [firstPageOnly]: boolean, [minDelay]: number, [maxDelay]: number }} [opts] Options
+	 * @returns {Promise.<{ url: string, id: number, title: string, author: string, date: Date, replies: number, views: number, forum: number, [pinned]: boolean, [locked]: boolean }[]>} Topics of the forum
+	 */
+	getTopics(forum, opts) {
+
+		opts = opts || {};
+		opts.minDelay = opts.minDelay || 500;
+		opts.maxDelay = opts.maxDelay || 2000;
+
+		return Promise.try(() => {
+			if (!_.isObject(forum) || !forum.url) {
+				throw new Error('Forum must contain an `url` property.');
+			}
+			return this._fetchTopicPage(forum, 1, opts);
+		});
+	}
+
+	/**
+	 * Returns all posts of a given topic, walking through all pages.
+	 *
+	 * @param {{id: number, title: string, url: string}} topic Topic
+	 * @param {{ [firstPageOnly]: boolean, [minDelay]: number, [maxDelay]: number }} [opts] Options
+	 * @returns {Promise.<{ id: number, author: string, date: Date, body: string, url: string, topic: number }[]>} Posts of the topic, body as Markdown.
+	 */
+	getPosts(topic, opts) {
+
+		opts = opts || {};
+		opts.minDelay = opts.minDelay || 500;
+		opts.maxDelay = opts.maxDelay || 2000;
+
+		return Promise.try(() => {
+			if (!_.isObject(topic) || !topic.url) {
+				throw new Error('Topic must contain an `url` property.');
+			}
+			return this._fetchPostPage(topic, 1, opts);
+		});
+	}
+};
\ No newline at end of file
@@ -0,0 +1,260 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const fs = require('fs');
+const resolve = require('path').resolve;
+
+const Query = require('./query');
+const HttpError = require('./errors').HttpError;
+const NotFoundError = require('./errors').NotFoundError;
+const UnsupportedVersionError = require('./errors').UnsupportedVersionError;
+
+/**
+ * Categories, albums and images of the gallery.
+ *
+ * Like downloads, everything fetched is cached under `~/.ipslib` and
+ * served from there until refreshed with `forceRefresh`. Images are
+ * streamed to disk by the downloads module.
+ */
+module.exports = class {
+
+	constructor(ips, opts) {
+		this._ips = ips;
+		this._categoryCachePath = resolve(ips._cache, ips.id + '-gallery-categories.json');
+		this._albumCachePath = resolve(ips._cache, ips.id + '-gallery-albums.json');
+		this._imageCachePath = resolve(ips._cache, ips.id + '-gallery-images.json');
+		this._opts = opts;
+		this.logger = ips.logger;
+	}
+
+	/**
+	 * Returns all gallery categories.
+	 *
+	 * @param {{ [forceRefresh]: boolean, [tree]: boolean }} [opts] Options. If `tree` is set, only root categories are returned,
+	 *        with their sub-categories in `children`.
+	 * @returns {Promise.<{id: number, label: string, url: string, parentId: number, path: string, [children]: {}[]}[]>} Downloaded or cached categories
+	 */
+	getCategories(opts) {
+
+		opts = opts || {};
+
+		return Promise.try(() => {
+
+			if (!opts.forceRefresh && fs.existsSync(this._categoryCachePath)) {
+				return this._readCache(this._categoryCachePath);
+			}
+			return this._fetchCategories().then(categories => {
+				categories = this._ips.downloads._computePaths(categories);
+				fs.writeFileSync(this._categoryCachePath, JSON.stringify(categories, null, '\t'));
+				return categories;
+			});
+
+		}).then(categories => opts.tree ? this._ips.downloads._buildTree(categories) : categories);
+	}
+
+	/**
+	 * Returns all albums of a category.
+	 *
+	 * @param {number|{id: number, url: string}} cat Category
+	 * @param {{ [forceRefresh]: boolean, [firstPageOnly]: boolean, [minDelay]: number, [maxDelay]: number }} [opts] Options
+	 * @returns {Promise.<{id: number, title: string, url: string, author: string, imageCount: number, category: number}[]>} Albums
+	 */
+	getAlbums(cat, opts) {
+
+		opts = this._pagingOpts(opts);
+
+		return Promise.try(() => {
+
+			const catId = _.isObject(cat) ? cat.id : cat;
+			if (!catId) {
+				throw new Error('Category must be an ID or contain an `id` property.');
+			}
+			const cache = this._readCache(this._albumCachePath, {});
+			if (!opts.forceRefresh && !_.isEmpty(cache[catId])) {
+				return cache[catId];
+			}
+			return this._getCategory(cat)
+				.then(category => this._fetchAlbumPage(category, 1, opts, []))
+				.then(albums => {
+					albums = albums.map(album => _.assign(album, { category: catId }));
+					cache[catId] = albums;
+					fs.writeFileSync(this._albumCachePath, JSON.stringify(cache, null, '\t'));
+					return albums;
+				});
+		});
+	}
+
+	/**
+	 * Returns all images of an album.
+	 *
+	 * File names of images already downloaded are kept when refreshing.
+	 *
+	 * @param {{id: number, url: string}} album Album as returned by {@link #getAlbums()}
+	 * @param {{ [forceRefresh]: boolean, [firstPageOnly]: boolean, [minDelay]: number, [maxDelay]: number }} [opts] Options
+	 * @returns {Promise.<{id: number, title: string, url: string, author: string, date: Date, thumbnail: string, album: number, [filename]: string}[]>} Images
+	 */
+	getImages(album, opts) {
+
+		opts = this._pagingOpts(opts);
+
+		return Promise.try(() => {
+
+			if (!_.isObject(album) || !album.id || !album.url) {
+				throw new Error('Album must contain an `id` and an `url` property.');
+			}
+			const cache = this._getImageCache();
+			if (!opts.forceRefresh && !_.isEmpty(cache[album.id])) {
+				return cache[album.id];
+			}
+			return this._fetchImagePage(album, 1, opts, []).then(images => {
+				const previous = _.keyBy(cache[album.id], 'id');
+				cache[album.id] = _.uniqBy(images, 'id').map(image => _.assign(image, {
+					album: album.id,
+					filename: previous[image.id] ? previous[image.id].filename : undefined
+				}));
+				this._saveImageCache();
+				return cache[album.id];
+			});
+		});
+	}
+
+	/**
+	 * Returns the images that match the provided query, ordered by
+	 * relevance. Fuzzy search is applied.
+	 *
+	 * @param {string} query Search query
+	 * @param {{id: number, url: string}} [album] Album to search. If not set, all cached images are searched.
+	 * @param [opts] Options to pass to {@link #getImages()}
+	 * @returns {Promise.<{id: number, title: string, url: string, author: string, album: number}[]>} Matched images
+	 */
+	findImages(query, album, opts) {
+		return Promise.try(() => album ? this.getImages(album, opts) : _.flatten(_.values(this._getImageCache())))
+			.then(images => new Query(query).run(images).map(result => result.file));
+	}
+
+	/**
+	 * Downloads one or more images to the given folder.
+	 *
+	 * Files are named after the image ID and the name on the board, e.g.
+	 * `123-sunset.jpg`, since images of different albums often share a
+	 * name. Images already downloaded to the folder are skipped.
+	 *
+	 * @param {{id: number, url: string, album: number}|{id: number, url: string, album: number}[]} images Images as returned by {@link #getImages()}
+	 * @param {string} destFolder Destination folder
+	 * @returns {Promise.<{path: string, [skipped]: boolean}[]>} Paths to the downloaded images
+	 */
+	download(images, destFolder) {
+		return Promise.mapSeries(_.castArray(images), image => this._downloadImage(image, destFolder)).then(paths => {
+			this._saveImageCache();
+			return paths;
+		});
+	}
+
+	/**
+	 * Downloads an image unless it already exists in the destination.
+	 *
+	 * @param {{id: number, url: string, album: number}} image Image
+	 * @param {string} destFolder Destination folder
+	 * @returns {Promise.<{path: string, [skipped]: boolean}>} Path to the downloaded image
+	 * @private
+	 */
+	_downloadImage(image, destFolder) {
+
+		const cachedImage = this._getCachedImage(image);
+		if (!cachedImage) {
+			return Promise.reject(new Error('Must provide an image retrieved from #getImages() or #findImages().'));
+		}
+		if (cachedImage.filename && fs.existsSync(resolve(destFolder, cachedImage.filename))) {
+			this.logger.info('Skipping existing image "%s"...', cachedImage.filename);
+			return Promise.resolve({ path: resolve(destFolder, cachedImage.filename), skipped: true });
+		}
+
+		const downloads = this._ips.downloads;
+		let downloadOpts;
+		return this._getImageUrl(cachedImage).then(imageUrl => {
+			downloadOpts = { url: imageUrl, jar: this._ips._cookieJar };
+			return downloads._prepareDownload(downloadOpts);
+
+		}).spread((readStream, body, filename) => {
+			if (body) {
+				throw new HttpError('Expected an image when downloading "' + cachedImage.title + '" but got a page (status ' + readStream.statusCode + ').', readStream.statusCode, downloadOpts.url);
+			}
+			cachedImage.filename = cachedImage.id + '-' + filename;
+			return downloads._streamFile(readStream, cachedImage.filename, destFolder, downloadOpts).then(path => ({ path: path }));
+		});
+	}
+
+	/**
+	 * Returns a category from the cache if only its ID is given.
+	 *
+	 * @param {number|{id: number, url: string}} cat Category or its ID
+	 * @returns {Promise.<{id: number, url: string}>} Category
+	 * @private
+	 */
+	_getCategory(cat) {
+		if (_.isObject(cat) && cat.url) {
+			return Promise.resolve(cat);
+		}
+		const id = _.isObject(cat) ? cat.id : cat;
+		return this.getCategories().then(categories => {
+			const category = _.find(categories, { id: id });
+			if (!category) {
+				throw new NotFoundError('Unknown gallery category ' + id + '.');
+			}
+			return category;
+		});
+	}
+
+	/**
+	 * Returns the cached entry of an image.
+	 *
+	 * @param {{id: number, album: number}} image Image
+	 * @returns {{id: number, url: string, album: number, [filename]: string}|undefined} Cached image
+	 * @private
+	 */
+	_getCachedImage(image) {
+		return _.find(this._getImageCache()[image.album], { id: image.id });
+	}
+
+	/**
+	 * Returns the cached images of all albums by album ID.
+	 *
+	 * @returns {{}} Cached images
+	 * @private
+	 */
+	_getImageCache() {
+		return this._imageCache = this._imageCache || this._readCache(this._imageCachePath, {});
+	}
+
+	_saveImageCache() {
+		fs.writeFileSync(this._imageCachePath, JSON.stringify(this._getImageCache(), null, '\t'));
+	}
+
+	_readCache(path, empty) {
+		return fs.existsSync(path) ? JSON.parse(fs.readFileSync(path)) : empty;
+	}
+
+	_pagingOpts(opts) {
+		opts = opts || {};
+		opts.minDelay = opts.minDelay || 500;
+		opts.maxDelay = opts.maxDelay || 2000;
+		return opts;
+	}
+
+	_fetchCategories() {
+		return Promise.reject(new UnsupportedVersionError('The gallery is not supported by this version of IPS.', this._opts.version));
+	}
+
+	_fetchAlbumPage(cat, page, opts, items) {
+		return Promise.reject(new UnsupportedVersionError('The gallery is not supported by this version of IPS.', this._opts.version));
+	}
+
+	_fetchImagePage(album, page, opts, items) {
+		return Promise.reject(new UnsupportedVersionError('The gallery is not supported by this version of IPS.', this._opts.version));
+	}
+
+	_getImageUrl(cachedImage) {
+		return Promise.reject(new UnsupportedVersionError('The gallery is not supported by this version of IPS.', this._opts.version));
+	}
+};
\ No newline at end of file
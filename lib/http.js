@@ -0,0 +1,226 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const request = require('request');
+
+const Cassette = require('./cassette');
+const HttpError = require('./errors').HttpError;
+const IpsError = require('./errors').IpsError;
+
+/**
+ * Status codes worth another try, usually an overloaded or restarting
+ * board, or a proxy in front of it.
+ */
+const RETRY_STATUS_CODES = [ 408, 429, 500, 502, 503, 504, 520, 521, 522, 524 ];
+
+/**
+ * Network errors worth another try.
+ */
+const RETRY_ERROR_CODES = [ 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH' ];
+
+/**
+ * Longest `Retry-After` that is waited for, in milliseconds. If the board
+ * asks for more, the request fails.
+ */
+const MAX_RETRY_AFTER = 10 * 60 * 1000;
+
+/**
+ * The HTTP client all requests to the board go through.
+ *
+ * Every attempt waits for the rate limiter. GET and HEAD requests are
+ * retried on network errors and on status codes that indicate a temporary
+ * problem, with exponential backoff and jitter, or after the time given
+ * by `Retry-After`. Other methods are never retried, since the board
+ * might have processed them already.
+ *
+ * Network errors are rejected as {@link HttpError} without status code,
+ * with the error code of Node, e.g. "ECONNRESET", as `code`.
+ *
+ * With a {@link Cassette}, responses are recorded, or played back without
+ * touching the network.
+ */
+module.exports = class {
+
+	/**
+	 * @param {{ logger: Logger, [limiter]: RateLimiter, [retries]: number, [retryDelay]: number, [timeout]: number, [userAgent]: string, [proxy]: string, [headers]: {}, [cassette]: Cassette|{} }} opts
+	 *        Options. `retries` defaults to 3, `retryDelay` is the delay before the first retry in milliseconds and defaults to
+	 *        1000, doubling with every retry. `timeout` defaults to 60 seconds. `cassette` is a cassette or its settings,
+	 *        see {@link Cassette.create()}.
+	 */
+	constructor(opts) {
+		this.logger = opts.logger;
+		this._limiter = opts.limiter;
+		this._retries = _.isNumber(opts.retries) ? opts.retries : 3;
+		this._retryDelay = _.isNumber(opts.retryDelay) ? opts.retryDelay : 1000;
+		this._timeout = opts.timeout || 60000;
+		this._proxy = opts.proxy;
+		this._headers = _.assign(opts.userAgent ? { 'User-Agent': opts.userAgent } : {}, opts.headers);
+		this._cassette = opts.cassette ? Cassette.create(opts.cassette, opts.logger) : null;
+	}
+
+	/**
+	 * Sends a request and resolves with the response once the body is read.
+	 *
+	 * @param {{ url: string, [method]: string, [jar]: *, [headers]: {}, [simple]: boolean, [label]: string }} options Options passed
+	 *        to "request()", e.g. `form`, `formData`, `qs`, `json` or `auth`. Unless `simple` is false, status codes other than
+	 *        2xx reject with an {@link IpsError}. `label` is logged along with the URL.
+	 * @returns {Promise.<IncomingMessage>} Response, with the body as `body`
+	 */
+	request(options) {
+		return this.stream(options).then(response => new Promise((resolve, reject) => {
+			const chunks = [];
+			response.on('data', chunk => chunks.push(chunk)).on('end', () => {
+				response.body = Buffer.concat(chunks).toString();
+				if (options.json && response.body) {
+					try {
+						response.body = JSON.parse(response.body);
+					} catch (err) {
+						// like "request()", keep the body as it is
+					}
+				}
+				resolve(response);
+			}).on('error', err => reject(this._wrapError(err, options.url)));
+			response.resume();
+
+		})).then(response => {
+			if (options.simple !== false && !/^2/.test(String(response.statusCode))) {
+				throw IpsError.fromStatusCode(response.statusCode, options.url);
+			}
+			return response;
+		});
+	}
+
+	/**
+	 * Sends a request and resolves as soon as the headers are received.
+	 * The body is paused, so it can be streamed to disk.
+	 *
+	 * @param {{ url: string, [jar]: *, [headers]: {}, [label]: string }} options Options passed to "request()"
+	 * @returns {Promise.<IncomingMessage>} Paused response
+	 */
+	stream(options) {
+		if (this._cassette && this._cassette.mode === 'replay') {
+			return Promise.try(() => {
+				const config = this._configure(options);
+				this.logger.info('--> %s %s (replay)', config.method, config.uri);
+				return this._cassette.replay(config);
+			});
+		}
+		return this._send(options).then(response => this._cassette ? this._cassette.record(this._configure(options), response) : response);
+	}
+
+	/**
+	 * Sends a request, retrying it if possible.
+	 *
+	 * @param {{}} options Options of the request
+	 * @param {number} [attempt] Number of the retry, internal
+	 * @returns {Promise.<IncomingMessage>} Paused response. When recording, `redirects` lists the URL, status code and
+	 *          cookies of every redirect that led to it.
+	 * @private
+	 */
+	_send(options, attempt) {
+
+		attempt = attempt || 0;
+		const config = this._configure(options);
+		const retry = /^(GET|HEAD)$/.test(config.method) && attempt < this._retries;
+
+		return Promise.resolve(this._limiter ? this._limiter.acquire() : null).then(() => new Promise((resolve, reject) => {
+			this.logger.info('--> %s %s%s', config.method, config.uri, options.label ? ' (' + options.label + ')' : '');
+			const req = request(config);
+			const redirects = [];
+			if (this._cassette) {
+				// cookies set by redirects only show up here, the response is the last hop
+				let url = req.uri.href;
+				req.on('redirect', () => {
+					redirects.push({ url: url, statusCode: req.response.statusCode, cookies: _.castArray(req.response.headers['set-cookie'] || []) });
+					url = req.uri.href;
+				});
+			}
+			req.on('response', response => {
+				req.pause(); // https://github.com/request/request/issues/1402
+				if (this._cassette) {
+					response.redirects = redirects;
+				}
+				resolve(response);
+			}).on('error', reject);
+
+		})).then(response => {
+			if (!retry || !_.includes(RETRY_STATUS_CODES, response.statusCode)) {
+				return response;
+			}
+			const delay = this._getDelay(attempt, response);
+			if (delay === null) {
+				this.logger.warn('Retry-After of %s for %s is too long, giving up.', response.headers['retry-after'], config.uri);
+				return response;
+			}
+			response.resume();
+			this.logger.warn('Status code %s for %s, retrying in %dms (%d/%d).', response.statusCode, config.uri, delay, attempt + 1, this._retries);
+			return Promise.delay(delay).then(() => this._send(options, attempt + 1));
+
+		}, err => {
+			if (!retry || !_.includes(RETRY_ERROR_CODES, err.code)) {
+				throw this._wrapError(err, config.uri);
+			}
+			const delay = this._getDelay(attempt);
+			this.logger.warn('%s for %s, retrying in %dms (%d/%d).', err.code, config.uri, delay, attempt + 1, this._retries);
+			return Promise.delay(delay).then(() => this._send(options, attempt + 1));
+		});
+	}
+
+	/**
+	 * Returns the options passed to "request()" with the defaults of the
+	 * client applied.
+	 *
+	 * @param {{}} options Options of the request
+	 * @returns {{}} Options for "request()"
+	 * @private
+	 */
+	_configure(options) {
+		const config = _.assign(_.omit(options, [ 'url', 'simple', 'label' ]), {
+			method: (options.method || 'GET').toUpperCase(),
+			uri: options.url,
+			timeout: this._timeout,
+			headers: _.assign({}, this._headers, options.headers)
+		});
+		if (this._proxy) {
+			config.proxy = this._proxy;
+		}
+		return config;
+	}
+
+	/**
+	 * Wraps a network error into an {@link HttpError}, keeping its code.
+	 *
+	 * @param {Error} err Error
+	 * @param {string} url Requested URL
+	 * @returns {IpsError} Wrapped error, or the error itself if it's already an IpsError
+	 * @private
+	 */
+	_wrapError(err, url) {
+		if (err instanceof IpsError) {
+			return err;
+		}
+		return new HttpError('Request to ' + url + ' failed: ' + err.message, null, url, err.code);
+	}
+
+	/**
+	 * Returns how long to wait before the next attempt.
+	 *
+	 * @param {number} attempt Number of the retry, starting at 0
+	 * @param {IncomingMessage} [response] Response, if any
+	 * @returns {number|null} Delay in milliseconds, or null if `Retry-After` is too far in the future.
+	 * @private
+	 */
+	_getDelay(attempt, response) {
+		const retryAfter = response && response.headers['retry-after'];
+		if (retryAfter) {
+			const delay = /^\s*\d+\s*$/.test(retryAfter) ? parseInt(retryAfter, 10) * 1000 : new Date(retryAfter).getTime() - Date.now();
+			if (!isNaN(delay)) {
+				return delay > MAX_RETRY_AFTER ? null : Math.max(0, delay);
+			}
+		}
+		// exponential backoff with jitter, so parallel downloads don't retry at the same time
+		const delay = this._retryDelay * Math.pow(2, attempt);
+		return Math.round(delay / 2 + Math.random() * delay / 2);
+	}
+};
\ No newline at end of file
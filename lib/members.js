@@ -0,0 +1,107 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+
+const NotFoundError = require('./errors').NotFoundError;
+
+module.exports = class {
+
+	constructor(ips, opts) {
+		this._ips = ips;
+		this._opts = opts;
+		this.logger = ips.logger;
+	}
+
+	/**
+	 * Returns the profile of a member.
+	 *
+	 * A name is looked up through {@link #searchMembers()} first, preferring
+	 * an exact match.
+	 *
+	 * @param {number|string} idOrName ID or name of the member
+	 * @returns {Promise.<{ id: number, name: string, url: string, group: string, joined: Date, posts: number, reputation: number, avatar: string }>} Member
+	 */
+	getMember(idOrName) {
+		return Promise.try(() => {
+			if (_.isNumber(idOrName) || /^\d+$/.test(idOrName)) {
+				return parseInt(idOrName, 10);
+			}
+			if (!idOrName) {
+				throw new Error('Need an ID or a name to look up a member.');
+			}
+			return this.searchMembers(idOrName).then(members => {
+				const member = _.find(members, m => m.name.toLowerCase() === idOrName.toLowerCase()) || members[0];
+				if (!member) {
+					throw new NotFoundError('Cannot find member "' + idOrName + '".');
+				}
+				return member.id;
+			});
+
+		}).then(id => this._fetchMember(id));
+	}
+
+	/**
+	 * Searches members by name.
+	 *
+	 * @param {string} query Beginning of the name
+	 * @returns {Promise.<{ id: number, name: string, url: string }[]>} Matched members
+	 */
+	searchMembers(query) {
+		return Promise.try(() => {
+			if (!query) {
+				throw new Error('Need a query to search members.');
+			}
+			return this._searchMembers(query);
+		});
+	}
+
+	/**
+	 * Lists the content a member posted, through the board's search engine.
+	 *
+	 * @param {number|string|{name: string}} member Member, its ID or its name
+	 * @param {{ [type]: string, [firstPageOnly]: boolean }} [opts] Options. `type` is one of "file", "topic" or "post",
+	 *        everything if not set.
+	 * @returns {Promise.<{ type: string, id: number, title: string, url: string, author: string, date: Date, snippet: string, [category]: number, [topic]: number }[]>} Content, newest first
+	 */
+	getContent(member, opts) {
+		opts = opts || {};
+		return Promise.try(() => {
+			return _.isObject(member) && member.name ? member : this.getMember(member);
+
+		}).then(member => this._fetchContentPage(member, 1, opts, []));
+	}
+
+	/**
+	 * Walks through the search results of a member until a page is empty.
+	 *
+	 * @param {{name: string}} member Member
+	 * @param {number} page Page to fetch
+	 * @param {{ type: string, firstPageOnly: boolean }} opts Options
+	 * @param {{}[]} items Internal callback parameter
+	 * @returns {Promise.<{}[]>} Content
+	 * @private
+	 */
+	_fetchContentPage(member, page, opts, items) {
+		return this._ips._search.search(null, { author: member.name, type: opts.type, page: page }).then(results => {
+			// results already seen mean the board returned the last page again
+			const fresh = results.filter(result => !_.find(items, { type: result.type, id: result.id }));
+			items = items.concat(fresh);
+			if (opts.firstPageOnly || _.isEmpty(fresh)) {
+				return items;
+			}
+			return this._fetchContentPage(member, page + 1, opts, items);
+		});
+	}
+
+	/**
+	 * Parses the member ID from a profile URL of IPS3 or IPS4.
+	 *
+	 * @param {string} url Profile URL
+	 * @returns {number} ID or null if not a profile URL
+	 */
+	static parseIdFromUrl(url) {
+		const match = /(?:showuser=|\/profile\/|\/user\/|[?&]id=)(\d+)/i.exec(url || '');
+		return match ? parseInt(match[1], 10) : null;
+	}
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const marked = require('marked').marked;
+
+/**
+ * Private conversations of the logged account.
+ *
+ * Everything runs on the authenticated session, logging in when the board
+ * asks for it.
+ */
+module.exports = class {
+
+	constructor(ips, opts) {
+		this._ips = ips;
+		this._opts = opts;
+		this.logger = ips.logger;
+	}
+
+	/**
+	 * Returns the conversations of the inbox, latest activity first.
+	 *
+	 * @param {{ [firstPageOnly]: boolean, [unreadOnly]: boolean }} [opts] Options
+	 * @returns {Promise.<{ id: number, title: string, url: string, participants: string[], date: Date, unread: boolean }[]>} Conversations
+	 */
+	getConversations(opts) {
+		opts = opts || {};
+		return this._fetchConversationPage(1, opts, []).then(conversations => {
+			return opts.unreadOnly ? conversations.filter(conversation => conversation.unread) : conversations;
+		});
+	}
+
+	/**
+	 * Returns all messages of a conversation, oldest first.
+	 *
+	 * Like in the browser, reading a conversation marks it as read.
+	 *
+	 * @param {number|{id: number}} conversation Conversation or its ID
+	 * @param {{ [firstPageOnly]: boolean }} [opts] Options
+	 * @returns {Promise.<{ id: number, author: string, date: Date, body: string, url: string, conversation: number }[]>} Messages, body as Markdown.
+	 */
+	getMessages(conversation, opts) {
+		opts = opts || {};
+		return Promise.try(() => this._fetchMessagePage(this._getId(conversation), 1, opts, []));
+	}
+
+	/**
+	 * Starts a new conversation.
+	 *
+	 * @param {string|string[]} recipients Names of the recipients
+	 * @param {string} title Title of the conversation
+	 * @param {string} markdown First message as Markdown
+	 * @returns {Promise.<{ id: number, url: string }>} New conversation
+	 */
+	startConversation(recipients, title, markdown) {
+		recipients = _.compact(_.castArray(recipients));
+		return Promise.try(() => {
+			if (_.isEmpty(recipients)) {
+				throw new Error('Need at least one recipient.');
+			}
+			if (!title || !markdown) {
+				throw new Error('Need a title and a message to start a conversation.');
+			}
+			return this._postConversation(recipients, title, marked(markdown));
+
+		}).then(result => {
+			this.logger.info('Started conversation "%s" with %s.', title, recipients.join(', '));
+			return result;
+		});
+	}
+
+	/**
+	 * Replies to a conversation.
+	 *
+	 * @param {number|{id: number}} conversation Conversation or its ID
+	 * @param {string} markdown Message as Markdown
+	 * @returns {Promise.<{ id: number, url: string }>} Posted message
+	 */
+	reply(conversation, markdown) {
+		return Promise.try(() => {
+			if (!markdown) {
+				throw new Error('Cannot post an empty message.');
+			}
+			return this._postReply(this._getId(conversation), marked(markdown));
+		});
+	}
+
+	/**
+	 * Marks a conversation as read by opening it.
+	 *
+	 * @param {number|{id: number}} conversation Conversation or its ID
+	 * @returns {Promise}
+	 */
+	markRead(conversation) {
+		return Promise.try(() => this._ips._getWithLogin(this._getUrl(this._getId(conversation)))).then(() => undefined);
+	}
+
+	/**
+	 * Returns the ID of a conversation.
+	 *
+	 * @param {number|{id: number}} conversation Conversation or its ID
+	 * @returns {number}
+	 * @private
+	 */
+	_getId(conversation) {
+		const id = _.isObject(conversation) ? conversation.id : parseInt(conversation, 10);
+		if (!id) {
+			throw new Error('Conversation must be an ID or contain an `id` property.');
+		}
+		return id;
+	}
+};
\ No newline at end of file
@@ -0,0 +1,254 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const fs = require('fs');
+const resolve = require('path').resolve;
+const basename = require('path').basename;
+
+const NotFoundError = require('./errors').NotFoundError;
+
+/**
+ * Keeps a local folder in sync with a download category.
+ *
+ * What was downloaded is tracked in a manifest file in the destination
+ * folder, which is compared to the refreshed index of the category.
+ */
+module.exports = class {
+
+	/**
+	 * @param {Downloads} downloads Downloads module
+	 * @param {string} destFolder Local folder
+	 * @param {{ [removed]: string, [archiveFolder]: string }} [opts] Options, also passed to the downloads.
+	 */
+	constructor(downloads, destFolder, opts) {
+		this._downloads = downloads;
+		this._destFolder = destFolder;
+		this._opts = opts || {};
+		this._opts.removed = this._opts.removed || 'keep';
+		this._archiveFolder = this._opts.archiveFolder || resolve(destFolder, '_archive');
+		this._manifestPath = resolve(destFolder, '.ipslib-manifest.json');
+		this.logger = downloads.logger;
+
+		if (!_.includes([ 'keep', 'archive', 'delete' ], this._opts.removed)) {
+			throw new Error('Option `removed` must be one of "keep", "archive" or "delete".');
+		}
+	}
+
+	/**
+	 * Refreshes the index of the category and downloads new and updated files.
+	 *
+	 * @param {number|{id: number, label: string, url: string}} cat Category
+	 * @returns {Promise.<{ added: {}[], updated: {}[], removed: {}[], unchanged: {}[], failed: {}[] }>} What changed
+	 */
+	run(cat) {
+
+		const manifest = this._readManifest();
+		const report = { added: [], updated: [], removed: [], unchanged: [], failed: [] };
+		const changes = {};
+
+		if (!fs.existsSync(this._destFolder)) {
+			fs.mkdirSync(this._destFolder, { recursive: true });
+		}
+		// only a complete index tells which files were removed
+		const opts = _.assign({}, this._opts, { forceRefresh: true, includeRemoved: false, firstPageOnly: false });
+		let current;
+		return this._downloads.getFiles(cat, opts).then(files => {
+
+			current = files;
+			return Promise.each(current, file => {
+				const entry = manifest.files[file.id];
+				if (!entry) {
+					changes[file.id] = 'added';
+					return;
+				}
+				delete entry.removed;
+				return this._hasChanged(entry, file).then(changed => {
+					if (changed) {
+						changes[file.id] = 'updated';
+						this._moveAside(entry);
+					} else {
+						report.unchanged.push(this._summarize(file, entry.paths));
+					}
+				});
+			});
+
+		}).then(() => {
+
+			// files removed upstream, kept ones are only reported once
+			const currentIds = current.map(file => String(file.id));
+			_.keys(manifest.files).filter(id => !_.includes(currentIds, id) && !manifest.files[id].removed).forEach(id => {
+				const entry = manifest.files[id];
+				report.removed.push({ id: parseInt(id, 10), title: entry.title, paths: entry.paths, action: this._opts.removed });
+				if (this._opts.removed === 'keep') {
+					entry.removed = new Date();
+				} else {
+					this._removeLocal(entry);
+					delete manifest.files[id];
+				}
+			});
+
+			const toDownload = current.filter(file => changes[file.id]);
+			return this._downloads.queue(toDownload, this._destFolder, this._opts).start();
+
+		}).then(results => {
+
+			results.forEach(result => {
+				const file = result.file;
+				const paths = result.paths.map(p => basename(p.path));
+				const change = changes[file.id];
+
+				if (result.status === 'failed' || _.isEmpty(paths)) {
+					report.failed.push(_.assign(this._summarize(file, paths), { error: result.error || new NotFoundError('File is not available.', file.url) }));
+					if (change === 'updated') {
+						this._restoreAside(manifest.files[file.id]);
+					}
+					return;
+				}
+				if (change === 'updated') {
+					this._dropAside(manifest.files[file.id]);
+				}
+				manifest.files[file.id] = {
+					title: file.title,
+					date: file.date,
+					updated: file.updated,
+					listing: (file.listing || []).map(f => f.filename),
+					paths: paths
+				};
+				report[result.status === 'skipped' && change === 'added' ? 'unchanged' : change].push(this._summarize(file, paths));
+			});
+
+			manifest.updated = new Date();
+			this._writeManifest(manifest);
+			this.logger.info('Synced %s: %d added, %d updated, %d removed, %d failed.', this._destFolder,
+				report.added.length, report.updated.length, report.removed.length, report.failed.length);
+			return report;
+		});
+	}
+
+	/**
+	 * Checks whether the file changed since it was downloaded.
+	 *
+	 * The date of the refreshed index is compared if there is one. Otherwise
+	 * the file page is fetched again for the date of the last update and, if
+	 * the file had several files, its download page for the current listing.
+	 *
+	 * @param {{ date: string, updated: string, listing: string[] }} entry Manifest entry
+	 * @param {{ date: Date }} file File from the refreshed index
+	 * @returns {Promise.<boolean>}
+	 * @private
+	 */
+	_hasChanged(entry, file) {
+		if (entry.date && file.date) {
+			return Promise.resolve(new Date(entry.date).getTime() !== new Date(file.date).getTime());
+		}
+		return this._downloads.getFileDetails(file, { forceRefresh: true, listing: !_.isEmpty(entry.listing) }).then(details => {
+			if (entry.updated && details.updated && new Date(entry.updated).getTime() !== new Date(details.updated).getTime()) {
+				return true;
+			}
+			if (!_.isEmpty(entry.listing) && !_.isEmpty(details.listing) && !_.isEqual(_.sortBy(entry.listing), _.sortBy(details.listing.map(f => f.filename)))) {
+				return true;
+			}
+			// compare with this date next time
+			entry.updated = entry.updated || details.updated;
+			return false;
+		});
+	}
+
+	/**
+	 * Renames the local files of an updated entry so the new version can
+	 * be downloaded without losing the old one if it fails.
+	 *
+	 * @param {{ paths: string[] }} entry Manifest entry
+	 * @private
+	 */
+	_moveAside(entry) {
+		this._existing(entry).forEach(path => fs.renameSync(path, path + '.old'));
+	}
+
+	/**
+	 * Puts back the old files of an entry whose update failed.
+	 *
+	 * @param {{ paths: string[] }} entry Manifest entry
+	 * @private
+	 */
+	_restoreAside(entry) {
+		entry.paths.map(p => resolve(this._destFolder, p)).filter(path => fs.existsSync(path + '.old')).forEach(path => {
+			fs.renameSync(path + '.old', path);
+		});
+	}
+
+	/**
+	 * Gets rid of the old files of an updated entry.
+	 *
+	 * @param {{ paths: string[] }} entry Manifest entry
+	 * @private
+	 */
+	_dropAside(entry) {
+		entry.paths.map(p => resolve(this._destFolder, p)).filter(path => fs.existsSync(path + '.old')).forEach(path => {
+			if (this._opts.removed === 'archive') {
+				this._archive(path + '.old', basename(path));
+			} else {
+				fs.unlinkSync(path + '.old');
+			}
+		});
+	}
+
+	/**
+	 * Archives or deletes the local files of an entry removed upstream.
+	 *
+	 * @param {{ paths: string[] }} entry Manifest entry
+	 * @private
+	 */
+	_removeLocal(entry) {
+		this._existing(entry).forEach(path => {
+			if (this._opts.removed === 'archive') {
+				this._archive(path, basename(path));
+			} else {
+				this.logger.info('Deleting %s...', path);
+				fs.unlinkSync(path);
+			}
+		});
+	}
+
+	/**
+	 * Moves a file into the archive folder.
+	 *
+	 * @param {string} path Path of the file to archive
+	 * @param {string} filename Name in the archive
+	 * @private
+	 */
+	_archive(path, filename) {
+		if (!fs.existsSync(this._archiveFolder)) {
+			fs.mkdirSync(this._archiveFolder, { recursive: true });
+		}
+		this.logger.info('Archiving %s...', path);
+		fs.renameSync(path, resolve(this._archiveFolder, filename));
+	}
+
+	/**
+	 * Returns absolute paths of an entry's files that still exist locally.
+	 *
+	 * @param {{ paths: string[] }} entry Manifest entry
+	 * @returns {string[]}
+	 * @private
+	 */
+	_existing(entry) {
+		return (entry.paths || []).map(p => resolve(this._destFolder, p)).filter(path => fs.existsSync(path));
+	}
+
+	_summarize(file, paths) {
+		return { id: file.id, title: file.title, paths: paths };
+	}
+
+	_readManifest() {
+		if (!fs.existsSync(this._manifestPath)) {
+			return { files: {} };
+		}
+		return JSON.parse(fs.readFileSync(this._manifestPath));
+	}
+
+	_writeManifest(manifest) {
+		fs.writeFileSync(this._manifestPath, JSON.stringify(manifest, null, '\t'));
+	}
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+
+const UnsupportedVersionError = require('./errors').UnsupportedVersionError;
+
+/**
+ * Follow areas by item type.
+ */
+const AREAS = {
+	file: { app: 'downloads', area: 'file' },
+	topic: { app: 'forums', area: 'topic' },
+	member: { app: 'core', area: 'member' }
+};
+
+/**
+ * Notifications and followed content of the logged account.
+ */
+module.exports = class {
+
+	constructor(ips, opts) {
+		this._ips = ips;
+		this._opts = opts;
+		this.logger = ips.logger;
+	}
+
+	/**
+	 * Returns the notifications of the logged account, latest first.
+	 *
+	 * @param {{ [unreadOnly]: boolean }} [opts] Options
+	 * @returns {Promise.<{ title: string, url: string, date: Date, unread: boolean }[]>} Notifications
+	 */
+	list(opts) {
+		opts = opts || {};
+		return this._fetchNotifications().then(notifications => {
+			return opts.unreadOnly ? notifications.filter(notification => notification.unread) : notifications;
+		});
+	}
+
+	/**
+	 * Marks all notifications as read.
+	 *
+	 * @returns {Promise}
+	 */
+	markRead() {
+		return this._markRead();
+	}
+
+	/**
+	 * Follows a file, topic or member.
+	 *
+	 * @param {{ id: number, [type]: string, [url]: string }} item Item, e.g. a file returned by `getFiles()`, a topic or a member.
+	 *        `type` is one of "file", "topic" or "member" and guessed from the URL if not set.
+	 * @param {{ [frequency]: string, [anonymous]: boolean }} [opts] Options. `frequency` of the notifications is one of
+	 *        "immediate" (default), "daily", "weekly" or "none".
+	 * @returns {Promise}
+	 */
+	follow(item, opts) {
+		opts = opts || {};
+		opts.frequency = opts.frequency || 'immediate';
+		return Promise.try(() => {
+			if (!_.includes([ 'immediate', 'daily', 'weekly', 'none' ], opts.frequency)) {
+				throw new Error('Frequency must be one of "immediate", "daily", "weekly" or "none".');
+			}
+			const area = this._getFollowArea(item);
+			return this._follow(area, opts).then(() => this.logger.info('Following %s %s.', area.area, area.id));
+		});
+	}
+
+	/**
+	 * Stops following a file, topic or member.
+	 *
+	 * @param {{ id: number, [type]: string, [url]: string }} item Item, see {@link #follow()}
+	 * @returns {Promise}
+	 */
+	unfollow(item) {
+		return Promise.try(() => {
+			const area = this._getFollowArea(item);
+			return this._unfollow(area).then(() => this.logger.info('Stopped following %s %s.', area.area, area.id));
+		});
+	}
+
+	/**
+	 * Lists what the logged account follows.
+	 *
+	 * @param {{ [type]: string }} [opts] Options. `type` is one of "file", "topic" or "member", everything if not set.
+	 * @returns {Promise.<{ type: string, id: number, title: string, url: string }[]>} Followed items
+	 */
+	listFollowed(opts) {
+		opts = opts || {};
+		return Promise.try(() => {
+			if (opts.type && !AREAS[opts.type]) {
+				throw new Error('Type must be one of "file", "topic" or "member".');
+			}
+			return this._fetchFollowed(opts.type ? AREAS[opts.type] : null);
+
+		}).then(items => opts.type ? items.filter(item => item.type === opts.type) : items);
+	}
+
+	/**
+	 * Returns the follow area of an item.
+	 *
+	 * @param {{ id: number, [type]: string, [url]: string, [category]: number }} item Item
+	 * @returns {{ app: string, area: string, id: number }}
+	 * @private
+	 */
+	_getFollowArea(item) {
+		if (!_.isObject(item) || !item.id) {
+			throw new Error('Item must contain an `id` property.');
+		}
+		let type = item.type;
+		if (!type) {
+			const url = item.url || '';
+			type = /\/files\/file\/|showfile=/i.test(url) || item.category ? 'file'
+				: /\/topic\/|showtopic=/i.test(url) ? 'topic'
+				: /\/profile\/|showuser=/i.test(url) ? 'member' : null;
+		}
+		if (!AREAS[type]) {
+			throw new Error('Cannot tell whether item ' + item.id + ' is a file, a topic or a member, set its `type`.');
+		}
+		return _.assign({ id: item.id }, AREAS[type]);
+	}
+
+	/**
+	 * Returns the item type of a follow area.
+	 *
+	 * @param {string} app Application
+	 * @param {string} area Area
+	 * @returns {string} Type or null if unknown
+	 * @private
+	 */
+	_getType(app, area) {
+		return _.findKey(AREAS, { app: app, area: area }) || null;
+	}
+
+	_fetchNotifications() {
+		return Promise.reject(new UnsupportedVersionError('Notifications are not supported by this version of IPS.', this._opts.version));
+	}
+
+	_markRead() {
+		return Promise.reject(new UnsupportedVersionError('Notifications are not supported by this version of IPS.', this._opts.version));
+	}
+
+	_follow(area, opts) {
+		return Promise.reject(new UnsupportedVersionError('Following content is not supported by this version of IPS.', this._opts.version));
+	}
+
+	_unfollow(area) {
+		return Promise.reject(new UnsupportedVersionError('Following content is not supported by this version of IPS.', this._opts.version));
+	}
+
+	_fetchFollowed(area) {
+		return Promise.reject(new UnsupportedVersionError('Following content is not supported by this version of IPS.', this._opts.version));
+	}
+};
\ No newline at end of file
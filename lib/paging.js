@@ -0,0 +1,31 @@
+"use strict";
+
+/**
+ * Helpers shared by all modules that crawl paginated lists.
+ */
+module.exports = class {
+
+	/**
+	 * Parses the total number of pages from the "Page 1 of 5" label of the
+	 * pagination.
+	 *
+	 * @param $ Document body
+	 * @param {string} [selector] Selector of the label, defaults to the one of IPS4
+	 * @returns {number} Number of pages, 1 if the list isn't paginated
+	 */
+	static parseNumPages($, selector) {
+		const pages = $(selector || '.ipsPagination li.ipsPagination_pageJump a').first().text();
+		return /\d+ of \d+/i.test(pages) ? parseInt(pages.match(/\d+ of (\d+)/i)[1], 10) : 1;
+	}
+
+	/**
+	 * Returns a random delay between the configured bounds, so crawling
+	 * pages doesn't hit the board at a fixed rate.
+	 *
+	 * @param {{ minDelay: number, maxDelay: number }} opts Options
+	 * @returns {number} Delay in milliseconds
+	 */
+	static randomDelay(opts) {
+		return Math.floor(Math.random() * (opts.maxDelay - opts.minDelay + 1)) + opts.minDelay;
+	}
+};
\ No newline at end of file
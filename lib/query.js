@@ -0,0 +1,169 @@
+"use strict";
+
+const _ = require('lodash');
+
+/**
+ * Weight of every searched field. A term found in the title counts more
+ * than one found in the description.
+ */
+const WEIGHTS = {
+	title: 10,
+	author: 5,
+	listing: 3,
+	description: 1
+};
+
+/**
+ * A query over indexed files, ranking them by relevance and filtering
+ * them by their properties.
+ *
+ * Every term of the query must be found in at least one field, either as
+ * word, as part of a word or, for longer terms, with one typo.
+ */
+module.exports = class {
+
+	/**
+	 * @param {string} [query] Search query, all files match if empty
+	 * @param {{ [author]: string, [dateFrom]: Date, [dateTo]: Date, [minDownloads]: number, [broken]: boolean, [sortBy]: string, [order]: string }} [opts] Filters and sorting
+	 */
+	constructor(query, opts) {
+		this._terms = _.uniq(_.words((query || '').toLowerCase(), /[a-z0-9_-]+/g));
+		this._phrase = query ? new RegExp(query.replace(/[^a-z0-9\s_-]+/gi, '').trim().replace(/\s+/g, '.*?'), 'i') : null;
+		this._opts = opts || {};
+	}
+
+	/**
+	 * Filters, ranks and sorts files.
+	 *
+	 * Without `sortBy`, files are sorted by relevance if there is a query.
+	 *
+	 * @param {{}[]} files Files to search
+	 * @returns {{ file: {}, score: number }[]} Matched files with their score
+	 */
+	run(files) {
+		let results = files
+			.filter(file => this._passesFilters(file))
+			.map(file => ({ file: file, score: this.score(file) }))
+			.filter(result => _.isEmpty(this._terms) || result.score > 0);
+
+		const sortBy = this._opts.sortBy || (_.isEmpty(this._terms) ? null : 'score');
+		if (!sortBy) {
+			return results;
+		}
+		const order = this._opts.order || (sortBy === 'score' ? 'desc' : 'asc');
+		return _.orderBy(results, [ result => {
+			const value = sortBy === 'score' ? result.score : result.file[sortBy];
+			return sortBy === 'date' ? new Date(value).getTime() : _.isString(value) ? value.toLowerCase() : value;
+		} ], [ order ]);
+	}
+
+	/**
+	 * Computes the relevance of a file.
+	 *
+	 * @param {{}} file File
+	 * @returns {number} Score, 0 if any term is missing.
+	 */
+	score(file) {
+		if (_.isEmpty(this._terms)) {
+			return 0;
+		}
+		const fields = {
+			title: this._words(file.title),
+			author: this._words(file.author),
+			listing: this._words((file.listing || []).map(f => f.filename).join(' ')),
+			description: this._words(file.description)
+		};
+		let total = 0;
+		for (let term of this._terms) {
+			let best = 0;
+			_.forEach(fields, (words, field) => {
+				best = Math.max(best, WEIGHTS[field] * this._matchTerm(term, words));
+			});
+			if (best === 0) {
+				return 0;
+			}
+			total += best;
+		}
+		// bonus for the whole query in the right order
+		if (this._phrase.test(file.title)) {
+			total += WEIGHTS.title;
+		}
+		return Math.round(total * 100) / 100;
+	}
+
+	/**
+	 * Returns how well a term matches a list of words, between 0 and 1.
+	 *
+	 * @param {string} term Query term
+	 * @param {string[]} words Words of a field
+	 * @returns {number}
+	 * @private
+	 */
+	_matchTerm(term, words) {
+		let best = 0;
+		for (let word of words) {
+			if (word === term) {
+				return 1;
+			}
+			if (_.startsWith(word, term)) {
+				best = Math.max(best, 0.8);
+			} else if (_.includes(word, term)) {
+				best = Math.max(best, 0.5);
+			} else if (term.length >= 5 && Math.abs(word.length - term.length) <= 1 && this._distance(term, word) <= 1) {
+				best = Math.max(best, 0.3);
+			}
+		}
+		return best;
+	}
+
+	/**
+	 * Checks the structured filters.
+	 *
+	 * @param {{}} file File
+	 * @returns {boolean}
+	 * @private
+	 */
+	_passesFilters(file) {
+		const opts = this._opts;
+		if (opts.author && (file.author || '').toLowerCase() !== opts.author.toLowerCase()) {
+			return false;
+		}
+		if (opts.dateFrom && (!file.date || new Date(file.date) < new Date(opts.dateFrom))) {
+			return false;
+		}
+		if (opts.dateTo && (!file.date || new Date(file.date) > new Date(opts.dateTo))) {
+			return false;
+		}
+		if (opts.minDownloads && (file.downloads || 0) < opts.minDownloads) {
+			return false;
+		}
+		if (_.isBoolean(opts.broken) && !!file.broken !== opts.broken) {
+			return false;
+		}
+		return true;
+	}
+
+	_words(text) {
+		return _.words((text || '').toLowerCase(), /[a-z0-9_-]+/g);
+	}
+
+	/**
+	 * Levenshtein distance between two strings.
+	 *
+	 * @param {string} a
+	 * @param {string} b
+	 * @returns {number}
+	 * @private
+	 */
+	_distance(a, b) {
+		let previous = _.range(b.length + 1);
+		for (let i = 1; i <= a.length; i++) {
+			let current = [ i ];
+			for (let j = 1; j <= b.length; j++) {
+				current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+			}
+			previous = current;
+		}
+		return previous[b.length];
+	}
+};
\ No newline at end of file
@@ -0,0 +1,46 @@
+"use strict";
+
+const Promise = require('bluebird');
+
+/**
+ * Limits the number of requests per minute over a sliding window.
+ *
+ * All requests to the board share one instance, so crawling and
+ * downloading in parallel stays within the same budget.
+ */
+module.exports = class {
+
+	/**
+	 * @param {number} [requestsPerMinute] Maximal number of requests per minute, unlimited if not set
+	 */
+	constructor(requestsPerMinute) {
+		this._limit = requestsPerMinute || 0;
+		this._timestamps = [];
+		this._pending = Promise.resolve();
+	}
+
+	/**
+	 * Waits until another request is allowed and counts it.
+	 *
+	 * @returns {Promise} Resolved when the request can be sent
+	 */
+	acquire() {
+		if (!this._limit) {
+			return Promise.resolve();
+		}
+		// chain so waiting requests are released in order
+		return this._pending = this._pending.then(() => {
+			const now = Date.now();
+			this._timestamps = this._timestamps.filter(t => t > now - 60000);
+			if (this._timestamps.length < this._limit) {
+				this._timestamps.push(now);
+				return;
+			}
+			const wait = this._timestamps[0] + 60000 - now;
+			return Promise.delay(wait).then(() => {
+				this._timestamps.shift();
+				this._timestamps.push(Date.now());
+			});
+		});
+	}
+};
\ No newline at end of file
@@ -0,0 +1,41 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+
+module.exports = class {
+
+	constructor(ips, opts) {
+		this._ips = ips;
+		this._opts = opts;
+		this.logger = ips.logger;
+	}
+
+	/**
+	 * Searches the board through its own search engine.
+	 *
+	 * @param {string} query Search query
+	 * @param {{ [type]: string, [author]: string, [dateFrom]: Date, [dateTo]: Date, [tags]: string[], [page]: number }} [opts] Options.
+	 *        `type` is one of "file", "topic" or "post", everything if not set.
+	 * @returns {Promise.<{ type: string, id: number, title: string, url: string, author: string, date: Date, snippet: string, [category]: number, [topic]: number }[]>} Results of the given page
+	 */
+	search(query, opts) {
+
+		opts = opts || {};
+		opts.page = opts.page || 1;
+
+		return Promise.try(() => {
+			if (!query && !opts.author && _.isEmpty(opts.tags)) {
+				throw new Error('Need a query, an author or tags to search.');
+			}
+			if (opts.type && !_.includes([ 'file', 'topic', 'post' ], opts.type)) {
+				throw new Error('Search type must be one of "file", "topic" or "post".');
+			}
+			return this._fetchResults(query, opts);
+
+		}).then(results => {
+			// "topic" and "post" share the same search area
+			return opts.type ? results.filter(result => result.type === opts.type) : results;
+		});
+	}
+};
\ No newline at end of file
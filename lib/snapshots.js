@@ -0,0 +1,118 @@
+"use strict";
+
+const _ = require('lodash');
+const fs = require('fs');
+
+/**
+ * Fields compared between two snapshots of a category.
+ */
+const FIELDS = [ 'title', 'date', 'downloads', 'description' ];
+
+/**
+ * Keeps the last fetched state of every category and what changed
+ * compared to the one before.
+ *
+ * Snapshots contain the data of the index pages only, so details added
+ * later from the file pages don't show up as changes.
+ */
+module.exports = class {
+
+	/**
+	 * @param {string} path Path to the JSON file
+	 */
+	constructor(path) {
+		this._path = path;
+	}
+
+	/**
+	 * Compares fetched files to the last snapshot of the category and saves
+	 * them as new snapshot.
+	 *
+	 * @param {number} catId Category ID
+	 * @param {{}[]} fetchedItems Fetched files
+	 * @param {boolean} partial If set, not all pages were fetched, so missing files aren't considered removed.
+	 * @returns {{ category: number, since: Date, until: Date, added: {}[], removed: {}[], changed: { file: {}, fields: {} }[] }} Changes
+	 */
+	update(catId, fetchedItems, partial) {
+
+		const snapshots = this._read();
+		const previous = snapshots[catId] || { date: null, files: [] };
+		const files = fetchedItems.map(file => this._pick(file));
+		const changes = {
+			category: catId,
+			since: previous.date ? new Date(previous.date) : null,
+			until: new Date(),
+			added: [],
+			removed: [],
+			changed: []
+		};
+
+		files.forEach(file => {
+			const old = _.find(previous.files, { id: file.id });
+			if (!old) {
+				changes.added.push(file);
+				return;
+			}
+			const fields = {};
+			FIELDS.filter(field => !_.isEqual(old[field], file[field])).forEach(field => {
+				fields[field] = { from: old[field], to: file[field] };
+			});
+			if (!_.isEmpty(fields)) {
+				changes.changed.push({ file: file, fields: fields });
+			}
+		});
+
+		let snapshotFiles = files;
+		if (partial) {
+			snapshotFiles = previous.files.filter(old => !_.find(files, { id: old.id })).concat(files);
+		} else {
+			changes.removed = previous.files.filter(old => !_.find(files, { id: old.id }));
+		}
+
+		snapshots[catId] = { date: changes.until, files: snapshotFiles, changes: changes };
+		fs.writeFileSync(this._path, JSON.stringify(snapshots, null, '\t'));
+		return changes;
+	}
+
+	/**
+	 * Returns the changes computed during the last update of a category.
+	 *
+	 * @param {number} catId Category ID
+	 * @returns {{ category: number, since: Date, until: Date, added: {}[], removed: {}[], changed: { file: {}, fields: {} }[] }|null} Changes or null if never updated
+	 */
+	getChanges(catId) {
+		const snapshot = this._read()[catId];
+		if (!snapshot) {
+			return null;
+		}
+		// dates come back from JSON as strings
+		return _.assign(snapshot.changes, {
+			since: snapshot.changes.since ? new Date(snapshot.changes.since) : null,
+			until: new Date(snapshot.changes.until)
+		});
+	}
+
+	/**
+	 * Reduces a file to what's stored in the snapshot, with dates
+	 * serialized so they compare equally after reading them back.
+	 *
+	 * @param {{}} file File
+	 * @returns {{}} Snapshot entry
+	 * @private
+	 */
+	_pick(file) {
+		const entry = _.pick(file, [ 'id', 'url' ].concat(FIELDS));
+		if (entry.date) {
+			const date = new Date(entry.date);
+			entry.date = isNaN(date.getTime()) ? null : date.toISOString();
+		}
+		return entry;
+	}
+
+	_read() {
+		if (!fs.existsSync(this._path)) {
+			return {};
+		}
+		return JSON.parse(fs.readFileSync(this._path));
+	}
+};
\ No newline at end of file
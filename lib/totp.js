@@ -0,0 +1,57 @@
+"use strict";
+
+const crypto = require('crypto');
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Time-based one-time passwords as used by Google Authenticator (RFC 6238),
+ * with 6 digits every 30 seconds.
+ */
+module.exports = class {
+
+	/**
+	 * Returns the code of a secret for the given time.
+	 *
+	 * @param {string} secret Base32 encoded secret, as shown when setting up the authenticator. Spaces and case are ignored.
+	 * @param {number} [time] Time in milliseconds, defaults to now
+	 * @returns {string} Six digit code
+	 */
+	static generate(secret, time) {
+		const counter = Math.floor((time || Date.now()) / 30000);
+		const message = Buffer.alloc(8);
+		message.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+		message.writeUInt32BE(counter % 0x100000000, 4);
+
+		const hmac = crypto.createHmac('sha1', this.decodeBase32(secret)).update(message).digest();
+		const offset = hmac[hmac.length - 1] & 0xf;
+		const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
+		return ('000000' + code).slice(-6);
+	}
+
+	/**
+	 * Decodes a base32 string.
+	 *
+	 * @param {string} str Base32 string, padding is optional.
+	 * @returns {Buffer} Decoded bytes
+	 */
+	static decodeBase32(str) {
+		const chars = str.toUpperCase().replace(/[\s=-]/g, '');
+		const bytes = [];
+		let bits = 0;
+		let value = 0;
+		for (let char of chars) {
+			const index = BASE32.indexOf(char);
+			if (index < 0) {
+				throw new Error('Invalid character "' + char + '" in TOTP secret.');
+			}
+			value = (value << 5) | index;
+			bits += 5;
+			if (bits >= 8) {
+				bytes.push((value >>> (bits - 8)) & 0xff);
+				bits -= 8;
+			}
+		}
+		return Buffer.from(bytes);
+	}
+};
\ No newline at end of file
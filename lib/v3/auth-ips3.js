@@ -1,6 +1,8 @@
 "use strict";
 
-const rp = require('request-promise');
+const AuthenticationError = require('../errors').AuthenticationError;
+const HttpError = require('../errors').HttpError;
+const ParseError = require('../errors').ParseError;
 
 module.exports = class {
 
@@ -17,36 +19,37 @@ module.exports = class {
 	 * Logs the user in.
 	 *
 	 * Run this before accessing protected URLs and make sure you use
-	 * {@link _getAuthenticated()} after that.
+	 * {@link _getAuthenticated()} after that. If a session was restored from
+	 * the session store and is still valid, no credentials are posted.
 	 *
-	 * @returns {Promise}
+	 * @returns {Promise.<boolean>} True if login was needed, false otherwise.
 	 */
 	login() {
 		return Promise.try(() => {
 			if (!this._username || !this._password) {
-				throw new Error('Need valid credentials for this action. Instantiate Ips with username and password.');
+				throw new AuthenticationError('Need valid credentials for this action. Instantiate Ips with username and password.');
 			}
-			this.logger.info('--> GET %s', this._url + '/');
-			return rp({ uri: this._url + '/', jar: this._cookieJar });
+			return this._ips._http.request({ url: this._url + '/', jar: this._cookieJar });
+
+		}).then(response => {
 
-		}).then(body => {
+			const body = response.body;
 
 			if (new RegExp('>' + this._username + ' &nbsp;', 'i').test(body)) {
-				this.logger.info("User already logged, skipping login.");
-				return;
+				this.logger.info("User already logged in, skipping login.");
+				return false;
 			}
 
 			// get whatever the fuck this auth key is...
 			var key = body.match(/<input\s+type=['"]hidden['"]\s+name=['"]auth_key['"]\s+value=['"]([^"']+)/i);
 			var referer = body.match(/<input\s+type=['"]hidden['"]\s+name=['"]referer['"]\s+value=['"]([^"']+)/i);
 			if (!key || !referer) {
-				throw new Error('Cannot find auth key in index page.');
+				throw new ParseError('Cannot find auth key in index page.', this._url + '/', 'input[name="auth_key"]');
 			}
 			// post login
-			this.logger.info('--> POST %s', this._url + '/index.php?app=core&module=global&section=login&do=process');
-			return rp({
+			return this._ips._http.request({
 				method: 'POST',
-				uri: this._url + '/index.php?app=core&module=global&section=login&do=process',
+				url: this._url + '/index.php?app=core&module=global&section=login&do=process',
 				jar: this._cookieJar,
 				simple: false,
 				form: {
@@ -54,25 +57,26 @@ module.exports = class {
 					anonymous: '1',
 					referer: referer[1],
 					ips_username: this._username,
-					ips_password: this._password
-				},
-				resolveWithFullResponse: true
+					ips_password: this._password,
+					rememberMe: '1'
+				}
 
 			}).then(response => {
 
 				if (response.body.match(/username or password incorrect/i)) {
-					throw new Error('Wrong credentials when logging in.');
+					throw new AuthenticationError('Wrong credentials when logging in.');
 				}
 				if (response.statusCode !== 302) {
-					throw new Error('Unexpected response when logging in (%s).', response.statusCode);
+					throw new HttpError('Unexpected response when logging in (' + response.statusCode + ').', response.statusCode, response.request.uri.href);
 				}
 				this.logger.info('Login successful.');
+				return true;
 			});
 		});
 	}
 
 	/**
-	 * Closes a session.
+	 * Closes a session and clears the stored cookies.
 	 *
 	 * Note that this must be called explictly, otherwise the session stays open
 	 * even across restarts.
@@ -81,17 +85,15 @@ module.exports = class {
 	logout() {
 		return Promise.try(() => {
 			// fetch another damn id
-			this.logger.info('--> GET %s', this._url + '/index.php');
-			return rp({ uri: this._url + '/index.php', jar: this._cookieJar });
+			return this._ips._http.request({ url: this._url + '/index.php', jar: this._cookieJar });
 
-		}).then(body => {
-			var match = body.match(/<a\shref="([^"]+do=logout[^"]+)/);
+		}).then(response => {
+			var match = response.body.match(/<a\shref="([^"]+do=logout[^"]+)/);
 			if (match) {
 				let uri = decodeURI(match[1]).replace(/&amp;/gi, '&');
-				this.logger.info('--> GET %s', uri);
-				return rp({ uri: uri, jar: this._cookieJar }).then(body => {
-					if (new RegExp('>' + this._username + ' &nbsp;', 'i').test(body)) {
-						throw new Error('Logout failed.');
+				return this._ips._http.request({ url: uri, jar: this._cookieJar }).then(response => {
+					if (new RegExp('>' + this._username + ' &nbsp;', 'i').test(response.body)) {
+						throw new AuthenticationError('Logout failed.');
 					}
 					this.logger.info('Logout successful.');
 				});
@@ -99,6 +101,28 @@ module.exports = class {
 			} else {
 				this.logger.warn('Looks like you are not logged in anyway, aborting.');
 			}
-		});
+
+		}).finally(() => this._ips._clearSession());
+	}
+
+	/**
+	 * Checks whether the page is an error page because the content is
+	 * restricted to members and we're not logged.
+	 *
+	 * @param $ Document body
+	 * @returns {boolean}
+	 */
+	needsLogin($) {
+		return this.isGuest($) && $('#board_error, p.message.error').length > 0;
+	}
+
+	/**
+	 * Checks whether the page was served to a guest.
+	 *
+	 * @param $ Document body
+	 * @returns {boolean}
+	 */
+	isGuest($) {
+		return $('a#sign_in').length > 0;
 	}
 };
\ No newline at end of file
@@ -1,54 +1,71 @@
 "use strict";
 
+const Promise = require('bluebird');
 const _ = require('lodash');
-const fs = require('fs');
 const ent = require('ent');
+const toMarkdown = require('to-markdown');
 const chrono = require('chrono-node');
 const cheerio = require('cheerio');
-const request = require('request');
 const resolve = require('path').resolve;
 const basename = require('path').basename;
 const parseUrl = require('url').parse;
 const formatUrl = require('url').format;
 
 const Downloads = require('../downloads');
+const Form = require('../form');
+const Members = require('../members');
+const Paging = require('../paging');
+const ConcurrentDownloadError = require('../errors').ConcurrentDownloadError;
+const DownloadQuotaError = require('../errors').DownloadQuotaError;
+const ParseError = require('../errors').ParseError;
+const PermissionDeniedError = require('../errors').PermissionDeniedError;
 
 module.exports = class extends Downloads {
 
 	/**
-	 * Returns all download categories.
+	 * Fetches all download categories.
 	 *
-	 * @param {{ [forceRefresh]: boolean }} [opts] Options
-	 * @returns {Promise.<{id: number, label: string, url: string}[]>} Downloaded or cached categories
+	 * The side bar of the downloads index contains the whole tree, with
+	 * sub-categories nested in the list of their parent. It has no
+	 * descriptions, so they are left empty.
+	 *
+	 * @returns {Promise.<{id: number, label: string, url: string, parentId: number, fileCount: number, description: string}[]>} All categories
+	 * @private
 	 */
-	getCategories(opts) {
-
-		opts = opts || {};
-
-		return Promise.try(() => {
+	_fetchCategories() {
+		return this._ips._get('/index.php?app=downloads').then($ => {
+			return this._parseCategoryList($, $('#idm_categories').find('ul').first(), null);
+		});
+	}
 
-			if (!opts.forceRefresh && fs.existsSync(this._categoryCachePath)) {
-				return Promise.resolve(super._getCategoryCache());
+	/**
+	 * Parses a list of categories and their nested lists.
+	 *
+	 * @param $ Parsed page
+	 * @param ul List element
+	 * @param {number} parentId ID of the parent category, null for the root list
+	 * @returns {{id: number, label: string, url: string, parentId: number, fileCount: number, description: string}[]} Categories
+	 * @private
+	 */
+	_parseCategoryList($, ul, parentId) {
+		return _.flatten(ul.children('li').map((index, el) => {
+			const li = $(el);
+			const a = li.children('a').filter((index, el) => $(el).attr('title') && !$(el).hasClass('cat_toggle')).first();
+			if (!a.length) {
+				return [];
 			}
-			return this._ips._get('/index.php?app=downloads').then($ => {
-				var categories = $('#idm_categories').find('li > a').filter((index, el) => {
-					let a = $(el);
-					return a.attr('title') && !a.hasClass('cat_toggle');
-
-				}).map((index, el) => {
-					let a = $(el);
-					let url = a.attr('href').replace(/s=[0-9a-f]+&?/i, '');
-					return {
-						label: _.unescape(a.html()),
-						url: url,
-						id: this._parseIdFromUrl(url, 'showcat')
-					};
-				}).get();
-
-				fs.writeFileSync(this._categoryCachePath, JSON.stringify(categories, null, '\t'));
-				return categories;
-			});
-		});
+			const url = a.attr('href').replace(/s=[0-9a-f]+&?/i, '');
+			const count = li.children().not('ul').not(a).text().match(/\((\d+)\)/);
+			const cat = {
+				label: _.unescape(a.html()),
+				url: url,
+				id: this._parseIdFromUrl(url, 'showcat'),
+				parentId: parentId,
+				fileCount: count ? parseInt(count[1], 10) : null,
+				description: null
+			};
+			return [ [ cat ].concat(this._parseCategoryList($, li.children('ul'), cat.id)) ];
+		}).get());
 	}
 
 	/**
@@ -58,7 +75,7 @@ module.exports = class extends Downloads {
 	 * @param {number} [page] Page to start
 	 * @param {{ pageSize: number, delay: number, sortKey: string, sortOrder: string, firstPageOnly: boolean }} [opts] Options
 	 * @param [items] Internal callback parameter
-	 * @returns {Promise.<[{url: string, id: number, title: string, description: string, views: number, author: string, [broken]: boolean}]>} All items of a given category
+	 * @returns {Promise.<[{url: string, id: number, title: string, description: string, views: number, author: string, authorId: number, authorUrl: string, [date]: Date, [broken]: boolean}]>} All items of a given category
 	 * @private
 	 */
 	_fetchPage(cat, page, opts, items) {
@@ -86,27 +103,34 @@ module.exports = class extends Downloads {
 
 		}).then($ => {
 
-			let pages = $('.pagination li.pagejump a').text();
-			let numPages = /\d+ of \d+/i.test(pages) ? parseInt(pages.match(/\d+ of (\d+)/i)[1], 10) : 1;
+			let numPages = Paging.parseNumPages($, '.pagination li.pagejump a');
+			this._ips.emit('page:fetched', { category: catId, page: page, totalPages: numPages });
 
-			items = items.concat($('.idm_category_row').filter(function() {
-				let title = $(this).find('.ipsType_subtitle a').attr('title');
+			items = items.concat($('.idm_category_row').filter((index, el) => {
+				let title = $(el).find('.ipsType_subtitle a').attr('title');
 				return title && title.match(/view file/i);
 
-			}).map(function() {
-				let row = $(this);
+			}).map((index, el) => {
+				let row = $(el);
 				let url = row.find('.ipsType_subtitle a').attr('href').replace(/s=[0-9a-f]+&?/i, '');
 				let fileinfo = row.find('.file_info').html().match(/([\d,]+)\s+downloads\s+\(([\d,]+)\s+views/i);
 				let author = row.find('.basic_info .desc').html().match(/by\s+([^\s]+)/i);
+				let authorLink = row.find('.basic_info a[href*="showuser="], .basic_info a[href*="/user/"]').first().attr('href');
+				let authorUrl = authorLink ? authorLink.replace(/s=[0-9a-f]+&?/i, '').replace(/&amp;/g, '&') : null;
 				let descr = row.find('span[class="desc"]').html();
+				let published = row.find('abbr.published').attr('title');
+				let date = published ? new Date(published) : chrono.parseDate(row.find('.basic_info').text());
 				let res = {
 					url: url,
-					id: this.parseIdFromUrl(url, 'showfile'),
+					id: this._parseIdFromUrl(url, 'showfile'),
 					title: row.find('h3.ipsType_subtitle a').attr('title').replace(/^view file named\s+/ig, ''),
 					description: descr ? ent.decode(descr).trim() : '',
 					downloads: fileinfo ? parseInt(fileinfo[1].replace(/,/, ''), 10) : null,
 					views: fileinfo ? parseInt(fileinfo[2].replace(/,/, ''), 10) : null,
-					author: author ? author[1] : row.find('.___hover___member span').html()
+					author: author ? author[1] : row.find('.___hover___member span').html(),
+					authorId: Members.parseIdFromUrl(authorUrl),
+					authorUrl: authorUrl,
+					date: date || undefined
 				};
 				if (/broken/i.test(row.find('span.ipsBadge.ipsBadge_red').html())) {
 					res.broken = true;
@@ -118,12 +142,136 @@ module.exports = class extends Downloads {
 				logger.info('Fetched %d items in %s seconds.', items.length, Math.round((new Date().getTime() - started) / 100) / 10);
 				return items;
 			} else {
-				let delay = Math.floor(Math.random() * ( opts.maxDelay - opts.minDelay + 1)) + opts.minDelay;
-				return Promise.delay(delay).then(() => this._fetchPage(cat, page + 1, opts, items));
+				return Promise.delay(Paging.randomDelay(opts)).then(() => this._fetchPage(cat, page + 1, opts, items));
+			}
+		});
+	}
+
+	/**
+	 * Fetches the details of a file from its page and download page.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @param {{ [listing]: boolean }} opts Options. The download page is only fetched if `listing` is set.
+	 * @returns {Promise.<{}>} Details
+	 * @private
+	 */
+	_fetchFileDetails(cachedFile, opts) {
+
+		let details;
+		return this._ips._getWithLogin(cachedFile.url).then($ => {
+
+			const info = this._parseInfo($);
+			const description = $('div.ipsType_textblock.description_content').html();
+			const rating = $('[itemprop="ratingValue"]').attr('content');
+			const reviews = $('[itemprop="reviewCount"]').attr('content');
+			const submitted = this._findInfo(info, /submitted/i);
+			const updated = this._findInfo(info, /updated/i);
+
+			details = {
+				description: description ? ent.decode(description.trim()) : cachedFile.description,
+				version: this._findInfo(info, /version/i),
+				submitted: submitted ? chrono.parseDate(submitted.replace(/<[^>]+>/g, '')) : undefined,
+				updated: updated ? chrono.parseDate(updated.replace(/<[^>]+>/g, '')) : undefined,
+				size: this._parseSize(this._findInfo(info, /size/i)),
+				tags: _.uniq($('.ipsTag').map((index, el) => ent.decode($(el).text().trim())).get()),
+				rating: rating ? parseFloat(rating) : $('.rating img').filter((index, el) => /star\.png|star_filled/i.test($(el).attr('src'))).length,
+				reviews: reviews ? parseInt(reviews, 10) : undefined,
+				screenshots: _.uniq($('#screenshots a, a[rel^="lightbox"]').map((index, el) => $(el).attr('href')).get()),
+				info: info
+			};
+
+			const downloadUrl = $('a.download_button').attr('href');
+			return downloadUrl && opts.listing ? this._fetchListing(downloadUrl) : undefined;
+
+		}).then(listing => _.assign(details, { listing: listing }));
+	}
+
+	/**
+	 * Recursively fetches all comments of a file. IPS3 doesn't have reviews.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @param {string} type Either "comments" or "reviews"
+	 * @param {number} page Page to start
+	 * @param {{ firstPageOnly: boolean, minDelay: number, maxDelay: number }} opts Options
+	 * @param [items] Internal callback parameter
+	 * @param {string} [url] Internal callback parameter
+	 * @returns {Promise.<{ id: number, author: string, date: Date, body: string, url: string, file: number }[]>} Comments
+	 * @private
+	 */
+	_fetchFeedbackPage(cachedFile, type, page, opts, items, url) {
+		if (type !== 'comments') {
+			return super._fetchFeedbackPage(cachedFile, type, page, opts, items);
+		}
+		items = items || [];
+
+		this.logger.info('Fetching comments page %d for file %s.', page, cachedFile.id);
+		return this._ips._getWithLogin(url || cachedFile.url).then($ => {
+
+			items = items.concat($('div.post_block[id^="comment_id_"]').map((index, el) => {
+				const comment = $(el);
+				const id = parseInt(comment.attr('id').replace(/^comment_id_/, ''), 10);
+				const body = comment.find('div.post').first().html();
+				return {
+					id: id,
+					author: comment.find('.author .fn, .author a').first().text().trim(),
+					date: new Date(comment.find('abbr.published').attr('title')),
+					body: body ? toMarkdown(ent.decode(body), { gfm: true }).replace(/<[^<]+>/g, '').trim() : '',
+					url: cachedFile.url + '#comment_id_' + id,
+					file: cachedFile.id
+				};
+			}).get());
+
+			const next = $('.pagination li.next a').first().attr('href');
+			if (opts.firstPageOnly || !next) {
+				return items;
 			}
+			return Promise.delay(Paging.randomDelay(opts))
+				.then(() => this._fetchFeedbackPage(cachedFile, type, page + 1, opts, items, next.replace(/&amp;/gi, '&')));
 		});
 	}
 
+	/**
+	 * Posts a comment through the form of the file page.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @param {string} type Either "comment" or "review"
+	 * @param {string} html Content as HTML
+	 * @returns {Promise.<{ id: number, url: string }>} Posted comment
+	 * @private
+	 */
+	_postFeedback(cachedFile, type, html) {
+		if (type !== 'comment') {
+			return super._postFeedback(cachedFile, type, html);
+		}
+		return new Form(this._ips).submit(cachedFile.url, [
+			{ pattern: /^Post$/, value: html }
+		], { field: /^Post$/, done: () => true }).then(url => {
+			const id = /comment_id[_=](\d+)/i.exec(url);
+			return { id: id ? parseInt(id[1], 10) : null, url: url };
+		});
+	}
+
+	/**
+	 * Submits a new file through the submission form, which takes the
+	 * information and the uploads on one page.
+	 *
+	 * @param {number} catId Category ID
+	 * @param {{ title: string, description: string, files: string[], [screenshots]: string[], [tags]: string[], [version]: string }} data File to submit
+	 * @returns {Promise.<string>} URL of the new file
+	 * @private
+	 */
+	_submitFile(catId, data) {
+		return new Form(this._ips).submit('/index.php?app=downloads&module=post&section=submit&cat=' + catId, [
+			{ pattern: /^(file_)?cat$/, value: catId },
+			{ pattern: /^ss_|screenshot/i, value: data.screenshots, file: true },
+			{ pattern: /upload/i, value: data.files, file: true },
+			{ pattern: /^file_name$/, value: data.title },
+			{ pattern: /^file_desc$|^Post$/, value: data.description },
+			{ pattern: /tags/i, value: data.tags },
+			{ pattern: /^file_version$/, value: data.version }
+		], { done: url => /showfile=\d+|\/file\/\d+/i.test(url) });
+	}
+
 	/**
 	 * Fetches the download URL of a given file.
 	 * Also retrieves file details and saves it to the cache.
@@ -135,41 +283,51 @@ module.exports = class extends Downloads {
 	_getDownloadUrl(cachedFile) {
 
 		return Promise.try(() => {
-			// fetch the "overview" page
-			return this._ips._getAuthenticated(cachedFile.url);
+			// fetch the "overview" page, downloading needs an account
+			return this._ips._getWithLogin(cachedFile.url, { member: true });
 
 		}).then($ => {
 
 			// parse important shit
 			let description = $('div.ipsType_textblock.description_content').html();
-			let info = $('h3.bar').filter(function() {
-				return /file information/i.test($(this).html());
-
-			}).next().find('> li').map(function() {
-				let row = $(this);
-				let value = ent.decode(row.html())
-					.replace(/<strong[^>]+>.*?<\/strong>/, '').trim()
-					.replace(/^<a.*?([-a-zA-Z0-9@:%_\+.~#?&//=]{2,256}\.[a-z]{2,4}\b\/?[-a-z0-9@:%_\+.~#?&//=]*).*/i, '$1');
-				return {
-					name: row.find('strong.title').html().trim().replace(/:$/, ''),
-					value: value
-				};
-
-			}).get();
+			let info = this._parseInfo($);
 			let fileListUrl = $('a.download_button').attr('href');
 
 			// update potentially more complete description
 			cachedFile.description = description ? ent.decode(description.trim()) : cachedFile.description;
 			cachedFile.info = info;
 
-			// need to login first?
-			if ($('a#sign_in').html()) {
-				return this._ips._login().then(() => fileListUrl);
+			if (!fileListUrl) {
+				throw new ParseError('Could not find download button on file details page.', cachedFile.url, 'a.download_button');
 			}
 			return fileListUrl;
 		});
 	}
 
+	/**
+	 * Parses the "File Information" box of a file page.
+	 *
+	 * @param $ Document body
+	 * @returns {{name: string, value: string}[]}
+	 * @private
+	 */
+	_parseInfo($) {
+		return $('h3.bar').filter(function() {
+			return /file information/i.test($(this).html());
+
+		}).next().find('> li').map(function() {
+			let row = $(this);
+			let value = ent.decode(row.html())
+				.replace(/<strong[^>]+>.*?<\/strong>/, '').trim()
+				.replace(/^<a.*?([-a-zA-Z0-9@:%_\+.~#?&//=]{2,256}\.[a-z]{2,4}\b\/?[-a-z0-9@:%_\+.~#?&//=]*).*/i, '$1');
+			return {
+				name: row.find('strong.title').html().trim().replace(/:$/, ''),
+				value: value
+			};
+
+		}).get();
+	}
+
 	/**
 	 * Returns a list of parsed from the item download page.
 	 * @param $ Document body
@@ -189,31 +347,43 @@ module.exports = class extends Downloads {
 	/**
 	 * Downloads a file
 	 *
+	 * @param {{url: string, id: number, category: string}} cachedFile File from cache
 	 * @param {{ filename:string, url:string }} fileToDownload
-	 * @returns {*|Function}
+	 * @param {string} destFolder Destination folder
+	 * @returns {Promise<{string}>} Path to downloaded file
 	 * @private
 	 */
-	_downloadFile(fileToDownload) {
+	_downloadFile(cachedFile, fileToDownload, destFolder) {
 		let opts = {
 			url: fileToDownload.url,
 			jar: this._ips._cookieJar
 		};
-		return this._prepareDownload(opts).spread(this._treatPreperationResult.bind(this));
+		return this._prepareDownload(opts).spread(this._treatPreperationResult.bind(this, cachedFile, destFolder, opts));
 	}
 
-	_treatPreperationResult(readStream, body, filename) {
+	/**
+	 * Streams the file if the download URL returned a binary stream or
+	 * handles the page IPS returned instead.
+	 *
+	 * @returns {Promise<{string}>} Path to downloaded file
+	 * @private
+	 */
+	_treatPreperationResult(cachedFile, destFolder, opts, readStream, body, filename) {
 
 		// no body means a stream, so download file.
 		if (!body) {
 			cachedFile.filename = filename;
-			return this._streamFile(readStream, filename, destFolder)
+			return this._streamFile(readStream, filename, destFolder, opts);
 		}
 
 		if (body.match(/You have exceeded the maximum number of downloads allotted to you for the day/i)) {
-			throw new Error('Number of daily downloads exceeded.');
+			throw new DownloadQuotaError('Number of daily downloads exceeded.', this._parseQuotaReset(body));
 		}
 		if (body.match(/You may not download any more files until your other downloads are complete/i)) {
-			throw new Error('Too many simulataneous downloads.');
+			throw new ConcurrentDownloadError('Too many simultaneous downloads.');
+		}
+		if (body.match(/You do not have permission|You are not allowed to download/i)) {
+			throw new PermissionDeniedError('Not allowed to download "' + cachedFile.title + '".', opts.url);
 		}
 		let waitMsg = body.match(/You must wait (\d+) seconds before you can download this file/i);
 		if (waitMsg) {
@@ -221,11 +391,11 @@ module.exports = class extends Downloads {
 			this.logger.info('Waiting %dms...', wait);
 			return Promise.delay(wait)
 				.then(() => this._prepareDownload(opts)
-				.spread(this._treatPreperationResult.bind(this)))
+				.spread(this._treatPreperationResult.bind(this, cachedFile, destFolder, opts)))
 		}
 		// else..
-		fs.writeFileSync('download-debug.html', body);
-		throw new Error('Unknown error, see download-debug.html.');
+		this.logger.debug('Response of the download:\n%s', body);
+		throw new ParseError('Unknown response when downloading "' + cachedFile.title + '", see the debug log.', opts.url);
 	}
 
 	/**
@@ -0,0 +1,163 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const ent = require('ent');
+const chrono = require('chrono-node');
+const toMarkdown = require('to-markdown');
+
+const Forums = require('../forums');
+const Paging = require('../paging');
+const ParseError = require('../errors').ParseError;
+
+module.exports = class extends Forums {
+
+	/**
+	 * Fetches all forums and sub-forums from the board index.
+	 *
+	 * @returns {Promise.<{id: number, label: string, url: string, [parentId]: number}[]>} Forums
+	 * @private
+	 */
+	_fetchForums() {
+		return this._ips._getWithLogin('/index.php?act=idx').then($ => {
+			let forums = [];
+			$('table.ipb_table tr').each((index, el) => {
+				let row = $(el);
+				let a = row.find('h4 a').first();
+				if (!a.attr('href') || !/showforum=\d+/i.test(a.attr('href'))) {
+					return;
+				}
+				let url = a.attr('href').replace(/s=[0-9a-f]+&?/i, '');
+				let forum = {
+					id: this._parseIdFromUrl(url, 'showforum'),
+					label: ent.decode(a.text().trim()),
+					url: url
+				};
+				forums.push(forum);
+
+				row.find('ol.subforums a').each((index, sub) => {
+					let subUrl = $(sub).attr('href').replace(/s=[0-9a-f]+&?/i, '');
+					if (!/showforum=\d+/i.test(subUrl)) {
+						return;
+					}
+					forums.push({
+						id: this._parseIdFromUrl(subUrl, 'showforum'),
+						label: ent.decode($(sub).text().trim()),
+						url: subUrl,
+						parentId: forum.id
+					});
+				});
+			});
+			return forums;
+		});
+	}
+
+	/**
+	 * Recursively fetches all topics of a given forum by following the
+	 * pagination's "next" link.
+	 *
+	 * @param {{id: number, label: string, url: string}} forum Forum
+	 * @param {number} page Page to start
+	 * @param {{ firstPageOnly: boolean, minDelay: number, maxDelay: number }} opts Options
+	 * @param [items] Internal callback parameter
+	 * @param [url] Internal callback parameter
+	 * @returns {Promise.<{url: string, id: number, title: string, author: string, date: Date, replies: number, views: number, forum: number}[]>} Topics
+	 * @private
+	 */
+	_fetchTopicPage(forum, page, opts, items, url) {
+		items = items || [];
+
+		this.logger.info('Fetching topic page %d for %s.', page, forum.label);
+		return this._ips._getWithLogin(url || forum.url).then($ => {
+
+			items = items.concat($('tr.__topic').map((index, el) => {
+				let row = $(el);
+				let a = row.find('a.topic_title').first();
+				let url = a.attr('href').replace(/s=[0-9a-f]+&?/i, '');
+				let stats = row.find('td.stats li, td.col_f_views li').map((index, li) => $(li).text()).get().join(' ').match(/([\d,]+)\s+repl[a-z]+\s+([\d,]+)\s+views/i);
+				let topic = {
+					url: url,
+					id: this._parseIdFromUrl(url, 'showtopic'),
+					title: ent.decode(a.text().trim()),
+					author: row.find('.desc a[hovercard-ref="member"]').first().text().trim(),
+					date: chrono.parseDate(row.find('.desc span[itemprop="dateCreated"]').text().trim()),
+					replies: stats ? parseInt(stats[1].replace(/,/g, ''), 10) : null,
+					views: stats ? parseInt(stats[2].replace(/,/g, ''), 10) : null,
+					forum: forum.id
+				};
+				if (row.find('.ipsBadge_green').filter((index, el) => /pinned/i.test($(el).text())).length) {
+					topic.pinned = true;
+				}
+				if (row.find('.topic_status.closed, img[alt*="Locked"]').length) {
+					topic.locked = true;
+				}
+				return topic;
+			}).get());
+
+			let next = $('.pagination li.next a').first().attr('href');
+			if (opts.firstPageOnly || !next) {
+				return items;
+			}
+			return Promise.delay(Paging.randomDelay(opts)).then(() => this._fetchTopicPage(forum, page + 1, opts, items, next.replace(/&amp;/gi, '&')));
+		});
+	}
+
+	/**
+	 * Recursively fetches all posts of a given topic by following the
+	 * pagination's "next" link.
+	 *
+	 * @param {{id: number, title: string, url: string}} topic Topic
+	 * @param {number} page Page to start
+	 * @param {{ firstPageOnly: boolean, minDelay: number, maxDelay: number }} opts Options
+	 * @param [items] Internal callback parameter
+	 * @param [url] Internal callback parameter
+	 * @returns {Promise.<{id: number, author: string, date: Date, body: string, url: string, topic: number}[]>} Posts
+	 * @private
+	 */
+	_fetchPostPage(topic, page, opts, items, url) {
+		items = items || [];
+
+		this.logger.info('Fetching post page %d for topic %s.', page, topic.id);
+		return this._ips._getWithLogin(url || topic.url).then($ => {
+
+			items = items.concat($('div.post_block[id^="post_id_"]').map((index, el) => {
+				let post = $(el);
+				let id = parseInt(post.attr('id').replace(/^post_id_/, ''), 10);
+				let body = post.find('div.post_body div.post').html();
+				return {
+					id: id,
+					author: post.find('.author_info [itemprop="name"], .author.vcard .fn').first().text().trim(),
+					date: new Date(post.find('abbr.published').attr('title')),
+					body: body ? toMarkdown(body, { gfm: true }).replace(/<[^<]+>/g, '').trim() : '',
+					url: this._ips._url + '/index.php?showtopic=' + topic.id + '&view=findpost&p=' + id,
+					topic: topic.id
+				};
+			}).get());
+
+			let next = $('.pagination li.next a').first().attr('href');
+			if (opts.firstPageOnly || !next) {
+				return items;
+			}
+			return Promise.delay(Paging.randomDelay(opts)).then(() => this._fetchPostPage(topic, page + 1, opts, items, next.replace(/&amp;/gi, '&')));
+		});
+	}
+
+	/**
+	 * Parses the ID from an URL, supporting both type of URLs
+	 * @param {string} url
+	 * @param {string} param Name of the parameter
+	 * @returns {Number} ID
+	 * @private
+	 */
+	_parseIdFromUrl(url, param) {
+		var regex = new RegExp(param + '=(\\d+)', 'i');
+		if (regex.test(url)) {
+			return parseInt(regex.exec(url)[1], 10);
+		}
+		var match = url.replace(/\/$/, '').split('/').pop().match(/^\d+/);
+		if (!match) {
+			throw new ParseError('Cannot parse ID from "' + url + '".', url);
+		}
+		return parseInt(match[0], 10);
+	}
+};
\ No newline at end of file
@@ -0,0 +1,9 @@
+"use strict";
+
+const Gallery = require('../gallery');
+
+/**
+ * The IPS3 gallery isn't parsed, so every method rejects.
+ */
+module.exports = class extends Gallery {
+};
\ No newline at end of file
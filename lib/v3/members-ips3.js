@@ -0,0 +1,66 @@
+"use strict";
+
+const _ = require('lodash');
+const ent = require('ent');
+const chrono = require('chrono-node');
+
+const Members = require('../members');
+const NotFoundError = require('../errors').NotFoundError;
+
+module.exports = class extends Members {
+
+	/**
+	 * Fetches the profile of a member from `showuser`.
+	 *
+	 * @param {number} id Member ID
+	 * @returns {Promise.<{ id: number, name: string, url: string, group: string, joined: Date, posts: number, reputation: number, avatar: string }>} Member
+	 * @private
+	 */
+	_fetchMember(id) {
+
+		const url = this._ips._url + '/index.php?showuser=' + id;
+		return this._ips._getWithLogin(url).then($ => {
+
+			const name = $('.fn.nickname, h1.ipsType_pagetitle').first().text().trim();
+			if (!name) {
+				throw new NotFoundError('Cannot find profile of member ' + id + '.', url);
+			}
+			const row = label => $('.ipsList_data li, #user_info_cell li').filter((index, el) => label.test($(el).find('.row_title').text()))
+				.find('.row_data').first().text().trim();
+			const posts = row(/posts/i).replace(/[,.\s]/g, '');
+			const reputation = $('.reputation').first().text().replace(/[,.\s]/g, '').match(/-?\d+/);
+			const joined = row(/member since|joined/i);
+			return {
+				id: id,
+				name: ent.decode(name),
+				url: url,
+				group: row(/group/i) || null,
+				joined: joined ? chrono.parseDate(joined) : null,
+				posts: /^\d+$/.test(posts) ? parseInt(posts, 10) : null,
+				reputation: reputation ? parseInt(reputation[0], 10) : null,
+				avatar: $('#profile_photo img, .ipsUserPhoto_large').first().attr('src') || null
+			};
+		});
+	}
+
+	/**
+	 * Searches members through the member list.
+	 *
+	 * @param {string} query Beginning of the name
+	 * @returns {Promise.<{ id: number, name: string, url: string }[]>} Matched members
+	 * @private
+	 */
+	_searchMembers(query) {
+
+		this.logger.info('Searching members matching "%s".', query);
+		return this._ips._getWithLogin('/index.php?app=members&module=list&name_box=begins&name=' + encodeURIComponent(query)).then($ => {
+			const members = $('#member_list a[href*="showuser="], #member_list a[href*="/user/"]').map((index, el) => {
+				const a = $(el);
+				const name = a.text().trim();
+				const url = a.attr('href').replace(/s=[0-9a-f]+&?/i, '').replace(/&amp;/g, '&');
+				return name ? { id: Members.parseIdFromUrl(url), name: ent.decode(name), url: url } : null;
+			}).get();
+			return _.uniqBy(members.filter(member => member.id), 'id');
+		});
+	}
+};
\ No newline at end of file
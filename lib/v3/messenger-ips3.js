@@ -0,0 +1,142 @@
+"use strict";
+
+const _ = require('lodash');
+const ent = require('ent');
+const chrono = require('chrono-node');
+const toMarkdown = require('to-markdown');
+
+const Form = require('../form');
+const Messenger = require('../messenger');
+const ParseError = require('../errors').ParseError;
+
+module.exports = class extends Messenger {
+
+	/**
+	 * Recursively fetches the conversations of the "My Conversations" folder.
+	 *
+	 * @param {number} page Page to fetch
+	 * @param {{ firstPageOnly: boolean }} opts Options
+	 * @param {{}[]} items Internal callback parameter
+	 * @param {string} [url] Internal callback parameter
+	 * @returns {Promise.<{ id: number, title: string, url: string, participants: string[], date: Date, unread: boolean }[]>} Conversations
+	 * @private
+	 */
+	_fetchConversationPage(page, opts, items, url) {
+
+		this.logger.info('Fetching conversations page %d.', page);
+		return this._ips._getWithLogin(url || '/index.php?app=members&module=messaging&section=view&do=showFolder&folderID=myconvo').then($ => {
+
+			items = items.concat($('#message_list tr, tr[id^="trow_"]').map((index, el) => {
+				const row = $(el);
+				const a = row.find('a[href*="topicID="]').first();
+				if (!a.length) {
+					return null;
+				}
+				const id = this._parseIdFromUrl(a.attr('href'));
+				return {
+					id: id,
+					title: ent.decode(a.text().trim()),
+					url: this._getUrl(id),
+					participants: _.uniq(row.find('a[href*="showuser="]').map((index, a) => ent.decode($(a).text().trim())).get().filter(name => name)),
+					date: chrono.parseDate(row.find('.desc, .date').last().text()) || null,
+					unread: row.hasClass('unread') || row.find('.msg_icon img[src*="unread"], img[alt*="Unread"]').length > 0
+				};
+			}).get());
+
+			const next = $('.pagination li.next a').first().attr('href');
+			if (opts.firstPageOnly || !next) {
+				return _.uniqBy(items, 'id');
+			}
+			return this._fetchConversationPage(page + 1, opts, items, next.replace(/&amp;/gi, '&'));
+		});
+	}
+
+	/**
+	 * Recursively fetches the messages of a conversation.
+	 *
+	 * @param {number} id Conversation ID
+	 * @param {number} page Page to fetch
+	 * @param {{ firstPageOnly: boolean }} opts Options
+	 * @param {{}[]} items Internal callback parameter
+	 * @param {string} [url] Internal callback parameter
+	 * @returns {Promise.<{ id: number, author: string, date: Date, body: string, url: string, conversation: number }[]>} Messages
+	 * @private
+	 */
+	_fetchMessagePage(id, page, opts, items, url) {
+
+		this.logger.info('Fetching messages page %d of conversation %d.', page, id);
+		return this._ips._getWithLogin(url || this._getUrl(id)).then($ => {
+
+			items = items.concat($('div.post_block[id^="msg"]').map((index, el) => {
+				const message = $(el);
+				const messageId = parseInt(message.attr('id').replace(/^msg(_id_)?/, ''), 10);
+				const body = message.find('div.post').first().html();
+				return {
+					id: messageId,
+					author: message.find('.author .fn, .author a').first().text().trim(),
+					date: new Date(message.find('abbr.published').attr('title')),
+					body: body ? toMarkdown(ent.decode(body), { gfm: true }).replace(/<[^<]+>/g, '').trim() : '',
+					url: this._getUrl(id) + '#msg' + messageId,
+					conversation: id
+				};
+			}).get());
+
+			const next = $('.pagination li.next a').first().attr('href');
+			if (opts.firstPageOnly || !next) {
+				return items;
+			}
+			return this._fetchMessagePage(id, page + 1, opts, items, next.replace(/&amp;/gi, '&'));
+		});
+	}
+
+	/**
+	 * Posts the compose form of the messenger. The first recipient goes
+	 * to the name field, the others are invited.
+	 *
+	 * @param {string[]} recipients Names of the recipients
+	 * @param {string} title Title
+	 * @param {string} html First message as HTML
+	 * @returns {Promise.<{ id: number, url: string }>} New conversation
+	 * @private
+	 */
+	_postConversation(recipients, title, html) {
+		return new Form(this._ips).submit('/index.php?app=members&module=messaging&section=send&do=form', [
+			{ pattern: /^entered_name$/, value: recipients[0] },
+			{ pattern: /^inviteUsers$/, value: recipients.slice(1) },
+			{ pattern: /^msg_title$/, value: title },
+			{ pattern: /^Post$/, value: html }
+		], { field: /^msg_title$/, done: url => /topicID=\d+/.test(url) }).then(url => {
+			const id = this._parseIdFromUrl(url);
+			return { id: id, url: this._getUrl(id) };
+		});
+	}
+
+	/**
+	 * Posts the reply form of a conversation.
+	 *
+	 * @param {number} id Conversation ID
+	 * @param {string} html Message as HTML
+	 * @returns {Promise.<{ id: number, url: string }>} Posted message
+	 * @private
+	 */
+	_postReply(id, html) {
+		return new Form(this._ips).submit('/index.php?app=members&module=messaging&section=send&do=replyForm&topicID=' + id, [
+			{ pattern: /^Post$/, value: html }
+		], { field: /^Post$/, done: () => true }).then(url => {
+			const message = /msgID=(\d+)|#msg(\d+)/.exec(url);
+			return { id: message ? parseInt(message[1] || message[2], 10) : null, url: url };
+		});
+	}
+
+	_getUrl(id) {
+		return this._ips._url + '/index.php?app=members&module=messaging&section=view&do=showConversation&topicID=' + id;
+	}
+
+	_parseIdFromUrl(url) {
+		const match = /topicID=(\d+)/i.exec(url.replace(/&amp;/g, '&'));
+		if (!match) {
+			throw new ParseError('Cannot parse conversation ID from "' + url + '".', url);
+		}
+		return parseInt(match[1], 10);
+	}
+};
\ No newline at end of file
@@ -0,0 +1,10 @@
+"use strict";
+
+const Notifications = require('../notifications');
+
+/**
+ * IPS3 has neither the notification list nor following as parsed by the
+ * IPS4 module, so every method rejects.
+ */
+module.exports = class extends Notifications {
+};
\ No newline at end of file
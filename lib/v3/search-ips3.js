@@ -0,0 +1,121 @@
+"use strict";
+
+const _ = require('lodash');
+const ent = require('ent');
+const chrono = require('chrono-node');
+const formatUrl = require('url').format;
+const parseUrl = require('url').parse;
+
+const Search = require('../search');
+
+/**
+ * Search apps of the IPS3 search engine.
+ */
+const APPS = {
+	file: 'downloads',
+	topic: 'forums',
+	post: 'forums'
+};
+
+module.exports = class extends Search {
+
+	/**
+	 * Fetches a page of search results from `app=core&module=search`.
+	 *
+	 * @param {string} query Search query
+	 * @param {{ type: string, author: string, dateFrom: Date, dateTo: Date, tags: string[], page: number, pageSize: number }} opts Options
+	 * @returns {Promise.<{}[]>} Results
+	 * @private
+	 */
+	_fetchResults(query, opts) {
+
+		const pageSize = opts.pageSize || 25;
+		const url = parseUrl(this._ips._url + '/index.php', true);
+		url.query = _.omitBy({
+			app: 'core',
+			module: 'search',
+			do: 'search',
+			fromMainBar: 1,
+			search_term: query,
+			search_app: opts.type ? APPS[opts.type] : undefined,
+			search_author: opts.author,
+			search_tags: _.isEmpty(opts.tags) ? undefined : _.castArray(opts.tags).join(','),
+			search_date_start: opts.dateFrom ? this._formatDate(opts.dateFrom) : undefined,
+			search_date_end: opts.dateTo ? this._formatDate(opts.dateTo) : undefined,
+			content_title_only: opts.type === 'topic' ? 1 : undefined,
+			st: (opts.page - 1) * pageSize
+		}, _.isUndefined);
+
+		this.logger.info('Searching for "%s", page %d.', query, opts.page);
+		return this._ips._getWithLogin(formatUrl(url)).then($ => {
+			// nested lists and tables can match the same hit twice
+			return _.uniqBy($('#search_results li, #search_results tr').map((index, el) => {
+				const row = $(el);
+				const a = row.find('h3 a, h4 a').first();
+				const url = a.attr('href');
+				if (!url) {
+					return null;
+				}
+				const date = row.find('.desc, .date').first().text();
+				const container = row.find('a[href*="showcat="], a[href*="/category/"]').first().attr('href');
+				return _.assign({
+					title: ent.decode(a.text().trim()),
+					url: url.replace(/s=[0-9a-f]+&?/i, ''),
+					author: row.find('a[hovercard-ref="member"]').first().text().trim(),
+					date: chrono.parseDate(date),
+					snippet: row.find('.search_result_content, .post').text().trim()
+				}, this._parseType(url, container));
+			}).get(), 'url');
+		});
+	}
+
+	/**
+	 * Parses type and IDs of a search result from its URL.
+	 *
+	 * @param {string} url URL of the result
+	 * @param {string} [containerUrl] URL of the category the result is in
+	 * @returns {{ type: string, id: number, [category]: number, [topic]: number }}
+	 * @private
+	 */
+	_parseType(url, containerUrl) {
+		const showfile = this._parseParam(url, 'showfile') || this._parsePathId(url, 'file');
+		if (showfile) {
+			return {
+				type: 'file',
+				id: showfile,
+				category: containerUrl ? this._parseParam(containerUrl, 'showcat') || this._parsePathId(containerUrl, 'category') : null
+			};
+		}
+		const topic = this._parseParam(url, 'showtopic') || this._parsePathId(url, 'topic');
+		const post = this._parseParam(url, 'p') || this._parseParam(url, 'entry');
+		if (topic && post) {
+			return { type: 'post', id: post, topic: topic };
+		}
+		if (topic) {
+			return { type: 'topic', id: topic };
+		}
+		return { type: 'other', id: null };
+	}
+
+	_parseParam(url, param) {
+		const match = new RegExp('[?&;]' + param + '=(\\d+)', 'i').exec(url.replace(/&amp;/g, '&'));
+		return match ? parseInt(match[1], 10) : null;
+	}
+
+	_parsePathId(url, segment) {
+		const match = new RegExp('/' + segment + '/(\\d+)', 'i').exec(url);
+		return match ? parseInt(match[1], 10) : null;
+	}
+
+	/**
+	 * IPS3 expects dates as MM-DD-YYYY.
+	 *
+	 * @param {Date|string} date
+	 * @returns {string}
+	 * @private
+	 */
+	_formatDate(date) {
+		date = new Date(date);
+		return _.padStart(date.getMonth() + 1, 2, '0') + '-' + _.padStart(date.getDate(), 2, '0') + '-' + date.getFullYear();
+	}
+};
\ No newline at end of file
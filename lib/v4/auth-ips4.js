@@ -1,7 +1,14 @@
 "use strict";
 
-const fs = require('fs');
-const rp = require('request-promise');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const cheerio = require('cheerio');
+const resolveUrl = require('url').resolve;
+
+const Totp = require('../totp');
+const AuthenticationError = require('../errors').AuthenticationError;
+const HttpError = require('../errors').HttpError;
+const ParseError = require('../errors').ParseError;
 
 module.exports = class {
 
@@ -18,21 +25,25 @@ module.exports = class {
 	 * Logs the user in.
 	 *
 	 * Run this before accessing protected URLs and make sure you use
-	 * {@link _getAuthenticated()} after that.
+	 * {@link _getAuthenticated()} after that. If a session was restored from
+	 * the session store and is still valid, no credentials are posted.
+	 *
+	 * If the account uses two-factor authentication, the challenge is
+	 * answered with the `totpSecret` or `mfa` option of Ips.
 	 *
 	 * @returns {Promise.<boolean>} True if login was needed, false otherwise.
 	 */
 	login() {
 		return Promise.try(() => {
 			if (!this._username || !this._password) {
-				throw new Error('Need valid credentials for this action. Instantiate Ips with username and password.');
+				throw new AuthenticationError('Need valid credentials for this action. Instantiate Ips with username and password.');
 			}
 			return this._ips._getAuthenticated('/');
 
 		}).then($ => {
 
 			if ($('#cUserLink a.ipsUserPhoto > img').attr('alt') === this._username) {
-				this.logger.info("User already logged, skipping login.");
+				this.logger.info("User already logged in, skipping login.");
 				return false;
 			}
 
@@ -40,10 +51,9 @@ module.exports = class {
 			const csrfKey = $('form.ipsPad input[name="csrfKey"]').attr('value');
 
 			// post login
-			this.logger.info('--> POST %s', this._url + '/login/');
-			return rp({
+			return this._ips._http.request({
 				method: 'POST',
-				uri: this._url + '/login/',
+				url: this._url + '/login/',
 				jar: this._cookieJar,
 				simple: false,
 				form: {
@@ -51,21 +61,23 @@ module.exports = class {
 					csrfKey: csrfKey,
 					auth: this._username,
 					password: this._password,
-					remember_me: 0,
+					remember_me: 1,
 					remember_me_checkbox: 1,
 					signin_anonymous: 0,
 					signin_anonymous_checkbox: 1
-				},
-				resolveWithFullResponse: true
+				}
 
 			}).then(response => {
 
 				if (response.body.match(/password you entered is incorrect/i)) {
-					throw new Error('Wrong credentials when logging in.');
+					throw new AuthenticationError('Wrong credentials when logging in.');
+				}
+				if (this._isMfaRedirect(response) || this._findMfaForm(cheerio.load(response.body))) {
+					return this._authenticateMfa(response).then(() => true);
 				}
 				if (response.statusCode !== 301 && response.statusCode !== 303) {
-					fs.writeFileSync('result-login.html', response.body);
-					throw new Error(`Unexpected response when logging in (${response.statusCode}).`);
+					this.logger.debug('Response of the login:\n%s', response.body);
+					throw new HttpError(`Unexpected response when logging in (${response.statusCode}).`, response.statusCode, this._url + '/login/');
 				}
 				this.logger.info('Login successful.');
 				return true;
@@ -74,7 +86,134 @@ module.exports = class {
 	}
 
 	/**
-	 * Closes a session.
+	 * Answers the two-factor challenge the board asked for after posting
+	 * the credentials.
+	 *
+	 * Supports authenticator apps (TOTP) and security questions. If the
+	 * board offers several methods, the authenticator is preferred.
+	 *
+	 * @param {IncomingMessage} response Response of the login
+	 * @returns {Promise}
+	 * @private
+	 */
+	_authenticateMfa(response) {
+
+		// the challenge is either returned right away or where the login redirects to
+		const redirected = this._isMfaRedirect(response);
+		const url = redirected ? resolveUrl(this._url + '/login/', response.headers.location) : this._url + '/login/';
+
+		this.logger.info('Two-factor authentication required.');
+		return Promise.try(() => redirected ? this._ips._getAuthenticated(url) : cheerio.load(response.body)).then($ => {
+
+			let form = this._findMfaForm($);
+			if (!form) {
+				// pick a method first
+				const methods = $('a[href*="_mfa="]').map((index, a) => $(a).attr('href').replace(/&amp;/g, '&')).get();
+				const method = _.find(methods, href => /_mfa=(google|authy|verify)/i.test(href)) || methods[0];
+				if (!method) {
+					this.logger.debug('Two-factor challenge:\n%s', $.html());
+					throw new ParseError('Unknown two-factor challenge when logging in.', url, 'a[href*="_mfa="]');
+				}
+				const methodUrl = resolveUrl(url, method);
+				return this._ips._getAuthenticated(methodUrl).then($ => {
+					form = this._findMfaForm($);
+					if (!form) {
+						this.logger.debug('Two-factor challenge:\n%s', $.html());
+						throw new ParseError('Unknown two-factor challenge when logging in.', methodUrl, 'form');
+					}
+					return this._answerMfa($, form, methodUrl);
+				});
+			}
+			return this._answerMfa($, form, url);
+		});
+	}
+
+	/**
+	 * Fills out and posts the form of a two-factor challenge.
+	 *
+	 * @param $ Page of the challenge
+	 * @param {Cheerio} form Form of the challenge
+	 * @param {string} url URL of the page
+	 * @returns {Promise}
+	 * @private
+	 */
+	_answerMfa($, form, url) {
+
+		const codeField = form.find('input[name*="auth_code"]').first();
+		const answerFields = form.find('input[name^="security_answer"]');
+		const challenge = codeField.length ? { type: 'totp' } : {
+			type: 'questions',
+			questions: answerFields.map((index, el) => {
+				const field = $(el);
+				const label = $('label[for="' + field.attr('id') + '"]').text() || field.closest('li').find('.ipsFieldRow_title').text();
+				return label.replace(/\s+/g, ' ').replace(/\s*required$/i, '').trim();
+			}).get()
+		};
+
+		return Promise.try(() => {
+			const opts = this._ips._opts;
+			if (challenge.type === 'totp' && opts.totpSecret) {
+				return Totp.generate(opts.totpSecret);
+			}
+			if (!_.isFunction(opts.mfa)) {
+				throw new AuthenticationError('Account requires two-factor authentication (' + challenge.type + '). Instantiate Ips with the `totpSecret` or `mfa` option.');
+			}
+			return opts.mfa(challenge);
+
+		}).then(answer => {
+
+			const data = {};
+			form.find('input, select, textarea').each((index, el) => {
+				const field = $(el);
+				if (field.attr('name') && !/checkbox|radio|submit/i.test(field.attr('type'))) {
+					data[field.attr('name')] = field.attr('value') || '';
+				}
+			});
+			if (challenge.type === 'totp') {
+				data[codeField.attr('name')] = String(answer).replace(/\s/g, '');
+			} else {
+				const answers = _.castArray(answer);
+				answerFields.each((index, el) => {
+					data[$(el).attr('name')] = _.isArray(answer) ? answers[index] : answer[challenge.questions[index]];
+				});
+			}
+
+			const action = resolveUrl(url, form.attr('action') || url);
+			return this._ips._http.request({
+				method: 'POST',
+				url: action,
+				jar: this._cookieJar,
+				simple: false,
+				form: data
+			});
+
+		}).then(response => {
+			if ((response.statusCode !== 301 && response.statusCode !== 303) || this._isMfaRedirect(response)) {
+				this.logger.debug('Response of the two-factor challenge:\n%s', response.body);
+				throw new AuthenticationError(`Two-factor authentication failed (${response.statusCode}).`);
+			}
+			this.logger.info('Two-factor authentication successful.');
+		});
+	}
+
+	/**
+	 * Returns the form of a two-factor challenge.
+	 *
+	 * @param $ Document body
+	 * @returns {Cheerio} Form or null if the page has no challenge
+	 * @private
+	 */
+	_findMfaForm($) {
+		const form = $('form').filter((index, el) => $(el).find('input[name*="auth_code"], input[name^="security_answer"]').length > 0).first();
+		return form.length ? form : null;
+	}
+
+	_isMfaRedirect(response) {
+		return (response.statusCode === 301 || response.statusCode === 303) && /_mfaLogin|_mfa=/.test(response.headers.location || '');
+	}
+
+	/**
+	 * Closes a session and clears the stored cookies.
 	 *
 	 * Note that this must be called explictly, otherwise the session stays open
 	 * even across restarts.
@@ -96,26 +235,46 @@ module.exports = class {
 			const url = $('[data-menuitem="signout"] > a').attr('href');
 
 			if (!url) {
-				throw new Error('Could not find logout link.');
+				throw new ParseError('Could not find logout link.', this._url + '/', '[data-menuitem="signout"] > a');
 			}
 
 			// logout
-			this.logger.info('--> GET %s', url);
-			return rp({
+			return this._ips._http.request({
 				method: 'GET',
-				uri: url,
+				url: url,
 				jar: this._cookieJar,
-				simple: false,
-				resolveWithFullResponse: true
+				simple: false
 
 			}).then(response => {
 				if (response.statusCode !== 301) {
-					fs.writeFileSync('result-logout.html', response.body);
-					throw new Error(`Unexpected response when logging out (${response.statusCode}).`);
+					this.logger.debug('Response of the logout:\n%s', response.body);
+					throw new HttpError(`Unexpected response when logging out (${response.statusCode}).`, response.statusCode, url);
 				}
 				this.logger.info('Logout successful.');
 				return true;
 			});
-		});
+
+		}).finally(() => this._ips._clearSession());
+	}
+
+	/**
+	 * Checks whether the page is an error page because the content is
+	 * restricted to members and we're not logged.
+	 *
+	 * @param $ Document body
+	 * @returns {boolean}
+	 */
+	needsLogin($) {
+		return this.isGuest($) && $('#elError, .ipsErrorPage').length > 0;
+	}
+
+	/**
+	 * Checks whether the page was served to a guest.
+	 *
+	 * @param $ Document body
+	 * @returns {boolean}
+	 */
+	isGuest($) {
+		return $('#elSignInLink').length > 0;
 	}
 };
\ No newline at end of file
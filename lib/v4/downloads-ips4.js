@@ -5,55 +5,391 @@ const _ = require('lodash');
 const fs = require('fs');
 const decode = require('ent/decode');
 const cheerio = require('cheerio');
+const resolve = require('path').resolve;
 const basename = require('path').basename;
 const parseUrl = require('url').parse;
 const formatUrl = require('url').format;
 const toMarkdown = require('to-markdown');
 
 const Downloads = require('../downloads');
+const Form = require('../form');
+const Members = require('../members');
+const Paging = require('../paging');
+const ConcurrentDownloadError = require('../errors').ConcurrentDownloadError;
+const DownloadQuotaError = require('../errors').DownloadQuotaError;
+const FormError = require('../errors').FormError;
+const NotFoundError = require('../errors').NotFoundError;
+const ParseError = require('../errors').ParseError;
+const PermissionDeniedError = require('../errors').PermissionDeniedError;
 
 module.exports = class extends Downloads {
 
 	/**
-	 * Returns all download categories.
+	 * Fetches all download categories.
 	 *
-	 * @param {{ [forceRefresh]: boolean }} [opts] Options
-	 * @returns {Promise.<{id?: number, label: string, url: string}[]>} Downloaded or cached categories
+	 * Uses the REST API if an API key is configured, otherwise starts at
+	 * `/files/categories/` and walks down every category page for its
+	 * sub-categories.
+	 *
+	 * @returns {Promise.<{id: number, label: string, url: string, parentId: number, fileCount: number, description: string}[]>} All categories
+	 * @private
 	 */
-	getCategories(opts) {
+	_fetchCategories() {
+		if (this._opts.apiKey) {
+			return this._fetchApiCategories();
+		}
+		const visited = {};
+		return this._ips._get('/files/categories/').then($ => {
+			return this._fetchSubCategories(this._parseCategories($, null, visited), visited);
+		});
+	}
 
-		opts = opts || {};
+	/**
+	 * Fetches the sub-categories of the given categories, recursively.
+	 *
+	 * @param {{id: number, url: string}[]} categories Parent categories
+	 * @param {{}} visited Already found categories by ID
+	 * @returns {Promise.<{}[]>} Given categories followed by their descendants
+	 * @private
+	 */
+	_fetchSubCategories(categories, visited) {
+		return Promise.mapSeries(categories, cat => {
+			return this._ips._get(cat.url).then($ => {
+				return this._fetchSubCategories(this._parseCategories($, cat.id, visited), visited);
+			});
+		}).then(result => categories.concat(_.flatten(result)));
+	}
 
-		return Promise.try(() => {
+	/**
+	 * Parses the category rows of a page. Falls back to the side menu for
+	 * themes that don't list sub-categories in the page body.
+	 *
+	 * @param $ Parsed page
+	 * @param {number} parentId ID of the category of the page, null for the index
+	 * @param {{}} visited Already found categories by ID, updated.
+	 * @returns {{id: number, label: string, url: string, parentId: number, fileCount: number, description: string}[]} Categories not found before
+	 * @private
+	 */
+	_parseCategories($, parentId, visited) {
+		let rows = $('.ipsDataItem').filter((index, el) => /\/files\/category\//i.test($(el).find('.ipsDataItem_title a').first().attr('href')));
+		let categories = rows.map((index, el) => {
+			const row = $(el);
+			const a = row.find('.ipsDataItem_title a').first();
+			const count = row.find('.ipsDataItem_stats').first().text().replace(/[,.]/g, '').match(/\d+/);
+			return this._parseCategoryLink($, a, parentId, {
+				fileCount: count ? parseInt(count[0], 10) : null,
+				description: row.find('.ipsDataItem_meta').first().text().trim() || null
+			});
+		}).get();
 
-			if (!opts.forceRefresh && fs.existsSync(this._categoryCachePath)) {
-				return Promise.resolve(super._getCategoryCache());
+		if (!rows.length && parentId !== null) {
+			categories = $('.ipsSideMenu_list > li > a').filter((index, el) => /\/files\/category\//i.test($(el).attr('href'))).map((index, el) => {
+				const count = $(el).find('.ipsBadge').text().replace(/[,.]/g, '').match(/\d+/);
+				return this._parseCategoryLink($, $(el), parentId, { fileCount: count ? parseInt(count[0], 10) : null, description: null });
+			}).get();
+		}
+		return categories.filter(cat => {
+			if (!cat.id || cat.id === parentId || visited[cat.id]) {
+				return false;
 			}
-			return this._ips._get('/files/categories/').then($ => {
-				var mainCategories = $('.ipsBox').find('.ipsDataItem_title > a').map((index, el) => {
-					return $(el).attr('href').replace(/s=[0-9a-f]+&?/i, '');
+			return visited[cat.id] = true;
+		});
+	}
+
+	_parseCategoryLink($, a, parentId, props) {
+		let url = a.attr('href').replace(/s=[0-9a-f]+&?/i, '');
+		return _.assign({
+			id: this._parseIdFromUrl(url),
+			label: _.unescape(a.clone().find('.ipsBadge').remove().end().text().trim()),
+			url: url,
+			parentId: parentId
+		}, props);
+	}
+
+	/**
+	 * Fetches the details of a file from its page and download page.
+	 *
+	 * Uses the REST API if an API key is configured.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @param {{ [listing]: boolean }} opts Options. The download page is only fetched if `listing` is set.
+	 * @returns {Promise.<{}>} Details
+	 * @private
+	 */
+	_fetchFileDetails(cachedFile, opts) {
+
+		if (this._opts.apiKey) {
+			return this._ips._getApi('downloads/files/' + cachedFile.id).then(result => {
+				const listing = this._parseApiFileList(result);
+				return _.assign(this._parseApiFile(result), {
+					version: result.version || undefined,
+					submitted: result.date ? new Date(result.date) : undefined,
+					updated: result.updated ? new Date(result.updated) : undefined,
+					size: _.sumBy(listing, 'size'),
+					tags: result.tags || [],
+					rating: result.rating,
+					reviews: result.reviews,
+					screenshots: result.screenshots || [],
+					listing: listing
+				});
+			});
+		}
+
+		let details;
+		return this._ips._getWithLogin(cachedFile.url).then($ => {
+
+			const info = $('.ipsType_sectionHead').filter((index, el) => /file information/i.test($(el).text()))
+				.parent().find('li.ipsDataItem').map((index, el) => {
+					const row = $(el);
+					const time = row.find('time').attr('datetime');
+					return {
+						name: row.find('strong').first().text().trim().replace(/:$/, ''),
+						value: time || row.find('.ipsDataItem_generic').last().text().trim()
+					};
 				}).get();
 
-				return Promise.mapSeries(mainCategories, mainCategoryUrl => {
-					return this._ips._get(mainCategoryUrl).then($ => {
-						return $('.ipsSideMenu_list > li > a').map((index, a) => {
-							let url = $(a).attr('href').replace(/s=[0-9a-f]+&?/i, '');
-							return {
-								id: this._parseIdFromUrl(url),
-								label: _.unescape($(a).find('.ipsBadge').remove().end().text()),
-								url: url
-							};
-						}).get();
-					});
+			const description = toMarkdown($('.ipsPad .ipsType_richText').html() || '', { gfm: true }).replace(/<[^<]+>/g, '').trim();
+			const rating = $('[itemprop="ratingValue"]').attr('content');
+			const reviews = $('[itemprop="reviewCount"]').attr('content') || ($('.ipsTabs a').filter((index, el) => /reviews/i.test($(el).text())).text().match(/\d+/) || [])[0];
+			const submitted = this._findInfo(info, /submitted/i);
+			const updated = this._findInfo(info, /updated/i);
+
+			details = {
+				description: description || cachedFile.description,
+				version: $('h1.ipsType_pageTitle .ipsType_light').first().text().trim() || undefined,
+				submitted: submitted ? new Date(submitted) : undefined,
+				updated: updated ? new Date(updated) : undefined,
+				size: this._parseSize(this._findInfo(info, /size/i)),
+				tags: _.uniq($('.ipsTags a.ipsTag').map((index, el) => $(el).text().trim()).get()),
+				rating: rating ? parseFloat(rating) : $('.ipsRating_collective li.ipsRating_on').length + $('.ipsRating_collective li.ipsRating_half').length / 2,
+				reviews: reviews ? parseInt(reviews, 10) : 0,
+				screenshots: _.uniq($('a[data-fullurl], a[data-ipslightbox]').map((index, el) => $(el).attr('data-fullurl') || $(el).attr('href')).get()),
+				info: info
+			};
+
+			const downloadUrl = $('a.ipsButton.ipsButton_important.ipsButton_large').attr('href');
+			return downloadUrl && opts.listing ? this._fetchListing(downloadUrl) : undefined;
+
+		}).then(listing => _.assign(details, { listing: listing }));
+	}
+
+	/**
+	 * Fetches the version history of a file.
+	 *
+	 * The current version comes from the file page, previous versions from
+	 * the changelog, which lists all versions in its side menu.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @returns {Promise.<{ version: string, date: Date, changelog: string, [downloadUrl]: string }[]>} Versions, latest first
+	 * @private
+	 */
+	_fetchVersions(cachedFile) {
+
+		return this._ips._getWithLogin(cachedFile.url).then($ => {
+
+			// the file information lists "Submitted" before "Updated"
+			const rows = $('.ipsType_sectionHead').filter((index, el) => /file information/i.test($(el).text())).parent().find('li.ipsDataItem');
+			const dateOf = name => rows.filter((index, el) => name.test($(el).find('strong').text())).find('time').first().attr('datetime');
+			const updated = dateOf(/updated/i) || dateOf(/submitted/i);
+			const whatsNew = $('.ipsType_sectionHead').filter((index, el) => /what's new/i.test($(el).text())).parent().find('.ipsType_richText').first();
+			const current = {
+				version: $('h1.ipsType_pageTitle .ipsType_light').first().text().trim() || null,
+				date: updated ? new Date(updated) : null,
+				changelog: whatsNew.length ? this._toText(whatsNew.html()) : null,
+				downloadUrl: $('a.ipsButton.ipsButton_important.ipsButton_large').attr('href')
+			};
+
+			const changelogUrls = _.uniq($('a[href*="changelog="]').map((index, el) => $(el).attr('href').replace(/s=[0-9a-f]+&?/i, '')).get());
+			if (_.isEmpty(changelogUrls)) {
+				return [ current ];
+			}
+			return this._ips._getWithLogin(changelogUrls[0]).then($ => {
+
+				const urls = _.uniq($('.ipsSideMenu_list a[href*="changelog="]').map((index, el) => $(el).attr('href').replace(/s=[0-9a-f]+&?/i, '')).get());
+				return Promise.mapSeries(_.isEmpty(urls) ? changelogUrls : urls, url => {
+					return this._ips._getWithLogin(url).then($ => this._parseChangelog($));
 				});
-			}).then(result => {
-				let categories = _.flatten(result);
-				fs.writeFileSync(this._categoryCachePath, JSON.stringify(categories, null, '\t'));
-				return categories;
+
+			}).then(versions => {
+				// the current version is listed in the changelog too
+				const listed = _.find(versions, { version: current.version });
+				if (listed) {
+					current.date = current.date || listed.date;
+					current.changelog = current.changelog || listed.changelog;
+				}
+				versions = versions.filter(v => v.version !== current.version);
+				return [ current ].concat(_.orderBy(versions, v => v.date ? new Date(v.date).getTime() : 0, 'desc'));
 			});
 		});
 	}
 
+	/**
+	 * Parses a changelog page.
+	 *
+	 * @param $ Document body
+	 * @returns {{ version: string, date: Date, changelog: string, [downloadUrl]: string }}
+	 * @private
+	 */
+	_parseChangelog($) {
+		const content = $('.ipsColumn_fluid').first().length ? $('.ipsColumn_fluid').first() : $.root();
+		const date = content.find('time').first().attr('datetime');
+		const downloadUrl = content.find('a[href*="do=download"]').filter((index, el) => /version=\d+/.test($(el).attr('href'))).first().attr('href');
+		return {
+			version: content.find('h2').first().text().trim() || $('.ipsSideMenu_itemActive').first().text().trim(),
+			date: date ? new Date(date) : null,
+			changelog: this._toText(content.find('.ipsType_richText').first().html()),
+			downloadUrl: downloadUrl || undefined
+		};
+	}
+
+	/**
+	 * Converts rich text to Markdown without remaining tags.
+	 *
+	 * @param {string} html Rich text
+	 * @returns {string}
+	 * @private
+	 */
+	_toText(html) {
+		return toMarkdown(html || '', { gfm: true }).replace(/<[^<]+>/g, '').trim();
+	}
+
+	/**
+	 * Recursively fetches all comments or reviews of a file from the
+	 * corresponding tab of the file page.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @param {string} type Either "comments" or "reviews"
+	 * @param {number} page Page to start
+	 * @param {{ firstPageOnly: boolean, minDelay: number, maxDelay: number }} opts Options
+	 * @param [items] Internal callback parameter
+	 * @returns {Promise.<{ id: number, author: string, date: Date, [rating]: number, body: string, url: string, file: number }[]>} Comments or reviews
+	 * @private
+	 */
+	_fetchFeedbackPage(cachedFile, type, page, opts, items) {
+		items = items || [];
+
+		const url = parseUrl(cachedFile.url, true);
+		delete url.search;
+		url.query = url.query || {};
+		url.query.tab = type;
+		url.query.page = page;
+
+		const prefix = type === 'reviews' ? 'elReview_' : 'elComment_';
+		this.logger.info('Fetching %s page %d for file %s.', type, page, cachedFile.id);
+		return this._ips._getWithLogin(formatUrl(url)).then($ => {
+
+			items = items.concat($('article[id^="' + prefix + '"]').map((index, el) => {
+				const entry = $(el);
+				const id = parseInt(entry.attr('id').replace(prefix, ''), 10);
+				const item = {
+					id: id,
+					author: entry.find('.ipsComment_author, .cAuthorPane_author').first().text().trim(),
+					date: new Date(entry.find('.ipsComment_meta time, time').first().attr('datetime')),
+					body: this._toText(entry.find('[data-role="commentContent"]').first().html()),
+					url: cachedFile.url.replace(/\/?$/, '/') + (type === 'reviews' ? '?do=findReview&review=' : '?do=findComment&comment=') + id,
+					file: cachedFile.id
+				};
+				if (type === 'reviews') {
+					item.rating = entry.find('.ipsRating li.ipsRating_on').length + entry.find('.ipsRating li.ipsRating_half').length / 2;
+				}
+				return item;
+			}).get());
+
+			if (opts.firstPageOnly || page >= Paging.parseNumPages($)) {
+				return items;
+			}
+			return Promise.delay(Paging.randomDelay(opts))
+				.then(() => this._fetchFeedbackPage(cachedFile, type, page + 1, opts, items));
+		});
+	}
+
+	/**
+	 * Posts a comment or review through the form at the bottom of the
+	 * corresponding tab.
+	 *
+	 * The board usually redirects to the new entry. Otherwise, the entry is
+	 * looked up by its content on the page the board returned or redirected
+	 * to, and if it's not there, the post failed.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @param {string} type Either "comment" or "review"
+	 * @param {string} html Content as HTML
+	 * @param {number} [rating] Rating of a review
+	 * @returns {Promise.<{ id: number, url: string }>} Posted comment or review
+	 * @private
+	 */
+	_postFeedback(cachedFile, type, html, rating) {
+		const content = type === 'review' ? /review_\d+$|_review$/ : /comment_\d+$|_comment$|_content$/;
+		let page;
+		return new Form(this._ips).submit(cachedFile.url + (/\?/.test(cachedFile.url) ? '&' : '?') + 'tab=' + type + 's', [
+			{ pattern: content, value: html },
+			{ pattern: /rating/, value: rating }
+		], { field: content, done: (url, $) => {
+			// a page is only passed if the board didn't redirect
+			page = $;
+			return true;
+
+		} }).then(url => {
+			const id = /(?:comment|review)=(\d+)/i.exec(url);
+			if (id) {
+				return { id: parseInt(id[1], 10), url: url };
+			}
+			return Promise.resolve(page || this._ips._getWithLogin(url)).then($ => {
+				const prefix = type === 'review' ? 'elReview_' : 'elComment_';
+				const text = cheerio.load(html).root().text().replace(/\s+/g, ' ').trim();
+				const entry = $('article[id^="' + prefix + '"]').filter((index, el) => {
+					return $(el).find('[data-role="commentContent"]').first().text().replace(/\s+/g, ' ').trim() === text;
+				}).last();
+				if (!entry.length) {
+					const errors = $('.ipsMessage_error, .ipsType_warning').map((index, el) => $(el).text().trim()).get().filter(error => error);
+					throw new FormError('Posting the ' + type + ' on "' + cachedFile.title + '" failed' + (errors.length ? ': ' + errors.join(' ') : '.'), url, errors);
+				}
+				const entryId = parseInt(entry.attr('id').replace(prefix, ''), 10);
+				return { id: entryId, url: cachedFile.url.replace(/\/?$/, '/') + (type === 'review' ? '?do=findReview&review=' : '?do=findComment&comment=') + entryId };
+			});
+		});
+	}
+
+	/**
+	 * Submits a new file through the submission wizard, which asks for the
+	 * files first and for the information on the next step.
+	 *
+	 * Files and screenshots are sent through plupload by {@link Form}.
+	 *
+	 * @param {number} catId Category ID
+	 * @param {{ title: string, description: string, files: string[], [screenshots]: string[], [tags]: string[], [version]: string }} data File to submit
+	 * @returns {Promise.<string>} URL of the new file
+	 * @private
+	 */
+	_submitFile(catId, data) {
+		return new Form(this._ips).submit('/files/submit/?category=' + catId, [
+			{ pattern: /^category$/, value: catId },
+			{ pattern: /^files(\[\])?$/, value: data.files, file: true },
+			{ pattern: /^screenshots(\[\])?$/, value: data.screenshots, file: true },
+			{ pattern: /_title$/, value: data.title },
+			{ pattern: /_desc$/, value: data.description },
+			{ pattern: /_tags$/, value: data.tags },
+			{ pattern: /_version$/, value: data.version }
+		], { done: url => /\/files\/file\/\d+/i.test(url) }).then(url => url.split('?')[0]);
+	}
+
+	/**
+	 * Submits a new version through the "Upload a new version" form.
+	 *
+	 * @param {{url: string, id: number}} cachedFile File from cache
+	 * @param {{ version: string, [changelog]: string, files: string[], [screenshots]: string[] }} data New version
+	 * @returns {Promise.<string>} URL of the file
+	 * @private
+	 */
+	_submitVersion(cachedFile, data) {
+		return new Form(this._ips).submit(cachedFile.url + (/\?/.test(cachedFile.url) ? '&' : '?') + 'do=newVersion', [
+			{ pattern: /^files(\[\])?$/, value: data.files, file: true },
+			{ pattern: /^screenshots(\[\])?$/, value: data.screenshots, file: true },
+			{ pattern: /_version$/, value: data.version },
+			{ pattern: /_changelog$/, value: data.changelog }
+		], { done: url => /\/files\/file\/\d+/i.test(url) && !/do=newVersion/i.test(url) }).then(url => url.split('?')[0]);
+	}
+
 	/**
 	 * Recursively fetches all items for a given category.
 	 *
@@ -61,7 +397,7 @@ module.exports = class extends Downloads {
 	 * @param {number} [page] Page to start
 	 * @param {{ delay: number, sortKey: string, sortOrder: string, firstPageOnly: boolean }} [opts] Options
 	 * @param [items] Internal callback parameter
-	 * @returns {Promise.<[{url: string, id: number, title: string, description: string, views: number, author: string, [broken]: boolean}]>} All items of a given category
+	 * @returns {Promise.<[{url: string, id: number, title: string, description: string, views: number, author: string, authorId: number, authorUrl: string, [broken]: boolean}]>} All items of a given category
 	 * @private
 	 */
 	_fetchPage(cat, page, opts, items) {
@@ -69,6 +405,10 @@ module.exports = class extends Downloads {
 		items = items || [];
 		page = page || 1;
 
+		if (this._opts.apiKey) {
+			return this._fetchApiFiles(cat, opts);
+		}
+
 		const url = parseUrl(cat.url, true);
 		delete url.search;
 
@@ -85,15 +425,16 @@ module.exports = class extends Downloads {
 			return this._ips._get(formatUrl(url));
 
 		}).then($ => {
-			const pages = $('.ipsPagination li.ipsPagination_pageJump a').text();
-			const numPages = /\d+ of \d+/i.test(pages) ? parseInt(pages.match(/\d+ of (\d+)/i)[1], 10) : 1;
+			const numPages = Paging.parseNumPages($);
+			this._ips.emit('page:fetched', { category: cat.id, page: page, totalPages: numPages });
 
 			items = items.concat($('.ipsDataList > .ipsDataItem').map((index, el) => {
 				let row = $(el);
 				let url         = row.find('.ipsDataItem_title .ipsContained a').attr('href').replace(/s=[0-9a-f]+&?/i, '');
 				let title       = row.find('.ipsDataItem_title a').attr('title').replace(/^View the file\s+/ig, '');
 				let fileInfo    = row.find('.ipsDataItem_main > p.ipsType_normal i.fa-arrow-circle-down').parent().text().match(/([\d,]+)\s+downloads/i);
-				let author      = row.find('.ipsDataItem_main p.ipsType_reset a').text();
+				let author      = row.find('.ipsDataItem_main p.ipsType_reset a').first();
+				let authorUrl   = author.attr('href') ? author.attr('href').replace(/s=[0-9a-f]+&?/i, '') : null;
 				let description = row.find('.ipsDataItem_main .ipsType_richText').html();
 				let date = row.find('.ipsType_medium time').attr('datetime');
 				let res = {
@@ -102,7 +443,9 @@ module.exports = class extends Downloads {
 					title: title,
 					description: description ? toMarkdown(description, { gfm: true }).replace(/<[^<]+>/g, '').trim() : '',
 					downloads: fileInfo ? parseInt(fileInfo[1].replace(/,/g, ''), 10) : null,
-					author: author,
+					author: author.text(),
+					authorId: Members.parseIdFromUrl(authorUrl),
+					authorUrl: authorUrl,
 					date: new Date(date)
 				};
 				// if (/broken/i.test(row.find('span.ipsBadge.ipsBadge_red').html())) {
@@ -115,12 +458,154 @@ module.exports = class extends Downloads {
 				logger.info('Fetched %d items in %s seconds.', items.length, Math.round((new Date().getTime() - started) / 100) / 10);
 				return items;
 			} else {
-				let delay = Math.floor(Math.random() * ( opts.maxDelay - opts.minDelay + 1)) + opts.minDelay;
-				return Promise.delay(delay).then(() => this._fetchPage(cat, page + 1, opts, items));
+				return Promise.delay(Paging.randomDelay(opts)).then(() => this._fetchPage(cat, page + 1, opts, items));
+			}
+		});
+	}
+
+	/**
+	 * Downloads an IPS item to the given destination through the REST API,
+	 * falls back to scraping if no API key is configured.
+	 *
+	 * @param {{url: string, id: number, category: string}} file
+	 * @param {string} destFolder Destination folder
+	 * @param {{allFiles: boolean, filename: string}} [opts] Options.
+	 * @returns {Promise.<{string}[]>} Paths to downloaded files
+	 * @private
+	 */
+	_downloadItem(file, destFolder, opts) {
+
+		// the API only serves the current version
+		if (!this._opts.apiKey || (opts && opts.version)) {
+			return super._downloadItem(file, destFolder, opts);
+		}
+
+		opts = opts || {};
+		let cachedFile = this._getCachedFile(file);
+		if (!cachedFile) {
+			return Promise.reject(new Error('Must provide a file retrieved from #getFiles(), #findFiles(), #findFile() or Ips#search().'));
+		}
+		if (cachedFile.removed) {
+			return Promise.reject(new NotFoundError('File "' + cachedFile.title + '" was removed from the board.', cachedFile.url));
+		}
+		if (cachedFile.filename && fs.existsSync(resolve(destFolder, cachedFile.filename))) {
+			this.logger.info('Skipping existing file "%s"...', cachedFile.filename);
+			return Promise.resolve([{ path: resolve(destFolder, cachedFile.filename), skipped: true }]);
+		}
+
+		return this._ips._getApi('downloads/files/' + cachedFile.id).then(result => {
+			let availableFiles = this._parseApiFileList(result);
+			if (_.isEmpty(availableFiles)) {
+				throw new NotFoundError('API returned no files for "' + cachedFile.title + '".', cachedFile.url);
+			}
+			cachedFile.listing = availableFiles;
+			this._saveFileCache();
+			return this._downloadSelected(cachedFile, availableFiles, destFolder, opts);
+		});
+	}
+
+	/**
+	 * Fetches all download categories through the REST API.
+	 *
+	 * @returns {Promise.<{id: number, label: string, url: string, parentId: number, fileCount: number, description: string}[]>} Categories
+	 * @private
+	 */
+	_fetchApiCategories() {
+		return this._getApiResults('downloads/categories', {}, {}).then(results => results.map(cat => ({
+			id: cat.id,
+			label: cat.name,
+			url: cat.url,
+			parentId: cat.parentId || (cat.parent ? cat.parent.id : null) || null,
+			fileCount: _.isNumber(cat.files) ? cat.files : null,
+			description: cat.description ? toMarkdown(cat.description) : null
+		})));
+	}
+
+	/**
+	 * Fetches all files of a given category through the REST API.
+	 *
+	 * @param {number|{id: number, label: string, url: string}} cat Category
+	 * @param {{ sortKey: string, sortOrder: string, firstPageOnly: boolean }} opts Options
+	 * @returns {Promise.<{url: string, id: number, title: string, description: string, downloads: number, author: string, authorId: number, authorUrl: string, date: Date}[]>} Files
+	 * @private
+	 */
+	_fetchApiFiles(cat, opts) {
+		const started = new Date().getTime();
+		const query = {
+			categories: _.isObject(cat) ? cat.id : cat,
+			sortBy: !opts.sortKey || opts.sortKey === 'file_name' ? 'title' : opts.sortKey,
+			sortDir: (opts.sortOrder || 'asc').toLowerCase()
+		};
+		return this._getApiResults('downloads/files', query, opts).then(results => {
+			let items = results.map(file => this._parseApiFile(file));
+			this.logger.info('Fetched %d items in %s seconds.', items.length, Math.round((new Date().getTime() - started) / 100) / 10);
+			return items;
+		});
+	}
+
+	/**
+	 * Recursively fetches all pages of a REST API list endpoint.
+	 *
+	 * @param {string} path Endpoint
+	 * @param {{}} query Query parameters
+	 * @param {{ firstPageOnly: boolean }} opts Options
+	 * @param {number} [page] Page to start
+	 * @param {{}[]} [results] Internal callback parameter
+	 * @returns {Promise.<{}[]>} Results of all pages
+	 * @private
+	 */
+	_getApiResults(path, query, opts, page, results) {
+		page = page || 1;
+		results = results || [];
+		this.logger.info('Fetching API page %d of %s.', page, path);
+		return this._ips._getApi(path, Object.assign({}, query, { page: page })).then(response => {
+			results = results.concat(response.results);
+			if (query.categories) {
+				this._ips.emit('page:fetched', { category: query.categories, page: page, totalPages: response.totalPages });
+			}
+			if (opts.firstPageOnly || page >= response.totalPages) {
+				return results;
 			}
+			return this._getApiResults(path, query, opts, page + 1, results);
 		});
 	}
 
+	/**
+	 * Converts a file object of the REST API into the format of the scraper.
+	 *
+	 * @param {{}} file File as returned by the API
+	 * @returns {{url: string, id: number, title: string, description: string, downloads: number, author: string, authorId: number, authorUrl: string, date: Date}}
+	 * @private
+	 */
+	_parseApiFile(file) {
+		return {
+			url: file.url,
+			id: file.id,
+			title: file.title,
+			description: file.description ? toMarkdown(file.description, { gfm: true }).replace(/<[^<]+>/g, '').trim() : '',
+			downloads: file.downloads,
+			author: file.author ? file.author.name : null,
+			authorId: file.author ? file.author.id : null,
+			authorUrl: file.author ? file.author.profileUrl : null,
+			date: new Date(file.date)
+		};
+	}
+
+	/**
+	 * Returns the downloadable files of a file object of the REST API.
+	 *
+	 * @param {{}} file File as returned by the API
+	 * @returns {{ filename:string, url:string, size:number }[]}
+	 * @private
+	 */
+	_parseApiFileList(file) {
+		return (file.files || []).map(f => ({
+			filename: f.name,
+			url: f.url,
+			size: f.size
+		}));
+	}
+
 	/**
 	 * Fetches the download URL of a given file.
 	 * Also retrieves file details and saves it to the cache.
@@ -133,22 +618,17 @@ module.exports = class extends Downloads {
 
 		let description;
 		return Promise.try(() => {
-			// fetch the "overview" page
-			return this._ips._getAuthenticated(cachedFile.url);
-
-		}).then($ => {
-
-			// check if need to login
-			if ($('#elSignInLink').html()) {
-				return this._ips._login().then(() => this._ips._getAuthenticated(cachedFile.url));
-			}
-			return $;
+			// fetch the "overview" page, downloading needs an account
+			return this._ips._getWithLogin(cachedFile.url, { member: true });
 
 		}).then($ => {
 
 			const downloadBtn = $('a.ipsButton.ipsButton_important.ipsButton_large');
 			if (downloadBtn.length === 0) {
-				throw new Error('Could not find download button on file details page.');
+				if ($('#elError, .ipsErrorPage').length) {
+					throw new PermissionDeniedError($('#elErrorMessage, .ipsErrorPage').first().text().trim() || 'Not allowed to access "' + cachedFile.title + '".', cachedFile.url);
+				}
+				throw new ParseError('Could not find download button on file details page.', cachedFile.url, 'a.ipsButton.ipsButton_important.ipsButton_large');
 			}
 
 			// since we're here, get more details
@@ -195,15 +675,18 @@ module.exports = class extends Downloads {
 			// no body means a stream, so download file.
 			if (!body) {
 				cachedFile.filename = filename;
-				return this._streamFile(readStream, filename, destFolder)
+				return this._streamFile(readStream, filename, destFolder, opts);
 			}
 
 			// TODO these are old messages, IPS4 returns a JSON it seems.
 			if (body.match(/You have exceeded the maximum number of downloads allotted to you for the day/i)) {
-				throw new Error('Number of daily downloads exceeded.');
+				throw new DownloadQuotaError('Number of daily downloads exceeded.', this._parseQuotaReset(body));
 			}
 			if (body.match(/You may not download any more files until your other downloads are complete/i)) {
-				throw new Error('Too many simulataneous downloads.');
+				throw new ConcurrentDownloadError('Too many simultaneous downloads.');
+			}
+			if (body.match(/You do not have permission|You are not allowed to download/i)) {
+				throw new PermissionDeniedError('Not allowed to download "' + cachedFile.title + '".', opts.url);
 			}
 			let waitMsg = body.match(/You must wait (\d+) seconds before you can download this file/i);
 			if (waitMsg) {
@@ -212,8 +695,8 @@ module.exports = class extends Downloads {
 				return Promise.delay(wait).then(() => this._prepareDownload(opts).spread(download))
 			}
 			// else..
-			fs.writeFileSync('download-debug.html', body);
-			throw new Error('Unknown error, see download-debug.html.');
+			this.logger.debug('Response of the download:\n%s', body);
+			throw new ParseError('Unknown response when downloading "' + cachedFile.title + '", see the debug log.', opts.url);
 		};
 		return this._prepareDownload(opts).spread(download);
 	}
@@ -227,7 +710,7 @@ module.exports = class extends Downloads {
 	_parseIdFromUrl(url) {
 		var match = basename(url).match(/^\d+/);
 		if (!match) {
-			throw new Error('Cannot parse ID from "' + url + '".');
+			throw new ParseError('Cannot parse ID from "' + url + '".', url);
 		}
 		return parseInt(match[0], 10);
 	}
@@ -0,0 +1,161 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const basename = require('path').basename;
+const parseUrl = require('url').parse;
+const formatUrl = require('url').format;
+const toMarkdown = require('to-markdown');
+
+const Forums = require('../forums');
+const Paging = require('../paging');
+const ParseError = require('../errors').ParseError;
+
+module.exports = class extends Forums {
+
+	/**
+	 * Fetches all forums and sub-forums from the board index.
+	 *
+	 * @returns {Promise.<{id: number, label: string, url: string, [parentId]: number}[]>} Forums
+	 * @private
+	 */
+	_fetchForums() {
+		return this._ips._getWithLogin('/forums/').then($ => {
+			let forums = [];
+			$('li.cForumRow').each((index, el) => {
+				let row = $(el);
+				let a = row.find('.ipsDataItem_title a').first();
+				if (!a.attr('href')) {
+					return;
+				}
+				let url = a.attr('href').replace(/s=[0-9a-f]+&?/i, '');
+				let forum = {
+					id: this._parseIdFromUrl(url),
+					label: _.unescape(a.text().trim()),
+					url: url
+				};
+				forums.push(forum);
+
+				row.find('.ipsDataItem_subList a').each((index, sub) => {
+					let subUrl = $(sub).attr('href').replace(/s=[0-9a-f]+&?/i, '');
+					forums.push({
+						id: this._parseIdFromUrl(subUrl),
+						label: _.unescape($(sub).text().trim()),
+						url: subUrl,
+						parentId: forum.id
+					});
+				});
+			});
+			return forums;
+		});
+	}
+
+	/**
+	 * Recursively fetches all topics of a given forum.
+	 *
+	 * @param {{id: number, label: string, url: string}} forum Forum
+	 * @param {number} page Page to start
+	 * @param {{ firstPageOnly: boolean, minDelay: number, maxDelay: number }} opts Options
+	 * @param [items] Internal callback parameter
+	 * @returns {Promise.<{url: string, id: number, title: string, author: string, date: Date, replies: number, views: number, forum: number}[]>} Topics
+	 * @private
+	 */
+	_fetchTopicPage(forum, page, opts, items) {
+		items = items || [];
+
+		const url = parseUrl(forum.url, true);
+		delete url.search;
+		url.query = url.query || {};
+		url.query.page = page;
+
+		this.logger.info('Fetching topic page %d for %s.', page, forum.label);
+		return this._ips._getWithLogin(formatUrl(url)).then($ => {
+
+			items = items.concat($('ol.cTopicList > li.ipsDataItem').map((index, el) => {
+				let row = $(el);
+				let a = row.find('.ipsDataItem_title a').not('.ipsBadge').first();
+				let url = a.attr('href').replace(/s=[0-9a-f]+&?/i, '');
+				let stats = row.find('.ipsDataItem_stats .ipsDataItem_stats_number');
+				let topic = {
+					url: url,
+					id: this._parseIdFromUrl(url),
+					title: a.text().trim(),
+					author: row.find('.ipsDataItem_meta a[data-ipshover]').first().text().trim(),
+					date: new Date(row.find('.ipsDataItem_meta time').attr('datetime')),
+					replies: stats.length ? parseInt(stats.eq(0).text().replace(/,/g, ''), 10) : null,
+					views: stats.length > 1 ? parseInt(stats.eq(1).text().replace(/,/g, ''), 10) : null,
+					forum: forum.id
+				};
+				if (row.find('.ipsBadge i.fa-thumb-tack').length) {
+					topic.pinned = true;
+				}
+				if (row.find('.ipsBadge i.fa-lock').length) {
+					topic.locked = true;
+				}
+				return topic;
+			}).get());
+
+			if (opts.firstPageOnly || page >= Paging.parseNumPages($)) {
+				return items;
+			}
+			return Promise.delay(Paging.randomDelay(opts)).then(() => this._fetchTopicPage(forum, page + 1, opts, items));
+		});
+	}
+
+	/**
+	 * Recursively fetches all posts of a given topic.
+	 *
+	 * @param {{id: number, title: string, url: string}} topic Topic
+	 * @param {number} page Page to start
+	 * @param {{ firstPageOnly: boolean, minDelay: number, maxDelay: number }} opts Options
+	 * @param [items] Internal callback parameter
+	 * @returns {Promise.<{id: number, author: string, date: Date, body: string, url: string, topic: number}[]>} Posts
+	 * @private
+	 */
+	_fetchPostPage(topic, page, opts, items) {
+		items = items || [];
+
+		const url = parseUrl(topic.url, true);
+		delete url.search;
+		url.query = url.query || {};
+		url.query.page = page;
+
+		this.logger.info('Fetching post page %d for topic %s.', page, topic.id);
+		return this._ips._getWithLogin(formatUrl(url)).then($ => {
+
+			items = items.concat($('article.cPost[id^="elComment_"]').map((index, el) => {
+				let post = $(el);
+				let id = parseInt(post.attr('id').replace(/^elComment_/, ''), 10);
+				let body = post.find('[data-role="commentContent"]').html();
+				return {
+					id: id,
+					author: post.find('.cAuthorPane_author').first().text().trim(),
+					date: new Date(post.find('.ipsComment_meta time').first().attr('datetime')),
+					body: body ? toMarkdown(body, { gfm: true }).replace(/<[^<]+>/g, '').trim() : '',
+					url: topic.url.replace(/\/?$/, '/') + '?do=findComment&comment=' + id,
+					topic: topic.id
+				};
+			}).get());
+
+			if (opts.firstPageOnly || page >= Paging.parseNumPages($)) {
+				return items;
+			}
+			return Promise.delay(Paging.randomDelay(opts)).then(() => this._fetchPostPage(topic, page + 1, opts, items));
+		});
+	}
+
+	/**
+	 * Parses the ID from a friendly URL such as `/topic/123-my-topic/`.
+	 *
+	 * @param {string} url
+	 * @returns {Number} ID
+	 * @private
+	 */
+	_parseIdFromUrl(url) {
+		var match = basename(parseUrl(url).pathname).match(/^\d+/);
+		if (!match) {
+			throw new ParseError('Cannot parse ID from "' + url + '".', url);
+		}
+		return parseInt(match[0], 10);
+	}
+};
\ No newline at end of file
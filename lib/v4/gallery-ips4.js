@@ -0,0 +1,184 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const resolveUrl = require('url').resolve;
+
+const Gallery = require('../gallery');
+const Paging = require('../paging');
+const ParseError = require('../errors').ParseError;
+
+module.exports = class extends Gallery {
+
+	/**
+	 * Fetches all gallery categories, starting at `/gallery/` and walking
+	 * down every category page for its sub-categories.
+	 *
+	 * @returns {Promise.<{id: number, label: string, url: string, parentId: number}[]>} All categories
+	 * @private
+	 */
+	_fetchCategories() {
+		const visited = {};
+		return this._ips._get('/gallery/').then($ => {
+			return this._fetchSubCategories(this._parseCategories($, null, visited), visited);
+		});
+	}
+
+	_fetchSubCategories(categories, visited) {
+		return Promise.mapSeries(categories, cat => {
+			return this._ips._get(cat.url).then($ => {
+				return this._fetchSubCategories(this._parseCategories($, cat.id, visited), visited);
+			});
+		}).then(result => categories.concat(_.flatten(result)));
+	}
+
+	/**
+	 * Parses the category links of a page, ignoring breadcrumbs.
+	 *
+	 * @param $ Parsed page
+	 * @param {number} parentId ID of the category of the page, null for the index
+	 * @param {{}} visited Already found categories by ID, updated.
+	 * @returns {{id: number, label: string, url: string, parentId: number}[]} Categories not found before
+	 * @private
+	 */
+	_parseCategories($, parentId, visited) {
+		return this._parseLinks($, 'category').map(link => ({
+			id: link.id,
+			label: link.title,
+			url: link.url,
+			parentId: parentId
+
+		})).filter(cat => {
+			if (cat.id === parentId || visited[cat.id]) {
+				return false;
+			}
+			return visited[cat.id] = true;
+		});
+	}
+
+	/**
+	 * Recursively fetches the albums of a category.
+	 *
+	 * @param {{id: number, url: string}} cat Category
+	 * @param {number} page Page to fetch
+	 * @param {{ firstPageOnly: boolean, minDelay: number, maxDelay: number }} opts Options
+	 * @param {{}[]} items Internal callback parameter
+	 * @returns {Promise.<{id: number, title: string, url: string, author: string, imageCount: number}[]>} Albums
+	 * @private
+	 */
+	_fetchAlbumPage(cat, page, opts, items) {
+
+		this.logger.info('Fetching albums page %d of gallery category %d.', page, cat.id);
+		return this._ips._getWithLogin(this._pageUrl(cat.url, page)).then($ => {
+
+			items = items.concat(this._parseLinks($, 'album').map(link => {
+				const count = link.row.find('.ipsDataItem_stats, .cGalleryAlbum_stats, .ipsType_light').text().replace(/[,.]/g, '').match(/(\d+)\s+images?/i);
+				return {
+					id: link.id,
+					title: link.title,
+					url: link.url,
+					author: link.row.find('a[data-ipshover]').first().text().trim() || null,
+					imageCount: count ? parseInt(count[1], 10) : null
+				};
+			}));
+
+			if (opts.firstPageOnly || page >= Paging.parseNumPages($)) {
+				return _.uniqBy(items, 'id');
+			}
+			return Promise.delay(Paging.randomDelay(opts))
+				.then(() => this._fetchAlbumPage(cat, page + 1, opts, items));
+		});
+	}
+
+	/**
+	 * Recursively fetches the images of an album.
+	 *
+	 * @param {{id: number, url: string}} album Album
+	 * @param {number} page Page to fetch
+	 * @param {{ firstPageOnly: boolean, minDelay: number, maxDelay: number }} opts Options
+	 * @param {{}[]} items Internal callback parameter
+	 * @returns {Promise.<{id: number, title: string, url: string, author: string, date: Date, thumbnail: string}[]>} Images
+	 * @private
+	 */
+	_fetchImagePage(album, page, opts, items) {
+
+		this.logger.info('Fetching images page %d of album %d.', page, album.id);
+		return this._ips._getWithLogin(this._pageUrl(album.url, page)).then($ => {
+
+			items = items.concat(this._parseLinks($, 'image').map(link => {
+				const date = link.row.find('time').first().attr('datetime');
+				const thumbnail = link.row.find('img').first().attr('src') || link.row.find('[data-background-src]').first().attr('data-background-src');
+				return {
+					id: link.id,
+					title: link.title,
+					url: link.url,
+					author: link.row.find('a[data-ipshover]').first().text().trim() || null,
+					date: date ? new Date(date) : null,
+					thumbnail: thumbnail ? resolveUrl(this._ips._url + '/', thumbnail) : null
+				};
+			}));
+
+			if (opts.firstPageOnly || page >= Paging.parseNumPages($)) {
+				return items;
+			}
+			return Promise.delay(Paging.randomDelay(opts))
+				.then(() => this._fetchImagePage(album, page + 1, opts, items));
+		});
+	}
+
+	/**
+	 * Returns the URL of the original image from the image page. Prefers
+	 * the download link, which serves the original file name, over the
+	 * full size image.
+	 *
+	 * @param {{id: number, url: string}} cachedImage Image from cache
+	 * @returns {Promise.<string>} Image URL
+	 * @private
+	 */
+	_getImageUrl(cachedImage) {
+		return this._ips._getWithLogin(cachedImage.url).then($ => {
+			const url = $('a[href*="do=download"]').first().attr('href')
+				|| $('[data-fullurl]').first().attr('data-fullurl')
+				|| $('.cGalleryViewImage img, [data-role="theImage"]').first().attr('src')
+				|| $('meta[property="og:image"]').attr('content');
+			if (!url) {
+				throw new ParseError('Cannot find image URL on "' + cachedImage.url + '".', cachedImage.url);
+			}
+			return resolveUrl(this._ips._url + '/', url.replace(/&amp;/g, '&'));
+		});
+	}
+
+	/**
+	 * Parses the links of a type on a page, ignoring breadcrumbs and the
+	 * side menu, one per ID.
+	 *
+	 * @param $ Parsed page
+	 * @param {string} type "category", "album" or "image"
+	 * @returns {{id: number, title: string, url: string, row: Cheerio}[]} Links with the element listing them
+	 * @private
+	 */
+	_parseLinks($, type) {
+		const regex = new RegExp('^(.*?/gallery/' + type + '/(\\d+)[^/?#&]*/?)');
+		const links = $('a[href*="/gallery/' + type + '/"]')
+			.filter((index, el) => regex.test($(el).attr('href')) && !$(el).closest('.ipsBreadcrumb, .ipsSideMenu, #elNavigation').length)
+			.map((index, el) => {
+				const a = $(el);
+				const match = regex.exec(a.attr('href').replace(/[?&]s=[0-9a-f]+/i, ''));
+				const row = a.closest('li, .ipsDataItem, .cGalleryImageThumb, .ipsBox');
+				return {
+					id: parseInt(match[2], 10),
+					title: _.unescape((a.attr('title') || a.text().trim() || a.find('img').attr('alt') || '').replace(/^View (the )?(image|album)\s+/i, '').trim()),
+					url: resolveUrl(this._ips._url + '/', match[1]),
+					row: row.length ? row : a
+				};
+			}).get();
+
+		// thumbnails and titles link to the same item, keep the one with a title
+		const byId = _.groupBy(links, 'id');
+		return _.uniq(links.map(link => link.id)).map(id => _.find(byId[id], link => link.title) || byId[id][0]);
+	}
+
+	_pageUrl(url, page) {
+		return page > 1 ? url.replace(/\/?$/, '/') + 'page/' + page + '/' : url;
+	}
+};
\ No newline at end of file
@@ -0,0 +1,83 @@
+"use strict";
+
+const _ = require('lodash');
+const parseUrl = require('url').parse;
+const formatUrl = require('url').format;
+
+const Members = require('../members');
+const NotFoundError = require('../errors').NotFoundError;
+
+module.exports = class extends Members {
+
+	/**
+	 * Fetches the profile of a member.
+	 *
+	 * Uses the REST API if an API key is configured.
+	 *
+	 * @param {number} id Member ID
+	 * @returns {Promise.<{ id: number, name: string, url: string, group: string, joined: Date, posts: number, reputation: number, avatar: string }>} Member
+	 * @private
+	 */
+	_fetchMember(id) {
+
+		if (this._opts.apiKey) {
+			return this._ips._getApi('core/members/' + id).then(member => ({
+				id: member.id,
+				name: member.name,
+				url: member.profileUrl,
+				group: member.primaryGroup ? member.primaryGroup.name : null,
+				joined: member.joined ? new Date(member.joined) : null,
+				posts: member.posts,
+				reputation: member.reputationPoints,
+				avatar: member.photoUrl || null
+			}));
+		}
+
+		return this._ips._getWithLogin('/index.php?app=core&module=members&controller=profile&id=' + id).then($ => {
+
+			const header = $('#elProfileHeader');
+			if (!header.length) {
+				throw new NotFoundError('Cannot find profile of member ' + id + '.', this._ips._url + '/index.php?app=core&module=members&controller=profile&id=' + id);
+			}
+			const stat = label => $('#elProfileStats li').filter((index, el) => label.test($(el).find('.ipsType_minorHeading').text()));
+			const posts = stat(/content count|posts/i).clone().find('.ipsType_minorHeading').remove().end().text().replace(/[,.\s]/g, '');
+			const joined = stat(/joined/i).find('time').attr('datetime');
+			const reputation = $('.cProfileRepScore').first().text().replace(/[,.\s]/g, '').match(/-?\d+/);
+			const url = $('link[rel="canonical"]').attr('href');
+			return {
+				id: id,
+				name: header.find('h1').first().text().trim(),
+				url: url || this._ips._url + '/profile/' + id + '-/',
+				group: header.find('h1').first().nextAll('.ipsPageHead_barText, span').first().text().trim() || null,
+				joined: joined ? new Date(joined) : null,
+				posts: /^\d+$/.test(posts) ? parseInt(posts, 10) : null,
+				reputation: reputation ? parseInt(reputation[0], 10) : null,
+				avatar: $('#elProfilePhoto img, .cProfileHeader_photo img').first().attr('src') || null
+			};
+		});
+	}
+
+	/**
+	 * Searches members through the member search of `/search/`.
+	 *
+	 * @param {string} query Beginning of the name
+	 * @returns {Promise.<{ id: number, name: string, url: string }[]>} Matched members
+	 * @private
+	 */
+	_searchMembers(query) {
+
+		const url = parseUrl(this._ips._url + '/search/', true);
+		url.query = { q: query, type: 'core_members' };
+
+		this.logger.info('Searching members matching "%s".', query);
+		return this._ips._getWithLogin(formatUrl(url)).then($ => {
+			const members = $('#ipsLayout_mainArea a[href*="/profile/"]').map((index, el) => {
+				const a = $(el);
+				const name = a.text().trim();
+				const url = a.attr('href').replace(/s=[0-9a-f]+&?/i, '');
+				return name ? { id: Members.parseIdFromUrl(url), name: name, url: url } : null;
+			}).get();
+			return _.uniqBy(members.filter(member => member.id), 'id');
+		});
+	}
+};
\ No newline at end of file
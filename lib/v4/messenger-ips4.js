@@ -0,0 +1,136 @@
+"use strict";
+
+const _ = require('lodash');
+const toMarkdown = require('to-markdown');
+
+const Form = require('../form');
+const Messenger = require('../messenger');
+const Paging = require('../paging');
+const ParseError = require('../errors').ParseError;
+
+module.exports = class extends Messenger {
+
+	/**
+	 * Recursively fetches the conversation list of `/messenger/`.
+	 *
+	 * @param {number} page Page to fetch
+	 * @param {{ firstPageOnly: boolean }} opts Options
+	 * @param {{}[]} items Internal callback parameter
+	 * @returns {Promise.<{ id: number, title: string, url: string, participants: string[], date: Date, unread: boolean }[]>} Conversations
+	 * @private
+	 */
+	_fetchConversationPage(page, opts, items) {
+
+		this.logger.info('Fetching conversations page %d.', page);
+		return this._ips._getWithLogin('/messenger/?page=' + page).then($ => {
+
+			items = items.concat($('[data-role="messageList"] li.ipsDataItem, li[data-messageid]').map((index, el) => {
+				const row = $(el);
+				const a = row.find('a[href*="/messenger/"]').filter((index, a) => /\/messenger\/\d+/.test($(a).attr('href'))).first();
+				if (!a.length) {
+					return null;
+				}
+				const id = parseInt(row.attr('data-messageid'), 10) || this._parseIdFromUrl(a.attr('href'));
+				const date = row.find('time').first().attr('datetime');
+				return {
+					id: id,
+					title: row.find('.ipsDataItem_title').first().text().trim() || a.text().trim(),
+					url: this._getUrl(id),
+					participants: _.uniq(row.find('a[data-ipshover]').map((index, a) => $(a).text().trim()).get().filter(name => name)),
+					date: date ? new Date(date) : null,
+					unread: row.hasClass('ipsDataItem_unread')
+				};
+			}).get());
+
+			if (opts.firstPageOnly || page >= Paging.parseNumPages($)) {
+				return _.uniqBy(items, 'id');
+			}
+			return this._fetchConversationPage(page + 1, opts, items);
+		});
+	}
+
+	/**
+	 * Recursively fetches the messages of a conversation.
+	 *
+	 * @param {number} id Conversation ID
+	 * @param {number} page Page to fetch
+	 * @param {{ firstPageOnly: boolean }} opts Options
+	 * @param {{}[]} items Internal callback parameter
+	 * @returns {Promise.<{ id: number, author: string, date: Date, body: string, url: string, conversation: number }[]>} Messages
+	 * @private
+	 */
+	_fetchMessagePage(id, page, opts, items) {
+
+		this.logger.info('Fetching messages page %d of conversation %d.', page, id);
+		return this._ips._getWithLogin(this._getUrl(id) + '?page=' + page).then($ => {
+
+			items = items.concat($('article[id^="elComment_"]').map((index, el) => {
+				const message = $(el);
+				const messageId = parseInt(message.attr('id').replace(/^elComment_/, ''), 10);
+				const body = message.find('[data-role="commentContent"]').html();
+				return {
+					id: messageId,
+					author: message.find('.cAuthorPane_author, .ipsComment_author').first().text().trim(),
+					date: new Date(message.find('.ipsComment_meta time, time').first().attr('datetime')),
+					body: body ? toMarkdown(body, { gfm: true }).replace(/<[^<]+>/g, '').trim() : '',
+					url: this._getUrl(id) + '?do=findComment&comment=' + messageId,
+					conversation: id
+				};
+			}).get());
+
+			if (opts.firstPageOnly || page >= Paging.parseNumPages($)) {
+				return items;
+			}
+			return this._fetchMessagePage(id, page + 1, opts, items);
+		});
+	}
+
+	/**
+	 * Posts the compose form of the messenger.
+	 *
+	 * @param {string[]} recipients Names of the recipients
+	 * @param {string} title Title
+	 * @param {string} html First message as HTML
+	 * @returns {Promise.<{ id: number, url: string }>} New conversation
+	 * @private
+	 */
+	_postConversation(recipients, title, html) {
+		return new Form(this._ips).submit('/messenger/compose/', [
+			{ pattern: /_to$/, value: recipients.join('\n') },
+			{ pattern: /_title$/, value: title },
+			{ pattern: /_content$/, value: html }
+		], { field: /_title$/, done: url => /\/messenger\/\d+/.test(url) }).then(url => {
+			const id = this._parseIdFromUrl(url);
+			return { id: id, url: this._getUrl(id) };
+		});
+	}
+
+	/**
+	 * Posts the reply form at the bottom of a conversation.
+	 *
+	 * @param {number} id Conversation ID
+	 * @param {string} html Message as HTML
+	 * @returns {Promise.<{ id: number, url: string }>} Posted message
+	 * @private
+	 */
+	_postReply(id, html) {
+		return new Form(this._ips).submit(this._getUrl(id), [
+			{ pattern: /_content$|_comment_\d+$/, value: html }
+		], { field: /_content$|_comment_\d+$/, done: () => true }).then(url => {
+			const comment = /comment=(\d+)/.exec(url);
+			return { id: comment ? parseInt(comment[1], 10) : null, url: url };
+		});
+	}
+
+	_getUrl(id) {
+		return this._ips._url + '/messenger/' + id + '/';
+	}
+
+	_parseIdFromUrl(url) {
+		const match = /\/messenger\/(\d+)/.exec(url);
+		if (!match) {
+			throw new ParseError('Cannot parse conversation ID from "' + url + '".', url);
+		}
+		return parseInt(match[1], 10);
+	}
+};
\ No newline at end of file
@@ -0,0 +1,121 @@
+"use strict";
+
+const _ = require('lodash');
+const parseUrl = require('url').parse;
+const resolveUrl = require('url').resolve;
+
+const Form = require('../form');
+const Notifications = require('../notifications');
+const ParseError = require('../errors').ParseError;
+
+module.exports = class extends Notifications {
+
+	/**
+	 * Fetches the notification list at `/notifications/`.
+	 *
+	 * @returns {Promise.<{ title: string, url: string, date: Date, unread: boolean }[]>} Notifications
+	 * @private
+	 */
+	_fetchNotifications() {
+		return this._ips._getWithLogin('/notifications/').then($ => {
+			return $('ol.ipsDataList li.ipsDataItem, ul.ipsDataList li.ipsDataItem').map((index, el) => {
+				const row = $(el);
+				const a = row.find('.ipsDataItem_main a').not('[data-ipshover]').first();
+				const date = row.find('time').first().attr('datetime');
+				return {
+					title: (a.length ? a : row.find('.ipsDataItem_main').first()).text().replace(/\s+/g, ' ').trim(),
+					url: a.attr('href') ? a.attr('href').replace(/s=[0-9a-f]+&?/i, '') : null,
+					date: date ? new Date(date) : null,
+					unread: row.hasClass('ipsDataItem_unread')
+				};
+			}).get();
+		});
+	}
+
+	/**
+	 * Follows the "mark all as read" link of the notification list.
+	 *
+	 * @returns {Promise}
+	 * @private
+	 */
+	_markRead() {
+		return this._ips._getWithLogin('/notifications/').then($ => {
+			const link = $('a[href*="csrfKey="]').filter((index, el) => /do=(markAllRead|read)|markRead/i.test($(el).attr('href'))).first().attr('href');
+			if (!link) {
+				// opening the list is all there is to do then
+				return;
+			}
+			return this._ips._getAuthenticated(resolveUrl(this._ips._url + '/', link.replace(/&amp;/g, '&')));
+		});
+	}
+
+	/**
+	 * Posts the follow form of an item.
+	 *
+	 * @param {{ app: string, area: string, id: number }} area Follow area
+	 * @param {{ frequency: string, anonymous: boolean }} opts Options
+	 * @returns {Promise}
+	 * @private
+	 */
+	_follow(area, opts) {
+		return new Form(this._ips).submit(this._getFollowUrl('follow', area), [
+			{ pattern: /frequency|follow_type/, value: opts.frequency },
+			{ pattern: /anonymous|follow_anon/, value: opts.anonymous ? 1 : undefined }
+		], { field: /frequency|follow_type/, done: () => true });
+	}
+
+	/**
+	 * Calls the unfollow URL of an item with the CSRF key of the follow form.
+	 *
+	 * @param {{ app: string, area: string, id: number }} area Follow area
+	 * @returns {Promise}
+	 * @private
+	 */
+	_unfollow(area) {
+		return this._ips._getWithLogin(this._getFollowUrl('follow', area)).then($ => {
+			const link = $('a[href*="do=unfollow"]').first().attr('href');
+			if (link) {
+				return this._ips._getAuthenticated(resolveUrl(this._ips._url + '/', link.replace(/&amp;/g, '&')));
+			}
+			const csrfKey = $('input[name="csrfKey"]').first().attr('value');
+			if (!csrfKey) {
+				throw new ParseError('Could not find CSRF key for unfollowing ' + area.area + ' ' + area.id + '.', this._getFollowUrl('follow', area), 'input[name="csrfKey"]');
+			}
+			return this._ips._getAuthenticated(this._getFollowUrl('unfollow', area) + '&csrfKey=' + csrfKey);
+		});
+	}
+
+	/**
+	 * Fetches the "Content I follow" page.
+	 *
+	 * @param {{ app: string, area: string }} [area] Only fetch items of this area
+	 * @returns {Promise.<{ type: string, id: number, title: string, url: string }[]>} Followed items
+	 * @private
+	 */
+	_fetchFollowed(area) {
+		const url = '/index.php?app=core&module=system&controller=followed' + (area ? '&type=' + area.app + '_' + area.area : '');
+		return this._ips._getWithLogin(url).then($ => {
+			const items = $('[data-followid], a[href*="do=unfollow"]').map((index, el) => {
+				const button = $(el);
+				const query = parseUrl((button.attr('href') || '').replace(/&amp;/g, '&'), true).query;
+				const app = button.attr('data-followapp') || query.follow_app;
+				const followArea = button.attr('data-followarea') || query.follow_area;
+				const id = parseInt(button.attr('data-followid') || query.follow_id, 10);
+				const row = button.closest('.ipsDataItem, li, tr');
+				const a = row.find('.ipsDataItem_title a, h4 a').first();
+				return {
+					type: this._getType(app, followArea),
+					id: id,
+					title: a.text().trim(),
+					url: a.attr('href') ? a.attr('href').replace(/s=[0-9a-f]+&?/i, '') : null
+				};
+			}).get();
+			return _.uniqBy(items.filter(item => item.type && item.id), item => item.type + item.id);
+		});
+	}
+
+	_getFollowUrl(action, area) {
+		return this._ips._url + '/index.php?app=core&module=system&controller=notifications&do=' + action +
+			'&follow_app=' + area.app + '&follow_area=' + area.area + '&follow_id=' + area.id;
+	}
+};
\ No newline at end of file
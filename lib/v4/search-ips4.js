@@ -0,0 +1,103 @@
+"use strict";
+
+const _ = require('lodash');
+const basename = require('path').basename;
+const parseUrl = require('url').parse;
+const formatUrl = require('url').format;
+
+const Search = require('../search');
+
+/**
+ * Content types of the IPS4 search engine.
+ */
+const TYPES = {
+	file: 'downloads_file',
+	topic: 'forums_topic',
+	post: 'forums_topic'
+};
+
+module.exports = class extends Search {
+
+	/**
+	 * Fetches a page of search results from `/search/`.
+	 *
+	 * @param {string} query Search query
+	 * @param {{ type: string, author: string, dateFrom: Date, dateTo: Date, tags: string[], page: number }} opts Options
+	 * @returns {Promise.<{}[]>} Results
+	 * @private
+	 */
+	_fetchResults(query, opts) {
+
+		const url = parseUrl(this._ips._url + '/search/', true);
+		url.query = _.omitBy({
+			q: query,
+			type: opts.type ? TYPES[opts.type] : undefined,
+			author: opts.author,
+			tags: _.isEmpty(opts.tags) ? undefined : _.castArray(opts.tags).join(','),
+			start_after: opts.dateFrom ? Math.floor(new Date(opts.dateFrom).getTime() / 1000) : undefined,
+			start_before: opts.dateTo ? Math.floor(new Date(opts.dateTo).getTime() / 1000) : undefined,
+			page: opts.page
+		}, _.isUndefined);
+
+		this.logger.info('Searching for "%s", page %d.', query, opts.page);
+		return this._ips._getWithLogin(formatUrl(url)).then($ => {
+			return $('ol.ipsStream > li.ipsStreamItem').map((index, el) => {
+				const row = $(el);
+				const a = row.find('.ipsStreamItem_title a').first();
+				const url = a.attr('href');
+				if (!url) {
+					return null;
+				}
+				const timestamp = row.attr('data-timestamp');
+				const snippet = row.find('.ipsStreamItem_snippet').text().trim();
+				const container = row.find('.ipsStreamItem_status a').not('[data-ipshover]').first().attr('href');
+				return _.assign({
+					title: a.text().trim(),
+					url: url.replace(/s=[0-9a-f]+&?/i, ''),
+					author: row.find('.ipsStreamItem_status a[data-ipshover]').first().text().trim(),
+					date: timestamp ? new Date(parseInt(timestamp, 10) * 1000) : new Date(row.find('time').attr('datetime')),
+					snippet: snippet
+				}, this._parseType(url, container));
+			}).get();
+		});
+	}
+
+	/**
+	 * Parses type and IDs of a search result from its URL.
+	 *
+	 * @param {string} url URL of the result
+	 * @param {string} [containerUrl] URL of the category or forum the result is in
+	 * @returns {{ type: string, id: number, [category]: number, [topic]: number }}
+	 * @private
+	 */
+	_parseType(url, containerUrl) {
+		const parsed = parseUrl(url, true);
+		const id = this._parseIdFromUrl(parsed.pathname);
+		if (/\/files\/file\//i.test(parsed.pathname)) {
+			return {
+				type: 'file',
+				id: id,
+				category: containerUrl && /\/files\/category\//i.test(containerUrl) ? this._parseIdFromUrl(parseUrl(containerUrl).pathname) : null
+			};
+		}
+		if (/\/topic\//i.test(parsed.pathname)) {
+			if (parsed.query.comment) {
+				return { type: 'post', id: parseInt(parsed.query.comment, 10), topic: id };
+			}
+			return { type: 'topic', id: id };
+		}
+		return { type: 'other', id: id };
+	}
+
+	/**
+	 * Parses the ID from a friendly URL path such as `/topic/123-my-topic/`.
+	 *
+	 * @param {string} path
+	 * @returns {Number} ID or null if none found
+	 * @private
+	 */
+	_parseIdFromUrl(path) {
+		const match = basename(path || '').match(/^\d+/);
+		return match ? parseInt(match[0], 10) : null;
+	}
+};
\ No newline at end of file
@@ -0,0 +1,122 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const cheerio = require('cheerio');
+
+const ParseError = require('./errors').ParseError;
+const UnsupportedVersionError = require('./errors').UnsupportedVersionError;
+
+/**
+ * Major versions of IPS with modules in `lib/v<version>`.
+ */
+const SUPPORTED_VERSIONS = [ 3, 4 ];
+
+/**
+ * Markup and asset paths only found in a given major version, checked in
+ * this order if the generator meta tag doesn't tell.
+ */
+const FINGERPRINTS = [
+	{ version: 5, selector: '[data-ips-hook], html[data-ips-scheme], link[href*="/static/css/"][href*="framework"]' },
+	{ version: 4, selector: 'body.ipsApp, [data-controller^="core.front"], script[src*="javascript_global/root_"], link[href*="css_built_"]' },
+	{ version: 3, selector: '#ipboard_body, script[src*="public/js/ipb.js"], link[href*="public/style_css/"]' }
+];
+
+/**
+ * Finds out which version of IPS a board runs, so the matching modules
+ * can be loaded.
+ *
+ * The result is cached per board, so the board is only fingerprinted
+ * once.
+ */
+module.exports = class {
+
+	/**
+	 * @param {string} cachePath Path to the JSON file caching the result
+	 * @param {Logger} logger Logger
+	 * @param {Http} [http] HTTP client, only needed for {@link #detect()}
+	 */
+	constructor(cachePath, logger, http) {
+		this._cachePath = cachePath;
+		this.logger = logger;
+		this._http = http;
+	}
+
+	/**
+	 * Returns the major version of the board at the given URL.
+	 *
+	 * @param {string} url URL of the board, without /index.php
+	 * @param {{ [forceRefresh]: boolean }} [opts] Options. Fingerprint again instead of using the cache if `forceRefresh` is set.
+	 * @returns {Promise.<number>} Major version, 3 or 4
+	 */
+	detect(url, opts) {
+		opts = opts || {};
+		return Promise.try(() => {
+
+			const cached = opts.forceRefresh ? null : this.getCached(url);
+			if (cached) {
+				return cached;
+			}
+
+			return this._http.request({ url: url + '/', jar: false }).then(response => {
+				const result = this.constructor.fingerprint(cheerio.load(response.body));
+				if (!result) {
+					throw new ParseError('Could not recognize ' + url + ' as an IPS board.', url + '/');
+				}
+				this.logger.info('Detected IPS %s at %s by %s.', result.version, url, result.by);
+				if (SUPPORTED_VERSIONS.indexOf(result.version) < 0) {
+					throw new UnsupportedVersionError('IPS ' + result.version + ' at ' + url + ' is not supported, only versions ' + SUPPORTED_VERSIONS.join(' and ') + ' are.', result.version);
+				}
+				fs.writeFileSync(this._cachePath, JSON.stringify({ url: url, version: result.version, detected: new Date() }, null, '\t'));
+				return result.version;
+			});
+		});
+	}
+
+	/**
+	 * Returns the cached version of a board.
+	 *
+	 * @param {string} url URL of the board
+	 * @returns {number|null} Major version or null if not detected yet, or detected for another URL.
+	 */
+	getCached(url) {
+		if (!fs.existsSync(this._cachePath)) {
+			return null;
+		}
+		const cached = JSON.parse(fs.readFileSync(this._cachePath));
+		return cached.url === url ? cached.version : null;
+	}
+
+	/**
+	 * Guesses the major version of IPS from a page of the board.
+	 *
+	 * The generator meta tag is preferred, then markup and assets typical
+	 * for a version.
+	 *
+	 * @param $ Parsed page
+	 * @returns {{ version: number, by: string }|null} Major version and what gave it away, or null if not an IPS board.
+	 */
+	static fingerprint($) {
+		const generator = $('meta[name="generator"]').attr('content') || '';
+		const match = generator.match(/(?:IP\.?\s?Board|Invision(?: Power Board| Community)?)\s+v?(\d+)/i);
+		if (match) {
+			return { version: parseInt(match[1], 10), by: 'generator "' + generator + '"' };
+		}
+		for (let fingerprint of FINGERPRINTS) {
+			if ($(fingerprint.selector).length) {
+				return { version: fingerprint.version, by: 'markup' };
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Returns whether modules exist for a major version.
+	 *
+	 * @param {number} version Major version
+	 * @returns {boolean}
+	 */
+	static isSupported(version) {
+		return SUPPORTED_VERSIONS.indexOf(version) > -1;
+	}
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+"use strict";
+
+const Promise = require('bluebird');
+const assert = require('assert');
+const cheerio = require('cheerio');
+
+const AuthIps4 = require('../lib/v4/auth-ips4');
+const Totp = require('../lib/totp');
+const AuthenticationError = require('../lib/errors').AuthenticationError;
+const ParseError = require('../lib/errors').ParseError;
+
+describe('IPS4 login', () => {
+
+	const B = 'http://ips4.example.com';
+	const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+	const guest = '<form class="ipsPad" method="post" action="' + B + '/login/"><input type="hidden" name="csrfKey" value="c5rf"></form>';
+	const member = '<ul id="elUserNav"><li id="cUserLink"><a class="ipsUserPhoto" href="#"><img src="/photo.png" alt="tester"></a></li></ul>';
+	const totpForm = '<form method="post" action="' + B + '/login/?_mfaLogin=1&amp;_mfa=google"><input type="hidden" name="csrfKey" value="c5rf">' +
+		'<input type="hidden" name="mfa_auth" value="1"><input type="text" name="google_auth_code" value=""><input type="checkbox" name="remember" value="1">' +
+		'<button type="submit">Continue</button></form>';
+	const questionForm = '<form method="post" action="' + B + '/login/?_mfaLogin=1"><input type="hidden" name="csrfKey" value="c5rf"><ul>' +
+		'<li><label for="q1" class="ipsFieldRow_label">First pet <span class="ipsFieldRow_required">Required</span></label><input type="text" id="q1" name="security_answer_1"></li>' +
+		'<li><label for="q2" class="ipsFieldRow_label">Home town <span class="ipsFieldRow_required">Required</span></label><input type="text" id="q2" name="security_answer_2"></li>' +
+		'</ul></form>';
+
+	let pages, fetched, posts, responses, opts, auth;
+	beforeEach(() => {
+		pages = { '/': guest };
+		fetched = [];
+		posts = [];
+		responses = [];
+		opts = {};
+		const ips = {
+			_opts: opts,
+			logger: { info: () => {}, debug: () => {} },
+			_getAuthenticated: url => {
+				fetched.push(url);
+				return pages[url] ? Promise.resolve(cheerio.load(pages[url])) : Promise.reject(new Error('Unexpected request to ' + url));
+			},
+			_http: {
+				request: options => {
+					posts.push([ options.url, options.form ]);
+					return Promise.resolve(responses.shift());
+				}
+			}
+		};
+		auth = new AuthIps4(ips, 'tester', 'secret', B, {});
+	});
+
+	const redirect = location => ({ statusCode: 303, headers: { location: location }, body: '' });
+
+	it('should post the credentials with the CSRF key', () => {
+		responses.push(redirect(B + '/'));
+		return auth.login().then(loggedIn => {
+			assert.strictEqual(loggedIn, true);
+			assert.deepStrictEqual(posts, [ [ B + '/login/', {
+				login__standard_submitted: 1,
+				csrfKey: 'c5rf',
+				auth: 'tester',
+				password: 'secret',
+				remember_me: 1,
+				remember_me_checkbox: 1,
+				signin_anonymous: 0,
+				signin_anonymous_checkbox: 1
+			} ] ]);
+		});
+	});
+
+	it('should not log in again with a valid session', () => {
+		pages['/'] = member;
+		return auth.login().then(loggedIn => {
+			assert.strictEqual(loggedIn, false);
+			assert.deepStrictEqual(posts, []);
+		});
+	});
+
+	it('should fail on wrong credentials', () => {
+		responses.push({ statusCode: 200, headers: {}, body: '<p class="ipsMessage_error">The password you entered is incorrect.</p>' });
+		return auth.login().then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof AuthenticationError);
+			assert.strictEqual(err.message, 'Wrong credentials when logging in.');
+		});
+	});
+
+	it('should pick the authenticator and answer it with the TOTP secret', () => {
+		opts.totpSecret = secret;
+		pages[B + '/login/?_mfaLogin=1'] = '<ul><li><a href="' + B + '/login/?_mfaLogin=1&amp;_mfa=questions">Security questions</a></li>' +
+			'<li><a href="' + B + '/login/?_mfaLogin=1&amp;_mfa=google">Authenticator app</a></li></ul>';
+		pages[B + '/login/?_mfaLogin=1&_mfa=google'] = totpForm;
+		responses.push(redirect('/login/?_mfaLogin=1'), redirect(B + '/'));
+
+		const time = Date.now();
+		return auth.login().then(loggedIn => {
+			assert.strictEqual(loggedIn, true);
+			assert.deepStrictEqual(fetched, [ '/', B + '/login/?_mfaLogin=1', B + '/login/?_mfaLogin=1&_mfa=google' ]);
+			assert.strictEqual(posts[1][0], B + '/login/?_mfaLogin=1&_mfa=google');
+			const code = posts[1][1].google_auth_code;
+			assert.ok(code === Totp.generate(secret, time) || code === Totp.generate(secret, Date.now()), 'Unexpected code ' + code + '.');
+			assert.deepStrictEqual(posts[1][1], { csrfKey: 'c5rf', mfa_auth: '1', google_auth_code: code });
+		});
+	});
+
+	it('should answer security questions returned with the login', () => {
+		const challenges = [];
+		opts.mfa = challenge => {
+			challenges.push(challenge);
+			return { 'First pet': 'Rex', 'Home town': 'Springfield' };
+		};
+		responses.push({ statusCode: 200, headers: {}, body: questionForm }, redirect(B + '/'));
+
+		return auth.login().then(() => {
+			assert.deepStrictEqual(challenges, [ { type: 'questions', questions: [ 'First pet', 'Home town' ] } ]);
+			assert.deepStrictEqual(posts[1], [ B + '/login/?_mfaLogin=1', { csrfKey: 'c5rf', security_answer_1: 'Rex', security_answer_2: 'Springfield' } ]);
+			assert.deepStrictEqual(fetched, [ '/' ]);
+		});
+	});
+
+	it('should ask for a code without a TOTP secret', () => {
+		opts.mfa = challenge => Promise.resolve(challenge.type === 'totp' ? '123 456' : null);
+		responses.push({ statusCode: 200, headers: {}, body: totpForm }, redirect(B + '/'));
+		return auth.login().then(() => {
+			assert.strictEqual(posts[1][1].google_auth_code, '123456');
+		});
+	});
+
+	it('should fail without a way to answer the challenge', () => {
+		responses.push({ statusCode: 200, headers: {}, body: totpForm });
+		return auth.login().then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof AuthenticationError);
+			assert.strictEqual(err.message, 'Account requires two-factor authentication (totp). Instantiate Ips with the `totpSecret` or `mfa` option.');
+			assert.strictEqual(posts.length, 1);
+		});
+	});
+
+	it('should fail if the board rejects the answer', () => {
+		opts.totpSecret = secret;
+		responses.push({ statusCode: 200, headers: {}, body: totpForm }, redirect(B + '/login/?_mfaLogin=1'));
+		return auth.login().then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof AuthenticationError);
+			assert.strictEqual(err.message, 'Two-factor authentication failed (303).');
+		});
+	});
+
+	it('should fail on unknown challenges', () => {
+		pages[B + '/login/?_mfaLogin=1'] = '<p>Please check your email.</p>';
+		responses.push(redirect(B + '/login/?_mfaLogin=1'));
+		return auth.login().then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof ParseError);
+			assert.strictEqual(err.message, 'Unknown two-factor challenge when logging in.');
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,133 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const assert = require('assert');
+const request = require('request');
+const resolve = require('path').resolve;
+
+const Http = require('../lib/http');
+const Cassette = require('../lib/cassette');
+const ReplayError = require('../lib/errors').ReplayError;
+
+describe('Cassette', () => {
+
+	const logger = { info: () => {}, warn: () => {} };
+	const binary = Buffer.from([ 0, 1, 2, 253, 254, 255 ]);
+	let server, url, tmp, path, counter;
+
+	before(done => {
+		server = http.createServer((req, res) => {
+			if (req.url === '/login') {
+				res.writeHead(302, { 'Location': '/home', 'Set-Cookie': 'member_id=7; path=/' });
+				return res.end();
+			}
+			if (req.url === '/home') {
+				res.writeHead(200, { 'Content-Type': 'text/html', 'Set-Cookie': 'session=abc; path=/' });
+				return res.end('<p>Welcome</p>');
+			}
+			if (req.url === '/counter?page=2') {
+				res.writeHead(200, { 'Content-Type': 'application/json' });
+				return res.end(JSON.stringify({ count: ++counter }));
+			}
+			if (req.url === '/file') {
+				res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+				return res.end(binary);
+			}
+			res.writeHead(404);
+			res.end();
+		});
+		server.listen(0, '127.0.0.1', () => {
+			url = 'http://127.0.0.1:' + server.address().port;
+			done();
+		});
+	});
+	after(done => server.close(done));
+
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		path = resolve(tmp, 'cassette');
+		counter = 0;
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	const record = () => {
+		const client = new Http({ logger: logger, cassette: { mode: 'record', path: path } });
+		return client.request({ url: url + '/login', jar: request.jar() })
+			.then(() => client.request({ url: url + '/counter', qs: { page: 2 } }))
+			.then(() => client.request({ url: url + '/counter', qs: { page: 2 } }))
+			.then(() => client.stream({ url: url + '/file' }))
+			.then(response => new Promise(resolve => response.on('end', resolve).resume()));
+	};
+
+	it('should save every response with its body in its own file', () => {
+		return record().then(() => {
+			const entries = JSON.parse(fs.readFileSync(resolve(path, 'cassette.json')));
+			assert.deepStrictEqual(entries.map(entry => [ entry.method, entry.url.replace(url, ''), entry.statusCode, entry.body ]), [
+				[ 'GET', '/login', 200, '0001.html' ],
+				[ 'GET', '/counter?page=2', 200, '0002.json' ],
+				[ 'GET', '/counter?page=2', 200, '0003.json' ],
+				[ 'GET', '/file', 200, '0004.bin' ]
+			]);
+			assert.strictEqual(entries[0].finalUrl, url + '/home');
+			assert.deepStrictEqual(entries[0].redirects, [ { url: url + '/login', statusCode: 302, cookies: [ 'member_id=7; path=/' ] } ]);
+			assert.ok(fs.readFileSync(resolve(path, '0004.bin')).equals(binary));
+		});
+	});
+
+	it('should replay responses in order without touching the network', () => {
+		return record().then(() => {
+			server.close();
+			const jar = request.jar();
+			const client = new Http({ logger: logger, cassette: { mode: 'replay', path: path } });
+			return client.request({ url: url + '/login', jar: jar }).then(response => {
+				assert.strictEqual(response.body, '<p>Welcome</p>');
+				assert.strictEqual(response.request.uri.href, url + '/home');
+				assert.strictEqual(jar.getCookieString(url + '/'), 'member_id=7; session=abc');
+				return client.request({ url: url + '/counter', qs: { page: 2 }, json: true });
+
+			}).then(response => {
+				assert.deepStrictEqual(response.body, { count: 1 });
+				return client.request({ url: url + '/counter?page=2', json: true });
+
+			}).then(response => {
+				assert.deepStrictEqual(response.body, { count: 2 });
+				return client.request({ url: url + '/counter?page=2', json: true });
+
+			}).then(response => {
+				// the last response is repeated when they run out
+				assert.deepStrictEqual(response.body, { count: 2 });
+				return client.stream({ url: url + '/file' });
+
+			}).then(response => new Promise(resolve => {
+				const chunks = [];
+				response.on('data', chunk => chunks.push(chunk)).on('end', () => resolve(Buffer.concat(chunks))).resume();
+
+			})).then(body => {
+				assert.ok(body.equals(binary));
+				return client.request({ url: url + '/file', method: 'POST' });
+
+			}).then(() => assert.fail('Should have failed.'), err => {
+				assert.ok(err instanceof ReplayError);
+				assert.strictEqual(err.method, 'POST');
+				assert.strictEqual(err.url, url + '/file');
+			});
+
+		}).finally(() => new Promise(resolve => server.listen(new URL(url).port, '127.0.0.1', resolve)));
+	});
+
+	it('should start over when recording again', () => {
+		return record().then(() => {
+			const cassette = new Cassette(path, 'record', logger);
+			assert.deepStrictEqual(JSON.parse(fs.readFileSync(resolve(path, 'cassette.json'))), []);
+			assert.deepStrictEqual(fs.readdirSync(path), [ 'cassette.json' ]);
+			assert.strictEqual(Cassette.create(cassette, logger), cassette);
+		});
+	});
+
+	it('should fail without cassette or with an unknown mode', () => {
+		assert.throws(() => new Cassette(path, 'replay', logger), /No cassette found/);
+		assert.throws(() => new Cassette(path, 'rewind', logger), /Unknown cassette mode "rewind"/);
+	});
+});
\ No newline at end of file
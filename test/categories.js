@@ -0,0 +1,152 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const resolve = require('path').resolve;
+
+const DownloadsIps3 = require('../lib/v3/downloads-ips3');
+const DownloadsIps4 = require('../lib/v4/downloads-ips4');
+
+/**
+ * Returns a fake Ips serving the given pages by URL.
+ */
+function fakeIps(url, tmp, pages, requested) {
+	return {
+		id: 'example',
+		_cache: tmp,
+		_url: url,
+		logger: { info: () => {}, debug: () => {} },
+		_get: url => {
+			requested.push(url);
+			return pages[url] ? Promise.resolve(cheerio.load(pages[url])) : Promise.reject(new Error('Unexpected request to ' + url));
+		}
+	};
+}
+
+describe('IPS4 download categories', () => {
+
+	const B = 'http://ips4.example.com';
+	const row = (id, label, count, description) => '<li class="ipsDataItem">' +
+		'<div class="ipsDataItem_main"><h4 class="ipsDataItem_title"><a href="' + B + '/files/category/' + id + '/">' + label + '</a></h4>' +
+		'<div class="ipsDataItem_meta">' + (description || '') + '</div></div>' +
+		'<div class="ipsDataItem_stats"><span class="ipsDataItem_stats_number">' + count + '</span> files</div></li>';
+	const file = '<li class="ipsDataItem"><div class="ipsDataItem_main"><h4 class="ipsDataItem_title"><a href="' + B + '/files/file/5-sunset-beach/">Sunset Beach</a></h4></div></li>';
+	const menu = links => '<ul class="ipsSideMenu_list">' + links.map(link => '<li><a href="' + B + '/files/category/' + link[0] + '/">' + link[1] + ' <span class="ipsBadge">' + link[2] + '</span></a></li>').join('') + '</ul>';
+
+	let tmp, pages, requested, downloads;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		requested = [];
+		pages = {
+			'/files/categories/': '<ol class="ipsDataList">' + row('1-vpx', 'VPX', '1,240', 'Visual Pinball X') + row('4-future-pinball', 'Future Pinball', 3) + '</ol>',
+			[B + '/files/category/1-vpx/']: '<ol class="ipsDataList">' + row('2-tables', 'Tables', 1200) + row('3-backglasses-mods', 'Backglasses &amp; Mods', 40) + '</ol>',
+			// no sub-category rows, so the side menu is used
+			[B + '/files/category/2-tables/']: menu([ [ '1-vpx', 'VPX', '1,240' ], [ '2-tables', 'Tables', '1,200' ], [ '5-mods', 'Mods', 7 ] ]) + '<ol class="ipsDataList">' + file + '</ol>',
+			[B + '/files/category/3-backglasses-mods/']: '<ol class="ipsDataList">' + file + '</ol>',
+			[B + '/files/category/4-future-pinball/']: '<ol class="ipsDataList">' + file + '</ol>',
+			[B + '/files/category/5-mods/']: '<ol class="ipsDataList">' + file + '</ol>'
+		};
+		downloads = new DownloadsIps4(fakeIps(B, tmp, pages, requested), { version: 4 });
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should walk down all category pages and compute the paths', () => {
+		return downloads.getCategories().then(categories => {
+			assert.deepStrictEqual(categories, [
+				{ id: 1, label: 'VPX', url: B + '/files/category/1-vpx/', parentId: null, fileCount: 1240, description: 'Visual Pinball X', path: 'VPX' },
+				{ id: 4, label: 'Future Pinball', url: B + '/files/category/4-future-pinball/', parentId: null, fileCount: 3, description: null, path: 'Future Pinball' },
+				{ id: 2, label: 'Tables', url: B + '/files/category/2-tables/', parentId: 1, fileCount: 1200, description: null, path: 'VPX/Tables' },
+				{ id: 3, label: 'Backglasses & Mods', url: B + '/files/category/3-backglasses-mods/', parentId: 1, fileCount: 40, description: null, path: 'VPX/Backglasses & Mods' },
+				{ id: 5, label: 'Mods', url: B + '/files/category/5-mods/', parentId: 2, fileCount: 7, description: null, path: 'VPX/Tables/Mods' }
+			]);
+			assert.deepStrictEqual(requested, [ '/files/categories/', B + '/files/category/1-vpx/', B + '/files/category/2-tables/', B + '/files/category/5-mods/', B + '/files/category/3-backglasses-mods/', B + '/files/category/4-future-pinball/' ]);
+		});
+	});
+
+	it('should return root categories with their children as tree', () => {
+		return downloads.getCategories({ tree: true }).then(tree => {
+			const labels = nodes => nodes.map(node => [ node.label, labels(node.children) ]);
+			assert.deepStrictEqual(labels(tree), [
+				[ 'VPX', [ [ 'Tables', [ [ 'Mods', [] ] ] ], [ 'Backglasses & Mods', [] ] ] ],
+				[ 'Future Pinball', [] ]
+			]);
+		});
+	});
+
+	it('should serve categories from the cache until refreshed', () => {
+		return downloads.getCategories().then(() => {
+			requested.length = 0;
+			// a new instance reads the cache from disk
+			downloads = new DownloadsIps4(fakeIps(B, tmp, pages, requested), { version: 4 });
+			return downloads.getCategories();
+
+		}).then(categories => {
+			assert.strictEqual(categories.length, 5);
+			assert.deepStrictEqual(requested, []);
+			pages['/files/categories/'] = '<ol class="ipsDataList">' + row('4-future-pinball', 'Future Pinball', 3) + '</ol>';
+			return downloads.getCategories({ forceRefresh: true });
+
+		}).then(categories => {
+			assert.deepStrictEqual(categories.map(cat => cat.path), [ 'Future Pinball' ]);
+			assert.deepStrictEqual(requested, [ '/files/categories/', B + '/files/category/4-future-pinball/' ]);
+		});
+	});
+
+	it('should find categories by label and by path', () => {
+		return Promise.mapSeries([ 'vpx/tables', 'tables/mods', 'mods', 'back mods', 'future pin', 'VPX', 'rom' ], query => downloads.findCategory(query)).then(categories => {
+			assert.deepStrictEqual(categories.map(cat => cat && cat.id), [ 2, 5, 5, 3, 4, 1, undefined ]);
+		});
+	});
+});
+
+describe('IPS3 download categories', () => {
+
+	const B = 'http://ips3.example.com';
+	const item = (id, label, count, children) => '<li><a href="#" class="cat_toggle">Toggle</a>' +
+		'<a href="' + B + '/index.php?app=downloads&amp;showcat=' + id + '" title="View category">' + label + '</a> <span class="desc">(' + count + ')</span>' +
+		(children ? '<ul>' + children.join('') + '</ul>' : '') + '</li>';
+
+	let tmp, requested, downloads;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		requested = [];
+		const pages = {
+			'/index.php?app=downloads': '<div id="idm_categories"><ul>' +
+				item(1, 'VPX', 1240, [ item(2, 'Tables', 1200, [ item(5, 'Mods', 7) ]), item(3, 'Backglasses &amp; Mods', 40) ]) +
+				item(4, 'Future Pinball', 3) +
+				'</ul></div>'
+		};
+		downloads = new DownloadsIps3(fakeIps(B, tmp, pages, requested), { version: 3 });
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should read the whole tree from the side bar of the index', () => {
+		return downloads.getCategories().then(categories => {
+			assert.deepStrictEqual(categories, [
+				{ label: 'VPX', url: B + '/index.php?app=downloads&showcat=1', id: 1, parentId: null, fileCount: 1240, description: null, path: 'VPX' },
+				{ label: 'Tables', url: B + '/index.php?app=downloads&showcat=2', id: 2, parentId: 1, fileCount: 1200, description: null, path: 'VPX/Tables' },
+				{ label: 'Mods', url: B + '/index.php?app=downloads&showcat=5', id: 5, parentId: 2, fileCount: 7, description: null, path: 'VPX/Tables/Mods' },
+				{ label: 'Backglasses & Mods', url: B + '/index.php?app=downloads&showcat=3', id: 3, parentId: 1, fileCount: 40, description: null, path: 'VPX/Backglasses & Mods' },
+				{ label: 'Future Pinball', url: B + '/index.php?app=downloads&showcat=4', id: 4, parentId: null, fileCount: 3, description: null, path: 'Future Pinball' }
+			]);
+			assert.deepStrictEqual(requested, [ '/index.php?app=downloads' ]);
+		});
+	});
+
+	it('should return root categories with their children as tree', () => {
+		return downloads.getCategories({ tree: true }).then(tree => {
+			assert.deepStrictEqual(tree.map(node => node.id), [ 1, 4 ]);
+			assert.deepStrictEqual(tree[0].children.map(node => node.id), [ 2, 3 ]);
+			assert.deepStrictEqual(tree[0].children[0].children.map(node => node.path), [ 'VPX/Tables/Mods' ]);
+		});
+	});
+
+	it('should prefer exact matches when finding categories', () => {
+		return Promise.mapSeries([ 'mods', 'vpx/mods', 'backglasses' ], query => downloads.findCategory(query)).then(categories => {
+			assert.deepStrictEqual(categories.map(cat => cat.id), [ 5, 5, 3 ]);
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,130 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const crypto = require('crypto');
+const execFile = require('child_process').execFile;
+const resolve = require('path').resolve;
+
+const bin = resolve(__dirname, '..', 'bin', 'ipslib.js');
+const cassette = resolve(__dirname, 'fixtures', 'synthetic-ips4');
+const meta = JSON.parse(fs.readFileSync(resolve(cassette, 'meta.json')));
+
+/*
+ * Runs the binary against the bundled IPS4 cassette, with a temporary
+ * home folder for the cache and the session.
+ */
+describe('Command line', function() {
+
+	this.timeout(10000);
+
+	let tmp;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	/**
+	 * Runs the binary and resolves with its exit code and output.
+	 */
+	function run(args, env) {
+		return new Promise(resolve => {
+			const vars = _.assign(_.omitBy(process.env, (value, name) => /^IPSLIB_/.test(name)), { HOME: tmp, USERPROFILE: tmp }, env);
+			execFile(process.execPath, [ bin ].concat(args), { env: vars, timeout: 10000 }, (err, stdout, stderr) => {
+				resolve({ code: err ? err.code : 0, stdout: stdout, stderr: stderr });
+			});
+		});
+	}
+
+	// runs a command against the cassette, with the categories already cached
+	function replay(args) {
+		fs.mkdirSync(resolve(tmp, '.ipslib'), { recursive: true });
+		fs.writeFileSync(resolve(tmp, '.ipslib', 'test-categories.json'), JSON.stringify([ _.assign({ parentId: null }, meta.category) ]));
+		return run(args.concat([ '--name', 'test', '--url', meta.url, '--username', meta.username, '--password', 'secret', '--version', '4', '--replay', cassette ]));
+	}
+
+	it('should print the usage', () => {
+		return run([ '--help' ]).then(result => {
+			assert.strictEqual(result.code, 0);
+			assert.ok(/^Usage: ipslib <command> \[options\]/.test(result.stdout));
+			return run([]);
+
+		}).then(result => {
+			assert.strictEqual(result.code, 1);
+			assert.ok(/^Usage: ipslib/.test(result.stdout));
+		});
+	});
+
+	it('should fail on missing settings and arguments', () => {
+		return Promise.mapSeries([
+			[ [ 'categories' ], 'Error: Board URL is missing. Use --url, IPSLIB_URL or the config file.' ],
+			[ [ 'frobnicate', '--url', meta.url ], 'Error: Unknown command "frobnicate", see --help.' ],
+			[ [ 'categories', '--config', resolve(tmp, 'missing.json') ], 'Error: Config file "' + resolve(tmp, 'missing.json') + '" not found.' ]
+		], test => run(test[0]).then(result => {
+			assert.strictEqual(result.code, 1);
+			assert.strictEqual(result.stderr.trim(), test[1]);
+		})).then(() => replay([ 'search' ])).then(result => {
+			assert.strictEqual(result.code, 1);
+			assert.strictEqual(result.stderr.trim(), 'Error: Missing <query>, see --help.');
+		});
+	});
+
+	it('should take settings from flags over env vars over the config file', () => {
+		const config = resolve(tmp, 'config.json');
+		fs.writeFileSync(config, JSON.stringify({ url: 'http://config.example.com', name: 'test' }));
+		// nothing is cached, so the categories are requested from the board of the chosen URL
+		const board = result => (result.stderr.match(/No response recorded for GET (\S+)\/files\/categories\//) || [])[1];
+		const args = [ 'categories', '--config', config, '--version', '4', '--replay', cassette ];
+
+		return run(args).then(result => {
+			assert.strictEqual(board(result), 'http://config.example.com');
+			return run(args, { IPSLIB_URL: 'http://env.example.com' });
+
+		}).then(result => {
+			assert.strictEqual(board(result), 'http://env.example.com');
+			return run(args.concat([ '--url', 'http://flag.example.com' ]), { IPSLIB_URL: 'http://env.example.com' });
+
+		}).then(result => {
+			assert.strictEqual(board(result), 'http://flag.example.com');
+		});
+	});
+
+	it('should list categories and files', () => {
+		return replay([ 'categories' ]).then(result => {
+			assert.strictEqual(result.code, 0, result.stderr);
+			assert.strictEqual(result.stdout, '2\tTables\n');
+			return replay([ 'files', 'tables' ]);
+
+		}).then(result => {
+			assert.strictEqual(result.code, 0, result.stderr);
+			assert.strictEqual(result.stdout, '5\tSunset Beach\tbob\t1234\n');
+		});
+	});
+
+	it('should search files and print them as JSON', () => {
+		return replay([ 'search', 'sunst', '--category', 'tables', '--json' ]).then(result => {
+			assert.strictEqual(result.code, 0, result.stderr);
+			const files = JSON.parse(result.stdout);
+			assert.deepStrictEqual(files.map(file => [ file.id, file.title, file.category ]), [ [ 5, 'Sunset Beach', 2 ] ]);
+		});
+	});
+
+	it('should log in and download files', () => {
+		const dest = resolve(tmp, 'downloads');
+		fs.mkdirSync(dest);
+		return replay([ 'login' ]).then(result => {
+			assert.strictEqual(result.code, 0, result.stderr);
+			assert.strictEqual(result.stdout, 'Logged in.\n');
+			return replay([ 'download', 'tables', 'sunset', '--dest', dest, '--json' ]);
+
+		}).then(result => {
+			assert.strictEqual(result.code, 0, result.stderr);
+			const path = resolve(dest, meta.filename);
+			assert.deepStrictEqual(JSON.parse(result.stdout), [ { status: 'success', paths: [ { path: path } ], id: 5, title: 'Sunset Beach' } ]);
+			assert.strictEqual(crypto.createHash('sha1').update(fs.readFileSync(path)).digest('hex'), meta.sha1);
+		});
+	});
+});
\ No newline at end of file
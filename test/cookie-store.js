@@ -0,0 +1,45 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const resolve = require('path').resolve;
+const CookieJar = require('tough-cookie').CookieJar;
+
+const FileCookieStore = require('../lib/cookie-store');
+
+describe('FileCookieStore', () => {
+
+	let tmp, path;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		path = resolve(tmp, 'example-cookies.json');
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should restore the session of a previous instance', () => {
+		new CookieJar(new FileCookieStore(path)).setCookieSync('ips4_member_id=7; Path=/; Expires=Wed, 01 Jan 2048 00:00:00 GMT', 'http://ips4.example.com/');
+		const jar = new CookieJar(new FileCookieStore(path));
+		assert.strictEqual(jar.getCookieStringSync('http://ips4.example.com/files/'), 'ips4_member_id=7');
+	});
+
+	it('should forget the session when cleared', () => {
+		const store = new FileCookieStore(path);
+		new CookieJar(store).setCookieSync('ips4_member_id=7; Path=/', 'http://ips4.example.com/');
+		store.removeAllCookies(() => {});
+		assert.strictEqual(new CookieJar(new FileCookieStore(path)).getCookieStringSync('http://ips4.example.com/'), '');
+	});
+
+	it('should ignore a corrupt file', () => {
+		fs.writeFileSync(path, '[{"key":');
+		assert.strictEqual(new CookieJar(new FileCookieStore(path)).getCookieStringSync('http://ips4.example.com/'), '');
+	});
+
+	if (process.platform !== 'win32') {
+		it('should only let the owner read the file', () => {
+			fs.writeFileSync(path, '[]', { mode: 0o644 });
+			new CookieJar(new FileCookieStore(path)).setCookieSync('ips4_member_id=7; Path=/', 'http://ips4.example.com/');
+			assert.strictEqual(fs.statSync(path).mode & 0o777, 0o600);
+		});
+	}
+});
\ No newline at end of file
@@ -0,0 +1,90 @@
+"use strict";
+
+const Promise = require('bluebird');
+const assert = require('assert');
+
+const DownloadQueue = require('../lib/download-queue');
+const Paging = require('../lib/paging');
+const NotFoundError = require('../lib/errors').NotFoundError;
+
+/**
+ * Returns a downloads module lookalike whose downloads take a few
+ * milliseconds and keep track of how many run at the same time.
+ */
+function downloads() {
+	const module = {
+		running: 0,
+		maxRunning: 0,
+		started: [],
+		delays: [],
+		logger: { error: () => {} },
+		_downloadItem: (file, destFolder, opts) => {
+			module.delays.push(Paging.randomDelay(opts));
+			module.started.push(file.id);
+			module.running++;
+			module.maxRunning = Math.max(module.maxRunning, module.running);
+			return Promise.delay(10).then(() => {
+				module.running--;
+				if (file.missing) {
+					throw new NotFoundError('Gone.', file.url);
+				}
+				return file.skip ? [ { path: destFolder + '/' + file.id, skipped: true } ] : [ { path: destFolder + '/' + file.id } ];
+			});
+		}
+	};
+	return module;
+}
+
+describe('DownloadQueue', () => {
+
+	it('should download with the given concurrency and report every result', () => {
+		const module = downloads();
+		const files = [ { id: 1 }, { id: 2, missing: true }, { id: 3, skip: true }, { id: 4 }, { id: 5 } ];
+		return new DownloadQueue(module, '/dest', { concurrency: 2 }).add(files).start().then(results => {
+			assert.strictEqual(module.maxRunning, 2);
+			assert.deepStrictEqual(results.map(result => [ result.file.id, result.status ]), [ [ 1, 'success' ], [ 2, 'failed' ], [ 3, 'skipped' ], [ 4, 'success' ], [ 5, 'success' ] ]);
+			assert.ok(results[1].error instanceof NotFoundError);
+			assert.deepStrictEqual(results[0].paths, [ { path: '/dest/1' } ]);
+		});
+	});
+
+	it('should not wait between downloads without delay options', () => {
+		const module = downloads();
+		return new DownloadQueue(module, '/dest').add([ { id: 1 }, { id: 2 } ]).start().then(() => {
+			assert.deepStrictEqual(module.delays, [ 0, 0 ]);
+		});
+	});
+
+	it('should only start new downloads when resumed', () => {
+		const module = downloads();
+		const queue = new DownloadQueue(module, '/dest', { concurrency: 1 }).add([ { id: 1 }, { id: 2 }, { id: 3 } ]);
+		const done = queue.start();
+		// the first download is running after a tick
+		return Promise.delay(5).then(() => {
+			queue.pause();
+			return Promise.delay(50);
+
+		}).then(() => {
+			assert.deepStrictEqual(module.started, [ 1 ]);
+			queue.resume();
+			return done;
+
+		}).then(results => {
+			assert.deepStrictEqual(results.map(result => result.status), [ 'success', 'success', 'success' ]);
+		});
+	});
+
+	it('should report remaining files as cancelled', () => {
+		const module = downloads();
+		const queue = new DownloadQueue(module, '/dest', { concurrency: 1 }).add([ { id: 1 }, { id: 2 }, { id: 3 } ]);
+		const done = queue.start();
+		return Promise.delay(5).then(() => {
+			queue.cancel();
+			return done;
+
+		}).then(results => {
+			assert.deepStrictEqual(results.map(result => result.status), [ 'success', 'cancelled', 'cancelled' ]);
+			assert.deepStrictEqual(results[1].paths, []);
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const resolve = require('path').resolve;
+
+const Downloads = require('../lib/v3/downloads-ips3');
+const DownloadQuotaError = require('../lib/errors').DownloadQuotaError;
+const ParseError = require('../lib/errors').ParseError;
+
+/**
+ * Returns the category page of an IPS3 board with one file row.
+ */
+function categoryPage(date) {
+	return '<table class="ipb_table"><tr class="idm_category_row"><td>' +
+		'<h3 class="ipsType_subtitle"><a href="http://ips3.example.com/index.php?app=downloads&amp;showfile=5" title="View file named Sunset Beach">Sunset Beach</a></h3>' +
+		'<span class="desc">A table set on the beach at sunset.</span>' +
+		'<div class="basic_info"><span class="desc">by bob</span> <a href="http://ips3.example.com/index.php?showuser=3">bob</a>, ' + date + '</div>' +
+		'<div class="file_info">1,234 downloads (5,678 views)</div>' +
+		'</td></tr></table>';
+}
+
+describe('IPS3 downloads', () => {
+
+	let tmp, page, downloads;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		const ips = {
+			id: 'example',
+			_cache: tmp,
+			_url: 'http://ips3.example.com',
+			logger: { info: () => {}, debug: () => {} },
+			emit: () => {},
+			_get: () => Promise.resolve(cheerio.load(page))
+		};
+		downloads = new Downloads(ips, { version: 3 });
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should parse the files of a category', () => {
+		page = categoryPage('<abbr class="published" title="2016-10-09T14:21:05+00:00">09 October 2016 - 02:21 PM</abbr>');
+		return downloads.getFiles(2).then(files => {
+			assert.deepStrictEqual(files, [ {
+				url: 'http://ips3.example.com/index.php?app=downloads&showfile=5',
+				id: 5,
+				title: 'Sunset Beach',
+				description: 'A table set on the beach at sunset.',
+				downloads: 1234,
+				views: 5678,
+				author: 'bob',
+				authorId: 3,
+				authorUrl: 'http://ips3.example.com/index.php?showuser=3',
+				date: new Date('2016-10-09T14:21:05Z'),
+				category: 2
+			} ]);
+		});
+	});
+
+	it('should parse dates written out', () => {
+		page = categoryPage('09 October 2016 - 02:21 PM');
+		return downloads._fetchPage(2).then(files => {
+			const date = files[0].date;
+			assert.deepStrictEqual([ date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes() ], [ 2016, 9, 9, 14, 21 ]);
+		});
+	});
+
+	it('should notice updated files when refreshing', () => {
+		page = categoryPage('<abbr class="published" title="2016-10-09T14:21:05+00:00">09 October 2016</abbr>');
+		return downloads.getFiles(2).then(files => {
+			files[0].filename = 'sunset-beach.vpt';
+			page = categoryPage('<abbr class="published" title="2016-11-02T08:00:00+00:00">02 November 2016</abbr>');
+			return downloads.getFiles(2, { forceRefresh: true });
+
+		}).then(files => {
+			assert.strictEqual(new Date(files[0].date).toISOString(), '2016-11-02T08:00:00.000Z');
+			assert.strictEqual(files[0].filename, undefined);
+		});
+	});
+
+	it('should fail on unknown download pages without writing them to disk', () => {
+		return Promise.try(() => downloads._treatPreperationResult({ title: 'Sunset Beach' }, tmp, { url: 'http://ips3.example.com/dl' }, null, '<p>Huh?</p>', null)).then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof ParseError);
+			assert.ok(!fs.existsSync('download-debug.html'));
+		});
+	});
+
+	it('should tell when the download quota is exceeded', () => {
+		const body = '<p>You have exceeded the maximum number of downloads allotted to you for the day.</p>';
+		return Promise.try(() => downloads._treatPreperationResult({ title: 'Sunset Beach' }, tmp, { url: 'http://ips3.example.com/dl' }, null, body, null)).then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof DownloadQuotaError);
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,142 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const resolve = require('path').resolve;
+
+const Downloads = require('../lib/v4/downloads-ips4');
+const FormError = require('../lib/errors').FormError;
+const NotFoundError = require('../lib/errors').NotFoundError;
+
+/**
+ * Returns a file as the REST API lists it.
+ */
+function apiFile(id, title) {
+	return {
+		id: id,
+		title: title,
+		url: 'http://ips4.example.com/files/file/' + id + '-' + title.toLowerCase() + '/',
+		description: '<p>About <strong>' + title + '</strong>.</p>',
+		downloads: id * 10,
+		author: { id: 3, name: 'bob', profileUrl: 'http://ips4.example.com/profile/3-bob/' },
+		date: '2016-10-09T14:21:05Z',
+		files: [ { name: title.toLowerCase() + '.vpx', url: 'http://ips4.example.com/applications/downloads/interface/file/download.php?id=' + id, size: 1024 } ]
+	};
+}
+
+describe('IPS4 downloads through the REST API', () => {
+
+	let tmp, requests, downloads;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		requests = [];
+		const ips = {
+			id: 'example',
+			_cache: tmp,
+			_url: 'http://ips4.example.com',
+			logger: { info: () => {} },
+			emit: () => {},
+			_getApi: (path, query) => {
+				requests.push([ path, query ]);
+				if (path === 'downloads/files') {
+					return Promise.resolve(query.page === 1
+						? { page: 1, totalPages: 2, results: [ apiFile(1, 'Beach') ] }
+						: { page: 2, totalPages: 2, results: [ apiFile(2, 'Castle') ] });
+				}
+				return Promise.reject(new NotFoundError('Not found.', path));
+			}
+		};
+		downloads = new Downloads(ips, { version: 4, apiKey: 'k3y' });
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should list files of all pages in the format of the scraper', () => {
+		return downloads.getFiles({ id: 2, label: 'Tables', url: 'http://ips4.example.com/files/category/2-tables/' }).then(files => {
+			assert.deepStrictEqual(requests, [
+				[ 'downloads/files', { categories: 2, sortBy: 'title', sortDir: 'asc', page: 1 } ],
+				[ 'downloads/files', { categories: 2, sortBy: 'title', sortDir: 'asc', page: 2 } ]
+			]);
+			assert.deepStrictEqual(files[0], {
+				url: 'http://ips4.example.com/files/file/1-beach/',
+				id: 1,
+				title: 'Beach',
+				description: 'About **Beach**.',
+				downloads: 10,
+				author: 'bob',
+				authorId: 3,
+				authorUrl: 'http://ips4.example.com/profile/3-bob/',
+				date: new Date('2016-10-09T14:21:05Z'),
+				category: 2
+			});
+			assert.deepStrictEqual(files.map(file => file.title), [ 'Beach', 'Castle' ]);
+		});
+	});
+
+	it('should not download files removed from the board', () => {
+		return downloads.getFiles({ id: 2, label: 'Tables', url: 'http://ips4.example.com/files/category/2-tables/' }).then(files => {
+			files[1].removed = true;
+			requests.length = 0;
+			return downloads.download(files[1], tmp);
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof NotFoundError);
+			assert.deepStrictEqual(requests, []);
+		});
+	});
+});
+
+
+describe('IPS4 comments', () => {
+
+	const fileUrl = 'http://ips4.example.com/files/file/5-sunset-beach/';
+	const form = '<form method="post" action="' + fileUrl + '?tab=comments"><input type="hidden" name="csrfKey" value="c5rf"><textarea name="filecomment_comment_5"></textarea></form>';
+	const comment = id => '<article id="elComment_' + id + '"><div data-role="commentContent"><p>Nice <strong>table</strong>!</p></div></article>';
+
+	let tmp, answer, downloads;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		const ips = {
+			id: 'example',
+			_cache: tmp,
+			_url: 'http://ips4.example.com',
+			logger: { info: () => {} },
+			_getWithLogin: url => Promise.resolve(cheerio.load(url === fileUrl + '?tab=comments' ? form : comment(7) + comment(43))),
+			_post: () => Promise.resolve(answer)
+		};
+		downloads = new Downloads(ips, { version: 4 });
+		downloads._getCachedFile = file => file;
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should return the comment the board redirected to', () => {
+		answer = { statusCode: 303, headers: { location: fileUrl + '?do=findComment&comment=42' } };
+		return downloads.addComment({ id: 5, title: 'Sunset Beach', url: fileUrl }, 'Nice **table**!').then(result => {
+			assert.deepStrictEqual(result, { id: 42, url: fileUrl + '?do=findComment&comment=42' });
+		});
+	});
+
+	it('should find the new comment on the page the board returned', () => {
+		answer = { statusCode: 200, body: comment(7) + comment(42) + form };
+		return downloads.addComment({ id: 5, title: 'Sunset Beach', url: fileUrl }, 'Nice **table**!').then(result => {
+			assert.deepStrictEqual(result, { id: 42, url: fileUrl + '?do=findComment&comment=42' });
+		});
+	});
+
+	it('should find the new comment where the board redirected to', () => {
+		answer = { statusCode: 303, headers: { location: fileUrl + '?page=2' } };
+		return downloads.addComment({ id: 5, title: 'Sunset Beach', url: fileUrl }, 'Nice **table**!').then(result => {
+			assert.strictEqual(result.id, 43);
+		});
+	});
+
+	it('should fail if the board returned the form without the comment', () => {
+		answer = { statusCode: 200, body: '<p class="ipsType_warning">You must wait 30 seconds before posting again.</p>' + form };
+		return downloads.addComment({ id: 5, title: 'Sunset Beach', url: fileUrl }, 'Nice **table**!').then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof FormError);
+			assert.deepStrictEqual(err.errors, [ 'You must wait 30 seconds before posting again.' ]);
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,50 @@
+"use strict";
+
+const assert = require('assert');
+
+const errors = require('../lib/errors');
+
+describe('Errors', () => {
+
+	it('should map status codes to errors', () => {
+		const notFound = errors.IpsError.fromStatusCode(404, 'http://ips4.example.com/missing');
+		assert.ok(notFound instanceof errors.NotFoundError);
+		assert.strictEqual(notFound.url, 'http://ips4.example.com/missing');
+
+		[ 401, 403 ].forEach(statusCode => assert.ok(errors.IpsError.fromStatusCode(statusCode, '/') instanceof errors.PermissionDeniedError));
+
+		const server = errors.IpsError.fromStatusCode(500, '/');
+		assert.ok(server instanceof errors.HttpError);
+		assert.strictEqual(server.statusCode, 500);
+	});
+
+	it('should extend IpsError and be named after their class', () => {
+		Object.keys(errors).forEach(name => {
+			const err = new errors[name]('Failed.');
+			assert.ok(err instanceof errors.IpsError, name + ' should extend IpsError.');
+			assert.ok(err instanceof Error);
+			assert.strictEqual(err.name, name);
+			assert.strictEqual(err.message, 'Failed.');
+			assert.ok(err.stack);
+		});
+	});
+
+	it('should keep the details of the failure', () => {
+		const form = new errors.FormError('Form refused.', '/submit', [ 'Title is required.' ]);
+		assert.deepStrictEqual(form.errors, [ 'Title is required.' ]);
+		assert.deepStrictEqual(new errors.FormError('Form refused.', '/submit').errors, []);
+
+		const resetsAt = new Date('2016-10-20T00:00:00Z');
+		assert.strictEqual(new errors.DownloadQuotaError('Quota exceeded.', resetsAt).resetsAt, resetsAt);
+		assert.strictEqual(new errors.DownloadQuotaError('Quota exceeded.').resetsAt, null);
+
+		const parse = new errors.ParseError('No files.', '/files/', '.ipsDataItem');
+		assert.deepStrictEqual([ parse.url, parse.selector ], [ '/files/', '.ipsDataItem' ]);
+
+		const replay = new errors.ReplayError('Not recorded.', 'GET', '/page');
+		assert.deepStrictEqual([ replay.method, replay.url ], [ 'GET', '/page' ]);
+
+		assert.strictEqual(new errors.HttpError('Reset.', null, '/', 'ECONNRESET').code, 'ECONNRESET');
+		assert.strictEqual(new errors.UnsupportedVersionError('IPS 5.', 5).version, 5);
+	});
+});
\ No newline at end of file
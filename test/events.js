@@ -0,0 +1,144 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const request = require('request');
+const resolve = require('path').resolve;
+const EventEmitter = require('events').EventEmitter;
+
+const Http = require('../lib/http');
+const DownloadsIps3 = require('../lib/v3/downloads-ips3');
+const DownloadsIps4 = require('../lib/v4/downloads-ips4');
+const HttpError = require('../lib/errors').HttpError;
+
+/**
+ * Returns a fake Ips recording all emitted events, serving pages by the
+ * given function.
+ */
+function fakeIps(tmp, page, events) {
+	const logger = { info: () => {}, debug: () => {}, warn: () => {} };
+	const ips = Object.assign(new EventEmitter(), {
+		id: 'example',
+		_cache: tmp,
+		_url: 'http://ips.example.com',
+		logger: logger,
+		_cookieJar: request.jar(),
+		_http: new Http({ logger: logger }),
+		_get: url => Promise.resolve(cheerio.load(page(url)))
+	});
+	[ 'page:fetched', 'files:changed', 'download:start', 'download:progress', 'download:done', 'download:error' ].forEach(name => {
+		ips.on(name, e => events.push([ name, e ]));
+	});
+	return ips;
+}
+
+describe('Events', () => {
+
+	const fast = { minDelay: 1, maxDelay: 1 };
+	let tmp, events;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		events = [];
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	describe('when crawling the index', () => {
+
+		it('should report every page and the changed files on IPS4', () => {
+			const row = '<ol class="ipsDataList"><li class="ipsDataItem"><div class="ipsDataItem_main">' +
+				'<h4 class="ipsDataItem_title"><span class="ipsContained"><a href="http://ips.example.com/files/file/5-sunset-beach/" title="View the file Sunset Beach">Sunset Beach</a></span></h4>' +
+				'<p class="ipsType_reset ipsType_medium"><time datetime="2016-10-09T14:21:05Z">October 9</time></p></div></li></ol>';
+			const page = url => '<ul class="ipsPagination"><li class="ipsPagination_pageJump"><a href="#">Page 1 of 2</a></li></ul>' + (/page=1/.test(url) ? row : '<ol class="ipsDataList"></ol>');
+			const downloads = new DownloadsIps4(fakeIps(tmp, page, events), { version: 4 });
+			const cat = { id: 2, label: 'Tables', url: 'http://ips.example.com/files/category/2-tables/' };
+
+			return downloads.getFiles(cat, fast).then(() => {
+				assert.deepStrictEqual(events.map(e => e[0]), [ 'page:fetched', 'page:fetched', 'files:changed' ]);
+				assert.deepStrictEqual(events[0][1], { category: 2, page: 1, totalPages: 2 });
+				assert.deepStrictEqual(events[1][1], { category: 2, page: 2, totalPages: 2 });
+				assert.deepStrictEqual(events[2][1].added.map(file => file.title), [ 'Sunset Beach' ]);
+				events.length = 0;
+				return downloads.getFiles(cat, Object.assign({ forceRefresh: true }, fast));
+
+			}).then(() => {
+				// nothing changed
+				assert.deepStrictEqual(events.map(e => e[0]), [ 'page:fetched', 'page:fetched' ]);
+			});
+		});
+
+		it('should report every page on IPS3', () => {
+			const page = () => '<ul class="pagination"><li class="pagejump"><a href="#">Page 1 of 3</a></li></ul><table class="ipb_table"></table>';
+			const downloads = new DownloadsIps3(fakeIps(tmp, page, events), { version: 3 });
+
+			return downloads.getFiles(2, fast).then(() => {
+				assert.deepStrictEqual(events, [
+					[ 'page:fetched', { category: 2, page: 1, totalPages: 3 } ],
+					[ 'page:fetched', { category: 2, page: 2, totalPages: 3 } ],
+					[ 'page:fetched', { category: 2, page: 3, totalPages: 3 } ]
+				]);
+			});
+		});
+	});
+
+	describe('when downloading', () => {
+
+		const data = Buffer.alloc(256 * 1024, 7);
+		let server, url, size;
+
+		// serves `data`, but claims it's `size` bytes
+		before(done => {
+			server = http.createServer((req, res) => {
+				res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Disposition': 'attachment; filename="sunset-beach.vpx"', 'Content-Length': size });
+				res.write(data);
+				if (size === data.length) {
+					return res.end();
+				}
+				setTimeout(() => res.socket.destroy(), 50);
+			});
+			server.listen(0, '127.0.0.1', () => {
+				url = 'http://127.0.0.1:' + server.address().port + '/files/file/5-sunset-beach/?do=download&r=11';
+				done();
+			});
+		});
+		after(done => server.close(done));
+
+		function download() {
+			const downloads = new DownloadsIps4(fakeIps(tmp, null, events), { version: 4 });
+			const options = { url: url, jar: downloads._ips._cookieJar };
+			return downloads._prepareDownload(options).spread((response, body, filename) => downloads._streamFile(response, filename, tmp, options));
+		}
+
+		it('should report start, progress and the end of a download', () => {
+			size = data.length;
+			return download().then(path => {
+				const names = events.map(e => e[0]);
+				assert.strictEqual(names[0], 'download:start');
+				assert.strictEqual(names[names.length - 1], 'download:done');
+				assert.ok(names.slice(1, -1).length > 0 && names.slice(1, -1).every(name => name === 'download:progress'), names.join(', '));
+
+				assert.deepStrictEqual(events[0][1], { filename: 'sunset-beach.vpx', path: path, offset: 0, total: data.length });
+				const progress = events[events.length - 2][1];
+				assert.deepStrictEqual([ progress.filename, progress.received, progress.total ], [ 'sunset-beach.vpx', data.length, data.length ]);
+				assert.ok(progress.speed >= 0);
+				const done = events[events.length - 1][1];
+				assert.deepStrictEqual([ done.filename, done.path, done.size ], [ 'sunset-beach.vpx', path, data.length ]);
+				assert.ok(done.duration >= 0);
+			});
+		});
+
+		it('should report failed downloads', () => {
+			size = data.length * 2;
+			return download().then(() => assert.fail('Should have failed.'), err => {
+				assert.ok(err instanceof HttpError);
+				const last = events[events.length - 1];
+				assert.strictEqual(last[0], 'download:error');
+				assert.deepStrictEqual(last[1], { filename: 'sunset-beach.vpx', path: resolve(tmp, 'sunset-beach.vpx'), error: err });
+				assert.ok(!events.some(e => e[0] === 'download:done'));
+			});
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,152 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const resolve = require('path').resolve;
+
+const DownloadsIps3 = require('../lib/v3/downloads-ips3');
+const DownloadsIps4 = require('../lib/v4/downloads-ips4');
+const UnsupportedVersionError = require('../lib/errors').UnsupportedVersionError;
+
+/**
+ * Returns a fake Ips serving the given pages by URL and answering posts
+ * with the given response.
+ */
+function fakeIps(url, tmp, pages, requested, posts, answer) {
+	return {
+		id: 'example',
+		_cache: tmp,
+		_url: url,
+		logger: { info: () => {}, debug: () => {} },
+		_getWithLogin: url => {
+			requested.push(url);
+			return pages[url] ? Promise.resolve(cheerio.load(pages[url])) : Promise.reject(new Error('Unexpected request to ' + url));
+		},
+		_post: (url, data) => {
+			posts.push([ url, data ]);
+			return Promise.resolve(answer);
+		}
+	};
+}
+
+describe('Comments and reviews', () => {
+
+	const fast = { minDelay: 1, maxDelay: 1 };
+	let tmp, pages, requested, posts;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		pages = {};
+		requested = [];
+		posts = [];
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	describe('on IPS4', () => {
+
+		const B = 'http://ips4.example.com';
+		const file = { id: 5, title: 'Sunset Beach', url: B + '/files/file/5-sunset-beach/', category: 2 };
+		const pagination = (page, pages) => '<ul class="ipsPagination"><li class="ipsPagination_pageJump"><a href="#">Page ' + page + ' of ' + pages + '</a></li></ul>';
+		const entry = (prefix, id, author, date, html, stars) => '<article id="' + prefix + id + '" class="ipsComment ipsBox">' +
+			'<aside class="ipsComment_author cAuthorPane"><h3 class="ipsType_sectionHead cAuthorPane_author"><strong><a href="' + B + '/profile/3-' + author + '/">' + author + '</a></strong></h3></aside>' +
+			'<div class="ipsComment_content">' + (stars ? '<div class="ipsRating"><ul>' + stars + '</ul></div>' : '') +
+			'<div class="ipsComment_meta"><a href="#"><time datetime="' + date + '">' + date + '</time></a></div>' +
+			'<div data-role="commentContent" class="ipsType_normal ipsType_richText">' + html + '</div></div></article>';
+
+		it('should read the comments of all pages', () => {
+			pages[file.url + '?tab=comments&page=1'] = pagination(1, 2) + entry('elComment_', 7, 'bob', '2016-10-10T08:00:00Z', '<p>Nice <strong>table</strong>!</p>');
+			pages[file.url + '?tab=comments&page=2'] = pagination(2, 2) + entry('elComment_', 9, 'alice', '2016-10-11T08:00:00Z', '<p>Thanks.</p>');
+			const downloads = new DownloadsIps4(fakeIps(B, tmp, pages, requested, posts), { version: 4 });
+
+			return downloads.getComments(file, fast).then(comments => {
+				assert.deepStrictEqual(comments, [
+					{ id: 7, author: 'bob', date: new Date('2016-10-10T08:00:00Z'), body: 'Nice **table**!', url: file.url + '?do=findComment&comment=7', file: 5 },
+					{ id: 9, author: 'alice', date: new Date('2016-10-11T08:00:00Z'), body: 'Thanks.', url: file.url + '?do=findComment&comment=9', file: 5 }
+				]);
+				return downloads.getComments(file, Object.assign({ firstPageOnly: true }, fast));
+
+			}).then(comments => {
+				assert.deepStrictEqual(comments.map(comment => comment.id), [ 7 ]);
+			});
+		});
+
+		it('should read the reviews with their rating', () => {
+			const stars = '<li class="ipsRating_on"></li><li class="ipsRating_on"></li><li class="ipsRating_on"></li><li class="ipsRating_half"></li><li class="ipsRating_off"></li>';
+			pages[file.url + '?tab=reviews&page=1'] = entry('elReview_', 3, 'bob', '2016-10-12T08:00:00Z', '<p>Great.</p>', stars);
+			const downloads = new DownloadsIps4(fakeIps(B, tmp, pages, requested, posts), { version: 4 });
+
+			return downloads.getReviews(file, fast).then(reviews => {
+				assert.deepStrictEqual(reviews, [ { id: 3, author: 'bob', date: new Date('2016-10-12T08:00:00Z'), body: 'Great.', url: file.url + '?do=findReview&review=3', file: 5, rating: 3.5 } ]);
+			});
+		});
+
+		it('should post reviews with their rating as HTML', () => {
+			pages[file.url + '?tab=reviews'] = '<form method="post" action="' + file.url + '?tab=reviews"><input type="hidden" name="csrfKey" value="c5rf">' +
+				'<input type="hidden" name="filereview_rating_5" value="0"><textarea name="filereview_review_5"></textarea></form>';
+			const downloads = new DownloadsIps4(fakeIps(B, tmp, pages, requested, posts, { statusCode: 303, headers: { location: file.url + '?do=findReview&review=4' } }), { version: 4 });
+
+			return downloads.addReview(file, 4, 'Works *fine*.').then(result => {
+				assert.deepStrictEqual(result, { id: 4, url: file.url + '?do=findReview&review=4' });
+				assert.deepStrictEqual(posts, [ [ file.url + '?tab=reviews', { csrfKey: 'c5rf', filereview_rating_5: '4', filereview_review_5: '<p>Works <em>fine</em>.</p>\n' } ] ]);
+			});
+		});
+
+		it('should not post empty comments or invalid ratings', () => {
+			const downloads = new DownloadsIps4(fakeIps(B, tmp, pages, requested, posts), { version: 4 });
+			return Promise.mapSeries([
+				() => downloads.addComment(file, '  '),
+				() => downloads.addReview(file, 6, 'Too good.'),
+				() => downloads.addReview(file, 4, '')
+			], post => post().then(() => assert.fail('Should have failed.'), err => err.message)).then(messages => {
+				assert.deepStrictEqual(messages, [ 'Cannot post an empty comment.', 'Rating must be a number between 1 and 5.', 'Cannot post an empty review.' ]);
+				assert.deepStrictEqual(requested, []);
+			});
+		});
+	});
+
+	describe('on IPS3', () => {
+
+		const B = 'http://ips3.example.com';
+		const file = { id: 5, title: 'Sunset Beach', url: B + '/index.php?app=downloads&showfile=5', category: 2 };
+		const comment = (id, author, date, html) => '<div class="post_block hentry clear" id="comment_id_' + id + '">' +
+			'<div class="post_wrap"><h3 class="row2"><span class="author vcard"><a class="url fn" href="' + B + '/index.php?showuser=3">' + author + '</a></span></h3>' +
+			'<div class="post_body"><p class="posted_info"><abbr class="published" title="' + date + '">' + date + '</abbr></p>' +
+			'<div class="post entry-content">' + html + '</div></div></div></div>';
+
+		it('should read the comments of all pages', () => {
+			const next = B + '/index.php?app=downloads&amp;showfile=5&amp;st=10';
+			pages[file.url] = comment(7, 'bob', '2016-10-10T08:00:00+00:00', '<p>Nice <strong>table</strong> &amp; sound!</p>') +
+				'<ul class="pagination"><li class="next"><a href="' + next + '">Next</a></li></ul>';
+			pages[B + '/index.php?app=downloads&showfile=5&st=10'] = comment(9, 'alice', '2016-10-11T08:00:00+00:00', '<p>Thanks.</p>');
+			const downloads = new DownloadsIps3(fakeIps(B, tmp, pages, requested, posts), { version: 3 });
+
+			return downloads.getComments(file, fast).then(comments => {
+				assert.deepStrictEqual(comments, [
+					{ id: 7, author: 'bob', date: new Date('2016-10-10T08:00:00Z'), body: 'Nice **table** & sound!', url: file.url + '#comment_id_7', file: 5 },
+					{ id: 9, author: 'alice', date: new Date('2016-10-11T08:00:00Z'), body: 'Thanks.', url: file.url + '#comment_id_9', file: 5 }
+				]);
+				assert.deepStrictEqual(requested, [ file.url, B + '/index.php?app=downloads&showfile=5&st=10' ]);
+			});
+		});
+
+		it('should post comments through the form of the file page', () => {
+			pages[file.url] = '<form method="post" action="' + B + '/index.php?app=downloads&amp;module=display&amp;section=comments&amp;do=add"><input type="hidden" name="auth_key" value="4uth"><textarea name="Post"></textarea></form>';
+			const downloads = new DownloadsIps3(fakeIps(B, tmp, pages, requested, posts, { statusCode: 302, headers: { location: file.url + '#comment_id_44' } }), { version: 3 });
+
+			return downloads.addComment(file, 'Nice **table**!').then(result => {
+				assert.deepStrictEqual(result, { id: 44, url: file.url + '#comment_id_44' });
+				assert.deepStrictEqual(posts, [ [ B + '/index.php?app=downloads&module=display&section=comments&do=add', { auth_key: '4uth', Post: '<p>Nice <strong>table</strong>!</p>\n' } ] ]);
+			});
+		});
+
+		it('should not support reviews', () => {
+			const downloads = new DownloadsIps3(fakeIps(B, tmp, pages, requested, posts), { version: 3 });
+			return Promise.mapSeries([ () => downloads.getReviews(file), () => downloads.addReview(file, 4, 'Great.') ], action => action().then(() => assert.fail('Should have failed.'), err => err)).then(errors => {
+				errors.forEach(err => assert.ok(err instanceof UnsupportedVersionError, err.message));
+				assert.deepStrictEqual(requested, []);
+			});
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,231 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const request = require('request');
+const resolve = require('path').resolve;
+
+const Http = require('../lib/http');
+const DownloadsIps3 = require('../lib/v3/downloads-ips3');
+const DownloadsIps4 = require('../lib/v4/downloads-ips4');
+
+/*
+ * File pages come from a fake Ips, download pages are served by a local
+ * server, since they go through the HTTP client.
+ */
+describe('File details', () => {
+
+	let server, B, hits, tmp, pages, requested;
+
+	before(done => {
+		server = http.createServer((req, res) => {
+			hits.push(req.url);
+			if (req.url === '/files/file/5-sunset-beach/?do=download') {
+				res.writeHead(200, { 'Content-Type': 'text/html' });
+				return res.end('<ul class="ipsDataList">' +
+					'<li class="ipsDataItem"><div class="ipsDataItem_main"><h4 class="ipsDataItem_title">sunset-beach.vpx</h4><p class="ipsDataItem_meta">1.5 MB</p></div>' +
+					'<div class="ipsDataItem_generic"><a href="' + B + '/files/file/5-sunset-beach/?do=download&amp;r=11&amp;csrfKey=c5rf" data-action="download">Download</a></div></li>' +
+					'<li class="ipsDataItem"><div class="ipsDataItem_main"><h4 class="ipsDataItem_title">read &amp; me.txt</h4><p class="ipsDataItem_meta">2 kB</p></div>' +
+					'<div class="ipsDataItem_generic"><a href="' + B + '/files/file/5-sunset-beach/?do=download&amp;r=12&amp;csrfKey=c5rf" data-action="download">Download</a></div></li>' +
+					'</ul>');
+			}
+			if (req.url === '/index.php?app=downloads&module=display&section=download&do=confirm_download&id=5') {
+				res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Disposition': 'attachment; filename="sunset-beach.vpt"' });
+				return res.end(Buffer.alloc(64 * 1024));
+			}
+			res.writeHead(404);
+			res.end();
+		});
+		server.listen(0, '127.0.0.1', () => {
+			B = 'http://127.0.0.1:' + server.address().port;
+			done();
+		});
+	});
+	after(done => server.close(done));
+
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		pages = {};
+		hits = [];
+		requested = [];
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	function fakeIps() {
+		const logger = { info: () => {}, debug: () => {}, warn: () => {} };
+		return {
+			id: 'example',
+			_cache: tmp,
+			_url: B,
+			logger: logger,
+			_cookieJar: request.jar(),
+			_http: new Http({ logger: logger }),
+			_getWithLogin: url => {
+				requested.push(url);
+				return pages[url] ? Promise.resolve(cheerio.load(pages[url])) : Promise.reject(new Error('Unexpected request to ' + url));
+			}
+		};
+	}
+
+	describe('on IPS4', () => {
+
+		let file, downloads;
+		beforeEach(() => {
+			file = { id: 5, title: 'Sunset Beach', url: B + '/files/file/5-sunset-beach/', description: 'From the index.', category: 2 };
+			const info = (name, value) => '<li class="ipsDataItem"><span class="ipsDataItem_generic ipsDataItem_size3"><strong>' + name + '</strong></span><span class="ipsDataItem_generic">' + value + '</span></li>';
+			pages[file.url] = '<h1 class="ipsType_pageTitle">Sunset Beach <span class="ipsType_light">1.2.0</span></h1>' +
+				'<div itemscope><meta itemprop="ratingValue" content="4.5"><meta itemprop="reviewCount" content="3"></div>' +
+				'<ul class="ipsTags"><li><a href="' + B + '/tags/vpx/" class="ipsTag"><span>vpx</span></a></li><li><a href="' + B + '/tags/beach/" class="ipsTag"><span>beach</span></a></li><li><a href="' + B + '/tags/vpx/" class="ipsTag"><span>vpx</span></a></li></ul>' +
+				'<div class="ipsPad"><section class="ipsType_richText"><p>A table set on the <strong>beach</strong>.</p></section></div>' +
+				'<a href="' + B + '/uploads/thumb-1.jpg" data-fullurl="' + B + '/uploads/shot-1.jpg"></a><a href="' + B + '/uploads/thumb-2.jpg" data-fullurl="' + B + '/uploads/shot-2.jpg"></a><a href="' + B + '/uploads/thumb-1.jpg" data-fullurl="' + B + '/uploads/shot-1.jpg"></a>' +
+				'<div><h2 class="ipsType_sectionHead">File Information</h2><ul class="ipsDataList">' +
+				info('Views', '5,678') +
+				info('Submitted', '<time datetime="2016-10-09T14:21:05Z">October 9, 2016</time>') +
+				info('Updated', '<time datetime="2016-11-02T08:00:00Z">November 2, 2016</time>') +
+				info('File Size', '1.5 MB') +
+				'</ul></div>' +
+				'<a href="' + B + '/files/file/5-sunset-beach/?do=download" class="ipsButton ipsButton_fullWidth ipsButton_large ipsButton_important">Download this file</a>';
+			downloads = new DownloadsIps4(fakeIps(), { version: 4 });
+		});
+
+		it('should parse the file page', () => {
+			return downloads.getFileDetails(file).then(details => {
+				assert.ok(details.detailsUpdated instanceof Date);
+				delete details.detailsUpdated;
+				assert.deepStrictEqual(details, {
+					id: 5,
+					title: 'Sunset Beach',
+					url: B + '/files/file/5-sunset-beach/',
+					description: 'A table set on the **beach**.',
+					category: 2,
+					version: '1.2.0',
+					submitted: new Date('2016-10-09T14:21:05Z'),
+					updated: new Date('2016-11-02T08:00:00Z'),
+					size: 1572864,
+					tags: [ 'vpx', 'beach' ],
+					rating: 4.5,
+					reviews: 3,
+					screenshots: [ B + '/uploads/shot-1.jpg', B + '/uploads/shot-2.jpg' ],
+					info: [
+						{ name: 'Views', value: '5,678' },
+						{ name: 'Submitted', value: '2016-10-09T14:21:05Z' },
+						{ name: 'Updated', value: '2016-11-02T08:00:00Z' },
+						{ name: 'File Size', value: '1.5 MB' }
+					]
+				});
+				// the download page is only fetched when asked for
+				assert.deepStrictEqual(hits, []);
+			});
+		});
+
+		it('should add the listing of the download page when asked to', () => {
+			return downloads.getFileDetails(file, { listing: true }).then(details => {
+				assert.deepStrictEqual(details.listing, [
+					{ filename: 'sunset-beach.vpx', url: B + '/files/file/5-sunset-beach/?do=download&r=11&csrfKey=c5rf', info: '1.5 MB' },
+					{ filename: 'read & me.txt', url: B + '/files/file/5-sunset-beach/?do=download&r=12&csrfKey=c5rf', info: '2 kB' }
+				]);
+				assert.deepStrictEqual(hits, [ '/files/file/5-sunset-beach/?do=download' ]);
+			});
+		});
+
+		it('should cache the details on the file until refreshed', () => {
+			return downloads.getFileDetails(file, { listing: true }).then(() => {
+				// a new instance reads the cache from disk
+				downloads = new DownloadsIps4(fakeIps(), { version: 4 });
+				return downloads.getFileDetails(file, { listing: true });
+
+			}).then(details => {
+				assert.strictEqual(details.version, '1.2.0');
+				assert.strictEqual(details.listing.length, 2);
+				assert.strictEqual(requested.length, 1);
+				assert.strictEqual(hits.length, 1);
+				pages[file.url] = pages[file.url].replace('1.2.0', '1.3.0');
+				return downloads.getFileDetails(file, { forceRefresh: true });
+
+			}).then(details => {
+				assert.strictEqual(details.version, '1.3.0');
+				// the listing fetched before is kept
+				assert.strictEqual(details.listing.length, 2);
+				assert.strictEqual(requested.length, 2);
+				assert.strictEqual(hits.length, 1);
+			});
+		});
+
+		it('should fetch the listing when cached details have none', () => {
+			return downloads.getFileDetails(file).then(() => downloads.getFileDetails(file, { listing: true })).then(details => {
+				assert.strictEqual(details.listing.length, 2);
+				assert.strictEqual(requested.length, 2);
+			});
+		});
+
+		it('should keep the description of the index if the page has none', () => {
+			pages[file.url] = '<h1 class="ipsType_pageTitle">Sunset Beach</h1>';
+			return downloads.getFileDetails(file).then(details => {
+				assert.strictEqual(details.description, 'From the index.');
+				assert.strictEqual(details.version, undefined);
+				assert.strictEqual(details.rating, 0);
+				assert.strictEqual(details.reviews, 0);
+				assert.deepStrictEqual(details.tags, []);
+			});
+		});
+
+		it('should only accept files known to the cache', () => {
+			return downloads.getFileDetails({ id: 5 }).then(() => assert.fail('Should have failed.'), err => {
+				assert.ok(/^Must provide a file retrieved from/.test(err.message));
+				assert.deepStrictEqual(requested, []);
+			});
+		});
+	});
+
+	describe('on IPS3', () => {
+
+		let file, downloads;
+		beforeEach(() => {
+			file = { id: 5, title: 'Sunset Beach', url: B + '/index.php?app=downloads&showfile=5', description: 'From the index.', category: 2 };
+			const info = (name, value) => '<li><strong class="title">' + name + ':</strong> ' + value + '</li>';
+			pages[file.url] = '<div class="ipsType_textblock description_content"> <p>A table set on the <strong>beach</strong> &amp; the sea.</p> </div>' +
+				'<span class="rating"><img src="' + B + '/public/style_images/master/star.png"><img src="' + B + '/public/style_images/master/star.png"><img src="' + B + '/public/style_images/master/star_off.png"></span>' +
+				'<ul class="ipsTags"><li><a href="#" class="ipsTag"><span>vpt</span></a></li><li><a href="#" class="ipsTag"><span>beach</span></a></li></ul>' +
+				'<div id="screenshots"><a href="' + B + '/uploads/shot-1.jpg"></a><a href="' + B + '/uploads/shot-2.jpg"></a></div>' +
+				'<h3 class="bar">File Information</h3><ul class="ipsList_data">' +
+				info('Submitted', '09 October 2016 - 02:21 PM') +
+				info('Last Updated', '02 November 2016 - 08:00 AM') +
+				info('File Version', '1.2.0') +
+				info('File Size', '64 kB') +
+				info('Downloads', '1,234') +
+				'</ul>' +
+				'<a class="download_button" href="' + B + '/index.php?app=downloads&amp;module=display&amp;section=download&amp;do=confirm_download&amp;id=5">Download</a>';
+			downloads = new DownloadsIps3(fakeIps(), { version: 3 });
+		});
+
+		it('should parse the file page', () => {
+			return downloads.getFileDetails(file).then(details => {
+				const local = date => [ date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes() ];
+				assert.deepStrictEqual(local(details.submitted), [ 2016, 9, 9, 14, 21 ]);
+				assert.deepStrictEqual(local(details.updated), [ 2016, 10, 2, 8, 0 ]);
+				assert.strictEqual(details.description, '<p>A table set on the <strong>beach</strong> & the sea.</p>');
+				assert.strictEqual(details.version, '1.2.0');
+				assert.strictEqual(details.size, 65536);
+				assert.deepStrictEqual(details.tags, [ 'vpt', 'beach' ]);
+				assert.strictEqual(details.rating, 2);
+				assert.ok(!('reviews' in details));
+				assert.deepStrictEqual(details.screenshots, [ B + '/uploads/shot-1.jpg', B + '/uploads/shot-2.jpg' ]);
+				assert.deepStrictEqual(details.info.map(entry => entry.name), [ 'Submitted', 'Last Updated', 'File Version', 'File Size', 'Downloads' ]);
+				assert.deepStrictEqual(details.info.map(entry => entry.value), [ '09 October 2016 - 02:21 PM', '02 November 2016 - 08:00 AM', '1.2.0', '64 kB', '1,234' ]);
+				assert.deepStrictEqual(hits, []);
+			});
+		});
+
+		it('should list a file served directly without downloading it', () => {
+			return downloads.getFileDetails(file, { listing: true }).then(details => {
+				assert.deepStrictEqual(details.listing, [ { filename: 'sunset-beach.vpt', url: B + '/index.php?app=downloads&module=display&section=download&do=confirm_download&id=5' } ]);
+				assert.deepStrictEqual(hits, [ '/index.php?app=downloads&module=display&section=download&do=confirm_download&id=5' ]);
+				assert.deepStrictEqual(fs.readdirSync(tmp), [ 'example-files.json' ]);
+			});
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+"use strict";
+
+/*
+ * Records the cassette of a live board for test/replay.js.
+ *
+ *   IPS_VERSION=4 IPS_URL=https://www.myboard.com/forums IPS_USERNAME=... IPS_PASSWORD=... \
+ *   IPS_CATEGORY=https://www.myboard.com/forums/files/category/2-tables/ [IPS_FILE=<id>] [IPS_PROXY=<url>] npm run record
+ *
+ * The session logs in, fetches the first page of the category and downloads
+ * the given file, or the first one listed. Everything is saved to
+ * test/fixtures/live-ips<version>. Cookie values, the username and the
+ * password are scrubbed, but check the pages for anything else personal
+ * before committing them.
+ */
+Promise = require('bluebird');
+const _ = require('lodash');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const resolve = require('path').resolve;
+const basename = require('path').basename;
+
+const Ips = require('../..');
+
+const SCRUBBED_USERNAME = 'tester';
+const SCRUBBED_VALUE = 'scrubbed';
+
+const version = parseInt(process.env.IPS_VERSION || '4', 10);
+const url = process.env.IPS_URL;
+const username = process.env.IPS_USERNAME;
+const password = process.env.IPS_PASSWORD;
+const categoryUrl = process.env.IPS_CATEGORY;
+if (!url || !username || !password || !categoryUrl) {
+	console.error('Set IPS_URL, IPS_USERNAME, IPS_PASSWORD and IPS_CATEGORY, and IPS_VERSION if the board runs IPS3.');
+	process.exit(1);
+}
+
+const path = resolve(__dirname, 'live-ips' + version);
+const home = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-record-'));
+process.env.HOME = home;
+
+const ips = new Ips('Live IPS' + version, url, username, password, { version: version, session: 'memory', proxy: process.env.IPS_PROXY, cassette: { mode: 'record', path: path } });
+const dest = resolve(home, 'downloads');
+const category = { id: parseInt((categoryUrl.match(/(?:showcat=|category\/)(\d+)/) || [])[1], 10), label: 'Fixture', url: categoryUrl };
+const meta = { version: version, url: url, username: SCRUBBED_USERNAME, category: category };
+
+fs.mkdirSync(dest);
+ips.auth.login().then(() => {
+	meta.cookies = ips._cookieJar.getCookies(url + '/').map(cookie => cookie.key);
+	return ips.downloads.getFiles(category, { firstPageOnly: true });
+
+}).then(files => {
+	const file = process.env.IPS_FILE ? _.find(files, { id: parseInt(process.env.IPS_FILE, 10) }) : files[0];
+	if (!file) {
+		throw new Error('File not found on the first page of the category.');
+	}
+	meta.file = { id: file.id, title: file.title };
+	return ips.downloads.download(file, dest);
+
+}).then(paths => {
+	meta.filename = basename(paths[0].path);
+	meta.sha1 = crypto.createHash('sha1').update(fs.readFileSync(paths[0].path)).digest('hex');
+	scrub();
+	fs.writeFileSync(resolve(path, 'meta.json'), JSON.stringify(meta, null, '\t'));
+	console.log('Recorded %s, check it before committing.', path);
+
+}).catch(err => {
+	console.error(err.stack);
+	process.exitCode = 1;
+
+}).finally(() => fs.rmSync(home, { recursive: true, force: true }));
+
+/**
+ * Removes credentials and session cookies from the cassette.
+ */
+function scrub() {
+	const indexPath = resolve(path, 'cassette.json');
+	const pattern = new RegExp([ username, password ].map(_.escapeRegExp).join('|'), 'gi');
+	const scrubText = text => text.replace(pattern, match => match.toLowerCase() === username.toLowerCase() ? SCRUBBED_USERNAME : SCRUBBED_VALUE);
+	const scrubCookie = cookie => cookie.replace(/^([^=]+)=[^;]*/, '$1=' + SCRUBBED_VALUE);
+
+	const entries = JSON.parse(fs.readFileSync(indexPath)).map(entry => {
+		entry.url = scrubText(entry.url);
+		entry.finalUrl = scrubText(entry.finalUrl);
+		if (entry.headers['set-cookie']) {
+			entry.headers['set-cookie'] = _.castArray(entry.headers['set-cookie']).map(scrubCookie);
+		}
+		entry.redirects.forEach(redirect => redirect.cookies = redirect.cookies.map(scrubCookie));
+		if (!/\.bin$/.test(entry.body)) {
+			const bodyPath = resolve(path, entry.body);
+			fs.writeFileSync(bodyPath, scrubText(fs.readFileSync(bodyPath).toString()));
+		}
+		return entry;
+	});
+	fs.writeFileSync(indexPath, JSON.stringify(entries, null, '\t'));
+}
\ No newline at end of file
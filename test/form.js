@@ -0,0 +1,101 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const resolve = require('path').resolve;
+
+const Form = require('../lib/form');
+const FormError = require('../lib/errors').FormError;
+
+/**
+ * Returns an Ips lookalike serving the given pages and answering posts
+ * with the given function.
+ */
+function board(pages, post) {
+	const posts = [];
+	return {
+		posts: posts,
+		_url: 'http://ips4.example.com',
+		logger: { info: () => {}, debug: () => {} },
+		_getWithLogin: url => Promise.resolve(cheerio.load(pages[url])),
+		_post: (url, data) => {
+			// read uploaded chunks so they can be compared
+			return Promise.all(Object.keys(data).map(name => {
+				const value = data[name] && data[name].value;
+				if (!value || !value.pipe) {
+					return;
+				}
+				const chunks = [];
+				return new Promise(resolve => value.on('data', chunk => chunks.push(chunk)).on('end', resolve)).then(() => data[name].value = Buffer.concat(chunks));
+			})).then(() => {
+				posts.push({ url: url, data: data });
+				return post(url, data);
+			});
+		}
+	};
+}
+
+describe('Form', () => {
+
+	let tmp;
+	before(() => tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-')));
+	after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should upload plupload fields in chunks and post their key', () => {
+		const path = resolve(tmp, 'build.zip');
+		fs.writeFileSync(path, '0123456789abcdefghijklmnopqrstuvwxyz');
+		const ips = board({
+			'http://ips4.example.com/files/submit/?category=2':
+				'<form method="post" action="http://ips4.example.com/files/submit/?category=2">' +
+				'<input type="hidden" name="csrfKey" value="c5rf">' +
+				'<div data-ipsUploader data-ipsUploader-name="files" data-ipsUploader-maxChunkSize="0.00001"></div>' +
+				'<input type="hidden" name="files" value="f1le5key">' +
+				'<input type="text" name="file_title" value="">' +
+				'</form>'
+		}, (url, data) => data.chunk ? { statusCode: 200, body: '{}' } : { statusCode: 303, headers: { location: '/files/file/12-nightly/' } });
+
+		return new Form(ips).submit('/files/submit/?category=2', [
+			{ pattern: /^files$/, value: [ path ], file: true },
+			{ pattern: /_title$/, value: 'Nightly' }
+		], { done: url => /\/files\/file\/\d+/.test(url) }).then(url => {
+			assert.strictEqual(url, 'http://ips4.example.com/files/file/12-nightly/');
+			const chunks = ips.posts.filter(post => post.data.chunk);
+			assert.deepStrictEqual(chunks.map(post => [ post.data.plupload, post.data.csrfKey, post.data.name, post.data.chunk, post.data.chunks ]), [
+				[ 'f1le5key', 'c5rf', 'build.zip', '0', '4' ],
+				[ 'f1le5key', 'c5rf', 'build.zip', '1', '4' ],
+				[ 'f1le5key', 'c5rf', 'build.zip', '2', '4' ],
+				[ 'f1le5key', 'c5rf', 'build.zip', '3', '4' ]
+			]);
+			assert.strictEqual(Buffer.concat(chunks.map(post => post.data.files.value)).toString(), '0123456789abcdefghijklmnopqrstuvwxyz');
+			assert.deepStrictEqual(ips.posts[4].data, { csrfKey: 'c5rf', files: 'f1le5key', file_title: 'Nightly' });
+		});
+	});
+
+	it('should fail when an upload is refused', () => {
+		const path = resolve(tmp, 'huge.zip');
+		fs.writeFileSync(path, 'x');
+		const ips = board({
+			'http://ips4.example.com/submit': '<form method="post"><div data-ipsUploader data-ipsUploader-name="files" data-ipsUploader-key="k3y"></div></form>'
+		}, () => ({ statusCode: 200, body: '{"error":"The file is too large."}' }));
+
+		return new Form(ips).submit('/submit', [ { pattern: /^files$/, value: path, file: true } ], { done: () => true }).then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof FormError);
+			assert.deepStrictEqual(err.errors, [ 'The file is too large.' ]);
+			assert.strictEqual(ips.posts.length, 1);
+		});
+	});
+
+	it('should fail with the errors displayed in the form', () => {
+		const ips = board({
+			'http://ips4.example.com/submit': '<form method="post"><input type="text" name="file_title"></form>'
+		}, () => ({ statusCode: 200, body: '<form method="post"><div class="ipsFieldRow_error"><span class="ipsType_warning">Title is required</span></div></form>' }));
+
+		return new Form(ips).submit('/submit', [], { done: () => false }).then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof FormError);
+			assert.deepStrictEqual(err.errors, [ 'Title is required' ]);
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,212 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const resolve = require('path').resolve;
+
+const ForumsIps3 = require('../lib/v3/forums-ips3');
+const ForumsIps4 = require('../lib/v4/forums-ips4');
+
+/**
+ * Returns a fake Ips serving the given pages by URL.
+ */
+function fakeIps(tmp, url, pages, requested) {
+	return {
+		id: 'example',
+		_cache: tmp,
+		_url: url,
+		logger: { info: () => {}, debug: () => {} },
+		_getWithLogin: path => {
+			requested.push(path);
+			return pages[path] ? Promise.resolve(cheerio.load(pages[path])) : Promise.reject(new Error('Unexpected request to ' + path));
+		}
+	};
+}
+
+const fast = { minDelay: 1, maxDelay: 1 };
+
+describe('IPS4 forums', () => {
+
+	const B = 'http://ips4.example.com';
+	const topicRow = (id, slug, title, author, date, replies, views, badges) =>
+		'<li class="ipsDataItem ipsDataItem_responsivePhoto" data-rowid="' + id + '">' +
+		'<div class="ipsDataItem_main"><h4 class="ipsDataItem_title ipsContained_container">' + (badges || '') +
+		'<span class="ipsType_break ipsContained"><a href="' + B + '/topic/' + id + '-' + slug + '/" data-ipshover>' + title + '</a></span></h4>' +
+		'<div class="ipsDataItem_meta ipsType_reset ipsType_light ipsType_blendLinks">By <a href="' + B + '/profile/3-' + author + '/" data-ipshover>' + author + '</a>, <time datetime="' + date + '">' + date + '</time></div></div>' +
+		'<ul class="ipsDataItem_stats"><li><span class="ipsDataItem_stats_number">' + replies + '</span> replies</li>' +
+		'<li><span class="ipsDataItem_stats_number">' + views + '</span> views</li></ul></li>';
+	const pagination = (page, pages) => '<ul class="ipsPagination" data-pages="' + pages + '"><li class="ipsPagination_pageJump"><a href="#">Page ' + page + ' of ' + pages + ' &nbsp;<i class="fa fa-caret-down"></i></a></li></ul>';
+
+	let tmp, pages, requested, forums;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		pages = {};
+		requested = [];
+		forums = new ForumsIps4(fakeIps(tmp, B, pages, requested), { version: 4 });
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should list forums with their sub-forums and cache them', () => {
+		pages['/forums/'] = '<ol class="ipsDataList ipsDataList_large">' +
+			'<li class="cForumRow ipsDataItem" data-forumid="2"><div class="ipsDataItem_main"><h4 class="ipsDataItem_title ipsType_large ipsType_break"><a href="' + B + '/forum/2-general-discussion/">General &amp; Discussion</a></h4>' +
+			'<ul class="ipsDataItem_subList ipsList_inline"><li><a href="' + B + '/forum/5-off-topic/">Off Topic</a></li></ul></div></li>' +
+			'<li class="cForumRow ipsDataItem" data-forumid="3"><div class="ipsDataItem_main"><h4 class="ipsDataItem_title ipsType_large ipsType_break"><a href="' + B + '/forum/3-tables/">Tables</a></h4></div></li>' +
+			'</ol>';
+		return forums.getForums().then(result => {
+			assert.deepStrictEqual(result, [
+				{ id: 2, label: 'General & Discussion', url: B + '/forum/2-general-discussion/' },
+				{ id: 5, label: 'Off Topic', url: B + '/forum/5-off-topic/', parentId: 2 },
+				{ id: 3, label: 'Tables', url: B + '/forum/3-tables/' }
+			]);
+			return forums.findForum('gen disc');
+
+		}).then(forum => {
+			assert.strictEqual(forum.id, 2);
+			assert.deepStrictEqual(requested, [ '/forums/' ]);
+		});
+	});
+
+	it('should list the topics of all pages', () => {
+		const forum = { id: 2, label: 'General Discussion', url: B + '/forum/2-general-discussion/' };
+		pages[forum.url + '?page=1'] = '<ol class="ipsDataList cTopicList" data-role="tableRows">' +
+			topicRow(11, 'rules', 'Rules', 'admin', '2016-10-01T08:00:00Z', '0', '1,024',
+				'<span><span class="ipsBadge ipsBadge_small ipsBadge_icon ipsBadge_positive" data-ipstooltip title="Pinned"><i class="fa fa-thumb-tack"></i></span></span>' +
+				'<span><i class="ipsBadge ipsBadge_small ipsBadge_icon ipsBadge_negative fa fa-lock"></i></span>') +
+			topicRow(12, 'hello', 'Hello', 'bob', '2016-10-02T09:30:00Z', '3', '45') +
+			'</ol>' + pagination(1, 2);
+		pages[forum.url + '?page=2'] = '<ol class="ipsDataList cTopicList" data-role="tableRows">' +
+			topicRow(13, 'bye', 'Bye', 'carol', '2016-10-03T10:00:00Z', '1,200', '9,999') +
+			'</ol>' + pagination(2, 2);
+
+		return forums.getTopics(forum, fast).then(topics => {
+			assert.deepStrictEqual(topics, [
+				{ url: B + '/topic/11-rules/', id: 11, title: 'Rules', author: 'admin', date: new Date('2016-10-01T08:00:00Z'), replies: 0, views: 1024, forum: 2, pinned: true },
+				{ url: B + '/topic/12-hello/', id: 12, title: 'Hello', author: 'bob', date: new Date('2016-10-02T09:30:00Z'), replies: 3, views: 45, forum: 2 },
+				{ url: B + '/topic/13-bye/', id: 13, title: 'Bye', author: 'carol', date: new Date('2016-10-03T10:00:00Z'), replies: 1200, views: 9999, forum: 2 }
+			]);
+			return forums.getTopics(forum, { firstPageOnly: true });
+
+		}).then(topics => {
+			assert.strictEqual(topics.length, 2);
+			assert.deepStrictEqual(requested, [ forum.url + '?page=1', forum.url + '?page=2', forum.url + '?page=1' ]);
+		});
+	});
+
+	it('should return posts with their body as Markdown', () => {
+		const topic = { id: 12, title: 'Hello', url: B + '/topic/12-hello/' };
+		pages[topic.url + '?page=1'] = '<div data-role="commentFeed">' +
+			'<article id="elComment_101" class="cPost ipsBox ipsComment ipsComment_parent ipsClearfix">' +
+			'<aside class="ipsComment_author cAuthorPane"><h3 class="ipsType_sectionHead cAuthorPane_author ipsType_blendLinks ipsType_break"><strong><a href="' + B + '/profile/3-bob/">bob</a></strong></h3></aside>' +
+			'<div class="ipsColumn ipsColumn_fluid"><div class="ipsComment_meta ipsType_light"><a href="' + B + '/topic/12-hello/?do=findComment&amp;comment=101"><time datetime="2016-10-02T09:30:00Z">October 2, 2016</time></a></div>' +
+			'<div data-role="commentContent" class="ipsType_normal ipsType_richText ipsContained"><p>Hello <strong>everyone</strong>, see <a href="' + B + '/files/">the files</a>.</p></div></div>' +
+			'</article></div>';
+
+		return forums.getPosts(topic).then(posts => {
+			assert.deepStrictEqual(posts, [ {
+				id: 101,
+				author: 'bob',
+				date: new Date('2016-10-02T09:30:00Z'),
+				body: 'Hello **everyone**, see [the files](' + B + '/files/).',
+				url: B + '/topic/12-hello/?do=findComment&comment=101',
+				topic: 12
+			} ]);
+		});
+	});
+
+	it('should fail without forum or topic URL', () => {
+		return forums.getTopics({ id: 2 }).then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Forum must contain an `url` property.');
+			return forums.getPosts(null);
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Topic must contain an `url` property.');
+			assert.deepStrictEqual(requested, []);
+		});
+	});
+});
+
+describe('IPS3 forums', () => {
+
+	const B = 'http://ips3.example.com';
+	const topicRow = (id, title, author, date, stats, extra) =>
+		'<tr class="__topic __tid' + id + ' expandable" id="trow_' + id + '" itemscope itemtype="http://schema.org/Article">' +
+		'<td class="col_f_icon short altrow">' + (extra || '') + '</td>' +
+		'<td><h4><a itemprop="url" id="tid-link-' + id + '" href="' + B + '/index.php?showtopic=' + id + '" title="' + title + '" class="topic_title"><span itemprop="name">' + title + '</span></a></h4>' +
+		'<br /><span class="desc lighter blend_links">Started by <a hovercard-ref="member" hovercard-id="3" class="_hovertrigger url fn name " href="' + B + '/index.php?showuser=3" title="View Profile">' + author + '</a>, <span itemprop="dateCreated">' + date + '</span></span></td>' +
+		'<td class="col_f_preview __topic_preview"></td>' +
+		'<td class="col_f_views desc blend_links"><ul>' + stats + '</ul></td></tr>';
+
+	let tmp, pages, requested, forums;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		pages = {};
+		requested = [];
+		forums = new ForumsIps3(fakeIps(tmp, B, pages, requested), { version: 3 });
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should list forums with their sub-forums', () => {
+		pages['/index.php?act=idx'] = '<table class="ipb_table" summary="Forums within the category \'Main\'">' +
+			'<tr class="header hide"><th scope="col" class="col_c_icon">&nbsp;</th></tr>' +
+			'<tr class="row1"><td class="col_c_icon"></td><td class="col_c_forum"><h4><a href="' + B + '/index.php?showforum=2" title="Go to forum">General &amp; Discussion</a></h4>' +
+			'<ol class="subforums" id="subforums_2"><li class="unread"><a href="' + B + '/index.php?showforum=5">Off Topic</a></li></ol></td></tr>' +
+			'<tr class="row2"><td class="col_c_forum"><h4><a href="' + B + '/index.php?showforum=3">Tables</a></h4></td></tr>' +
+			'<tr class="row1"><td class="col_c_forum"><h4><a href="http://www.example.com/">Homepage</a></h4></td></tr>' +
+			'</table>';
+		return forums.getForums().then(result => {
+			assert.deepStrictEqual(result, [
+				{ id: 2, label: 'General & Discussion', url: B + '/index.php?showforum=2' },
+				{ id: 5, label: 'Off Topic', url: B + '/index.php?showforum=5', parentId: 2 },
+				{ id: 3, label: 'Tables', url: B + '/index.php?showforum=3' }
+			]);
+		});
+	});
+
+	it('should list the topics of all pages by following the next link', () => {
+		const forum = { id: 2, label: 'General Discussion', url: B + '/index.php?showforum=2' };
+		pages[forum.url] = '<table class="ipb_table topic_list">' +
+			topicRow(11, 'Rules', 'admin', '01 October 2016 - 08:00 AM', '<li>0 replies</li><li class="views desc">1,024 views</li>',
+				'<img src="' + B + '/public/style_images/master/t_closed.png" alt="Locked" />') +
+			topicRow(12, 'Hello &amp; Welcome', 'bob', '02 October 2016 - 09:30 AM', '<li>3 replies</li><li class="views desc">45 views</li>') +
+			'</table>' +
+			'<ul class="pagination"><li class="next"><a href="' + B + '/index.php?showforum=2&amp;page=2" title="Next page">Next</a></li></ul>';
+		pages[B + '/index.php?showforum=2&page=2'] = '<table class="ipb_table topic_list">' +
+			topicRow(13, 'Bye', 'carol', '03 October 2016 - 10:00 AM', '<li>1,200 replies</li><li class="views desc">9,999 views</li>', '<span class="ipsBadge ipsBadge_green">Pinned</span>') +
+			'</table>';
+
+		return forums.getTopics(forum, fast).then(topics => {
+			assert.deepStrictEqual(topics.map(topic => [ topic.id, topic.title, topic.author, topic.replies, topic.views, !!topic.pinned, !!topic.locked, topic.forum ]), [
+				[ 11, 'Rules', 'admin', 0, 1024, false, true, 2 ],
+				[ 12, 'Hello & Welcome', 'bob', 3, 45, false, false, 2 ],
+				[ 13, 'Bye', 'carol', 1200, 9999, true, false, 2 ]
+			]);
+			assert.strictEqual(topics[0].url, B + '/index.php?showtopic=11');
+			assert.deepStrictEqual([ topics[0].date.getFullYear(), topics[0].date.getMonth(), topics[0].date.getDate() ], [ 2016, 9, 1 ]);
+			assert.deepStrictEqual(requested, [ forum.url, B + '/index.php?showforum=2&page=2' ]);
+		});
+	});
+
+	it('should return posts with their body as Markdown', () => {
+		const topic = { id: 12, title: 'Hello', url: B + '/index.php?showtopic=12' };
+		pages[topic.url] = '<div class="post_wrap">' +
+			'<div class="post_block hentry clear clearfix column_view" id="post_id_101">' +
+			'<div class="post_wrap" id="post_id_101_wrap"><h3 class="row2"><span class="author vcard"><a hovercard-ref="member" class="url fn name" href="' + B + '/index.php?showuser=3"><span itemprop="name">bob</span></a></span></h3>' +
+			'<div class="author_info"><ul class="basic_info"><li class="avatar"></li></ul></div>' +
+			'<div class="post_body"><p class="posted_info desc lighter ipsType_small">Posted <abbr class="published" itemprop="commentTime" title="2016-10-02T09:30:00+00:00">02 October 2016 - 09:30 AM</abbr></p>' +
+			'<div itemprop="commentText" class="post entry-content "><p>Hello <strong>everyone</strong>.</p></div></div></div></div></div>';
+
+		return forums.getPosts(topic).then(posts => {
+			assert.deepStrictEqual(posts, [ {
+				id: 101,
+				author: 'bob',
+				date: new Date('2016-10-02T09:30:00Z'),
+				body: 'Hello **everyone**.',
+				url: B + '/index.php?showtopic=12&view=findpost&p=101',
+				topic: 12
+			} ]);
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,165 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const request = require('request');
+const resolve = require('path').resolve;
+
+const Http = require('../lib/http');
+const DownloadsIps4 = require('../lib/v4/downloads-ips4');
+const GalleryIps3 = require('../lib/v3/gallery-ips3');
+const GalleryIps4 = require('../lib/v4/gallery-ips4');
+const UnsupportedVersionError = require('../lib/errors').UnsupportedVersionError;
+
+describe('IPS4 gallery', () => {
+
+	const jpeg = Buffer.from([ 0xff, 0xd8, 0xff, 0xe0, 1, 2, 3 ]);
+	const png = Buffer.from([ 0x89, 0x50, 0x4e, 0x47, 4, 5, 6 ]);
+	const fast = { minDelay: 1, maxDelay: 1 };
+	let server, B, tmp, pages, requested, gallery;
+
+	// serves the images, pages come from `pages`
+	before(done => {
+		server = http.createServer((req, res) => {
+			if (req.url === '/gallery/image/21-sunset/?do=download&csrfKey=c5rf') {
+				res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Disposition': 'attachment; filename="sunset.jpg"', 'Content-Length': jpeg.length });
+				return res.end(jpeg);
+			}
+			if (req.url === '/uploads/monthly/full-22.png') {
+				res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': png.length });
+				return res.end(png);
+			}
+			res.writeHead(404);
+			res.end();
+		});
+		server.listen(0, '127.0.0.1', () => {
+			B = 'http://127.0.0.1:' + server.address().port;
+			done();
+		});
+	});
+	after(done => server.close(done));
+
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		pages = {};
+		requested = [];
+		const get = url => {
+			requested.push(url);
+			return pages[url] ? Promise.resolve(cheerio.load(pages[url])) : Promise.reject(new Error('Unexpected request to ' + url));
+		};
+		const logger = { info: () => {}, debug: () => {}, warn: () => {} };
+		const ips = { id: 'example', _cache: tmp, _url: B, logger: logger, emit: () => {}, _cookieJar: request.jar(), _http: new Http({ logger: logger }), _get: get, _getWithLogin: get };
+		ips.downloads = new DownloadsIps4(ips, { version: 4 });
+		gallery = new GalleryIps4(ips, { version: 4 });
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	const category = (id, slug, label) => '<li class="ipsDataItem"><div class="ipsDataItem_main"><h4 class="ipsDataItem_title ipsType_large ipsType_break">' +
+		'<a href="' + B + '/gallery/category/' + id + '-' + slug + '/">' + label + '</a></h4></div></li>';
+	const breadcrumb = links => '<nav class="ipsBreadcrumb ipsBreadcrumb_top ipsFaded_withHover"><ul data-role="breadcrumbList">' +
+		links.map(link => '<li><a href="' + B + '/gallery/' + link + '/">Link</a></li>').join('') + '</ul></nav>';
+	const album = (id, slug, title, author, images) => '<li class="ipsDataItem">' +
+		'<div class="ipsDataItem_generic"><a href="' + B + '/gallery/album/' + id + '-' + slug + '/" title="View the album ' + title + '"><img src="/uploads/thumb-album-' + id + '.jpg" alt=""></a></div>' +
+		'<div class="ipsDataItem_main"><h4 class="ipsDataItem_title"><a href="' + B + '/gallery/album/' + id + '-' + slug + '/">' + title + '</a></h4>' +
+		'<p class="ipsType_reset ipsType_light">By <a href="' + B + '/profile/3-' + author + '/" data-ipshover>' + author + '</a></p></div>' +
+		'<ul class="ipsDataItem_stats"><li>' + images + ' images</li></ul></li>';
+	const image = (id, slug, title, date) => '<li class="cGalleryImageThumb">' +
+		'<a href="' + B + '/gallery/image/' + id + '-' + slug + '/" title="View the image ' + title + '"><img src="/uploads/monthly/thumb-' + id + '.jpg" alt="' + title + '"></a>' +
+		'<p class="ipsType_reset">By <a href="' + B + '/profile/3-bob/" data-ipshover>bob</a>, <time datetime="' + date + '">' + date + '</time></p></li>';
+	const pagination = (page, pages) => '<ul class="ipsPagination"><li class="ipsPagination_pageJump"><a href="#">Page ' + page + ' of ' + pages + '</a></li></ul>';
+
+	it('should walk down the categories', () => {
+		pages['/gallery/'] = '<ol class="ipsDataList">' + category(2, 'tables', 'Tables') + category(4, 'backglasses', 'Backglasses &amp; Art') + '</ol>';
+		pages[B + '/gallery/category/2-tables/'] = breadcrumb([ 'category/2-tables' ]) + '<ol class="ipsDataList">' + category(3, 'pinball', 'Pinball') + category(4, 'backglasses', 'Backglasses') + '</ol>';
+		pages[B + '/gallery/category/4-backglasses/'] = breadcrumb([ 'category/4-backglasses' ]);
+		pages[B + '/gallery/category/3-pinball/'] = breadcrumb([ 'category/2-tables', 'category/3-pinball' ]);
+
+		return gallery.getCategories({ tree: true }).then(tree => {
+			assert.deepStrictEqual(tree.map(cat => [ cat.id, cat.label, cat.children.map(child => [ child.id, child.label, child.parentId ]) ]), [
+				[ 2, 'Tables', [ [ 3, 'Pinball', 2 ] ] ],
+				[ 4, 'Backglasses & Art', [] ]
+			]);
+			assert.strictEqual(tree[0].url, B + '/gallery/category/2-tables/');
+			return gallery.getCategories();
+
+		}).then(categories => {
+			assert.deepStrictEqual(categories.map(cat => cat.id), [ 2, 4, 3 ]);
+			assert.strictEqual(requested.length, 4);
+		});
+	});
+
+	it('should list the albums of all pages and cache them', () => {
+		const cat = { id: 3, label: 'Pinball', url: B + '/gallery/category/3-pinball/' };
+		pages[cat.url] = '<ol class="ipsDataList">' + album(7, 'my-tables', 'My Tables', 'bob', '1,204') + '</ol>' + pagination(1, 2);
+		pages[cat.url + 'page/2/'] = '<ol class="ipsDataList">' + album(8, 'old', 'Old &amp; Dusty', 'alice', 1) + '</ol>' + pagination(2, 2);
+
+		return gallery.getAlbums(cat, fast).then(albums => {
+			assert.deepStrictEqual(albums, [
+				{ id: 7, title: 'My Tables', url: B + '/gallery/album/7-my-tables/', author: 'bob', imageCount: 1204, category: 3 },
+				{ id: 8, title: 'Old & Dusty', url: B + '/gallery/album/8-old/', author: 'alice', imageCount: 1, category: 3 }
+			]);
+			return gallery.getAlbums(3);
+
+		}).then(albums => {
+			assert.strictEqual(albums.length, 2);
+			assert.deepStrictEqual(requested, [ cat.url, cat.url + 'page/2/' ]);
+		});
+	});
+
+	it('should list, find and download images', () => {
+		const albumUrl = B + '/gallery/album/7-my-tables/';
+		pages[albumUrl] = '<ul class="cGalleryImageThumbs">' + image(21, 'sunset', 'Sunset', '2016-10-16T10:00:00Z') + image(22, 'castle', 'Castle', '2016-10-17T10:00:00Z') + '</ul>';
+		pages[B + '/gallery/image/21-sunset/'] = '<div class="ipsPageHeader"><a href="' + B + '/gallery/image/21-sunset/?do=download&amp;csrfKey=c5rf" class="ipsButton ipsButton_light">Download</a></div>';
+		pages[B + '/gallery/image/22-castle/'] = '<div class="cGalleryViewImage"><img src="/uploads/monthly/full-22.png" alt="Castle"></div>';
+		const dest = resolve(tmp, 'images');
+		fs.mkdirSync(dest);
+
+		let images;
+		return gallery.getImages({ id: 7, url: albumUrl }).then(result => {
+			images = result;
+			assert.deepStrictEqual(images, [
+				{ id: 21, title: 'Sunset', url: B + '/gallery/image/21-sunset/', author: 'bob', date: new Date('2016-10-16T10:00:00Z'), thumbnail: B + '/uploads/monthly/thumb-21.jpg', album: 7, filename: undefined },
+				{ id: 22, title: 'Castle', url: B + '/gallery/image/22-castle/', author: 'bob', date: new Date('2016-10-17T10:00:00Z'), thumbnail: B + '/uploads/monthly/thumb-22.jpg', album: 7, filename: undefined }
+			]);
+			return gallery.findImages('sunst');
+
+		}).then(found => {
+			assert.deepStrictEqual(found.map(image => image.id), [ 21 ]);
+			return gallery.download(images, dest);
+
+		}).then(paths => {
+			assert.deepStrictEqual(paths, [ { path: resolve(dest, '21-sunset.jpg') }, { path: resolve(dest, '22-full-22.png') } ]);
+			assert.ok(fs.readFileSync(paths[0].path).equals(jpeg));
+			assert.ok(fs.readFileSync(paths[1].path).equals(png));
+			return gallery.download(images[0], dest);
+
+		}).then(paths => {
+			assert.deepStrictEqual(paths, [ { path: resolve(dest, '21-sunset.jpg'), skipped: true } ]);
+			return gallery.download({ id: 99, album: 7 }, dest);
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Must provide an image retrieved from #getImages() or #findImages().');
+		});
+	});
+});
+
+describe('IPS3 gallery', () => {
+
+	it('should tell that the gallery is not supported', () => {
+		const tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		const gallery = new GalleryIps3({ id: 'example', _cache: tmp, logger: {} }, { version: 3 });
+		return gallery.getCategories().then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof UnsupportedVersionError);
+			return gallery.getAlbums({ id: 2, url: 'http://ips3.example.com/index.php?app=gallery&category=2' });
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof UnsupportedVersionError);
+			assert.strictEqual(err.version, 3);
+
+		}).finally(() => fs.rmSync(tmp, { recursive: true, force: true }));
+	});
+});
\ No newline at end of file
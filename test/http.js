@@ -0,0 +1,127 @@
+"use strict";
+
+const http = require('http');
+const assert = require('assert');
+
+const Http = require('../lib/http');
+const HttpError = require('../lib/errors').HttpError;
+const NotFoundError = require('../lib/errors').NotFoundError;
+
+describe('Http', () => {
+
+	const logger = { info: () => {}, warn: () => {} };
+	let server, url, responses, requests;
+
+	// answers with the next of `responses`, or 200 "ok" when none are left
+	before(done => {
+		server = http.createServer((req, res) => {
+			requests.push(req.method + ' ' + req.url);
+			const response = responses.shift() || { statusCode: 200, body: 'ok' };
+			res.writeHead(response.statusCode, response.headers || {});
+			res.end(response.body || '');
+		});
+		server.listen(0, '127.0.0.1', () => {
+			url = 'http://127.0.0.1:' + server.address().port;
+			done();
+		});
+	});
+	after(done => server.close(done));
+	beforeEach(() => {
+		responses = [];
+		requests = [];
+	});
+
+	it('should retry GET requests on temporary errors', () => {
+		responses = [ { statusCode: 503 }, { statusCode: 502 } ];
+		return new Http({ logger: logger, retryDelay: 1 }).request({ url: url + '/page' }).then(response => {
+			assert.strictEqual(response.statusCode, 200);
+			assert.strictEqual(response.body, 'ok');
+			assert.deepStrictEqual(requests, [ 'GET /page', 'GET /page', 'GET /page' ]);
+		});
+	});
+
+	it('should give up after the configured number of retries', () => {
+		responses = [ { statusCode: 503 }, { statusCode: 503 }, { statusCode: 503 } ];
+		return new Http({ logger: logger, retries: 2, retryDelay: 1 }).request({ url: url + '/page' }).then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof HttpError);
+			assert.strictEqual(err.statusCode, 503);
+			assert.strictEqual(requests.length, 3);
+		});
+	});
+
+	it('should never retry POST requests', () => {
+		responses = [ { statusCode: 503 } ];
+		return new Http({ logger: logger, retryDelay: 1 }).request({ url: url + '/form', method: 'post', simple: false }).then(response => {
+			assert.strictEqual(response.statusCode, 503);
+			assert.deepStrictEqual(requests, [ 'POST /form' ]);
+		});
+	});
+
+	it('should not retry on errors that are not temporary', () => {
+		responses = [ { statusCode: 404 } ];
+		return new Http({ logger: logger, retryDelay: 1 }).request({ url: url + '/missing' }).then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof NotFoundError);
+			assert.strictEqual(requests.length, 1);
+		});
+	});
+
+	it('should wait for Retry-After', () => {
+		responses = [ { statusCode: 429, headers: { 'Retry-After': '1' } } ];
+		const start = Date.now();
+		return new Http({ logger: logger, retryDelay: 1 }).request({ url: url + '/page' }).then(response => {
+			assert.strictEqual(response.statusCode, 200);
+			assert.ok(Date.now() - start >= 1000, 'Retried after ' + (Date.now() - start) + 'ms.');
+		});
+	});
+
+	it('should give up if Retry-After is too long', () => {
+		responses = [ { statusCode: 503, headers: { 'Retry-After': '3600' } } ];
+		return new Http({ logger: logger, retryDelay: 1 }).request({ url: url + '/page', simple: false }).then(response => {
+			assert.strictEqual(response.statusCode, 503);
+			assert.strictEqual(requests.length, 1);
+		});
+	});
+
+	it('should compute the delay from Retry-After or with backoff', () => {
+		const client = new Http({ logger: logger, retryDelay: 100 });
+		const headers = retryAfter => ({ headers: { 'retry-after': retryAfter } });
+		assert.strictEqual(client._getDelay(0, headers('2')), 2000);
+		assert.strictEqual(client._getDelay(0, headers(new Date(Date.now() - 5000).toUTCString())), 0);
+		const date = client._getDelay(0, headers(new Date(Date.now() + 60000).toUTCString()));
+		assert.ok(date > 58000 && date <= 60000, 'Delay is ' + date + 'ms.');
+		assert.strictEqual(client._getDelay(0, headers(new Date(Date.now() + 3600000).toUTCString())), null);
+		for (let attempt = 0; attempt < 3; attempt++) {
+			const delay = client._getDelay(attempt, headers('soon'));
+			assert.ok(delay >= 50 * Math.pow(2, attempt) && delay <= 100 * Math.pow(2, attempt), 'Delay of retry ' + attempt + ' is ' + delay + 'ms.');
+		}
+	});
+
+	it('should retry network errors and keep their code', () => {
+		const closed = http.createServer();
+		return new Promise(resolve => closed.listen(0, '127.0.0.1', resolve)).then(() => {
+			const port = closed.address().port;
+			return new Promise(resolve => closed.close(resolve)).then(() => port);
+
+		}).then(port => {
+			let acquired = 0;
+			const limiter = { acquire: () => acquired++ };
+			return new Http({ logger: logger, retries: 2, retryDelay: 1, limiter: limiter }).request({ url: 'http://127.0.0.1:' + port + '/' }).then(() => assert.fail('Should have failed.'), err => {
+				assert.ok(err instanceof HttpError);
+				assert.strictEqual(err.code, 'ECONNREFUSED');
+				assert.strictEqual(err.statusCode, null);
+				assert.strictEqual(acquired, 3);
+			});
+		});
+	});
+
+	it('should parse JSON bodies and send the default headers', () => {
+		let headers;
+		server.once('request', req => headers = req.headers);
+		responses = [ { statusCode: 200, headers: { 'Content-Type': 'application/json' }, body: '{"id":5}' } ];
+		return new Http({ logger: logger, userAgent: 'ipslib-test', headers: { 'X-Test': '1' } }).request({ url: url + '/api', json: true }).then(response => {
+			assert.deepStrictEqual(response.body, { id: 5 });
+			assert.strictEqual(headers['user-agent'], 'ipslib-test');
+			assert.strictEqual(headers['x-test'], '1');
+		});
+	});
+});
\ No newline at end of file
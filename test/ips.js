@@ -0,0 +1,105 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const winston = require('winston');
+const resolve = require('path').resolve;
+
+const Ips = require('..');
+
+/**
+ * Makes an instance serve the given pages, for guests until it logged in.
+ */
+function serve(ips, pages) {
+	ips.logins = 0;
+	ips.fetched = [];
+	ips._getAuthenticated = url => {
+		ips.fetched.push(url);
+		return Promise.resolve(cheerio.load(pages[url][ips.logins ? 'member' : 'guest']));
+	};
+	ips.auth.login = () => Promise.delay(10).then(() => ips.logins++);
+	return ips;
+}
+
+describe('Ips', () => {
+
+	const home = process.env.HOME;
+	let tmp;
+	before(() => {
+		winston.level = 'warn';
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		process.env.HOME = tmp;
+	});
+	after(() => {
+		process.env.HOME = home;
+		fs.rmSync(tmp, { recursive: true, force: true });
+	});
+
+	describe('on IPS4', () => {
+
+		const guest = '<a id="elSignInLink" href="/login/">Sign In</a>';
+		const pages = {
+			'/messenger/': { guest: guest + '<div id="elError">Sorry, you must be signed in.</div>', member: '<ol class="ipsDataList"></ol>' },
+			'/files/file/5-sunset-beach/': {
+				guest: guest + '<h1>Sunset Beach</h1>',
+				member: '<a class="ipsButton ipsButton_important ipsButton_large" href="/files/file/5-sunset-beach/?do=download">Download</a><div class="ipsPad"><div class="ipsType_richText"><p>At sunset.</p></div></div>'
+			}
+		};
+		let ips;
+		beforeEach(() => ips = serve(new Ips('Example IPS4', 'http://ips4.example.com', 'tester', 'secret', { version: 4, session: 'memory' }), pages));
+
+		it('should log in when a page is restricted to members', () => {
+			return ips._getWithLogin('/messenger/').then($ => {
+				assert.strictEqual($('ol.ipsDataList').length, 1);
+				assert.deepStrictEqual(ips.fetched, [ '/messenger/', '/messenger/' ]);
+			});
+		});
+
+		it('should only log in for public pages when asked to', () => {
+			return ips._getWithLogin('/files/file/5-sunset-beach/').then(() => {
+				assert.strictEqual(ips.logins, 0);
+				return ips._getWithLogin('/files/file/5-sunset-beach/', { member: true });
+
+			}).then($ => {
+				assert.strictEqual(ips.logins, 1);
+				assert.strictEqual($('a.ipsButton').length, 1);
+			});
+		});
+
+		it('should post the credentials once for parallel requests', () => {
+			return Promise.all([ ips._getWithLogin('/messenger/'), ips._getWithLogin('/messenger/') ]).then(() => {
+				assert.strictEqual(ips.logins, 1);
+			});
+		});
+
+		it('should log in before looking for the download button', () => {
+			const file = { id: 5, title: 'Sunset Beach', url: '/files/file/5-sunset-beach/' };
+			return ips.downloads._getDownloadUrl(file).then(url => {
+				assert.strictEqual(url, '/files/file/5-sunset-beach/?do=download');
+				assert.strictEqual(file.description, 'At sunset.');
+				assert.strictEqual(ips.logins, 1);
+			});
+		});
+	});
+
+	describe('on IPS3', () => {
+
+		const pages = {
+			'/index.php?app=downloads&showfile=5': {
+				guest: '<a id="sign_in" href="/index.php?app=core&amp;module=global&amp;section=login">Sign In</a><h1>Sunset Beach</h1>',
+				member: '<a class="download_button" href="/index.php?app=downloads&amp;module=display&amp;section=download&amp;do=confirm_download&amp;id=5">Download</a>'
+			}
+		};
+
+		it('should fetch the file page again after logging in', () => {
+			const ips = serve(new Ips('Example IPS3', 'http://ips3.example.com', 'tester', 'secret', { version: 3, session: 'memory' }), pages);
+			return ips.downloads._getDownloadUrl({ id: 5, title: 'Sunset Beach', url: '/index.php?app=downloads&showfile=5' }).then(url => {
+				assert.strictEqual(url, '/index.php?app=downloads&module=display&section=download&do=confirm_download&id=5');
+				assert.strictEqual(ips.logins, 1);
+			});
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,190 @@
+"use strict";
+
+const Promise = require('bluebird');
+const assert = require('assert');
+const cheerio = require('cheerio');
+
+const Members = require('../lib/members');
+const MembersIps3 = require('../lib/v3/members-ips3');
+const MembersIps4 = require('../lib/v4/members-ips4');
+const NotFoundError = require('../lib/errors').NotFoundError;
+
+/**
+ * Returns a fake Ips serving the given pages by URL.
+ */
+function fakeIps(url, pages, requested) {
+	return {
+		_url: url,
+		logger: { info: () => {}, debug: () => {} },
+		_getWithLogin: path => {
+			requested.push(path);
+			return pages[path] ? Promise.resolve(cheerio.load(pages[path])) : Promise.reject(new Error('Unexpected request to ' + path));
+		}
+	};
+}
+
+describe('Members', () => {
+
+	it('should parse member IDs from profile URLs', () => {
+		assert.strictEqual(Members.parseIdFromUrl('http://ips3.example.com/index.php?showuser=3'), 3);
+		assert.strictEqual(Members.parseIdFromUrl('http://ips3.example.com/user/3-bob/'), 3);
+		assert.strictEqual(Members.parseIdFromUrl('http://ips4.example.com/profile/3-bob/'), 3);
+		assert.strictEqual(Members.parseIdFromUrl('http://ips4.example.com/index.php?app=core&module=members&controller=profile&id=3'), 3);
+		assert.strictEqual(Members.parseIdFromUrl('http://ips4.example.com/files/file/3-bob/'), null);
+		assert.strictEqual(Members.parseIdFromUrl(undefined), null);
+	});
+});
+
+describe('IPS4 members', () => {
+
+	const B = 'http://ips4.example.com';
+	const profile = '<link rel="canonical" href="' + B + '/profile/3-bob/">' +
+		'<div id="elProfileHeader" class="ipsBox ipsSpacer_bottom" data-controller="core.front.profile.header">' +
+		'<div class="ipsColumns ipsColumns_collapsePhone"><div class="ipsColumn ipsColumn_fixed ipsColumn_narrow ipsPos_center" id="elProfilePhoto">' +
+		'<a href="' + B + '/uploads/profile/photo-3.png" data-ipslightbox class="ipsUserPhoto ipsUserPhoto_xlarge"><img src="' + B + '/uploads/profile/photo-thumb-3.png" alt=""></a></div>' +
+		'<div class="ipsColumn ipsColumn_fluid"><div class="ipsPos_left ipsPad cProfileHeader_name ipsType_normal">' +
+		'<h1 class="ipsType_reset ipsPageHead_barText">bob</h1><span><span style="color:#4a7c1c">Members</span></span></div></div></div></div>' +
+		'<div id="elProfileStats" class="ipsClearfix"><ul class="ipsList_inline ipsPos_left">' +
+		'<li><h4 class="ipsType_minorHeading">Posts</h4>1,234</li>' +
+		'<li><h4 class="ipsType_minorHeading">Joined</h4><time datetime="2014-03-01T12:00:00Z" title="03/01/2014 12:00  PM" data-short="2 yr">March 1, 2014</time></li>' +
+		'</ul></div>' +
+		'<div class="cProfileSidebarBlock ipsBox ipsSpacer_bottom"><div class="cProfileRepScore ipsPad_half cProfileRepScore_positive" data-ipstooltip title="Excellent">' +
+		'<span class="cProfileRepScore_points">1,042</span><span class="cProfileRepScore_title">Excellent</span></div></div>';
+
+	let pages, requested, api;
+	const members = opts => {
+		const ips = fakeIps(B, pages, requested);
+		ips._getApi = path => {
+			requested.push('api:' + path);
+			return Promise.resolve(api);
+		};
+		ips._search = { search: (query, opts) => Promise.resolve(pages['search:' + opts.page] || []).tap(() => requested.push('search:' + opts.author + ':' + opts.type + ':' + opts.page)) };
+		return new MembersIps4(ips, opts || { version: 4 });
+	};
+	beforeEach(() => {
+		pages = {};
+		requested = [];
+	});
+
+	it('should parse a profile', () => {
+		pages['/index.php?app=core&module=members&controller=profile&id=3'] = profile;
+		return members().getMember(3).then(member => {
+			assert.deepStrictEqual(member, {
+				id: 3,
+				name: 'bob',
+				url: B + '/profile/3-bob/',
+				group: 'Members',
+				joined: new Date('2014-03-01T12:00:00Z'),
+				posts: 1234,
+				reputation: 1042,
+				avatar: B + '/uploads/profile/photo-thumb-3.png'
+			});
+		});
+	});
+
+	it('should fail on missing profiles', () => {
+		pages['/index.php?app=core&module=members&controller=profile&id=9'] = '<div id="elErrorMessage">Sorry, we could not find that!</div>';
+		return members().getMember('9').then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof NotFoundError);
+			assert.strictEqual(err.url, B + '/index.php?app=core&module=members&controller=profile&id=9');
+		});
+	});
+
+	it('should look up members by name, preferring an exact match', () => {
+		pages[B + '/search/?q=bob&type=core_members'] = '<div id="ipsLayout_mainArea"><ol class="ipsStream ipsList_reset">' +
+			'<li class="ipsStreamItem ipsStreamItem_contentBlock"><a href="' + B + '/profile/8-bobby/" class="ipsUserPhoto ipsUserPhoto_medium"><img src="' + B + '/uploads/photo-8.png" alt="bobby"></a>' +
+			'<h2 class="ipsType_reset ipsStreamItem_title ipsType_break"><a href="' + B + '/profile/8-bobby/" data-ipshover>bobby</a></h2></li>' +
+			'<li class="ipsStreamItem ipsStreamItem_contentBlock"><h2 class="ipsType_reset ipsStreamItem_title ipsType_break"><a href="' + B + '/profile/3-bob/" data-ipshover>Bob</a></h2></li>' +
+			'</ol></div>';
+		pages[B + '/search/?q=alice&type=core_members'] = '<div id="ipsLayout_mainArea"><p class="ipsType_light">There were no results for your search.</p></div>';
+		pages['/index.php?app=core&module=members&controller=profile&id=3'] = profile;
+		return members().searchMembers('bob').then(result => {
+			assert.deepStrictEqual(result, [
+				{ id: 8, name: 'bobby', url: B + '/profile/8-bobby/' },
+				{ id: 3, name: 'Bob', url: B + '/profile/3-bob/' }
+			]);
+			return members().getMember('bob');
+
+		}).then(member => {
+			assert.strictEqual(member.id, 3);
+			return members().getMember('alice');
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Cannot find member "alice".');
+			assert.ok(err instanceof NotFoundError);
+		});
+	});
+
+	it('should read profiles from the API with a key', () => {
+		api = { id: 3, name: 'bob', profileUrl: B + '/profile/3-bob/', primaryGroup: { id: 3, name: 'Members' }, joined: '2014-03-01T12:00:00Z', posts: 1234, reputationPoints: 1042, photoUrl: null };
+		return members({ version: 4, apiKey: 'key' }).getMember(3).then(member => {
+			assert.deepStrictEqual(member, { id: 3, name: 'bob', url: B + '/profile/3-bob/', group: 'Members', joined: new Date('2014-03-01T12:00:00Z'), posts: 1234, reputation: 1042, avatar: null });
+			assert.deepStrictEqual(requested, [ 'api:core/members/3' ]);
+		});
+	});
+
+	it('should list the content of a member until the results repeat', () => {
+		const post = id => ({ type: 'post', id: id, title: 'Post ' + id });
+		pages['search:1'] = [ post(1), post(2) ];
+		pages['search:2'] = [ post(3) ];
+		pages['search:3'] = [ post(3) ];
+		return members().getContent({ name: 'bob' }, { type: 'post' }).then(content => {
+			assert.deepStrictEqual(content.map(item => item.id), [ 1, 2, 3 ]);
+			assert.deepStrictEqual(requested, [ 'search:bob:post:1', 'search:bob:post:2', 'search:bob:post:3' ]);
+			requested = [];
+			return members().getContent({ name: 'bob' }, { firstPageOnly: true });
+
+		}).then(content => {
+			assert.strictEqual(content.length, 2);
+			assert.deepStrictEqual(requested, [ 'search:bob:undefined:1' ]);
+		});
+	});
+});
+
+describe('IPS3 members', () => {
+
+	const B = 'http://ips3.example.com';
+
+	let pages, requested;
+	beforeEach(() => {
+		pages = {};
+		requested = [];
+	});
+
+	it('should parse a profile', () => {
+		pages[B + '/index.php?showuser=3'] = '<div id="profile_background" class="ipsVerticalTabbed ipsLayout ipsLayout_withleft ipsLayout_smallleft clearfix">' +
+			'<div class="ipsVerticalTabbed_tabs ipsLayout_left" id="user_utility"><div class="ipsPad ipsSideBlock clearfix" id="profile_photo_block">' +
+			'<img src="' + B + '/uploads/profile/photo-3.jpg" alt="bob" class="ipsUserPhoto ipsUserPhoto_large" id="profile_photo" /></div>' +
+			'<div class="reputation positive" data-tooltip="Reputation"><span class="number">42</span></div></div>' +
+			'<div class="ipsBox_container ipsPad" id="user_info_cell"><h1 class="ipsType_pagetitle"><span class="fn nickname">bob &amp; co</span></h1>' +
+			'<span class="desc lighter">Member Since 01 Mar 2014</span></div>' +
+			'<div class="ipsBox_container ipsPad"><ul class="ipsList_data clearfix">' +
+			'<li class="clear clearfix"><span class="row_title">Group</span><span class="row_data">Members</span></li>' +
+			'<li class="clear clearfix"><span class="row_title">Active Posts</span><span class="row_data">1,234</span></li>' +
+			'<li class="clear clearfix"><span class="row_title">Member Since</span><span class="row_data">01 Mar 2014</span></li>' +
+			'</ul></div></div>';
+		return new MembersIps3(fakeIps(B, pages, requested), { version: 3 }).getMember(3).then(member => {
+			assert.deepStrictEqual(member.joined && [ member.joined.getFullYear(), member.joined.getMonth(), member.joined.getDate() ], [ 2014, 2, 1 ]);
+			delete member.joined;
+			assert.deepStrictEqual(member, {
+				id: 3,
+				name: 'bob & co',
+				url: B + '/index.php?showuser=3',
+				group: 'Members',
+				posts: 1234,
+				reputation: 42,
+				avatar: B + '/uploads/profile/photo-3.jpg'
+			});
+		});
+	});
+
+	it('should search the member list', () => {
+		pages['/index.php?app=members&module=list&name_box=begins&name=b%C3%B6b'] = '<div id="member_list"><ul class="ipsMemberList">' +
+			'<li id="member_id_3" class="ipsPad clearfix member_entry"><a href="' + B + '/index.php?showuser=3" title="View Profile" class="ipsUserPhotoLink left"><img src="' + B + '/uploads/photo-3.jpg" alt="Photo" class="ipsUserPhoto ipsUserPhoto_medium" /></a>' +
+			'<div class="ipsBox_withphoto"><strong><a href="' + B + '/index.php?showuser=3" title="View Profile">b&ouml;b</a></strong></div></li>' +
+			'</ul></div>';
+		return new MembersIps3(fakeIps(B, pages, requested), { version: 3 }).searchMembers('böb').then(result => {
+			assert.deepStrictEqual(result, [ { id: 3, name: 'böb', url: B + '/index.php?showuser=3' } ]);
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,207 @@
+"use strict";
+
+const Promise = require('bluebird');
+const assert = require('assert');
+const cheerio = require('cheerio');
+
+const MessengerIps3 = require('../lib/v3/messenger-ips3');
+const MessengerIps4 = require('../lib/v4/messenger-ips4');
+
+/**
+ * Returns a fake Ips serving the given pages by URL and answering posts
+ * with the given function.
+ */
+function board(url, pages, post) {
+	const ips = {
+		requested: [],
+		posts: [],
+		_url: url,
+		logger: { info: () => {}, debug: () => {} },
+		_getWithLogin: path => {
+			ips.requested.push(path);
+			return pages[path] ? Promise.resolve(cheerio.load(pages[path])) : Promise.reject(new Error('Unexpected request to ' + path));
+		},
+		_post: (url, data) => {
+			ips.posts.push({ url: url, data: data });
+			return Promise.resolve(post(url, data));
+		}
+	};
+	return ips;
+}
+
+describe('IPS4 messenger', () => {
+
+	const B = 'http://ips4.example.com';
+	const conversationRow = (id, title, participants, date, unread) =>
+		'<li class="ipsDataItem' + (unread ? ' ipsDataItem_unread' : '') + '" data-messageid="' + id + '">' +
+		'<div class="ipsDataItem_main"><a href="' + B + '/messenger/' + id + '/" class="ipsType_blendLinks"><h4 class="ipsDataItem_title ipsType_break">' + title + '</h4></a>' +
+		'<p class="ipsDataItem_meta ipsType_reset ipsType_light"><time datetime="' + date + '">' + date + '</time></p>' +
+		'<ul class="ipsList_inline ipsType_small">' + participants.map(name => '<li><a href="' + B + '/profile/3-' + name + '/" data-ipshover>' + name + '</a></li>').join('') + '</ul></div></li>';
+	const pagination = (page, pages) => '<ul class="ipsPagination"><li class="ipsPagination_pageJump"><a href="#">Page ' + page + ' of ' + pages + '</a></li></ul>';
+
+	let pages, ips, messenger;
+	beforeEach(() => {
+		pages = {};
+		ips = board(B, pages, (url, data) => data.messenger_title
+			? { statusCode: 303, headers: { location: B + '/messenger/15/' } }
+			: { statusCode: 303, headers: { location: B + '/messenger/12/?do=findComment&comment=103' } });
+		messenger = new MessengerIps4(ips, { version: 4 });
+	});
+
+	it('should list conversations of all pages', () => {
+		pages['/messenger/?page=1'] = '<ol class="ipsDataList cMessageList" data-role="messageList">' +
+			conversationRow(12, 'Table request', [ 'bob', 'alice', 'bob' ], '2016-10-16T10:00:00Z', true) +
+			conversationRow(11, 'Hello', [ 'carol' ], '2016-10-15T09:00:00Z') +
+			'</ol>' + pagination(1, 2);
+		pages['/messenger/?page=2'] = '<ol class="ipsDataList cMessageList" data-role="messageList">' +
+			conversationRow(11, 'Hello', [ 'carol' ], '2016-10-15T09:00:00Z') +
+			conversationRow(9, 'Old', [ 'dave' ], '2016-01-01T00:00:00Z') +
+			'</ol>' + pagination(2, 2);
+
+		return messenger.getConversations().then(conversations => {
+			assert.deepStrictEqual(conversations, [
+				{ id: 12, title: 'Table request', url: B + '/messenger/12/', participants: [ 'bob', 'alice' ], date: new Date('2016-10-16T10:00:00Z'), unread: true },
+				{ id: 11, title: 'Hello', url: B + '/messenger/11/', participants: [ 'carol' ], date: new Date('2016-10-15T09:00:00Z'), unread: false },
+				{ id: 9, title: 'Old', url: B + '/messenger/9/', participants: [ 'dave' ], date: new Date('2016-01-01T00:00:00Z'), unread: false }
+			]);
+			return messenger.getConversations({ firstPageOnly: true, unreadOnly: true });
+
+		}).then(conversations => {
+			assert.deepStrictEqual(conversations.map(conversation => conversation.id), [ 12 ]);
+		});
+	});
+
+	it('should read the messages of a conversation', () => {
+		pages[B + '/messenger/12/?page=1'] = '<div data-role="commentFeed">' +
+			'<article id="elComment_101" class="cPost ipsBox ipsComment ipsComment_parent ipsClearfix">' +
+			'<aside class="ipsComment_author cAuthorPane"><h3 class="ipsType_sectionHead cAuthorPane_author ipsType_break"><strong><a href="' + B + '/profile/3-bob/">bob</a></strong></h3></aside>' +
+			'<div class="ipsComment_meta ipsType_light"><time datetime="2016-10-16T10:00:00Z">October 16, 2016</time></div>' +
+			'<div data-role="commentContent" class="ipsType_normal ipsType_richText"><p>Could you <em>update</em> it?</p></div></article></div>';
+
+		return messenger.getMessages({ id: 12 }).then(messages => {
+			assert.deepStrictEqual(messages, [ {
+				id: 101,
+				author: 'bob',
+				date: new Date('2016-10-16T10:00:00Z'),
+				body: 'Could you _update_ it?',
+				url: B + '/messenger/12/?do=findComment&comment=101',
+				conversation: 12
+			} ]);
+		});
+	});
+
+	it('should start a conversation', () => {
+		pages[B + '/messenger/compose/'] = '<form accept-charset="utf-8" class="ipsForm ipsForm_vertical" action="' + B + '/messenger/compose/" method="post" enctype="multipart/form-data" data-ipsform>' +
+			'<input type="hidden" name="form_submitted" value="1"><input type="hidden" name="csrfKey" value="c5rf">' +
+			'<input type="text" name="messenger_to" value=""><input type="text" name="messenger_title" value="">' +
+			'<textarea name="messenger_content"></textarea><button type="submit" class="ipsButton ipsButton_primary">Send</button></form>';
+
+		return messenger.startConversation([ 'bob', 'alice' ], 'Table request', 'Could you **update** it?').then(result => {
+			assert.deepStrictEqual(result, { id: 15, url: B + '/messenger/15/' });
+			assert.deepStrictEqual(ips.posts, [ { url: B + '/messenger/compose/', data: {
+				form_submitted: '1',
+				csrfKey: 'c5rf',
+				messenger_to: 'bob\nalice',
+				messenger_title: 'Table request',
+				messenger_content: '<p>Could you <strong>update</strong> it?</p>\n'
+			} } ]);
+		});
+	});
+
+	it('should reply to a conversation', () => {
+		pages[B + '/messenger/12/'] = '<form accept-charset="utf-8" action="' + B + '/messenger/12/" method="post" enctype="multipart/form-data">' +
+			'<input type="hidden" name="commentform_12_submitted" value="1"><input type="hidden" name="csrfKey" value="c5rf">' +
+			'<textarea name="messenger_comment_12"></textarea></form>';
+
+		return messenger.reply(12, 'Done.').then(result => {
+			assert.deepStrictEqual(result, { id: 103, url: B + '/messenger/12/?do=findComment&comment=103' });
+			assert.strictEqual(ips.posts[0].data.messenger_comment_12, '<p>Done.</p>\n');
+		});
+	});
+
+	it('should check the arguments before sending anything', () => {
+		return messenger.startConversation([], 'Title', 'Text').then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Need at least one recipient.');
+			return messenger.startConversation('bob', '', 'Text');
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Need a title and a message to start a conversation.');
+			return messenger.reply(12, '');
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Cannot post an empty message.');
+			return messenger.getMessages({});
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Conversation must be an ID or contain an `id` property.');
+			assert.deepStrictEqual(ips.requested, []);
+			assert.deepStrictEqual(ips.posts, []);
+		});
+	});
+});
+
+describe('IPS3 messenger', () => {
+
+	const B = 'http://ips3.example.com';
+	const conversationUrl = id => B + '/index.php?app=members&module=messaging&section=view&do=showConversation&topicID=' + id;
+
+	let pages, ips, messenger;
+	beforeEach(() => {
+		pages = {};
+		ips = board(B, pages, () => ({ statusCode: 302, headers: { location: conversationUrl(15) } }));
+		messenger = new MessengerIps3(ips, { version: 3 });
+	});
+
+	it('should list conversations by following the next link', () => {
+		const row = (id, title, participants, date, unread) =>
+			'<tr id="trow_' + id + '"' + (unread ? ' class="unread"' : '') + '><td class="col_m_status short"></td>' +
+			'<td class="col_m_subject"><h4><a href="' + conversationUrl(id).replace(/&/g, '&amp;') + '" title="Read this conversation">' + title + '</a></h4><br />' +
+			'<span class="desc lighter blend_links">Started by ' + participants.map(name => '<a href="' + B + '/index.php?showuser=3" title="View Profile">' + name + '</a>').join(', ') + '</span></td>' +
+			'<td class="col_f_post"><ul class="last_post ipsType_small"><li class="desc lighter"><a href="#">' + date + '</a></li></ul></td></tr>';
+		pages['/index.php?app=members&module=messaging&section=view&do=showFolder&folderID=myconvo'] = '<table class="ipb_table" id="message_list">' +
+			row(12, 'Table request &amp; more', [ 'bob', 'alice' ], '16 October 2016 - 10:00 AM', true) +
+			'</table><ul class="pagination"><li class="next"><a href="' + B + '/index.php?app=members&amp;module=messaging&amp;section=view&amp;do=showFolder&amp;folderID=myconvo&amp;st=50">Next</a></li></ul>';
+		pages[B + '/index.php?app=members&module=messaging&section=view&do=showFolder&folderID=myconvo&st=50'] = '<table class="ipb_table" id="message_list">' +
+			row(9, 'Old', [ 'dave' ], '01 January 2016 - 12:00 PM') +
+			'</table>';
+
+		return messenger.getConversations().then(conversations => {
+			assert.deepStrictEqual(conversations.map(conversation => [ conversation.id, conversation.title, conversation.url, conversation.participants, conversation.unread ]), [
+				[ 12, 'Table request & more', conversationUrl(12), [ 'bob', 'alice' ], true ],
+				[ 9, 'Old', conversationUrl(9), [ 'dave' ], false ]
+			]);
+			const date = conversations[0].date;
+			assert.deepStrictEqual([ date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() ], [ 2016, 9, 16, 10 ]);
+		});
+	});
+
+	it('should read the messages of a conversation', () => {
+		pages[conversationUrl(12)] = '<div class="post_block hentry clear no_sidebar" id="msg101"><div class="post_wrap">' +
+			'<h3 class="row2"><span class="author vcard"><a class="url fn" href="' + B + '/index.php?showuser=3">bob</a></span></h3>' +
+			'<div class="post_body"><p class="posted_info desc lighter ipsType_small">Sent <abbr class="published" title="2016-10-16T10:00:00+00:00">16 October 2016 - 10:00 AM</abbr></p>' +
+			'<div class="post entry-content"><p>Could you <em>update</em> it?</p></div></div></div></div>';
+
+		return messenger.getMessages(12).then(messages => {
+			assert.deepStrictEqual(messages, [ {
+				id: 101,
+				author: 'bob',
+				date: new Date('2016-10-16T10:00:00Z'),
+				body: 'Could you _update_ it?',
+				url: conversationUrl(12) + '#msg101',
+				conversation: 12
+			} ]);
+		});
+	});
+
+	it('should start a conversation and invite the other recipients', () => {
+		pages[B + '/index.php?app=members&module=messaging&section=send&do=form'] = '<form id="msgForm" action="' + B + '/index.php?app=members&amp;module=messaging" method="post">' +
+			'<input type="hidden" name="do" value="send"><input type="hidden" name="auth_key" value="4uth">' +
+			'<input type="text" name="entered_name" value=""><input type="text" name="inviteUsers" value="">' +
+			'<input type="text" name="msg_title" value=""><textarea name="Post"></textarea></form>';
+
+		return messenger.startConversation([ 'bob', 'alice', 'carol' ], 'Table request', 'Hi').then(result => {
+			assert.deepStrictEqual(result, { id: 15, url: conversationUrl(15) });
+			assert.deepStrictEqual(ips.posts[0].data, { 'do': 'send', auth_key: '4uth', entered_name: 'bob', inviteUsers: 'alice,carol', msg_title: 'Table request', Post: '<p>Hi</p>\n' });
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,123 @@
+"use strict";
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const resolve = require('path').resolve;
+
+const Mirror = require('../lib/mirror');
+
+/**
+ * Returns a downloads module lookalike listing the given files and
+ * "downloading" them by writing their title to disk.
+ */
+function downloads(files, details) {
+	const calls = { getFiles: [], queue: [], getFileDetails: [] };
+	return {
+		calls: calls,
+		logger: { info: () => {} },
+		getFiles: (cat, opts) => {
+			calls.getFiles.push(opts);
+			return Promise.resolve(files());
+		},
+		getFileDetails: (file, opts) => {
+			calls.getFileDetails.push([ file.id, opts ]);
+			return Promise.resolve(_.assign(file, details(file)));
+		},
+		queue: (toDownload, destFolder) => {
+			calls.queue.push(toDownload.map(file => file.id));
+			return {
+				start: () => Promise.resolve(toDownload.map(file => {
+					const path = resolve(destFolder, file.id + '.zip');
+					fs.writeFileSync(path, file.title);
+					return { file: file, status: 'success', paths: [ { path: path } ] };
+				}))
+			};
+		}
+	};
+}
+
+describe('Mirror', () => {
+
+	let tmp, dest;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		dest = resolve(tmp, 'mirror', 'tables');
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should create nested folders and always refresh the whole index', () => {
+		const module = downloads(() => [ { id: 1, title: 'One', date: new Date('2016-10-01') } ]);
+		return new Mirror(module, dest, { firstPageOnly: true }).run(2).then(report => {
+			assert.deepStrictEqual(report.added, [ { id: 1, title: 'One', paths: [ '1.zip' ] } ]);
+			assert.strictEqual(module.calls.getFiles[0].firstPageOnly, false);
+			assert.strictEqual(module.calls.getFiles[0].forceRefresh, true);
+			assert.ok(fs.existsSync(resolve(dest, '1.zip')));
+		});
+	});
+
+	it('should download files whose date changed', () => {
+		let files = [ { id: 1, title: 'One', date: new Date('2016-10-01') }, { id: 2, title: 'Two', date: new Date('2016-10-01') } ];
+		const module = downloads(() => files);
+		return new Mirror(module, dest).run(2).then(() => {
+			files = [ { id: 1, title: 'One v2', date: new Date('2016-10-05') }, { id: 2, title: 'Two', date: new Date('2016-10-01') } ];
+			return new Mirror(module, dest).run(2);
+
+		}).then(report => {
+			assert.deepStrictEqual(report.updated.map(file => file.id), [ 1 ]);
+			assert.deepStrictEqual(report.unchanged.map(file => file.id), [ 2 ]);
+			assert.deepStrictEqual(module.calls.queue, [ [ 1, 2 ], [ 1 ] ]);
+			assert.strictEqual(fs.readFileSync(resolve(dest, '1.zip')).toString(), 'One v2');
+			assert.ok(!fs.existsSync(resolve(dest, '1.zip.old')));
+			assert.deepStrictEqual(module.calls.getFileDetails, []);
+		});
+	});
+
+	it('should fetch the file page and its listing when the index has no dates', () => {
+		let listing = [ { filename: 'one.vpt' }, { filename: 'one.directb2s' } ];
+		const module = downloads(() => [ { id: 1, title: 'One', listing: [ { filename: 'one.vpt' }, { filename: 'one.directb2s' } ] } ], () => ({ listing: listing }));
+		return new Mirror(module, dest).run(2).then(() => new Mirror(module, dest).run(2)).then(report => {
+			assert.deepStrictEqual(report.unchanged.map(file => file.id), [ 1 ]);
+			assert.deepStrictEqual(module.calls.getFileDetails, [ [ 1, { forceRefresh: true, listing: true } ] ]);
+			listing = [ { filename: 'one.vpt' }, { filename: 'one.pov' } ];
+			return new Mirror(module, dest).run(2);
+
+		}).then(report => {
+			assert.deepStrictEqual(report.updated.map(file => file.id), [ 1 ]);
+		});
+	});
+
+	it('should report kept files removed upstream only once', () => {
+		let files = [ { id: 1, title: 'One', date: new Date('2016-10-01') }, { id: 2, title: 'Two', date: new Date('2016-10-01') } ];
+		const module = downloads(() => files);
+		return new Mirror(module, dest).run(2).then(() => {
+			files = [ files[0] ];
+			return new Mirror(module, dest).run(2);
+
+		}).then(report => {
+			assert.deepStrictEqual(report.removed, [ { id: 2, title: 'Two', paths: [ '2.zip' ], action: 'keep' } ]);
+			assert.ok(fs.existsSync(resolve(dest, '2.zip')));
+			return new Mirror(module, dest).run(2);
+
+		}).then(report => {
+			assert.deepStrictEqual(report.removed, []);
+			assert.ok(fs.existsSync(resolve(dest, '2.zip')));
+		});
+	});
+
+	it('should delete files removed upstream', () => {
+		let files = [ { id: 1, title: 'One', date: new Date('2016-10-01') }, { id: 2, title: 'Two', date: new Date('2016-10-01') } ];
+		const module = downloads(() => files);
+		return new Mirror(module, dest, { removed: 'delete' }).run(2).then(() => {
+			files = [ files[0] ];
+			return new Mirror(module, dest, { removed: 'delete' }).run(2);
+
+		}).then(report => {
+			assert.deepStrictEqual(report.removed.map(file => [ file.id, file.action ]), [ [ 2, 'delete' ] ]);
+			assert.ok(!fs.existsSync(resolve(dest, '2.zip')));
+			assert.ok(fs.existsSync(resolve(dest, '1.zip')));
+		});
+	});
+});
\ No newline at end of file
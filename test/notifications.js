@@ -0,0 +1,138 @@
+"use strict";
+
+const Promise = require('bluebird');
+const assert = require('assert');
+const cheerio = require('cheerio');
+
+const NotificationsIps3 = require('../lib/v3/notifications-ips3');
+const NotificationsIps4 = require('../lib/v4/notifications-ips4');
+const UnsupportedVersionError = require('../lib/errors').UnsupportedVersionError;
+
+describe('IPS4 notifications', () => {
+
+	const B = 'http://ips4.example.com';
+	const followUrl = (action, app, area, id) => B + '/index.php?app=core&module=system&controller=notifications&do=' + action + '&follow_app=' + app + '&follow_area=' + area + '&follow_id=' + id;
+
+	let pages, ips, notifications;
+	beforeEach(() => {
+		pages = {};
+		ips = {
+			requested: [],
+			posts: [],
+			_url: B,
+			logger: { info: () => {}, debug: () => {} },
+			_getWithLogin: path => {
+				ips.requested.push(path);
+				return pages[path] ? Promise.resolve(cheerio.load(pages[path])) : Promise.reject(new Error('Unexpected request to ' + path));
+			},
+			_getAuthenticated: url => {
+				ips.requested.push('auth:' + url);
+				return Promise.resolve(cheerio.load(''));
+			},
+			_post: (url, data) => {
+				ips.posts.push({ url: url, data: data });
+				return Promise.resolve({ statusCode: 200, body: '<p>Following</p>' });
+			}
+		};
+		notifications = new NotificationsIps4(ips, { version: 4 });
+	});
+
+	it('should list notifications', () => {
+		pages['/notifications/'] = '<ol class="ipsDataList ipsDataList_large" data-role="tableRows">' +
+			'<li class="ipsDataItem ipsDataItem_unread"><div class="ipsDataItem_icon ipsPos_top"><a href="' + B + '/profile/3-bob/" class="ipsUserPhoto ipsUserPhoto_tiny" data-ipshover><img src="' + B + '/uploads/photo-3.png" alt="bob"></a></div>' +
+			'<div class="ipsDataItem_main"><a href="' + B + '/files/file/5-sunset-beach/?do=findComment&amp;comment=7" class="ipsType_blendLinks"><strong>bob</strong> commented on\n your file <strong>Sunset Beach</strong></a>' +
+			'<p class="ipsType_reset ipsType_light ipsType_medium"><time datetime="2016-10-16T10:00:00Z" title="10/16/2016 10:00  AM">October 16</time></p></div></li>' +
+			'<li class="ipsDataItem"><div class="ipsDataItem_main"><a href="' + B + '/topic/12-hello/?do=findComment&amp;comment=101" class="ipsType_blendLinks">alice replied to <strong>Hello</strong></a>' +
+			'<p class="ipsType_reset ipsType_light ipsType_medium"><time datetime="2016-10-15T09:00:00Z">October 15</time></p></div></li>' +
+			'</ol>';
+		return notifications.list().then(list => {
+			assert.deepStrictEqual(list, [
+				{ title: 'bob commented on your file Sunset Beach', url: B + '/files/file/5-sunset-beach/?do=findComment&comment=7', date: new Date('2016-10-16T10:00:00Z'), unread: true },
+				{ title: 'alice replied to Hello', url: B + '/topic/12-hello/?do=findComment&comment=101', date: new Date('2016-10-15T09:00:00Z'), unread: false }
+			]);
+			return notifications.list({ unreadOnly: true });
+
+		}).then(list => assert.deepStrictEqual(list.map(notification => notification.unread), [ true ]));
+	});
+
+	it('should follow the link marking all notifications as read', () => {
+		pages['/notifications/'] = '<div class="ipsPageHeader"><a href="' + B + '/notifications/?do=read&amp;csrfKey=c5rf" class="ipsButton ipsButton_light">Mark all as read</a></div>';
+		return notifications.markRead().then(() => {
+			assert.deepStrictEqual(ips.requested, [ '/notifications/', 'auth:' + B + '/notifications/?do=read&csrfKey=c5rf' ]);
+		});
+	});
+
+	it('should follow an item with the given frequency', () => {
+		pages[followUrl('follow', 'downloads', 'file', 5)] = '<form action="' + followUrl('follow', 'downloads', 'file', 5).replace(/&/g, '&amp;') + '" method="post">' +
+			'<input type="hidden" name="csrfKey" value="c5rf"><input type="hidden" name="follow_submitted" value="1">' +
+			'<input type="radio" name="follow_frequency" value="immediate" checked><input type="radio" name="follow_frequency" value="daily">' +
+			'<input type="checkbox" name="follow_anonymous_checkbox" value="1"></form>';
+		return notifications.follow({ id: 5, url: B + '/files/file/5-sunset-beach/' }, { frequency: 'daily' }).then(() => {
+			assert.deepStrictEqual(ips.posts, [ { url: followUrl('follow', 'downloads', 'file', 5), data: { csrfKey: 'c5rf', follow_submitted: '1', follow_frequency: 'daily' } } ]);
+		});
+	});
+
+	it('should unfollow an item through its link or with the CSRF key', () => {
+		pages[followUrl('follow', 'forums', 'topic', 12)] = '<a href="' + followUrl('unfollow', 'forums', 'topic', 12).replace(/&/g, '&amp;') + '&amp;csrfKey=c5rf">Unfollow</a>';
+		pages[followUrl('follow', 'core', 'member', 3)] = '<form method="post"><input type="hidden" name="csrfKey" value="k3y"></form>';
+		return notifications.unfollow({ id: 12, type: 'topic' }).then(() => notifications.unfollow({ id: 3, url: B + '/profile/3-bob/' })).then(() => {
+			assert.deepStrictEqual(ips.requested.filter(url => /^auth:/.test(url)), [
+				'auth:' + followUrl('unfollow', 'forums', 'topic', 12) + '&csrfKey=c5rf',
+				'auth:' + followUrl('unfollow', 'core', 'member', 3) + '&csrfKey=k3y'
+			]);
+		});
+	});
+
+	it('should list followed content', () => {
+		const row = (app, area, id, title, url) => '<li class="ipsDataItem"><div class="ipsDataItem_main"><h4 class="ipsDataItem_title"><a href="' + url + '">' + title + '</a></h4></div>' +
+			'<div class="ipsDataItem_generic"><a href="' + followUrl('follow', app, area, id).replace(/&/g, '&amp;') + '" data-followapp="' + app + '" data-followarea="' + area + '" data-followid="' + id + '" class="ipsButton ipsButton_light ipsButton_verySmall">Following</a></div></li>';
+		const page = '<ol class="ipsDataList">' +
+			row('downloads', 'file', 5, 'Sunset Beach', B + '/files/file/5-sunset-beach/') +
+			row('forums', 'topic', 12, 'Hello', B + '/topic/12-hello/') +
+			row('calendar', 'event', 4, 'Meetup', B + '/events/4-meetup/') +
+			'</ol>';
+		pages['/index.php?app=core&module=system&controller=followed'] = page;
+		pages['/index.php?app=core&module=system&controller=followed&type=forums_topic'] = page;
+		return notifications.listFollowed().then(items => {
+			assert.deepStrictEqual(items, [
+				{ type: 'file', id: 5, title: 'Sunset Beach', url: B + '/files/file/5-sunset-beach/' },
+				{ type: 'topic', id: 12, title: 'Hello', url: B + '/topic/12-hello/' }
+			]);
+			return notifications.listFollowed({ type: 'topic' });
+
+		}).then(items => assert.deepStrictEqual(items.map(item => item.id), [ 12 ]));
+	});
+
+	it('should check the arguments before sending anything', () => {
+		return notifications.follow({ id: 5, type: 'file' }, { frequency: 'hourly' }).then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Frequency must be one of "immediate", "daily", "weekly" or "none".');
+			return notifications.follow({ id: 5, url: B + '/gallery/image/5-sunset/' });
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Cannot tell whether item 5 is a file, a topic or a member, set its `type`.');
+			return notifications.listFollowed({ type: 'image' });
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Type must be one of "file", "topic" or "member".');
+			assert.deepStrictEqual(ips.requested, []);
+		});
+	});
+});
+
+describe('IPS3 notifications', () => {
+
+	it('should tell that notifications and following are not supported', () => {
+		const notifications = new NotificationsIps3({ logger: { info: () => {} } }, { version: 3 });
+		return Promise.all([
+			notifications.list().reflect(),
+			notifications.markRead().reflect(),
+			notifications.follow({ id: 5, type: 'file' }).reflect(),
+			notifications.unfollow({ id: 5, type: 'file' }).reflect(),
+			notifications.listFollowed().reflect()
+		]).then(results => results.forEach(result => {
+			assert.ok(result.isRejected());
+			assert.ok(result.reason() instanceof UnsupportedVersionError);
+			assert.strictEqual(result.reason().version, 3);
+		}));
+	});
+});
\ No newline at end of file
@@ -0,0 +1,31 @@
+"use strict";
+
+const assert = require('assert');
+const cheerio = require('cheerio');
+
+const Paging = require('../lib/paging');
+
+describe('Paging', () => {
+
+	it('should parse the number of pages of IPS4', () => {
+		const $ = cheerio.load('<ul class="ipsPagination"><li class="ipsPagination_pageJump"><a href="#">Page 1 of 12 &nbsp;<i class="fa fa-caret-down"></i></a></li></ul>');
+		assert.strictEqual(Paging.parseNumPages($), 12);
+	});
+
+	it('should parse the number of pages of IPS3 with its selector', () => {
+		const $ = cheerio.load('<ul class="pagination"><li class="pagejump"><a href="#">Page 3 of 7 &darr;</a></li></ul>');
+		assert.strictEqual(Paging.parseNumPages($, '.pagination li.pagejump a'), 7);
+	});
+
+	it('should count one page without pagination', () => {
+		assert.strictEqual(Paging.parseNumPages(cheerio.load('<div>No files</div>')), 1);
+	});
+
+	it('should return delays within the bounds', () => {
+		for (let i = 0; i < 100; i++) {
+			const delay = Paging.randomDelay({ minDelay: 10, maxDelay: 20 });
+			assert.ok(Number.isInteger(delay) && delay >= 10 && delay <= 20, 'Delay ' + delay + ' out of bounds.');
+		}
+		assert.strictEqual(Paging.randomDelay({ minDelay: 5, maxDelay: 5 }), 5);
+	});
+});
\ No newline at end of file
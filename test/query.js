@@ -0,0 +1,64 @@
+"use strict";
+
+const assert = require('assert');
+
+const Query = require('../lib/query');
+
+describe('Query', () => {
+
+	const files = [
+		{ id: 1, title: 'Sunset Beach', author: 'bob', description: 'A table on the beach.', date: new Date('2016-10-01'), downloads: 1200, listing: [ { filename: 'sunset-beach.vpx' } ] },
+		{ id: 2, title: 'Beach Party', author: 'alice', description: 'Party at the sea.', date: new Date('2016-11-01'), downloads: 300, broken: true },
+		{ id: 3, title: 'Castle', author: 'Bob', description: 'Walls and towers.', date: new Date('2016-12-01'), downloads: 50 },
+		{ id: 4, title: 'Medieval Madness', author: 'carol', description: 'Sunset over the castle.', date: new Date('2017-01-01'), downloads: 5000 }
+	];
+	const ids = results => results.map(result => result.file.id);
+
+	it('should return all files in their order without a query', () => {
+		assert.deepStrictEqual(ids(new Query().run(files)), [ 1, 2, 3, 4 ]);
+	});
+
+	it('should rank title matches before description matches', () => {
+		assert.deepStrictEqual(ids(new Query('sunset').run(files)), [ 1, 4 ]);
+		assert.deepStrictEqual(ids(new Query('castle').run(files)), [ 3, 4 ]);
+	});
+
+	it('should require every term', () => {
+		assert.deepStrictEqual(ids(new Query('beach party').run(files)), [ 2 ]);
+		assert.deepStrictEqual(ids(new Query('beach dragon').run(files)), []);
+	});
+
+	it('should match prefixes, parts of words and typos', () => {
+		assert.deepStrictEqual(ids(new Query('medi').run(files)), [ 4 ]);
+		assert.deepStrictEqual(ids(new Query('adness').run(files)), [ 4 ]);
+		assert.deepStrictEqual(ids(new Query('madnes').run(files)), [ 4 ]);
+		assert.deepStrictEqual(ids(new Query('madmess').run(files)), [ 4 ]);
+		assert.deepStrictEqual(ids(new Query('cas').run(files)), [ 3, 4 ]);
+	});
+
+	it('should search the names in the listing', () => {
+		assert.deepStrictEqual(ids(new Query('vpx').run(files)), [ 1 ]);
+	});
+
+	it('should score the whole phrase higher', () => {
+		const query = new Query('sunset beach');
+		assert.ok(query.score(files[0]) > new Query('beach sunset').score(files[0]));
+		assert.strictEqual(query.score(files[2]), 0);
+	});
+
+	it('should filter by author, date, downloads and broken flag', () => {
+		assert.deepStrictEqual(ids(new Query(null, { author: 'BOB' }).run(files)), [ 1, 3 ]);
+		assert.deepStrictEqual(ids(new Query(null, { dateFrom: new Date('2016-10-15'), dateTo: new Date('2016-12-15') }).run(files)), [ 2, 3 ]);
+		assert.deepStrictEqual(ids(new Query(null, { minDownloads: 1000 }).run(files)), [ 1, 4 ]);
+		assert.deepStrictEqual(ids(new Query(null, { broken: true }).run(files)), [ 2 ]);
+		assert.deepStrictEqual(ids(new Query(null, { broken: false }).run(files)), [ 1, 3, 4 ]);
+		assert.deepStrictEqual(ids(new Query('beach', { author: 'alice' }).run(files)), [ 2 ]);
+	});
+
+	it('should sort by any field', () => {
+		assert.deepStrictEqual(ids(new Query(null, { sortBy: 'downloads', order: 'desc' }).run(files)), [ 4, 1, 2, 3 ]);
+		assert.deepStrictEqual(ids(new Query(null, { sortBy: 'title' }).run(files)), [ 2, 3, 4, 1 ]);
+		assert.deepStrictEqual(ids(new Query(null, { sortBy: 'date', order: 'desc' }).run(files)), [ 4, 3, 2, 1 ]);
+		assert.deepStrictEqual(ids(new Query('beach', { sortBy: 'downloads' }).run(files)), [ 2, 1 ]);
+	});
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+"use strict";
+
+const assert = require('assert');
+
+const RateLimiter = require('../lib/rate-limiter');
+
+describe('RateLimiter', () => {
+
+	it('should not wait without limit', () => {
+		const limiter = new RateLimiter();
+		const start = Date.now();
+		return Promise.all([ limiter.acquire(), limiter.acquire(), limiter.acquire() ]).then(() => {
+			assert.ok(Date.now() - start < 50);
+			assert.deepStrictEqual(limiter._timestamps, []);
+		});
+	});
+
+	it('should let requests through until the limit is reached', () => {
+		const limiter = new RateLimiter(3);
+		const start = Date.now();
+		return Promise.all([ limiter.acquire(), limiter.acquire(), limiter.acquire() ]).then(() => {
+			assert.ok(Date.now() - start < 50);
+			assert.strictEqual(limiter._timestamps.length, 3);
+		});
+	});
+
+	it('should wait until the oldest request leaves the window, in order', () => {
+		const limiter = new RateLimiter(2);
+		const released = [];
+		return Promise.all([ limiter.acquire(), limiter.acquire() ]).then(() => {
+			// pretend the first two requests were sent almost a minute ago
+			const now = Date.now();
+			limiter._timestamps = [ now - 60000 + 100, now - 60000 + 200 ];
+			const start = Date.now();
+			return Promise.all([
+				limiter.acquire().then(() => released.push([ 3, Date.now() - start ])),
+				limiter.acquire().then(() => released.push([ 4, Date.now() - start ]))
+			]);
+		}).then(() => {
+			assert.deepStrictEqual(released.map(r => r[0]), [ 3, 4 ]);
+			assert.ok(released[0][1] >= 90, 'Third request released after ' + released[0][1] + 'ms.');
+			assert.ok(released[1][1] >= 190, 'Fourth request released after ' + released[1][1] + 'ms.');
+			assert.strictEqual(limiter._timestamps.length, 2);
+		});
+	});
+});
\ No newline at end of file
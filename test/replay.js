@@ -0,0 +1,79 @@
+"use strict";
+
+const _ = require('lodash');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const crypto = require('crypto');
+const winston = require('winston');
+const resolve = require('path').resolve;
+
+const Ips = require('..');
+
+/*
+ * Runs login, the first page of a category and a download against the
+ * cassettes in test/fixtures, so no board is needed.
+ *
+ * The synthetic-* cassettes were recorded against a local stub answering
+ * with the markup the scrapers expect, they don't prove anything about a
+ * real board. The live-* cassettes are recorded from real boards with
+ * `npm run record`, see test/fixtures/record.js.
+ */
+const root = resolve(__dirname, 'fixtures');
+const fixtures = fs.readdirSync(root).filter(dir => fs.existsSync(resolve(root, dir, 'meta.json')));
+
+fixtures.forEach(dir => {
+
+	const path = resolve(root, dir);
+	const meta = JSON.parse(fs.readFileSync(resolve(path, 'meta.json')));
+
+	describe('IPS' + meta.version + ' cassette "' + dir + '"' + (meta.synthetic ? ' (synthetic markup)' : ''), () => {
+
+		const home = process.env.HOME;
+		let tmp, ips;
+
+		before(() => {
+			winston.level = 'warn';
+			// keep the cache of the test out of the real ~/.ipslib
+			tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+			process.env.HOME = tmp;
+			ips = new Ips('Cassette ' + dir, meta.url, meta.username, 'secret', {
+				version: meta.version,
+				session: 'memory',
+				cassette: { mode: 'replay', path: path }
+			});
+		});
+
+		after(() => {
+			process.env.HOME = home;
+			fs.rmSync(tmp, { recursive: true, force: true });
+		});
+
+		it('should log in', () => {
+			return ips.auth.login().then(loggedIn => {
+				assert.strictEqual(loggedIn, true);
+				const cookies = ips._cookieJar.getCookies(meta.url + '/').map(cookie => cookie.key);
+				assert.deepStrictEqual(_.difference(meta.cookies, cookies), []);
+			});
+		});
+
+		it('should list the file in its category', () => {
+			return ips.downloads.getFiles(meta.category, { firstPageOnly: true }).then(files => {
+				const file = _.find(files, { id: meta.file.id });
+				assert.ok(file, 'File ' + meta.file.id + ' not listed.');
+				assert.strictEqual(file.title, meta.file.title);
+			});
+		});
+
+		it('should download the file', () => {
+			const dest = resolve(tmp, 'downloads');
+			fs.mkdirSync(dest);
+			return ips.downloads.getFiles(meta.category, { firstPageOnly: true })
+				.then(files => ips.downloads.download(_.find(files, { id: meta.file.id }), dest))
+				.then(paths => {
+					assert.deepStrictEqual(paths, [ { path: resolve(dest, meta.filename) } ]);
+					assert.strictEqual(crypto.createHash('sha1').update(fs.readFileSync(paths[0].path)).digest('hex'), meta.sha1);
+				});
+		});
+	});
+});
\ No newline at end of file
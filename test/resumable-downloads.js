@@ -0,0 +1,157 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const assert = require('assert');
+const request = require('request');
+const resolve = require('path').resolve;
+
+const Http = require('../lib/http');
+const Downloads = require('../lib/v4/downloads-ips4');
+const HttpError = require('../lib/errors').HttpError;
+
+describe('Resumable downloads', () => {
+
+	const data = Buffer.from(Array.from({ length: 1000 }, (v, i) => i % 251));
+	let server, url, mode, ranges, tmp, dest, downloads;
+
+	/*
+	 * Serves `data` as "sunset-beach.vpx". Depending on `mode`, the server
+	 * honors ranges, doesn't support them, ignores them, returns the wrong
+	 * range, breaks off the transfer or lies about the total size.
+	 */
+	before(done => {
+		server = http.createServer((req, res) => {
+			ranges.push(req.headers.range || null);
+			const headers = { 'Content-Type': 'application/octet-stream', 'Content-Disposition': 'attachment; filename="sunset-beach.vpx"' };
+			if (mode !== 'none') {
+				headers['Accept-Ranges'] = 'bytes';
+			}
+			const range = (req.headers.range || '').match(/^bytes=(\d+)-$/);
+			if (range && mode === 'range') {
+				const start = parseInt(range[1], 10);
+				res.writeHead(206, Object.assign(headers, { 'Content-Range': 'bytes ' + start + '-' + (data.length - 1) + '/' + data.length, 'Content-Length': data.length - start }));
+				return res.end(data.slice(start));
+			}
+			if (range && mode === 'wrong') {
+				res.writeHead(206, Object.assign(headers, { 'Content-Range': 'bytes 0-' + (data.length - 1) + '/' + data.length, 'Content-Length': data.length }));
+				return res.end(data);
+			}
+			if (range && mode === 'lying') {
+				const start = parseInt(range[1], 10);
+				res.writeHead(206, Object.assign(headers, { 'Content-Range': 'bytes ' + start + '-' + (data.length - 1) + '/' + data.length * 2, 'Content-Length': data.length - start }));
+				return res.end(data.slice(start));
+			}
+			res.writeHead(200, Object.assign(headers, { 'Content-Length': data.length }));
+			if (mode === 'break') {
+				res.write(data.slice(0, 500));
+				return setTimeout(() => res.socket.destroy(), 50);
+			}
+			res.end(data);
+		});
+		server.listen(0, '127.0.0.1', () => {
+			url = 'http://127.0.0.1:' + server.address().port + '/files/file/5-sunset-beach/?do=download&r=11';
+			done();
+		});
+	});
+	after(done => server.close(done));
+
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		dest = resolve(tmp, 'sunset-beach.vpx');
+		mode = 'range';
+		ranges = [];
+		const logger = { info: () => {}, debug: () => {}, warn: () => {} };
+		downloads = new Downloads({ id: 'example', _cache: tmp, logger: logger, emit: () => {}, _cookieJar: request.jar(), _http: new Http({ logger: logger }) }, { version: 4 });
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	// requests the file and streams it, like the download of a file does
+	function download() {
+		const options = { url: url, jar: downloads._ips._cookieJar };
+		return downloads._prepareDownload(options).spread((response, body, filename) => downloads._streamFile(response, filename, tmp, options));
+	}
+
+	function interrupt(bytes) {
+		fs.writeFileSync(dest + '.part', bytes);
+	}
+
+	it('should write to a .part file and rename it when complete', () => {
+		return download().then(path => {
+			assert.strictEqual(path, dest);
+			assert.ok(fs.readFileSync(dest).equals(data));
+			assert.deepStrictEqual(fs.readdirSync(tmp), [ 'sunset-beach.vpx' ]);
+			assert.deepStrictEqual(ranges, [ null ]);
+		});
+	});
+
+	it('should resume an interrupted download', () => {
+		interrupt(data.slice(0, 400));
+		return download().then(path => {
+			assert.ok(fs.readFileSync(path).equals(data));
+			assert.ok(!fs.existsSync(dest + '.part'));
+			assert.deepStrictEqual(ranges, [ null, 'bytes=400-' ]);
+		});
+	});
+
+	it('should restart if the server does not accept ranges', () => {
+		mode = 'none';
+		interrupt(Buffer.from('garbage'));
+		return download().then(path => {
+			assert.ok(fs.readFileSync(path).equals(data));
+			assert.deepStrictEqual(ranges, [ null ]);
+		});
+	});
+
+	it('should restart if the server ignores the range', () => {
+		mode = 'ignore';
+		interrupt(Buffer.from('garbage'));
+		return download().then(path => {
+			assert.ok(fs.readFileSync(path).equals(data));
+			assert.deepStrictEqual(ranges, [ null, 'bytes=7-' ]);
+		});
+	});
+
+	it('should restart if the server returns the wrong range', () => {
+		mode = 'wrong';
+		interrupt(Buffer.from('garbage'));
+		return download().then(path => {
+			assert.ok(fs.readFileSync(path).equals(data));
+			assert.deepStrictEqual(ranges, [ null, 'bytes=7-', null ]);
+		});
+	});
+
+	it('should keep the .part file of a broken transfer and resume it next time', () => {
+		mode = 'break';
+		return download().then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof HttpError);
+			assert.ok(!fs.existsSync(dest));
+			assert.strictEqual(fs.statSync(dest + '.part').size, 500);
+			mode = 'range';
+			return download();
+
+		}).then(path => {
+			assert.ok(fs.readFileSync(path).equals(data));
+			assert.deepStrictEqual(ranges, [ null, null, 'bytes=500-' ]);
+		});
+	});
+
+	it('should not rename a file smaller than announced', () => {
+		mode = 'lying';
+		interrupt(data.slice(0, 400));
+		return download().then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof HttpError);
+			assert.strictEqual(err.message, 'Download of sunset-beach.vpx incomplete, got 1000 of 2000 bytes.');
+			assert.ok(!fs.existsSync(dest));
+		});
+	});
+
+	it('should skip files already downloaded', () => {
+		fs.writeFileSync(dest, 'done');
+		return download().then(path => {
+			assert.strictEqual(path, dest);
+			assert.strictEqual(fs.readFileSync(dest).toString(), 'done');
+		});
+	});
+});
\ No newline at end of file
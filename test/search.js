@@ -0,0 +1,110 @@
+"use strict";
+
+const Promise = require('bluebird');
+const assert = require('assert');
+const cheerio = require('cheerio');
+
+const SearchIps3 = require('../lib/v3/search-ips3');
+const SearchIps4 = require('../lib/v4/search-ips4');
+
+/**
+ * Returns a fake Ips answering every page with the given markup.
+ */
+function fakeIps(url, page, requested) {
+	return {
+		_url: url,
+		logger: { info: () => {}, debug: () => {} },
+		_getWithLogin: url => {
+			requested.push(url);
+			return Promise.resolve(cheerio.load(page));
+		}
+	};
+}
+
+describe('IPS4 search', () => {
+
+	const B = 'http://ips4.example.com';
+	const result = (timestamp, url, title, status, snippet) => '<li class="ipsStreamItem ipsStreamItem_contentBlock ipsStreamItem_expanded ipsAreaBackground_reset ipsPad" data-role="activityItem" data-timestamp="' + timestamp + '">' +
+		'<div class="ipsStreamItem_container ipsClearfix"><div class="ipsStreamItem_header ipsPhotoPanel ipsPhotoPanel_mini">' +
+		'<a href="' + B + '/profile/3-bob/" class="ipsUserPhoto ipsUserPhoto_mini" data-ipshover><img src="' + B + '/uploads/photo-3.png" alt="bob"></a><div>' +
+		'<h2 class="ipsType_reset ipsStreamItem_title ipsContained_container"><span class="ipsType_break ipsContained"><a href="' + url + '" data-linktype="link">' + title + '</a></span></h2>' +
+		'<p class="ipsType_reset ipsStreamItem_status ipsType_blendLinks">' + status + '</p></div></div>' +
+		'<div class="ipsStreamItem_snippet ipsType_break"><div class="ipsType_richText ipsContained ipsType_medium">' + snippet + '</div></div></div></li>';
+	const page = '<ol class="ipsStream ipsList_reset" data-role="resultsContents">' +
+		result(1476612000, B + '/files/file/5-sunset-beach/', 'Sunset Beach', '<a href="' + B + '/profile/3-bob/" data-ipshover>bob</a> submitted a file in <a href="' + B + '/files/category/2-tables/">Tables</a>', ' A table at sunset. ') +
+		result(1476698400, B + '/topic/12-hello/?do=findComment&comment=101', 'Hello', '<a href="' + B + '/profile/4-alice/" data-ipshover>alice</a> replied to a topic in <a href="' + B + '/forum/2-general/">General</a>', 'The sunset looks great.') +
+		result(1476784800, B + '/topic/13-sunset-pics/', 'Sunset pics', '<a href="' + B + '/profile/4-alice/" data-ipshover>alice</a> posted a topic in <a href="' + B + '/forum/2-general/">General</a>', 'Pictures.') +
+		'</ol>';
+
+	let requested, search;
+	beforeEach(() => {
+		requested = [];
+		search = new SearchIps4(fakeIps(B, page, requested), { version: 4 });
+	});
+
+	it('should parse files, topics and posts', () => {
+		return search.search('sunset').then(results => {
+			assert.deepStrictEqual(results, [
+				{ title: 'Sunset Beach', url: B + '/files/file/5-sunset-beach/', author: 'bob', date: new Date(1476612000000), snippet: 'A table at sunset.', type: 'file', id: 5, category: 2 },
+				{ title: 'Hello', url: B + '/topic/12-hello/?do=findComment&comment=101', author: 'alice', date: new Date(1476698400000), snippet: 'The sunset looks great.', type: 'post', id: 101, topic: 12 },
+				{ title: 'Sunset pics', url: B + '/topic/13-sunset-pics/', author: 'alice', date: new Date(1476784800000), snippet: 'Pictures.', type: 'topic', id: 13 }
+			]);
+			assert.deepStrictEqual(requested, [ B + '/search/?q=sunset&page=1' ]);
+		});
+	});
+
+	it('should pass the filters to the board and only return the given type', () => {
+		return search.search('sunset', { type: 'topic', author: 'alice', tags: [ 'vpx', 'pinball' ], dateFrom: new Date('2016-10-01T00:00:00Z'), dateTo: new Date('2016-11-01T00:00:00Z'), page: 2 }).then(results => {
+			assert.deepStrictEqual(results.map(result => result.id), [ 13 ]);
+			assert.deepStrictEqual(requested, [ B + '/search/?q=sunset&type=forums_topic&author=alice&tags=vpx%2Cpinball&start_after=1475280000&start_before=1477958400&page=2' ]);
+		});
+	});
+
+	it('should check the arguments before searching', () => {
+		return search.search('').then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Need a query, an author or tags to search.');
+			return search.search('sunset', { type: 'image' });
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.strictEqual(err.message, 'Search type must be one of "file", "topic" or "post".');
+			assert.deepStrictEqual(requested, []);
+		});
+	});
+});
+
+describe('IPS3 search', () => {
+
+	const B = 'http://ips3.example.com';
+	const page = '<div id="search_results"><ol class="ipsList_reset">' +
+		'<li class="row1 clearfix"><h3 class="ipsType_subtitle"><a href="' + B + '/index.php?app=downloads&amp;showfile=5" title="View result">Sunset Beach</a></h3>' +
+		'<span class="desc lighter">16 October 2016 - 10:00 AM</span> by <a hovercard-ref="member" hovercard-id="3" href="' + B + '/index.php?showuser=3">bob</a> in <a href="' + B + '/index.php?app=downloads&amp;showcat=2">Tables</a>' +
+		'<div class="search_result_content">A table at sunset.</div></li>' +
+		'<li class="row2 clearfix"><h4><a href="' + B + '/index.php?showtopic=12&amp;view=findpost&amp;p=101" title="View result">Hello &amp; welcome</a></h4>' +
+		'<span class="desc lighter">17 October 2016 - 10:00 AM</span> by <a hovercard-ref="member" hovercard-id="4" href="' + B + '/index.php?showuser=4">alice</a>' +
+		'<div class="search_result_content">The sunset looks great.</div></li>' +
+		'</ol></div>';
+
+	let requested, search;
+	beforeEach(() => {
+		requested = [];
+		search = new SearchIps3(fakeIps(B, page, requested), { version: 3 });
+	});
+
+	it('should parse files and posts', () => {
+		return search.search('sunset').then(results => {
+			assert.deepStrictEqual(results.map(result => [ result.type, result.id, result.category || result.topic, result.title, result.author, result.snippet ]), [
+				[ 'file', 5, 2, 'Sunset Beach', 'bob', 'A table at sunset.' ],
+				[ 'post', 101, 12, 'Hello & welcome', 'alice', 'The sunset looks great.' ]
+			]);
+			assert.deepStrictEqual([ results[0].date.getFullYear(), results[0].date.getMonth(), results[0].date.getDate(), results[0].date.getHours() ], [ 2016, 9, 16, 10 ]);
+			assert.strictEqual(results[0].url, B + '/index.php?app=downloads&showfile=5');
+		});
+	});
+
+	it('should pass the filters to the board', () => {
+		return search.search(null, { author: 'bob', type: 'file', dateFrom: new Date(2016, 9, 1), page: 3 }).then(results => {
+			assert.deepStrictEqual(results.map(result => result.id), [ 5 ]);
+			assert.deepStrictEqual(requested, [ B + '/index.php?app=core&module=search&do=search&fromMainBar=1&search_term=&search_app=downloads&search_author=bob&search_date_start=10-01-2016&st=50' ]);
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,55 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const resolve = require('path').resolve;
+
+const Snapshots = require('../lib/snapshots');
+
+describe('Snapshots', () => {
+
+	const beach = { id: 1, url: 'http://ips4.example.com/files/file/1-beach/', title: 'Beach', date: new Date('2016-10-01'), downloads: 10, description: 'Sand.', filename: 'beach.vpx' };
+	const castle = { id: 2, url: 'http://ips4.example.com/files/file/2-castle/', title: 'Castle', date: new Date('2016-10-02'), downloads: 20, description: 'Walls.' };
+
+	let tmp, snapshots;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		snapshots = new Snapshots(resolve(tmp, 'example-snapshots.json'));
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should report all files as added the first time', () => {
+		const changes = snapshots.update(2, [ beach, castle ]);
+		assert.strictEqual(changes.since, null);
+		assert.deepStrictEqual(changes.added.map(file => file.id), [ 1, 2 ]);
+		assert.deepStrictEqual(changes.removed, []);
+		assert.deepStrictEqual(changes.changed, []);
+	});
+
+	it('should report added, removed and changed files', () => {
+		snapshots.update(2, [ beach, castle ]);
+		const changes = snapshots.update(2, [ Object.assign({}, beach, { downloads: 12, filename: 'other.vpx' }), { id: 3, title: 'Forest' } ]);
+		assert.deepStrictEqual(changes.added.map(file => file.id), [ 3 ]);
+		assert.deepStrictEqual(changes.removed.map(file => file.id), [ 2 ]);
+		assert.deepStrictEqual(changes.changed.map(change => [ change.file.id, change.fields ]), [ [ 1, { downloads: { from: 10, to: 12 } } ] ]);
+	});
+
+	it('should not report files missing from a partial refresh as removed', () => {
+		snapshots.update(2, [ beach, castle ]);
+		assert.deepStrictEqual(snapshots.update(2, [ beach ], true).removed, []);
+		assert.deepStrictEqual(snapshots.update(2, [ beach, castle ]).added, []);
+	});
+
+	it('should return the last changes with dates', () => {
+		const first = snapshots.update(2, [ beach ]);
+		const second = snapshots.update(2, [ beach, castle ]);
+		const changes = new Snapshots(resolve(tmp, 'example-snapshots.json')).getChanges(2);
+		assert.ok(changes.since instanceof Date);
+		assert.ok(changes.until instanceof Date);
+		assert.strictEqual(changes.since.getTime(), first.until.getTime());
+		assert.strictEqual(changes.until.getTime(), second.until.getTime());
+		assert.deepStrictEqual(changes.added.map(file => file.id), [ 2 ]);
+		assert.strictEqual(snapshots.getChanges(3), null);
+	});
+});
\ No newline at end of file
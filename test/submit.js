@@ -0,0 +1,162 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const resolve = require('path').resolve;
+
+const DownloadsIps3 = require('../lib/v3/downloads-ips3');
+const DownloadsIps4 = require('../lib/v4/downloads-ips4');
+const UnsupportedVersionError = require('../lib/errors').UnsupportedVersionError;
+
+/**
+ * Returns an Ips lookalike serving the given pages and answering posts
+ * with the given function. Uploaded chunks are read into buffers.
+ */
+function board(url, tmp, pages, post) {
+	const posts = [];
+	return {
+		id: 'example',
+		_cache: tmp,
+		_url: url,
+		posts: posts,
+		logger: { info: () => {}, debug: () => {} },
+		_getWithLogin: url => pages[url] ? Promise.resolve(cheerio.load(pages[url])) : Promise.reject(new Error('Unexpected request to ' + url)),
+		_post: (url, data) => {
+			return Promise.all(Object.keys(data).map(name => {
+				const value = data[name] && data[name].value;
+				if (!value || !value.pipe) {
+					return;
+				}
+				const chunks = [];
+				return new Promise(resolve => value.on('data', chunk => chunks.push(chunk)).on('end', resolve)).then(() => data[name].value = Buffer.concat(chunks).toString());
+			})).then(() => {
+				posts.push({ url: url, data: data });
+				return post(url, data);
+			});
+		}
+	};
+}
+
+describe('Submitting files', () => {
+
+	let tmp, build, shot;
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		build = resolve(tmp, 'nightly.vpx');
+		shot = resolve(tmp, 'nightly.png');
+		fs.writeFileSync(build, 'table');
+		fs.writeFileSync(shot, 'image');
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	describe('on IPS4', () => {
+
+		const B = 'http://ips4.example.com';
+		const uploader = (name, key) => '<div data-ipsUploader data-ipsUploader-name="' + name + '"></div><input type="hidden" name="' + name + '" value="' + key + '">';
+		const redirect = location => ({ statusCode: 303, headers: { location: location } });
+		let pages;
+		beforeEach(() => {
+			pages = {
+				[B + '/files/submit/?category=2']: '<form method="post" action="' + B + '/files/submit/?category=2"><input type="hidden" name="csrfKey" value="c5rf">' +
+					'<input type="hidden" name="category" value="">' + uploader('files', 'f1le5') + uploader('screenshots', 'sh0t5') + '</form>',
+				[B + '/files/submit/?category=2&_step=information']: '<form method="post" action="' + B + '/files/submit/?category=2&amp;_step=information"><input type="hidden" name="csrfKey" value="c5rf">' +
+					'<input type="text" name="file_title"><textarea name="file_desc"></textarea><input type="text" name="file_tags"><input type="text" name="file_version" value="1.0.0"></form>',
+				[B + '/files/file/12-nightly/?do=newVersion']: '<form method="post" action="' + B + '/files/file/12-nightly/?do=newVersion"><input type="hidden" name="csrfKey" value="c5rf">' +
+					uploader('files', 'v3rs10n') + '<input type="text" name="file_version"><textarea name="file_changelog"></textarea></form>'
+			};
+		});
+
+		it('should upload the files and fill out every step of the wizard', () => {
+			const ips = board(B, tmp, pages, (url, data) => {
+				if (data.chunk) {
+					return { statusCode: 200, body: '{}' };
+				}
+				return redirect(data.file_title ? B + '/files/file/12-nightly/?do=findComment' : B + '/files/submit/?category=2&_step=information');
+			});
+			const data = { title: 'Nightly', description: '<p>Fresh build.</p>', files: [ build ], screenshots: [ shot ], tags: [ 'vpx', 'nightly' ] };
+
+			return new DownloadsIps4(ips, { version: 4 }).submit({ id: 2 }, data).then(result => {
+				assert.deepStrictEqual(result, { id: 12, url: B + '/files/file/12-nightly/' });
+				assert.deepStrictEqual(ips.posts.map(post => post.data.chunk ? [ post.data.plupload, post.data.name, post.data.files || post.data.screenshots ] : post.data), [
+					[ 'f1le5', 'nightly.vpx', { value: 'table', options: { filename: 'nightly.vpx', contentType: 'application/octet-stream' } } ],
+					[ 'sh0t5', 'nightly.png', { value: 'image', options: { filename: 'nightly.png', contentType: 'application/octet-stream' } } ],
+					{ csrfKey: 'c5rf', category: '2', files: 'f1le5', screenshots: 'sh0t5' },
+					// the version of the form stays as there was none given
+					{ csrfKey: 'c5rf', file_title: 'Nightly', file_desc: '<p>Fresh build.</p>', file_tags: 'vpx,nightly', file_version: '1.0.0' }
+				]);
+			});
+		});
+
+		it('should upload a new version and forget what is cached about the old one', () => {
+			const ips = board(B, tmp, pages, (url, data) => data.chunk ? { statusCode: 200, body: '{}' } : redirect(B + '/files/file/12-nightly/'));
+			let downloads = new DownloadsIps4(ips, { version: 4 });
+			downloads._saveFileCache(2, [ { id: 12, title: 'Nightly', url: B + '/files/file/12-nightly/', version: '1.0.0', detailsUpdated: new Date(), versions: [ { version: '1.0.0' } ] } ]);
+
+			return downloads.submitVersion({ id: 12, category: 2 }, { version: '1.1.0', changelog: '<p>Faster.</p>', files: [ build ] }).then(result => {
+				assert.deepStrictEqual(result, { id: 12, url: B + '/files/file/12-nightly/' });
+				assert.deepStrictEqual(ips.posts[1].data, { csrfKey: 'c5rf', files: 'v3rs10n', file_version: '1.1.0', file_changelog: '<p>Faster.</p>' });
+
+				// saved to disk as well
+				downloads = new DownloadsIps4(ips, { version: 4 });
+				const cached = downloads._getCachedFile({ id: 12, category: 2 });
+				assert.strictEqual(cached.detailsUpdated, undefined);
+				assert.strictEqual(cached.versions, undefined);
+			});
+		});
+
+		it('should check the data before posting anything', () => {
+			const ips = board(B, tmp, pages, () => assert.fail('Should not post.'));
+			const downloads = new DownloadsIps4(ips, { version: 4 });
+			return Promise.mapSeries([
+				{ title: 'Nightly', files: [ build ] },
+				{ title: 'Nightly', description: 'Fresh.', files: [] },
+				{ title: 'Nightly', description: 'Fresh.', files: [ build ], screenshots: [ resolve(tmp, 'missing.png') ] }
+			], data => downloads.submit(2, data).then(() => assert.fail('Should have failed.'), err => err.message)).then(messages => {
+				assert.deepStrictEqual(messages, [
+					'Property `description` is required.',
+					'Need at least one file to upload.',
+					'File "' + resolve(tmp, 'missing.png') + '" does not exist.'
+				]);
+				return downloads.submitVersion({ id: 12 }, { version: '1.1.0', files: [ build ] }).then(() => assert.fail('Should have failed.'), err => {
+					assert.ok(/^Must provide a file retrieved from/.test(err.message));
+					assert.deepStrictEqual(ips.posts, []);
+				});
+			});
+		});
+	});
+
+	describe('on IPS3', () => {
+
+		const B = 'http://ips3.example.com';
+		const form = '<form method="post" action="' + B + '/index.php?app=downloads&amp;module=post&amp;section=submit&amp;cat=2" enctype="multipart/form-data">' +
+			'<input type="hidden" name="auth_key" value="4uth"><input type="hidden" name="file_cat" value="">' +
+			'<input type="text" name="file_name"><input type="text" name="file_version"><input type="text" name="ipsTags">' +
+			'<textarea name="Post"></textarea><input type="file" name="FILE_UPLOAD"><input type="file" name="ss_upload">' +
+			'<input type="submit" name="submit" value="Submit"></form>';
+
+		it('should post the information and the files with the form', () => {
+			const ips = board(B, tmp, { [B + '/index.php?app=downloads&module=post&section=submit&cat=2']: form }, () => ({ statusCode: 303, headers: { location: B + '/index.php?app=downloads&showfile=12' } }));
+			const data = { title: 'Nightly', description: '<p>Fresh build.</p>', files: [ build ], screenshots: [ shot ], tags: [ 'vpx', 'nightly' ], version: '1.0.0' };
+
+			return new DownloadsIps3(ips, { version: 3 }).submit(2, data).then(result => {
+				assert.deepStrictEqual(result, { id: 12, url: B + '/index.php?app=downloads&showfile=12' });
+				const posted = ips.posts[0].data;
+				assert.deepStrictEqual(Object.keys(posted).sort(), [ 'FILE_UPLOAD', 'Post', 'auth_key', 'file_cat', 'file_name', 'file_version', 'ipsTags', 'ss_upload' ]);
+				assert.deepStrictEqual([ posted.auth_key, posted.file_cat, posted.file_name, posted.file_version, posted.ipsTags, posted.Post ], [ '4uth', '2', 'Nightly', '1.0.0', 'vpx,nightly', '<p>Fresh build.</p>' ]);
+				assert.deepStrictEqual(posted.FILE_UPLOAD.map(stream => stream.path), [ build ]);
+				assert.deepStrictEqual(posted.ss_upload.map(stream => stream.path), [ shot ]);
+				posted.FILE_UPLOAD.concat(posted.ss_upload).forEach(stream => stream.destroy());
+			});
+		});
+
+		it('should not support new versions', () => {
+			const downloads = new DownloadsIps3(board(B, tmp, {}, () => null), { version: 3 });
+			return downloads.submitVersion({ id: 12, url: B + '/index.php?app=downloads&showfile=12', category: 2 }, { version: '1.1.0', files: [ build ] }).then(() => assert.fail('Should have failed.'), err => {
+				assert.ok(err instanceof UnsupportedVersionError);
+			});
+		});
+	});
+});
\ No newline at end of file
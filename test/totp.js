@@ -0,0 +1,39 @@
+"use strict";
+
+const assert = require('assert');
+
+const Totp = require('../lib/totp');
+
+describe('Totp', () => {
+
+	// "12345678901234567890", the SHA1 secret of the test vectors of RFC 6238
+	const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+	it('should generate the codes of RFC 6238', () => {
+		// the RFC lists 8 digit codes, the last 6 digits are the 6 digit codes
+		const vectors = [
+			[ 59, '287082' ],
+			[ 1111111109, '081804' ],
+			[ 1111111111, '050471' ],
+			[ 1234567890, '005924' ],
+			[ 2000000000, '279037' ],
+			[ 20000000000, '353130' ]
+		];
+		vectors.forEach(vector => assert.strictEqual(Totp.generate(secret, vector[0] * 1000), vector[1], 'Code at ' + vector[0]));
+	});
+
+	it('should keep the same code for 30 seconds', () => {
+		assert.strictEqual(Totp.generate(secret, 1111111110 * 1000), Totp.generate(secret, 1111111139 * 1000));
+		assert.notStrictEqual(Totp.generate(secret, 1111111139 * 1000), Totp.generate(secret, 1111111140 * 1000));
+	});
+
+	it('should ignore case, spaces and padding of the secret', () => {
+		assert.strictEqual(Totp.generate('gezd gnbv gy3t qojq gezd gnbv gy3t qojq', 59000), '287082');
+		assert.strictEqual(Totp.decodeBase32('MZXW6===').toString(), 'foo');
+		assert.strictEqual(Totp.decodeBase32('MZXW6YTBOI').toString(), 'foobar');
+	});
+
+	it('should fail on invalid secrets', () => {
+		assert.throws(() => Totp.generate('GEZDGNBV1', 59000), /Invalid character "1"/);
+	});
+});
\ No newline at end of file
@@ -0,0 +1,78 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const resolve = require('path').resolve;
+
+const VersionDetector = require('../lib/version-detector');
+const ParseError = require('../lib/errors').ParseError;
+const UnsupportedVersionError = require('../lib/errors').UnsupportedVersionError;
+
+describe('VersionDetector', () => {
+
+	const logger = { info: () => {}, debug: () => {} };
+	const page = (head, body) => '<html><head>' + head + '</head><body' + (body || '>') + '</body></html>';
+
+	let tmp, requests;
+	const detector = body => new VersionDetector(resolve(tmp, 'example-version.json'), logger, {
+		request: opts => {
+			requests.push(opts.url);
+			return Promise.resolve({ statusCode: 200, body: body });
+		}
+	});
+
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		requests = [];
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should prefer the generator meta tag', () => {
+		const result = VersionDetector.fingerprint(cheerio.load(page('<meta name="generator" content="Invision Community 4.4.10">', ' class="ipsApp">')));
+		assert.deepStrictEqual(result, { version: 4, by: 'generator "Invision Community 4.4.10"' });
+		assert.strictEqual(VersionDetector.fingerprint(cheerio.load(page('<meta name="generator" content="IP.Board 3.4.9">'))).version, 3);
+	});
+
+	it('should recognize the markup of each version', () => {
+		assert.deepStrictEqual(VersionDetector.fingerprint(cheerio.load(page('', ' id="ipboard_body">'))), { version: 3, by: 'markup' });
+		assert.strictEqual(VersionDetector.fingerprint(cheerio.load(page('<link rel="stylesheet" href="/forums/public/style_css/css_1/ipb_styles.css">'))).version, 3);
+		assert.strictEqual(VersionDetector.fingerprint(cheerio.load(page('', ' class="ipsApp ipsApp_front">'))).version, 4);
+		assert.strictEqual(VersionDetector.fingerprint(cheerio.load(page('<script src="/uploads/javascript_global/root_library.js"></script>'))).version, 4);
+		assert.strictEqual(VersionDetector.fingerprint(cheerio.load(page('', ' data-ips-hook="header">'))).version, 5);
+		assert.strictEqual(VersionDetector.fingerprint(cheerio.load(page('<title>Some blog</title>'))), null);
+	});
+
+	it('should fingerprint the board once and cache the result', () => {
+		const first = detector(page('', ' class="ipsApp">'));
+		return first.detect('http://ips4.example.com').then(version => {
+			assert.strictEqual(version, 4);
+			assert.deepStrictEqual(requests, [ 'http://ips4.example.com/' ]);
+			return detector(page('', ' id="ipboard_body">')).detect('http://ips4.example.com');
+
+		}).then(version => {
+			assert.strictEqual(version, 4);
+			assert.strictEqual(requests.length, 1);
+			return detector(page('', ' id="ipboard_body">')).detect('http://ips4.example.com', { forceRefresh: true });
+
+		}).then(version => {
+			assert.strictEqual(version, 3);
+			assert.strictEqual(requests.length, 2);
+			assert.strictEqual(first.getCached('http://other.example.com'), null);
+		});
+	});
+
+	it('should fail on unsupported versions and pages that are not IPS', () => {
+		return detector(page('<meta name="generator" content="Invision Community 5.0.0">')).detect('http://ips5.example.com').then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof UnsupportedVersionError);
+			assert.strictEqual(err.version, 5);
+			return detector(page('<title>Some blog</title>')).detect('http://blog.example.com');
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof ParseError);
+			assert.strictEqual(err.url, 'http://blog.example.com/');
+			assert.ok(!fs.existsSync(resolve(tmp, 'example-version.json')));
+		});
+	});
+});
\ No newline at end of file
@@ -0,0 +1,140 @@
+"use strict";
+
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const assert = require('assert');
+const cheerio = require('cheerio');
+const request = require('request');
+const resolve = require('path').resolve;
+
+const Http = require('../lib/http');
+const DownloadsIps3 = require('../lib/v3/downloads-ips3');
+const DownloadsIps4 = require('../lib/v4/downloads-ips4');
+const NotFoundError = require('../lib/errors').NotFoundError;
+const UnsupportedVersionError = require('../lib/errors').UnsupportedVersionError;
+
+describe('IPS4 version history', () => {
+
+	const data = Buffer.from('version 1.1.0');
+	let server, B, file, tmp, pages, requested, downloads;
+
+	// serves the backup of version 1.1.0, pages come from `pages`
+	before(done => {
+		server = http.createServer((req, res) => {
+			if (req.url === '/files/file/5-sunset-beach/?do=download&version=8') {
+				res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Disposition': 'attachment; filename="sunset-beach.vpx"', 'Content-Length': data.length });
+				return res.end(data);
+			}
+			res.writeHead(404);
+			res.end();
+		});
+		server.listen(0, '127.0.0.1', () => {
+			B = 'http://127.0.0.1:' + server.address().port;
+			done();
+		});
+	});
+	after(done => server.close(done));
+
+	const changelog = (version, id, date, text, download) => '<ul class="ipsSideMenu_list">' +
+		'<li><a class="ipsSideMenu_item' + (id === 9 ? ' ipsSideMenu_itemActive' : '') + '" href="' + B + '/files/file/5-sunset-beach/?changelog=9">1.2.0</a></li>' +
+		'<li><a class="ipsSideMenu_item' + (id === 8 ? ' ipsSideMenu_itemActive' : '') + '" href="' + B + '/files/file/5-sunset-beach/?changelog=8">1.1.0</a></li>' +
+		'<li><a class="ipsSideMenu_item' + (id === 7 ? ' ipsSideMenu_itemActive' : '') + '" href="' + B + '/files/file/5-sunset-beach/?changelog=7">1.0.0</a></li></ul>' +
+		'<div class="ipsColumn ipsColumn_fluid"><h2 class="ipsType_pageTitle">' + version + '</h2><p class="ipsType_light">Released <time datetime="' + date + '">' + date + '</time></p>' +
+		'<div class="ipsType_richText ipsType_normal">' + text + '</div>' +
+		(download ? '<a href="' + B + '/files/file/5-sunset-beach/?do=download&amp;version=' + id + '" class="ipsButton ipsButton_primary">Download this version</a>' : '') + '</div>';
+
+	beforeEach(() => {
+		tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		requested = [];
+		file = { id: 5, title: 'Sunset Beach', url: B + '/files/file/5-sunset-beach/', category: 2 };
+		const info = (name, date) => '<li class="ipsDataItem"><span class="ipsDataItem_generic"><strong>' + name + '</strong></span><span class="ipsDataItem_generic"><time datetime="' + date + '">' + date + '</time></span></li>';
+		pages = {
+			[file.url]: '<h1 class="ipsType_pageTitle">Sunset Beach <span class="ipsType_light">1.2.0</span></h1>' +
+				'<div><h2 class="ipsType_sectionHead">What\'s New in Version 1.2.0</h2><section class="ipsType_richText"><p>Brighter <strong>sunset</strong>.</p></section>' +
+				'<a href="' + B + '/files/file/5-sunset-beach/?changelog=9">View changelog</a></div>' +
+				'<div><h2 class="ipsType_sectionHead">File Information</h2><ul class="ipsDataList">' + info('Submitted', '2016-10-09T14:21:05Z') + info('Updated', '2016-11-02T08:00:00Z') + '</ul></div>' +
+				'<a href="' + B + '/files/file/5-sunset-beach/?do=download" class="ipsButton ipsButton_large ipsButton_important">Download this file</a>',
+			[B + '/files/file/5-sunset-beach/?changelog=9']: changelog('1.2.0', 9, '2016-11-02T08:00:00Z', '<p>Brighter <strong>sunset</strong>.</p>'),
+			[B + '/files/file/5-sunset-beach/?changelog=8']: changelog('1.1.0', 8, '2016-10-20T12:00:00Z', '<ul><li>New ramp</li></ul>', true),
+			[B + '/files/file/5-sunset-beach/?changelog=7']: changelog('1.0.0', 7, '2016-10-09T14:21:05Z', '<p>First release.</p>')
+		};
+		const logger = { info: () => {}, debug: () => {}, warn: () => {} };
+		const get = url => {
+			requested.push(url);
+			return pages[url] ? Promise.resolve(cheerio.load(pages[url])) : Promise.reject(new Error('Unexpected request to ' + url));
+		};
+		downloads = new DownloadsIps4({ id: 'example', _cache: tmp, _url: B, logger: logger, emit: () => {}, _cookieJar: request.jar(), _http: new Http({ logger: logger }), _getWithLogin: get }, { version: 4 });
+	});
+	afterEach(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+	it('should list all versions from the changelog, latest first', () => {
+		return downloads.getVersions(file).then(versions => {
+			assert.deepStrictEqual(versions, [
+				{ version: '1.2.0', date: new Date('2016-11-02T08:00:00Z'), changelog: 'Brighter **sunset**.', downloadUrl: B + '/files/file/5-sunset-beach/?do=download' },
+				{ version: '1.1.0', date: new Date('2016-10-20T12:00:00Z'), changelog: '*   New ramp', downloadUrl: B + '/files/file/5-sunset-beach/?do=download&version=8' },
+				{ version: '1.0.0', date: new Date('2016-10-09T14:21:05Z'), changelog: 'First release.', downloadUrl: undefined }
+			]);
+			assert.deepStrictEqual(requested, [ file.url, B + '/files/file/5-sunset-beach/?changelog=9', B + '/files/file/5-sunset-beach/?changelog=9', B + '/files/file/5-sunset-beach/?changelog=8', B + '/files/file/5-sunset-beach/?changelog=7' ]);
+		});
+	});
+
+	it('should only return the current version if there is no changelog', () => {
+		pages[file.url] = pages[file.url].replace(/<a href="[^"]+changelog=9">View changelog<\/a>/, '');
+		return downloads.getVersions(file).then(versions => {
+			assert.deepStrictEqual(versions.map(v => v.version), [ '1.2.0' ]);
+			assert.deepStrictEqual(requested, [ file.url ]);
+		});
+	});
+
+	it('should cache the versions on the file until refreshed', () => {
+		return downloads.getVersions(file).then(() => {
+			// a new instance reads the cache from disk
+			downloads = new DownloadsIps4(downloads._ips, { version: 4 });
+			return downloads.getVersions(file);
+
+		}).then(versions => {
+			assert.strictEqual(versions.length, 3);
+			assert.strictEqual(requested.length, 5);
+			return downloads.getVersions(file, { forceRefresh: true });
+
+		}).then(() => {
+			assert.strictEqual(requested.length, 10);
+		});
+	});
+
+	it('should download a previous version to its own folder', () => {
+		const dest = resolve(tmp, 'downloads');
+		fs.mkdirSync(dest);
+		return downloads.download(file, dest, { version: '1.1.0' }).then(paths => {
+			assert.deepStrictEqual(paths, [ { path: resolve(dest, '1.1.0', 'sunset-beach.vpx') } ]);
+			assert.ok(fs.readFileSync(paths[0].path).equals(data));
+			// the cached file still describes the current version
+			assert.strictEqual(downloads._getCachedFile(file).filename, undefined);
+		});
+	});
+
+	it('should fail for unknown versions and versions without backup', () => {
+		return downloads.download(file, tmp, { version: '2.0.0' }).then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof NotFoundError);
+			assert.strictEqual(err.message, 'Version "2.0.0" not found. Available versions: [ 1.2.0, 1.1.0, 1.0.0 ].');
+			return downloads.download(file, tmp, { version: '1.0.0' });
+
+		}).then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof NotFoundError);
+			assert.strictEqual(err.message, 'Version "1.0.0" is not available for download anymore.');
+		});
+	});
+});
+
+describe('IPS3 version history', () => {
+
+	it('should not be supported', () => {
+		const tmp = fs.mkdtempSync(resolve(os.tmpdir(), 'ipslib-test-'));
+		const downloads = new DownloadsIps3({ id: 'example', _cache: tmp, logger: {} }, { version: 3 });
+		return downloads.getVersions({ id: 5, url: 'http://ips3.example.com/index.php?app=downloads&showfile=5', category: 2 }).then(() => assert.fail('Should have failed.'), err => {
+			assert.ok(err instanceof UnsupportedVersionError);
+		}).finally(() => fs.rmSync(tmp, { recursive: true, force: true }));
+	});
+});
\ No newline at end of file